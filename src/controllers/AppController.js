@@ -1,6 +1,15 @@
 const inquirer = require('inquirer');
-const { ProductService, CartService, DiscountService, ShippingService } = require('../services');
+const { ProductService, CartService, DiscountService, ShippingService, OrderService, PaymentService, ReservationService, CheckoutAttemptService, WishlistService, CartHistoryService, CartRecoveryService, ShopService, CoinService } = require('../services');
+const { Order, FlashSale } = require('../models');
 const DisplayUtils = require('../utils/DisplayUtils');
+const CardUtils = require('../utils/CardUtils');
+const ValidationUtils = require('../utils/ValidationUtils');
+const config = require('../utils/Config');
+
+/**
+ * Usuário da sessão enquanto ninguém se identificou (visitante)
+ */
+const GUEST_USER_ID = 'user-default';
 
 /**
  * Controlador principal da aplicação
@@ -8,9 +17,28 @@ const DisplayUtils = require('../utils/DisplayUtils');
 class AppController {
     constructor() {
         this.productService = new ProductService();
-        this.cartService = new CartService(this.productService);
         this.discountService = new DiscountService();
+        this.coinService = new CoinService();
+        this.orderService = new OrderService(this.productService, this.discountService, this.coinService);
+        this.paymentService = new PaymentService(this.orderService);
+        this.reservationService = new ReservationService(this.productService);
+        this.checkoutAttemptService = new CheckoutAttemptService();
+        this.cartHistoryService = new CartHistoryService();
+        this.shopService = new ShopService();
+        this.cartService = new CartService({
+            productService: this.productService,
+            orderService: this.orderService,
+            discountService: this.discountService,
+            reservationService: this.reservationService,
+            checkoutAttemptService: this.checkoutAttemptService,
+            historyService: this.cartHistoryService,
+            shopService: this.shopService,
+            coinService: this.coinService
+        });
+        this.wishlistService = new WishlistService(this.productService, this.cartService);
+        this.cartRecoveryService = new CartRecoveryService(this.cartService, this.discountService, this.orderService);
         this.shippingService = new ShippingService();
+        this.userId = GUEST_USER_ID;
         this.currentCart = null;
         this.initialized = false;
     }
@@ -25,12 +53,21 @@ class AppController {
         await DisplayUtils.showLoading('Inicializando sistema...', 1500);
 
         try {
+            await this.shopService.initialize();
             await this.productService.initialize();
+            await this.reservationService.initialize();
             await this.cartService.initialize();
             await this.discountService.initialize();
+            await this.coinService.initialize();
+            await this.orderService.initialize();
+            await this.checkoutAttemptService.initialize();
+            await this.cartHistoryService.initialize();
+            await this.wishlistService.initialize();
+            await this.cartRecoveryService.initialize();
+
+            await this.handleInterruptedCheckouts();
             
-            // Criar carrinho padrão
-            this.currentCart = await this.cartService.createCart('user-default');
+            this.currentCart = await this.resumeOrCreateCart();
             
             this.initialized = true;
             DisplayUtils.showSuccess('Sistema inicializado com sucesso!');
@@ -40,6 +77,73 @@ class AppController {
         }
     }
 
+    /**
+     * Pergunta o que fazer com checkouts que foram interrompidos na última execução
+     */
+    async handleInterruptedCheckouts() {
+        for (const attempt of this.cartService.getInterruptedCheckouts()) {
+            DisplayUtils.showWarning(`Um checkout iniciado em ${attempt.startedAt.toLocaleString('pt-BR')} não foi concluído.`);
+
+            const { action } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'action',
+                    message: 'O que deseja fazer?',
+                    choices: [
+                        { name: '▶️  Retomar o checkout', value: 'resume' },
+                        { name: '🗑️  Abandonar e manter os itens no carrinho', value: 'abandon' }
+                    ]
+                }
+            ]);
+
+            try {
+                if (action === 'resume') {
+                    const order = await this.cartService.resumeCheckout(attempt.key);
+                    DisplayUtils.showSuccess(`Checkout concluído! Pedido ${order.id} registrado.`);
+                } else {
+                    await this.cartService.abandonCheckout(attempt.key);
+                    DisplayUtils.showInfo('Checkout abandonado. Estoque e cupons foram restaurados.');
+                }
+            } catch (error) {
+                DisplayUtils.showError(`Não foi possível retomar o checkout: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Retoma o carrinho mais recente do usuário ou cria um novo
+     * @returns {ShoppingCart} Carrinho a ser usado na sessão
+     */
+    async resumeOrCreateCart() {
+        const lastCart = this.cartService.getCartByUser(this.userId);
+        if (!lastCart) {
+            return this.cartService.createCart(this.userId);
+        }
+
+        // Carrinho vazio é reaproveitado sem perguntar, para não acumular carrinhos sem uso
+        if (lastCart.isEmpty()) {
+            return lastCart;
+        }
+
+        const totalItems = lastCart.getTotalItems();
+        console.log(`🛒 Você tem um carrinho salvo: ${lastCart.getDisplayName()} - ` +
+            `${totalItems} ${totalItems === 1 ? 'item' : 'itens'} - R$ ${lastCart.getTotal().toFixed(2)}`);
+
+        const { resume } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'resume',
+                message: 'Deseja continuar de onde parou?',
+                choices: [
+                    { name: '▶️  Continuar com este carrinho', value: true },
+                    { name: '🆕 Começar um carrinho novo', value: false }
+                ]
+            }
+        ]);
+
+        return resume ? lastCart : this.cartService.createCart(this.userId);
+    }
+
     /**
      * Inicia a aplicação
      */
@@ -54,6 +158,15 @@ class AppController {
     async showMainMenu() {
         while (true) {
             DisplayUtils.showHeader();
+
+            if (this.userId !== GUEST_USER_ID) {
+                console.log(`👤 ${this.userId}`);
+            }
+
+            const coins = this.coinService.getBalance(this.userId);
+            if (coins > 0) {
+                console.log(`🪙 Moedas: ${coins} (R$ ${this.coinService.coinsToAmount(coins).toFixed(2)})`);
+            }
             
             // Mostrar informações do carrinho
             if (!this.currentCart.isEmpty()) {
@@ -70,21 +183,41 @@ class AppController {
                 '➕ Adicionar Produto ao Carrinho',
                 '✏️  Modificar Quantidade no Carrinho',
                 '🗑️  Remover Item do Carrinho',
+                '💾 Salvar Item para Depois',
+                '❤️  Minhas Listas',
                 '🎫 Ver Cupons Disponíveis',
                 '💳 Aplicar Cupom de Desconto',
                 '🚚 Calcular Frete',
                 '💰 Finalizar Compra',
-                '🧹 Limpar Carrinho',
-                '❌ Sair'
+                '📦 Meus Pedidos',
+                '🪙 Minhas Moedas',
+                '🗂️  Meus Carrinhos',
+                '🔗 Compartilhar ou Importar Carrinho',
+                '📨 Recuperar Carrinhos Abandonados',
+                '⚡ Programar Oferta Relâmpago',
+                '📊 Vendas por Produto',
+                '🧹 Limpar Carrinho'
             ];
 
+            if (this.cartService.getUndoCommand(this.currentCart.id)) {
+                choices.push('↩️  Desfazer Última Alteração');
+            }
+            if (this.cartService.getRedoCommand(this.currentCart.id)) {
+                choices.push('↪️  Refazer Alteração');
+            }
+
+            if (this.userId === GUEST_USER_ID) {
+                choices.push('👤 Entrar com E-mail');
+            }
+            choices.push('❌ Sair');
+
             const { action } = await inquirer.prompt([
                 {
                     type: 'list',
                     name: 'action',
                     message: 'O que você gostaria de fazer?',
                     choices: choices,
-                    pageSize: 12
+                    pageSize: 20
                 }
             ]);
 
@@ -108,6 +241,12 @@ class AppController {
                     case '🗑️  Remover Item do Carrinho':
                         await this.removeFromCart();
                         break;
+                    case '💾 Salvar Item para Depois':
+                        await this.saveItemForLater();
+                        break;
+                    case '❤️  Minhas Listas':
+                        await this.showWishlists();
+                        break;
                     case '🎫 Ver Cupons Disponíveis':
                         await this.showAvailableCoupons();
                         break;
@@ -120,9 +259,39 @@ class AppController {
                     case '💰 Finalizar Compra':
                         await this.checkout();
                         break;
+                    case '📦 Meus Pedidos':
+                        await this.showOrders();
+                        break;
+                    case '🪙 Minhas Moedas':
+                        await this.showCoinWallet();
+                        break;
+                    case '🗂️  Meus Carrinhos':
+                        await this.showMyCarts();
+                        break;
+                    case '🔗 Compartilhar ou Importar Carrinho':
+                        await this.shareCart();
+                        break;
+                    case '📨 Recuperar Carrinhos Abandonados':
+                        await this.runCartRecovery();
+                        break;
+                    case '⚡ Programar Oferta Relâmpago':
+                        await this.scheduleFlashSale();
+                        break;
+                    case '📊 Vendas por Produto':
+                        await this.showProductSales();
+                        break;
                     case '🧹 Limpar Carrinho':
                         await this.clearCart();
                         break;
+                    case '↩️  Desfazer Última Alteração':
+                        await this.undoCartChange();
+                        break;
+                    case '↪️  Refazer Alteração':
+                        await this.redoCartChange();
+                        break;
+                    case '👤 Entrar com E-mail':
+                        await this.identifyUser();
+                        break;
                     case '❌ Sair':
                         await this.exit();
                         return;
@@ -147,6 +316,7 @@ class AppController {
                 message: 'Escolha uma categoria:',
                 choices: [
                     'Todos os Produtos',
+                    'Ofertas Relâmpago',
                     'Produtos em Promoção',
                     'Mais Bem Avaliados',
                     ...this.productService.getCategories(),
@@ -161,6 +331,8 @@ class AppController {
         
         if (category === 'Todos os Produtos') {
             products = this.productService.getAllProducts();
+        } else if (category === 'Ofertas Relâmpago') {
+            products = this.productService.getFlashSaleProducts();
         } else if (category === 'Produtos em Promoção') {
             products = this.productService.getDiscountedProducts();
         } else if (category === 'Mais Bem Avaliados') {
@@ -169,7 +341,7 @@ class AppController {
             products = this.productService.getProductsByCategory(category);
         }
 
-        DisplayUtils.showProductList(products);
+        DisplayUtils.showProductList(products, true, product => this.reservationService.getAvailableStock(product.id));
         await DisplayUtils.waitForEnter();
     }
 
@@ -194,7 +366,7 @@ class AppController {
             DisplayUtils.showWarning(`Nenhum produto encontrado para "${searchTerm}".`);
         } else {
             console.log(`\n🔍 Resultados para "${searchTerm}" (${products.length} ${products.length === 1 ? 'produto' : 'produtos'}):\n`);
-            DisplayUtils.showProductList(products);
+            DisplayUtils.showProductList(products, true, product => this.reservationService.getAvailableStock(product.id));
         }
         
         await DisplayUtils.waitForEnter();
@@ -205,11 +377,12 @@ class AppController {
      */
     async showCart() {
         DisplayUtils.showHeader();
-        DisplayUtils.showCart(this.currentCart);
+        DisplayUtils.showCart(this.currentCart, shopId => this.shopService.getShop(shopId));
         
-        if (!this.currentCart.isEmpty()) {
-            const freeShippingInfo = this.shippingService.getFreeShippingInfo(this.currentCart.getSubtotal());
-            DisplayUtils.showFreeShippingProgress(freeShippingInfo);
+        // Cada loja tem o seu próprio valor mínimo para frete grátis
+        for (const group of this.shopService.getCartGroups(this.currentCart)) {
+            const freeShippingInfo = this.shippingService.getFreeShippingInfo(group.subtotal, group.shop.freeShippingThreshold);
+            DisplayUtils.showFreeShippingProgress(freeShippingInfo, group.shop.name);
         }
         
         await DisplayUtils.waitForEnter();
@@ -223,7 +396,7 @@ class AppController {
         
         const products = this.productService.getAllProducts();
         const productChoices = products.map((product, index) => ({
-            name: `${index + 1}. ${product.name} - R$ ${product.getFinalPrice().toFixed(2)} ${product.discount > 0 ? `(${product.discount}% OFF)` : ''} - Estoque: ${product.stock}`,
+            name: `${index + 1}. ${product.name} - R$ ${product.getFinalPrice().toFixed(2)} ${product.isOnFlashSale() ? '(⚡ Oferta Relâmpago)' : (product.discount > 0 ? `(${product.discount}% OFF)` : '')} - Disponível: ${this.reservationService.getAvailableStock(product.id)}`,
             value: product.id
         }));
 
@@ -242,16 +415,29 @@ class AppController {
         if (productId === 'back') return;
 
         const product = this.productService.getProductById(productId);
+        if (product.isBundle()) {
+            const contents = this.productService.getBundleComponents(product)
+                .map(({ product: component, quantity }) => `${quantity}x ${component ? component.name : 'produto indisponível'}`);
+            DisplayUtils.showInfo(`Este kit inclui: ${contents.join(', ')}`);
+        }
+
+        let variantSku = null;
+        if (product.hasVariants()) {
+            variantSku = await this.chooseVariant(product);
+            if (!variantSku) return;
+        }
+
+        const available = this.reservationService.getAvailableStock(productId, null, variantSku);
         
         const { quantity } = await inquirer.prompt([
             {
                 type: 'number',
                 name: 'quantity',
-                message: `Quantidade (disponível: ${product.stock}):`,
+                message: `Quantidade (disponível: ${available}):`,
                 default: 1,
                 validate: input => {
                     if (input <= 0) return 'Quantidade deve ser maior que zero';
-                    if (input > product.stock) return `Quantidade não pode ser maior que ${product.stock}`;
+                    if (input > available) return `Quantidade não pode ser maior que ${available}`;
                     return true;
                 }
             }
@@ -259,10 +445,10 @@ class AppController {
 
         await DisplayUtils.showLoading('Adicionando produto ao carrinho...');
         
-        const success = await this.cartService.addProductToCart(this.currentCart.id, productId, quantity);
+        const success = await this.cartService.addProductToCart(this.currentCart.id, productId, quantity, variantSku);
         
         if (success) {
-            DisplayUtils.showSuccess(`${product.name} adicionado ao carrinho!`);
+            DisplayUtils.showSuccess(`${product.getDisplayName(variantSku)} adicionado ao carrinho!`);
         } else {
             DisplayUtils.showError('Falha ao adicionar produto ao carrinho.');
         }
@@ -270,6 +456,36 @@ class AppController {
         await DisplayUtils.waitForEnter();
     }
 
+    /**
+     * Pergunta qual variação de um produto o usuário quer
+     * @param {Product} product - Produto com variações
+     * @returns {string|null} SKU escolhido ou null se o usuário voltou
+     */
+    async chooseVariant(product) {
+        const variantChoices = product.variants.map(variant => {
+            const available = this.reservationService.getAvailableStock(product.id, null, variant.sku);
+            return {
+                name: `${variant.getLabel()} - R$ ${product.getFinalPrice(variant.sku).toFixed(2)} - Disponível: ${available}`,
+                value: variant.sku,
+                disabled: available > 0 ? false : 'Esgotado'
+            };
+        });
+
+        variantChoices.push({ name: '← Voltar', value: 'back' });
+
+        const { variantSku } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'variantSku',
+                message: `Escolha a variação (${Object.keys(product.getVariantOptions()).join(' / ')}):`,
+                choices: variantChoices,
+                pageSize: 10
+            }
+        ]);
+
+        return variantSku === 'back' ? null : variantSku;
+    }
+
     /**
      * Modifica quantidade no carrinho
      */
@@ -281,38 +497,40 @@ class AppController {
         }
 
         DisplayUtils.showHeader();
-        DisplayUtils.showCart(this.currentCart);
+        DisplayUtils.showCart(this.currentCart, shopId => this.shopService.getShop(shopId));
 
         const itemChoices = this.currentCart.items.map((item, index) => ({
-            name: `${index + 1}. ${item.product.name} (Qtd atual: ${item.quantity})`,
-            value: item.product.id
+            name: `${index + 1}. ${item.getName()} (Qtd atual: ${item.quantity})`,
+            value: item
         }));
 
         itemChoices.push({ name: '← Voltar', value: 'back' });
 
-        const { productId } = await inquirer.prompt([
+        const { item } = await inquirer.prompt([
             {
                 type: 'list',
-                name: 'productId',
+                name: 'item',
                 message: 'Escolha o item para modificar:',
                 choices: itemChoices
             }
         ]);
 
-        if (productId === 'back') return;
+        if (item === 'back') return;
 
-        const item = this.currentCart.getItem(productId);
-        const product = item.product;
+        const productId = item.product.id;
+        const variantSku = item.getVariantSku();
+        // O que o próprio carrinho já reservou continua disponível para ele
+        const available = this.reservationService.getAvailableStock(productId, this.currentCart.id, variantSku);
 
         const { newQuantity } = await inquirer.prompt([
             {
                 type: 'number',
                 name: 'newQuantity',
-                message: `Nova quantidade (atual: ${item.quantity}, disponível: ${product.stock}):`,
+                message: `Nova quantidade (atual: ${item.quantity}, disponível: ${available}):`,
                 default: item.quantity,
                 validate: input => {
                     if (input < 0) return 'Quantidade não pode ser negativa';
-                    if (input > product.stock) return `Quantidade não pode ser maior que ${product.stock}`;
+                    if (input > available) return `Quantidade não pode ser maior que ${available}`;
                     return true;
                 }
             }
@@ -321,12 +539,12 @@ class AppController {
         await DisplayUtils.showLoading('Atualizando quantidade...');
 
         if (newQuantity === 0) {
-            const success = await this.cartService.removeProductFromCart(this.currentCart.id, productId);
+            const success = await this.cartService.removeProductFromCart(this.currentCart.id, productId, variantSku);
             if (success) {
                 DisplayUtils.showSuccess('Item removido do carrinho!');
             }
         } else {
-            const success = await this.cartService.updateProductQuantity(this.currentCart.id, productId, newQuantity);
+            const success = await this.cartService.updateProductQuantity(this.currentCart.id, productId, newQuantity, variantSku);
             if (success) {
                 DisplayUtils.showSuccess('Quantidade atualizada!');
             }
@@ -346,25 +564,25 @@ class AppController {
         }
 
         DisplayUtils.showHeader();
-        DisplayUtils.showCart(this.currentCart);
+        DisplayUtils.showCart(this.currentCart, shopId => this.shopService.getShop(shopId));
 
         const itemChoices = this.currentCart.items.map((item, index) => ({
-            name: `${index + 1}. ${item.product.name}`,
-            value: item.product.id
+            name: `${index + 1}. ${item.getName()}`,
+            value: item
         }));
 
         itemChoices.push({ name: '← Voltar', value: 'back' });
 
-        const { productId } = await inquirer.prompt([
+        const { item } = await inquirer.prompt([
             {
                 type: 'list',
-                name: 'productId',
+                name: 'item',
                 message: 'Escolha o item para remover:',
                 choices: itemChoices
             }
         ]);
 
-        if (productId === 'back') return;
+        if (item === 'back') return;
 
         const { confirm } = await inquirer.prompt([
             {
@@ -377,7 +595,7 @@ class AppController {
 
         if (confirm) {
             await DisplayUtils.showLoading('Removendo item...');
-            const success = await this.cartService.removeProductFromCart(this.currentCart.id, productId);
+            const success = await this.cartService.removeProductFromCart(this.currentCart.id, item.product.id, item.getVariantSku());
             
             if (success) {
                 DisplayUtils.showSuccess('Item removido do carrinho!');
@@ -389,14 +607,232 @@ class AppController {
         await DisplayUtils.waitForEnter();
     }
 
+    /**
+     * Move um item do carrinho para uma lista, liberando a reserva de estoque
+     */
+    async saveItemForLater() {
+        if (this.currentCart.isEmpty()) {
+            DisplayUtils.showWarning('Seu carrinho está vazio.');
+            await DisplayUtils.waitForEnter();
+            return;
+        }
+
+        DisplayUtils.showHeader();
+        DisplayUtils.showCart(this.currentCart, shopId => this.shopService.getShop(shopId));
+
+        const itemChoices = this.currentCart.items.map((item, index) => ({
+            name: `${index + 1}. ${item.getName()} (Qtd: ${item.quantity})`,
+            value: item
+        }));
+
+        itemChoices.push({ name: '← Voltar', value: 'back' });
+
+        const { item } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'item',
+                message: 'Escolha o item para salvar para depois:',
+                choices: itemChoices
+            }
+        ]);
+
+        if (item === 'back') return;
+
+        const list = await this.chooseWishlist('Salvar em qual lista?');
+        if (!list) return;
+
+        const success = await this.wishlistService.moveFromCart(this.currentCart.id, item.product.id, list.id, item.getVariantSku());
+
+        if (success) {
+            DisplayUtils.showSuccess(`Item salvo em "${list.name}" e removido do carrinho!`);
+        } else {
+            DisplayUtils.showError('Falha ao salvar item.');
+        }
+
+        await DisplayUtils.waitForEnter();
+    }
+
+    /**
+     * Pergunta em qual lista do usuário uma ação deve ser feita,
+     * permitindo criar uma lista nova
+     * @param {string} message - Mensagem exibida
+     * @returns {Wishlist|null} Lista escolhida ou null se o usuário voltou
+     */
+    async chooseWishlist(message) {
+        await this.wishlistService.getDefaultList(this.userId);
+
+        const listChoices = this.wishlistService.getListsByUser(this.userId).map(list => ({
+            name: `${list.name} (${list.items.length} ${list.items.length === 1 ? 'item' : 'itens'})`,
+            value: list.id
+        }));
+
+        listChoices.push({ name: '🆕 Criar nova lista', value: 'new' });
+        listChoices.push({ name: '← Voltar', value: 'back' });
+
+        const { listId } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'listId',
+                message,
+                choices: listChoices
+            }
+        ]);
+
+        if (listId === 'back') return null;
+
+        if (listId === 'new') {
+            const { name } = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'name',
+                    message: 'Nome da lista:',
+                    validate: input => (input.trim().length > 0 && input.trim().length <= 50) ||
+                        'Nome deve ter entre 1 e 50 caracteres'
+                }
+            ]);
+
+            return this.wishlistService.createList(this.userId, name);
+        }
+
+        return this.wishlistService.getList(listId);
+    }
+
+    /**
+     * Exibe as listas de desejos do usuário
+     */
+    async showWishlists() {
+        while (true) {
+            DisplayUtils.showHeader();
+
+            const list = await this.chooseWishlist('Escolha uma lista:');
+            if (!list) return;
+
+            await this.showWishlistActions(list);
+        }
+    }
+
+    /**
+     * Exibe os itens de uma lista e as ações disponíveis para ela
+     * @param {Wishlist} list - Lista selecionada
+     */
+    async showWishlistActions(list) {
+        while (true) {
+            DisplayUtils.showHeader();
+            const items = this.wishlistService.getListItemsStatus(list.id);
+            DisplayUtils.showWishlist(list, items);
+
+            const actionChoices = [];
+            if (items.length > 0) {
+                actionChoices.push({ name: '🛒 Mover item para o carrinho', value: 'move' });
+            }
+            actionChoices.push({ name: '➕ Adicionar produto do catálogo', value: 'add' });
+            if (items.length > 0) {
+                actionChoices.push({ name: '🗑️  Remover item da lista', value: 'remove' });
+            }
+            if (!list.isDefault) {
+                actionChoices.push({ name: '❌ Excluir lista', value: 'delete' });
+            }
+            actionChoices.push({ name: '← Voltar', value: 'back' });
+
+            const { action } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'action',
+                    message: 'O que deseja fazer?',
+                    choices: actionChoices
+                }
+            ]);
+
+            if (action === 'back') return;
+
+            if (action === 'add') {
+                const productChoices = this.productService.getAllProducts().map((product, index) => ({
+                    name: `${index + 1}. ${product.name} - R$ ${product.getFinalPrice().toFixed(2)}`,
+                    value: product.id
+                }));
+                productChoices.push({ name: '← Voltar', value: 'back' });
+
+                const { productId } = await inquirer.prompt([
+                    {
+                        type: 'list',
+                        name: 'productId',
+                        message: 'Escolha um produto para salvar:',
+                        choices: productChoices,
+                        pageSize: 10
+                    }
+                ]);
+
+                if (productId === 'back') continue;
+
+                await this.wishlistService.addProductToList(list.id, productId);
+                DisplayUtils.showSuccess('Produto salvo na lista!');
+            } else if (action === 'delete') {
+                const { confirm } = await inquirer.prompt([
+                    {
+                        type: 'confirm',
+                        name: 'confirm',
+                        message: `Excluir a lista "${list.name}"?`,
+                        default: false
+                    }
+                ]);
+
+                if (!confirm) continue;
+
+                await this.wishlistService.removeList(list.id);
+                DisplayUtils.showSuccess('Lista excluída!');
+                await DisplayUtils.waitForEnter();
+                return;
+            } else {
+                const itemChoices = items.map((item, index) => ({
+                    name: `${index + 1}. ${item.name} (Qtd: ${item.quantity})`,
+                    value: item
+                }));
+                itemChoices.push({ name: '← Voltar', value: 'back' });
+
+                const { item } = await inquirer.prompt([
+                    {
+                        type: 'list',
+                        name: 'item',
+                        message: action === 'move' ? 'Escolha o item para mover:' : 'Escolha o item para remover:',
+                        choices: itemChoices
+                    }
+                ]);
+
+                if (item === 'back') continue;
+
+                const variantSku = item.variantSku || null;
+                try {
+                    if (action === 'move') {
+                        // Itens salvos sem variação precisam dela para entrar no carrinho
+                        let chosenSku = null;
+                        if (!variantSku && item.product && item.product.hasVariants()) {
+                            chosenSku = await this.chooseVariant(item.product);
+                            if (!chosenSku) continue;
+                        }
+
+                        await this.wishlistService.moveToCart(list.id, item.productId, this.currentCart.id, variantSku, chosenSku);
+                        DisplayUtils.showSuccess('Item movido para o carrinho!');
+                    } else {
+                        await this.wishlistService.removeProductFromList(list.id, item.productId, variantSku);
+                        DisplayUtils.showSuccess('Item removido da lista!');
+                    }
+                } catch (error) {
+                    DisplayUtils.showError(error.message);
+                }
+            }
+
+            await DisplayUtils.waitForEnter();
+        }
+    }
+
     /**
      * Exibe cupons disponíveis
      */
     async showAvailableCoupons() {
         DisplayUtils.showHeader();
         
-        const coupons = this.discountService.getActiveCoupons();
-        DisplayUtils.showCouponList(coupons);
+        const coupons = this.discountService.getActiveCoupons(this.userId);
+        DisplayUtils.showCouponList(coupons, shopId => this.shopService.getShopName(shopId));
         
         await DisplayUtils.waitForEnter();
     }
@@ -424,11 +860,13 @@ class AppController {
 
         await DisplayUtils.showLoading('Validando cupom...');
 
-        const validation = this.discountService.validateCoupon(couponCode, this.currentCart.getSubtotal());
+        const validation = this.discountService.validateCoupon(couponCode, this.currentCart.getSubtotal(), this.currentCart.userId, this.currentCart);
         
         if (!validation.isValid) {
             DisplayUtils.showError(validation.error);
+            DisplayUtils.showCouponEligibility(validation);
         } else {
+            DisplayUtils.showCouponEligibility(validation);
             const success = await this.cartService.applyCouponToCart(this.currentCart.id, validation.coupon);
             
             if (success) {
@@ -469,30 +907,31 @@ class AppController {
 
         await DisplayUtils.showLoading('Calculando frete...');
 
-        const weight = this.shippingService.calculateWeight(this.currentCart.items);
-        const value = this.currentCart.getSubtotal();
-        const shippingOptions = this.shippingService.getShippingOptions(cep, weight, value);
+        // Cada loja envia o seu pacote, então o frete é cotado e escolhido por loja
+        const quotes = this.shippingService.getShippingOptionsByShop(cep, this.shopService.getCartGroups(this.currentCart));
 
-        DisplayUtils.showShippingOptions(shippingOptions);
+        for (const quote of quotes) {
+            DisplayUtils.showShippingOptions(quote.options, quote.shopName);
 
-        const { selectedOption } = await inquirer.prompt([
-            {
-                type: 'list',
-                name: 'selectedOption',
-                message: 'Escolha uma opção de frete:',
-                choices: [
-                    ...shippingOptions.map(option => ({
-                        name: `${option.name} - ${option.isFreeShipping ? 'GRÁTIS' : `R$ ${option.cost.toFixed(2)}`} - ${option.deliveryDays} dias úteis`,
-                        value: option
-                    })),
-                    { name: '← Não aplicar frete agora', value: null }
-                ]
-            }
-        ]);
+            const { selectedOption } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'selectedOption',
+                    message: `Escolha uma opção de frete para ${quote.shopName}:`,
+                    choices: [
+                        ...quote.options.map(option => ({
+                            name: `${option.name} - ${option.isFreeShipping ? 'GRÁTIS' : `R$ ${option.cost.toFixed(2)}`} - ${option.deliveryDays} dias úteis`,
+                            value: option
+                        })),
+                        { name: '← Não aplicar frete agora', value: null }
+                    ]
+                }
+            ]);
 
-        if (selectedOption) {
-            await this.cartService.setShippingCost(this.currentCart.id, selectedOption.cost);
-            DisplayUtils.showSuccess(`Frete ${selectedOption.name} aplicado!`);
+            if (selectedOption) {
+                await this.cartService.setShippingCost(this.currentCart.id, selectedOption.cost, quote.shopId);
+                DisplayUtils.showSuccess(`Frete ${selectedOption.name} aplicado para ${quote.shopName}!`);
+            }
         }
 
         await DisplayUtils.waitForEnter();
@@ -509,7 +948,31 @@ class AppController {
         }
 
         DisplayUtils.showHeader();
-        DisplayUtils.showCart(this.currentCart);
+        DisplayUtils.showCart(this.currentCart, shopId => this.shopService.getShop(shopId));
+
+        if (this.currentCart.hasPriceIncreases()) {
+            const { accept } = await inquirer.prompt([
+                {
+                    type: 'confirm',
+                    name: 'accept',
+                    message: 'O preço de alguns itens subiu. Aceita os novos preços?',
+                    default: false
+                }
+            ]);
+
+            if (!accept) return;
+
+            await this.cartService.acknowledgePriceChanges(this.currentCart.id);
+            DisplayUtils.showSuccess('Novos preços confirmados.');
+        }
+
+        await this.chooseCoinsToRedeem();
+
+        const paymentMethod = await this.selectPaymentMethod();
+        if (paymentMethod === 'back') return;
+
+        // Confirmações repetidas desta mesma tentativa devolvem o mesmo pedido
+        const checkoutKey = this.cartService.getCheckoutKey(this.currentCart);
 
         const { confirm } = await inquirer.prompt([
             {
@@ -524,19 +987,800 @@ class AppController {
 
         await DisplayUtils.showLoading('Processando pedido...', 3000);
 
+        let order;
         try {
-            const orderSummary = await this.cartService.checkout(this.currentCart.id);
+            order = await this.cartService.checkout(this.currentCart.id, checkoutKey);
             
             DisplayUtils.showHeader();
-            DisplayUtils.showOrderSummary(orderSummary);
-            
-            // Criar novo carrinho
-            this.currentCart = await this.cartService.createCart('user-default');
-            
+            DisplayUtils.showOrderSummary(order);
+
+            // O carrinho foi esvaziado no checkout e continua sendo o carrinho atual
         } catch (error) {
             DisplayUtils.showError(`Erro ao processar pedido: ${error.message}`);
+            await DisplayUtils.waitForEnter();
+            return;
+        }
+
+        await this.payOrder(order, paymentMethod);
+    }
+
+    /**
+     * Pergunta quantas moedas de fidelidade usar como desconto na compra
+     */
+    async chooseCoinsToRedeem() {
+        const maxCoins = this.coinService.getMaxRedeemableCoins(this.currentCart);
+        if (maxCoins <= 0) {
+            await this.cartService.setCoinsToRedeem(this.currentCart.id, 0);
+            return;
+        }
+
+        const { coins } = await inquirer.prompt([
+            {
+                type: 'number',
+                name: 'coins',
+                message: `Quantas moedas usar? (até ${maxCoins}, R$ ${this.coinService.coinsToAmount(maxCoins).toFixed(2)} de desconto)`,
+                default: 0,
+                validate: input => (Number.isInteger(input) && input >= 0 && input <= maxCoins) ||
+                    `Informe um número inteiro entre 0 e ${maxCoins}`
+            }
+        ]);
+
+        await this.cartService.setCoinsToRedeem(this.currentCart.id, coins);
+        if (coins > 0) {
+            DisplayUtils.showFinancialSummary(this.currentCart.getFinancialSummary());
+        }
+    }
+
+    /**
+     * Pergunta a forma de pagamento
+     * @returns {string} Forma escolhida ('pix', 'boleto', 'credit_card' ou 'back')
+     */
+    async selectPaymentMethod() {
+        const { paymentMethod } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'paymentMethod',
+                message: 'Forma de pagamento:',
+                choices: [
+                    { name: '💠 Pix', value: 'pix' },
+                    { name: '🧾 Boleto bancário', value: 'boleto' },
+                    { name: '💳 Cartão de crédito', value: 'credit_card' },
+                    { name: '← Voltar', value: 'back' }
+                ]
+            }
+        ]);
+
+        return paymentMethod;
+    }
+
+    /**
+     * Inicia o pagamento de um pedido na forma escolhida
+     * @param {Order} order - Pedido aguardando pagamento
+     * @param {string} method - Forma de pagamento
+     */
+    async payOrder(order, method) {
+        if (method === 'pix') {
+            await this.payWithPix(order);
+        } else if (method === 'boleto') {
+            await this.payWithBoleto(order);
+        } else if (method === 'credit_card') {
+            await this.payWithCard(order);
         }
+    }
+
+    /**
+     * Paga um pedido com cartão de crédito
+     *
+     * Os dados do cartão ficam apenas em memória durante o pagamento.
+     * @param {Order} order - Pedido aguardando pagamento
+     */
+    async payWithCard(order) {
+        const plans = this.paymentService.getInstallmentOptions(order.id);
+
+        DisplayUtils.showFinancialSummary(order.financialSummary);
+        DisplayUtils.showInstallmentTable(plans);
+
+        const { installments } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'installments',
+                message: 'Em quantas parcelas?',
+                choices: plans.map(plan => ({
+                    name: `${plan.installments}x de R$ ${plan.installmentValue.toFixed(2)} ` +
+                        (plan.interestFree ? 'sem juros' : `(total R$ ${plan.total.toFixed(2)})`),
+                    value: plan.installments
+                })),
+                pageSize: 12
+            }
+        ]);
+
+        const card = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'number',
+                message: 'Número do cartão:',
+                validate: input => {
+                    const validation = CardUtils.validateNumber(input);
+                    return validation.isValid || validation.error;
+                }
+            },
+            {
+                type: 'input',
+                name: 'holder',
+                message: 'Nome impresso no cartão:',
+                validate: input => input.trim().length >= 2 || 'Nome do titular é obrigatório'
+            },
+            {
+                type: 'input',
+                name: 'expiry',
+                message: 'Validade (MM/AA):',
+                validate: input => {
+                    const [month, year] = input.split('/');
+                    const validation = CardUtils.validateExpiry(month, year);
+                    return validation.isValid || validation.error;
+                }
+            },
+            {
+                type: 'password',
+                name: 'cvv',
+                message: 'Código de segurança (CVV):',
+                mask: '*'
+            }
+        ]);
+
+        const [expiryMonth, expiryYear] = card.expiry.split('/');
+
+        try {
+            await DisplayUtils.showLoading('Autorizando pagamento...');
+            await this.paymentService.createCardPayment(order.id, {
+                number: card.number,
+                holder: card.holder,
+                expiryMonth,
+                expiryYear,
+                cvv: card.cvv
+            }, installments);
+            DisplayUtils.showSuccess('Pagamento aprovado! Seu pedido já está sendo preparado.');
+        } catch (error) {
+            DisplayUtils.showError(`Pagamento recusado: ${error.message}`);
+            DisplayUtils.showInfo('O pedido continua aguardando pagamento. Você pode pagar depois em "Meus Pedidos".');
+        }
+
+        await DisplayUtils.waitForEnter();
+    }
 
+    /**
+     * Gera a cobrança Pix de um pedido e aguarda a confirmação simulada
+     * @param {Order} order - Pedido aguardando pagamento
+     */
+    async payWithPix(order) {
+        const payment = order.payment && order.payment.method === 'pix' ?
+            order.payment :
+            await this.paymentService.createPixPayment(order.id);
+
+        DisplayUtils.showPixPayment(payment);
+
+        const { confirmed } = await inquirer.prompt([
+            {
+                type: 'confirm',
+                name: 'confirmed',
+                message: 'Simular a confirmação do pagamento agora?',
+                default: true
+            }
+        ]);
+
+        if (confirmed) {
+            await DisplayUtils.showLoading('Aguardando confirmação do banco...');
+            await this.paymentService.confirmPayment(order.id);
+            DisplayUtils.showSuccess('Pagamento confirmado! Seu pedido já está sendo preparado.');
+        } else {
+            DisplayUtils.showInfo('O pedido continua aguardando pagamento. Você pode pagar depois em "Meus Pedidos".');
+        }
+
+        await DisplayUtils.waitForEnter();
+    }
+
+    /**
+     * Gera o boleto de um pedido, permitindo exportá-lo e simular o pagamento
+     * @param {Order} order - Pedido aguardando pagamento
+     */
+    async payWithBoleto(order) {
+        const hasValidBoleto = order.payment && order.payment.method === 'boleto' &&
+            !this.paymentService.isBoletoExpired(order.payment);
+        const payment = hasValidBoleto ?
+            order.payment :
+            await this.paymentService.createBoletoPayment(order.id);
+
+        while (true) {
+            DisplayUtils.showBoletoPayment(payment);
+
+            const { action } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'action',
+                    message: 'O que deseja fazer com o boleto?',
+                    choices: [
+                        { name: '🌐 Exportar boleto (HTML)', value: 'html' },
+                        { name: '📄 Exportar boleto (texto)', value: 'txt' },
+                        { name: '✅ Simular pagamento do boleto', value: 'confirm' },
+                        { name: '← Voltar', value: 'back' }
+                    ]
+                }
+            ]);
+
+            if (action === 'back') {
+                DisplayUtils.showInfo('O pedido continua aguardando pagamento. Você pode pagar depois em "Meus Pedidos".');
+                break;
+            }
+
+            if (action === 'confirm') {
+                await DisplayUtils.showLoading('Aguardando compensação do boleto...');
+                await this.paymentService.confirmPayment(order.id);
+                DisplayUtils.showSuccess('Pagamento confirmado! Seu pedido já está sendo preparado.');
+                break;
+            }
+
+            const filePath = await this.paymentService.exportBoleto(order.id, action);
+            DisplayUtils.showSuccess(`Boleto salvo em ${filePath}`);
+        }
+
+        await DisplayUtils.waitForEnter();
+    }
+
+    /**
+     * Exibe a carteira de moedas de fidelidade do usuário
+     */
+    async showCoinWallet() {
+        DisplayUtils.showHeader();
+
+        const balance = this.coinService.getBalance(this.userId);
+        DisplayUtils.showCoinWallet(
+            this.coinService.getEntries(this.userId),
+            balance,
+            this.coinService.coinsToAmount(balance),
+            this.coinService.getNextExpiration(this.userId)
+        );
+        DisplayUtils.showInfo(`Ganhe ${config.get('coins.earnPercentage')}% do valor pago em moedas a cada pedido confirmado.`);
+
+        await DisplayUtils.waitForEnter();
+    }
+
+    /**
+     * Exibe o histórico de pedidos do usuário
+     */
+    async showOrders() {
+        while (true) {
+            DisplayUtils.showHeader();
+
+            const orders = this.orderService.getOrdersByUser(this.userId);
+            DisplayUtils.showOrderList(orders);
+
+            if (orders.length === 0) {
+                await DisplayUtils.waitForEnter();
+                return;
+            }
+
+            const orderChoices = orders.map((order, index) => ({
+                name: `${index + 1}. ${order.id} - ${order.createdAt.toLocaleDateString('pt-BR')} - R$ ${order.getTotal().toFixed(2)}`,
+                value: order.id
+            }));
+
+            orderChoices.push({ name: '← Voltar', value: 'back' });
+
+            const { orderId } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'orderId',
+                    message: 'Escolha um pedido para ver os detalhes:',
+                    choices: orderChoices,
+                    pageSize: 10
+                }
+            ]);
+
+            if (orderId === 'back') return;
+
+            await this.showOrderActions(orderId);
+        }
+    }
+
+    /**
+     * Exibe os detalhes de um pedido e as ações disponíveis para ele
+     * @param {string} orderId - ID do pedido
+     */
+    async showOrderActions(orderId) {
+        const order = this.orderService.getOrderById(orderId);
+
+        DisplayUtils.showHeader();
+        DisplayUtils.showOrderDetails(order);
+
+        const actionChoices = [];
+        if (order.status === 'pending_payment') {
+            actionChoices.push({ name: '💳 Pagar pedido', value: 'pay' });
+        }
+        if (order.isCancellable()) {
+            actionChoices.push({ name: '🚫 Cancelar pedido', value: 'cancel' });
+        }
+        if (order.status === 'delivered') {
+            actionChoices.push({ name: '↩️  Devolver itens', value: 'return' });
+        }
+        if (Order.getAllowedTransitions(order.status).some(status => status !== 'cancelled')) {
+            actionChoices.push({ name: '⚙️  Avançar status (admin)', value: 'advance' });
+        }
+
+        if (actionChoices.length === 0) {
+            await DisplayUtils.waitForEnter();
+            return;
+        }
+
+        actionChoices.push({ name: '← Voltar', value: 'back' });
+
+        const { action } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'action',
+                message: 'O que deseja fazer com este pedido?',
+                choices: actionChoices
+            }
+        ]);
+
+        if (action === 'pay') {
+            const method = await this.selectPaymentMethod();
+            await this.payOrder(order, method);
+        } else if (action === 'cancel') {
+            await this.cancelOrder(order);
+        } else if (action === 'return') {
+            await this.returnOrderItems(order);
+        } else if (action === 'advance') {
+            await this.advanceOrderStatus(order);
+        }
+    }
+
+    /**
+     * Devolve itens de um pedido entregue
+     * @param {Order} order - Pedido entregue
+     */
+    async returnOrderItems(order) {
+        const returnableItems = order.items.filter(item => order.getReturnableQuantity(item.productId, item.variantSku) > 0);
+
+        const { selectedItems } = await inquirer.prompt([
+            {
+                type: 'checkbox',
+                name: 'selectedItems',
+                message: 'Selecione os itens a devolver:',
+                choices: returnableItems.map(item => ({
+                    name: `${item.name} (pode devolver: ${order.getReturnableQuantity(item.productId, item.variantSku)})`,
+                    value: item
+                })),
+                validate: input => input.length > 0 || 'Selecione pelo menos um item'
+            }
+        ]);
+
+        const returnItems = [];
+        for (const item of selectedItems) {
+            const { productId } = item;
+            const variantSku = item.variantSku || null;
+            const returnable = order.getReturnableQuantity(productId, variantSku);
+            const { quantity } = await inquirer.prompt([
+                {
+                    type: 'number',
+                    name: 'quantity',
+                    message: `Quantidade de ${item.name} a devolver (máx. ${returnable}):`,
+                    default: returnable,
+                    validate: input => {
+                        if (input <= 0) return 'Quantidade deve ser maior que zero';
+                        if (input > returnable) return `Quantidade não pode ser maior que ${returnable}`;
+                        return true;
+                    }
+                }
+            ]);
+            returnItems.push({ productId, variantSku, quantity });
+        }
+
+        const reasons = Order.getReturnReasons();
+        const { reason } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'reason',
+                message: 'Motivo da devolução:',
+                choices: Object.entries(reasons).map(([value, name]) => ({ name, value }))
+            }
+        ]);
+
+        DisplayUtils.showHeader();
+        DisplayUtils.showRefundSummary(order.calculateRefund(returnItems, reason));
+
+        const { confirm } = await inquirer.prompt([
+            {
+                type: 'confirm',
+                name: 'confirm',
+                message: 'Confirma a devolução?',
+                default: false
+            }
+        ]);
+
+        if (!confirm) return;
+
+        const record = await this.orderService.createReturn(order.id, returnItems, reason);
+        DisplayUtils.showSuccess(`Devolução registrada! Reembolso de R$ ${record.totalRefund.toFixed(2)}.`);
+        await DisplayUtils.waitForEnter();
+    }
+
+    /**
+     * Cancela um pedido do usuário
+     * @param {Order} order - Pedido a ser cancelado
+     */
+    async cancelOrder(order) {
+        const { confirm } = await inquirer.prompt([
+            {
+                type: 'confirm',
+                name: 'confirm',
+                message: `Tem certeza que deseja cancelar o pedido ${order.id}?`,
+                default: false
+            }
+        ]);
+
+        if (!confirm) return;
+
+        await DisplayUtils.showLoading('Cancelando pedido...');
+        await this.orderService.cancelOrder(order.id);
+        DisplayUtils.showSuccess('Pedido cancelado. Os itens voltaram ao estoque.');
+        await DisplayUtils.waitForEnter();
+    }
+
+    /**
+     * Avança o status de um pedido (ação administrativa)
+     * @param {Order} order - Pedido a ser atualizado
+     */
+    async advanceOrderStatus(order) {
+        const statusChoices = Order.getAllowedTransitions(order.status)
+            .filter(status => status !== 'cancelled')
+            .map(status => ({ name: DisplayUtils.getOrderStatusLabel(status), value: status }));
+
+        statusChoices.push({ name: '← Voltar', value: 'back' });
+
+        const { newStatus } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'newStatus',
+                message: `Status atual: ${DisplayUtils.getOrderStatusLabel(order.status)}. Mudar para:`,
+                choices: statusChoices
+            }
+        ]);
+
+        if (newStatus === 'back') return;
+
+        await this.orderService.updateOrderStatus(order.id, newStatus, 'Atualizado pelo administrador');
+        DisplayUtils.showSuccess(`Pedido atualizado para "${DisplayUtils.getOrderStatusLabel(newStatus)}".`);
+        await DisplayUtils.waitForEnter();
+    }
+
+    /**
+     * Lista os carrinhos do usuário, permitindo trocar, renomear e excluir
+     */
+    async showMyCarts() {
+        while (true) {
+            DisplayUtils.showHeader();
+
+            const carts = this.cartService.getCartsByUser(this.userId);
+            DisplayUtils.showCartList(carts, this.currentCart.id);
+
+            const cartChoices = carts.map((cart, index) => ({
+                name: `${index + 1}. ${cart.getDisplayName()}${cart.id === this.currentCart.id ? ' (atual)' : ''}`,
+                value: cart.id
+            }));
+
+            cartChoices.push({ name: '🆕 Criar novo carrinho', value: 'new' });
+            cartChoices.push({ name: '← Voltar', value: 'back' });
+
+            const { cartId } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'cartId',
+                    message: 'Escolha um carrinho:',
+                    choices: cartChoices,
+                    pageSize: 10
+                }
+            ]);
+
+            if (cartId === 'back') return;
+
+            if (cartId === 'new') {
+                const name = await this.askCartName();
+                this.currentCart = await this.cartService.createCart(this.userId, name);
+                DisplayUtils.showSuccess(`Carrinho "${this.currentCart.getDisplayName()}" criado e selecionado!`);
+                await DisplayUtils.waitForEnter();
+                continue;
+            }
+
+            await this.showCartActions(this.cartService.getCart(cartId));
+        }
+    }
+
+    /**
+     * Pergunta o nome de um carrinho
+     * @param {string} currentName - Nome atual (sugerido como padrão)
+     * @returns {string} Nome informado
+     */
+    async askCartName(currentName = '') {
+        const { name } = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'name',
+                message: 'Nome do carrinho:',
+                default: currentName || undefined,
+                validate: input => (input.trim().length > 0 && input.trim().length <= 50) ||
+                    'Nome deve ter entre 1 e 50 caracteres'
+            }
+        ]);
+
+        return name.trim();
+    }
+
+    /**
+     * Exibe as ações disponíveis para um carrinho
+     * @param {ShoppingCart} cart - Carrinho selecionado
+     */
+    async showCartActions(cart) {
+        const isCurrent = cart.id === this.currentCart.id;
+
+        const actionChoices = [];
+        if (!isCurrent) {
+            actionChoices.push({ name: '🔀 Usar este carrinho', value: 'switch' });
+        }
+        actionChoices.push({ name: '✏️  Renomear', value: 'rename' });
+        actionChoices.push({ name: '🗑️  Excluir', value: 'delete' });
+        actionChoices.push({ name: '← Voltar', value: 'back' });
+
+        const { action } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'action',
+                message: `O que deseja fazer com "${cart.getDisplayName()}"?`,
+                choices: actionChoices
+            }
+        ]);
+
+        if (action === 'switch') {
+            this.currentCart = cart;
+            DisplayUtils.showSuccess(`Agora você está usando "${cart.getDisplayName()}".`);
+        } else if (action === 'rename') {
+            const name = await this.askCartName(cart.name);
+            await this.cartService.renameCart(cart.id, name);
+            DisplayUtils.showSuccess('Carrinho renomeado!');
+        } else if (action === 'delete') {
+            const { confirm } = await inquirer.prompt([
+                {
+                    type: 'confirm',
+                    name: 'confirm',
+                    message: `Excluir "${cart.getDisplayName()}"? Os itens serão descartados.`,
+                    default: false
+                }
+            ]);
+
+            if (!confirm) return;
+
+            await this.cartService.removeCart(cart.id);
+            if (isCurrent) {
+                this.currentCart = this.cartService.getCartByUser(this.userId) ||
+                    await this.cartService.createCart(this.userId);
+            }
+            DisplayUtils.showSuccess('Carrinho excluído!');
+        } else {
+            return;
+        }
+
+        await DisplayUtils.waitForEnter();
+    }
+
+    /**
+     * Identifica o visitante pelo e-mail e junta o carrinho atual ao
+     * carrinho que ele já tinha na conta
+     */
+    async identifyUser() {
+        DisplayUtils.showHeader();
+
+        const { email } = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'email',
+                message: 'Seu e-mail:',
+                validate: input => {
+                    const validation = ValidationUtils.validateEmail(input.trim());
+                    return validation.isValid || validation.error;
+                }
+            }
+        ]);
+
+        await DisplayUtils.showLoading('Recuperando seu carrinho...');
+
+        const { cart, report } = await this.cartService.mergeGuestCart(this.currentCart.id, email.trim().toLowerCase());
+        this.userId = cart.userId;
+        this.currentCart = cart;
+
+        DisplayUtils.showSuccess(`Bem-vindo, ${this.userId}!`);
+        DisplayUtils.showMergeReport(report);
+
+        await DisplayUtils.waitForEnter();
+    }
+
+    /**
+     * Exporta o carrinho atual (código ou arquivo) ou importa um carrinho compartilhado
+     */
+    async shareCart() {
+        DisplayUtils.showHeader();
+
+        const { action } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'action',
+                message: 'O que deseja fazer?',
+                choices: [
+                    { name: '🔑 Gerar código de compartilhamento', value: 'code' },
+                    { name: '💾 Exportar para arquivo JSON', value: 'file' },
+                    { name: '📥 Importar código', value: 'import_code' },
+                    { name: '📂 Importar arquivo JSON', value: 'import_file' },
+                    { name: '← Voltar', value: 'back' }
+                ]
+            }
+        ]);
+
+        if (action === 'back') return;
+
+        if (action === 'code') {
+            const code = this.cartService.getShareCode(this.currentCart.id);
+            DisplayUtils.showInfo('Envie este código para quem vai importar o carrinho:');
+            console.log(code);
+            console.log();
+        } else if (action === 'file') {
+            const filePath = await this.cartService.exportCartToFile(this.currentCart.id);
+            DisplayUtils.showSuccess(`Carrinho exportado para ${filePath}`);
+        } else {
+            const { input } = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'input',
+                    message: action === 'import_code' ? 'Cole o código de compartilhamento:' : 'Caminho do arquivo JSON:',
+                    validate: value => value.trim().length > 0 || 'Informe um valor'
+                }
+            ]);
+
+            await DisplayUtils.showLoading('Importando carrinho...');
+
+            const report = action === 'import_code'
+                ? await this.cartService.importShareCode(this.currentCart.id, input.trim())
+                : await this.cartService.importCartFromFile(this.currentCart.id, input.trim());
+
+            if (report.mergedItems.length === 0) {
+                DisplayUtils.showWarning('Nenhum item pôde ser importado.');
+            }
+            DisplayUtils.showMergeReport(report, 'Ajustes feitos na importação:');
+        }
+
+        await DisplayUtils.waitForEnter();
+    }
+
+    /**
+     * Executa o job de recuperação de carrinhos abandonados e exibe a taxa de recuperação
+     */
+    async runCartRecovery() {
+        DisplayUtils.showHeader();
+
+        const { days } = await inquirer.prompt([
+            {
+                type: 'number',
+                name: 'days',
+                message: 'Considerar abandonados os carrinhos parados há quantos dias?',
+                default: config.get('recovery.abandonedAfterDays'),
+                validate: input => input > 0 || 'Informe um número de dias maior que zero'
+            }
+        ]);
+
+        await DisplayUtils.showLoading('Procurando carrinhos abandonados...');
+
+        const summary = await this.cartRecoveryService.runRecoveryJob(days);
+        const report = await this.cartRecoveryService.getRecoveryReport();
+
+        DisplayUtils.showRecoveryReport(summary, report);
+        if (summary.sent.length > 0) {
+            DisplayUtils.showInfo(`Lembretes gravados em ${this.cartRecoveryService.outboxDir}`);
+        }
+
+        await DisplayUtils.waitForEnter();
+    }
+
+    /**
+     * Programa uma oferta relâmpago para um produto
+     */
+    async scheduleFlashSale() {
+        DisplayUtils.showHeader();
+
+        const products = this.productService.getAllProducts();
+        const { productId } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'productId',
+                message: 'Produto da oferta relâmpago:',
+                choices: [
+                    ...products.map(product => ({ name: `${product.name} - R$ ${product.price.toFixed(2)}`, value: product.id })),
+                    { name: '← Voltar', value: 'back' }
+                ],
+                pageSize: 10
+            }
+        ]);
+
+        if (productId === 'back') return;
+
+        const answers = await inquirer.prompt([
+            {
+                type: 'number',
+                name: 'promoPrice',
+                message: 'Preço da oferta (R$):',
+                validate: input => input > 0 || 'Informe um preço maior que zero'
+            },
+            {
+                type: 'number',
+                name: 'startsIn',
+                message: 'Começar daqui a quantos minutos?',
+                default: 0,
+                validate: input => input >= 0 || 'Informe zero ou mais minutos'
+            },
+            {
+                type: 'number',
+                name: 'hours',
+                message: 'Duração (horas):',
+                default: 2,
+                validate: input => input > 0 || 'Informe uma duração maior que zero'
+            },
+            {
+                type: 'number',
+                name: 'quota',
+                message: 'Unidades na oferta:',
+                default: 10,
+                validate: input => (Number.isInteger(input) && input > 0) || 'Informe um número inteiro maior que zero'
+            },
+            {
+                type: 'number',
+                name: 'perUserLimit',
+                message: 'Limite por cliente:',
+                default: 1,
+                validate: input => (Number.isInteger(input) && input > 0) || 'Informe um número inteiro maior que zero'
+            }
+        ]);
+
+        const startsAt = new Date(Date.now() + answers.startsIn * 60 * 1000);
+        const endsAt = new Date(startsAt.getTime() + answers.hours * 60 * 60 * 1000);
+        const flashSale = new FlashSale(startsAt, endsAt, answers.promoPrice, 0, answers.quota, answers.perUserLimit);
+
+        await this.productService.scheduleFlashSale(productId, flashSale);
+        DisplayUtils.showSuccess('Oferta relâmpago programada!');
+        DisplayUtils.showFlashSaleCountdowns([this.productService.getProductById(productId)]);
+
+        await DisplayUtils.waitForEnter();
+    }
+
+    /**
+     * Exibe o relatório de vendas por produto, com os kits divididos entre os componentes
+     */
+    async showProductSales() {
+        DisplayUtils.showHeader();
+        DisplayUtils.showProductSalesReport(this.orderService.getProductSalesReport());
+        await DisplayUtils.waitForEnter();
+    }
+
+    /**
+     * Desfaz a última alteração do carrinho atual
+     */
+    async undoCartChange() {
+        const command = await this.cartService.undo(this.currentCart.id);
+        DisplayUtils.showSuccess(`Desfeito: ${command.description}`);
+        await DisplayUtils.waitForEnter();
+    }
+
+    /**
+     * Refaz a última alteração desfeita do carrinho atual
+     */
+    async redoCartChange() {
+        const command = await this.cartService.redo(this.currentCart.id);
+        DisplayUtils.showSuccess(`Refeito: ${command.description}`);
         await DisplayUtils.waitForEnter();
     }
 
@@ -0,0 +1,83 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Tipos de alteração de carrinho que podem ser desfeitas
+ */
+const COMMAND_TYPES = ['item_quantity', 'clear', 'coupon_apply', 'coupon_remove', 'shipping'];
+
+/**
+ * Classe que representa uma alteração reversível feita em um carrinho
+ *
+ * O comando guarda o estado anterior e o posterior do que foi alterado
+ * (e não a operação em si), para que desfazer e refazer sejam apenas
+ * voltar um ou outro estado.
+ */
+class CartCommand {
+    /**
+     * Construtor da classe CartCommand
+     * @param {string} cartId - ID do carrinho alterado
+     * @param {string} type - Tipo da alteração
+     * @param {Object} data - Estados anterior e posterior da alteração
+     * @param {string} description - Descrição exibida ao usuário
+     */
+    constructor(cartId, type, data = {}, description = '') {
+        this.id = uuidv4();
+        this.cartId = cartId;
+        this.type = type;
+        this.data = data;
+        this.description = description;
+        this.createdAt = new Date();
+    }
+
+    /**
+     * Valida o comando
+     * @returns {Object} Resultado da validação
+     */
+    validate() {
+        const errors = [];
+
+        if (!this.cartId) {
+            errors.push('Comando deve pertencer a um carrinho');
+        }
+
+        if (!COMMAND_TYPES.includes(this.type)) {
+            errors.push(`Tipo de comando inválido: ${this.type}`);
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Converte o comando para objeto JSON
+     * @returns {Object} Representação JSON do comando
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            cartId: this.cartId,
+            type: this.type,
+            data: this.data,
+            description: this.description,
+            createdAt: this.createdAt
+        };
+    }
+
+    /**
+     * Cria um comando a partir de dados JSON
+     * @param {Object} data - Dados do comando
+     * @returns {CartCommand} Nova instância de CartCommand
+     */
+    static fromJSON(data) {
+        const command = new CartCommand(data.cartId, data.type, data.data, data.description);
+
+        if (data.id) command.id = data.id;
+        if (data.createdAt) command.createdAt = new Date(data.createdAt);
+
+        return command;
+    }
+}
+
+module.exports = CartCommand;
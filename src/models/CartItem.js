@@ -1,25 +1,100 @@
+const config = require('../utils/Config');
+
+/**
+ * Diferença mínima (em R$) para considerar que o preço de um item mudou
+ */
+const PRICE_CHANGE_TOLERANCE = 0.005;
+
 /**
  * Classe que representa um item no carrinho de compras
+ *
+ * Um item é uma linha do carrinho: o mesmo produto em variações diferentes
+ * gera itens separados.
  */
 class CartItem {
     /**
      * Construtor da classe CartItem
      * @param {Product} product - Produto do item
      * @param {number} quantity - Quantidade do produto
+     * @param {ProductVariant} variant - Variação escolhida (opcional)
      */
-    constructor(product, quantity = 1) {
+    constructor(product, quantity = 1, variant = null) {
         this.product = product;
+        this.variant = variant;
         this.quantity = quantity;
+        // Preço (já com a diferença da variação) e desconto em vigor quando o item entrou no carrinho
+        this.addedPrice = product ? product.getPrice(this.getVariantSku()) : 0;
+        this.addedDiscount = product ? product.discount : 0;
+        // Preço da oferta relâmpago em vigor quando o item foi adicionado (null fora de oferta)
+        this.addedFlashPrice = product && product.isOnFlashSale() ? product.getFinalPrice(this.getVariantSku()) : null;
         this.addedAt = new Date();
         this.updatedAt = new Date();
     }
 
+    /**
+     * Obtém o SKU da variação do item
+     * @returns {string|null} SKU ou null para produtos sem variação
+     */
+    getVariantSku() {
+        return this.variant ? this.variant.sku : null;
+    }
+
+    /**
+     * Obtém a chave que identifica a linha do carrinho (produto e variação)
+     * @returns {string} Chave do item
+     */
+    getKey() {
+        return this.variant ? `${this.product.id}:${this.variant.sku}` : this.product.id;
+    }
+
+    /**
+     * Verifica se o item é do produto e da variação informados
+     * @param {string} productId - ID do produto
+     * @param {string} variantSku - SKU da variação (opcional)
+     * @returns {boolean} True se corresponde
+     */
+    matches(productId, variantSku = null) {
+        return this.product.id === productId && this.getVariantSku() === (variantSku || null);
+    }
+
+    /**
+     * Obtém o nome do item, com o rótulo da variação
+     * @returns {string} Nome de exibição
+     */
+    getName() {
+        return this.product.getDisplayName(this.getVariantSku());
+    }
+
+    /**
+     * Obtém o preço unitário sem desconto
+     * @returns {number} Preço unitário
+     */
+    getUnitPrice() {
+        return this.product.getPrice(this.getVariantSku());
+    }
+
+    /**
+     * Obtém o preço unitário com desconto
+     * @returns {number} Preço unitário final
+     */
+    getFinalUnitPrice() {
+        return this.product.getFinalPrice(this.getVariantSku());
+    }
+
+    /**
+     * Obtém o peso unitário informado na variação
+     * @returns {number|null} Peso em kg ou null quando não informado
+     */
+    getWeight() {
+        return this.variant ? this.variant.weight : null;
+    }
+
     /**
      * Calcula o subtotal do item (preço unitário × quantidade)
      * @returns {number} Subtotal do item
      */
     getSubtotal() {
-        return this.product.getFinalPrice() * this.quantity;
+        return this.getFinalUnitPrice() * this.quantity;
     }
 
     /**
@@ -27,7 +102,7 @@ class CartItem {
      * @returns {number} Valor total do desconto
      */
     getTotalDiscount() {
-        return this.product.getDiscountAmount() * this.quantity;
+        return this.product.getDiscountAmount(this.getVariantSku()) * this.quantity;
     }
 
     /**
@@ -35,7 +110,7 @@ class CartItem {
      * @returns {number} Subtotal original sem desconto
      */
     getOriginalSubtotal() {
-        return this.product.price * this.quantity;
+        return this.getUnitPrice() * this.quantity;
     }
 
     /**
@@ -44,11 +119,11 @@ class CartItem {
      * @returns {boolean} True se a atualização foi bem-sucedida
      */
     updateQuantity(newQuantity) {
-        if (newQuantity <= 0) {
+        if (newQuantity <= 0 || newQuantity > config.get('cart.maxQuantityPerItem')) {
             return false;
         }
 
-        if (!this.product.isAvailable(newQuantity)) {
+        if (!this.product.isAvailable(newQuantity, this.getVariantSku())) {
             return false;
         }
 
@@ -97,8 +172,17 @@ class CartItem {
             errors.push('Quantidade deve ser maior que zero');
         }
 
-        if (this.product && !this.product.isAvailable(this.quantity)) {
-            errors.push(`Quantidade solicitada (${this.quantity}) não disponível em estoque (${this.product.stock})`);
+        const maxQuantity = config.get('cart.maxQuantityPerItem');
+        if (this.quantity > maxQuantity) {
+            errors.push(`Quantidade máxima por item é ${maxQuantity}`);
+        }
+
+        if (this.product && this.product.hasVariants() && !this.variant) {
+            errors.push('Escolha uma variação do produto');
+        }
+
+        if (this.product && !this.product.isAvailable(this.quantity, this.getVariantSku())) {
+            errors.push(`Quantidade solicitada (${this.quantity}) não disponível em estoque (${this.product.getStock(this.getVariantSku())})`);
         }
 
         return {
@@ -108,12 +192,12 @@ class CartItem {
     }
 
     /**
-     * Verifica se dois itens são do mesmo produto
+     * Verifica se dois itens são do mesmo produto e da mesma variação
      * @param {CartItem} otherItem - Outro item para comparação
      * @returns {boolean} True se são do mesmo produto
      */
     isSameProduct(otherItem) {
-        return this.product.id === otherItem.product.id;
+        return this.matches(otherItem.product.id, otherItem.getVariantSku());
     }
 
     /**
@@ -130,6 +214,54 @@ class CartItem {
         return this.updateQuantity(newQuantity);
     }
 
+    /**
+     * Calcula o preço unitário final em vigor quando o item foi adicionado
+     * @returns {number} Preço unitário com o desconto (ou a oferta relâmpago) da época
+     */
+    getAddedFinalPrice() {
+        if (this.addedFlashPrice !== null) {
+            return this.addedFlashPrice;
+        }
+        if (this.addedDiscount > 0) {
+            return this.addedPrice * (1 - this.addedDiscount / 100);
+        }
+        return this.addedPrice;
+    }
+
+    /**
+     * Compara o preço atual do produto com o preço de quando o item foi adicionado
+     * @returns {Object|null} Mudança de preço ou null se o preço não mudou
+     */
+    getPriceChange() {
+        const previousPrice = this.getAddedFinalPrice();
+        const currentPrice = this.getFinalUnitPrice();
+        const difference = currentPrice - previousPrice;
+
+        if (Math.abs(difference) < PRICE_CHANGE_TOLERANCE) {
+            return null;
+        }
+
+        return {
+            productId: this.product.id,
+            variantSku: this.getVariantSku(),
+            name: this.getName(),
+            previousPrice,
+            currentPrice,
+            difference,
+            increased: difference > 0
+        };
+    }
+
+    /**
+     * Aceita o preço atual do produto como o novo preço de referência do item
+     */
+    acknowledgePriceChange() {
+        this.addedPrice = this.getUnitPrice();
+        this.addedDiscount = this.product.discount;
+        this.addedFlashPrice = this.product.isOnFlashSale() ? this.getFinalUnitPrice() : null;
+        this.updatedAt = new Date();
+    }
+
     /**
      * Converte o item para objeto JSON
      * @returns {Object} Representação JSON do item
@@ -137,10 +269,14 @@ class CartItem {
     toJSON() {
         return {
             product: this.product.toJSON(),
+            variantSku: this.getVariantSku(),
             quantity: this.quantity,
             subtotal: this.getSubtotal(),
             originalSubtotal: this.getOriginalSubtotal(),
             totalDiscount: this.getTotalDiscount(),
+            addedPrice: this.addedPrice,
+            addedDiscount: this.addedDiscount,
+            addedFlashPrice: this.addedFlashPrice,
             addedAt: this.addedAt,
             updatedAt: this.updatedAt
         };
@@ -153,8 +289,12 @@ class CartItem {
      * @returns {CartItem} Nova instância de CartItem
      */
     static fromJSON(data, product) {
-        const item = new CartItem(product, data.quantity);
+        const item = new CartItem(product, data.quantity, data.variantSku ? product.getVariant(data.variantSku) : null);
         
+        // Itens gravados antes do registro do preço assumem o preço atual
+        if (data.addedPrice !== undefined) item.addedPrice = data.addedPrice;
+        if (data.addedDiscount !== undefined) item.addedDiscount = data.addedDiscount;
+        if (data.addedFlashPrice !== undefined) item.addedFlashPrice = data.addedFlashPrice;
         if (data.addedAt) item.addedAt = new Date(data.addedAt);
         if (data.updatedAt) item.updatedAt = new Date(data.updatedAt);
         
@@ -166,16 +306,17 @@ class CartItem {
      * @returns {Object} Dados formatados para exibição
      */
     getDisplayInfo() {
-        const hasDiscount = this.product.discount > 0;
+        const onFlashSale = this.product.isOnFlashSale();
+        const hasDiscount = this.product.discount > 0 || onFlashSale;
         
         return {
-            name: this.product.name,
+            name: this.getName(),
             category: this.product.category,
-            unitPrice: `R$ ${this.product.price.toFixed(2)}`,
-            finalPrice: `R$ ${this.product.getFinalPrice().toFixed(2)}`,
+            unitPrice: `R$ ${this.getUnitPrice().toFixed(2)}`,
+            finalPrice: `R$ ${this.getFinalUnitPrice().toFixed(2)}`,
             quantity: this.quantity,
             subtotal: `R$ ${this.getSubtotal().toFixed(2)}`,
-            discount: hasDiscount ? `${this.product.discount}%` : '-',
+            discount: onFlashSale ? '⚡ Oferta' : (hasDiscount ? `${this.product.discount}%` : '-'),
             savings: hasDiscount ? `R$ ${this.getTotalDiscount().toFixed(2)}` : '-'
         };
     }
@@ -0,0 +1,120 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Status possíveis de uma recuperação de carrinho
+ */
+const RECOVERY_STATUSES = ['sent', 'recovered', 'expired'];
+
+/**
+ * Classe que representa a tentativa de recuperar um carrinho abandonado
+ *
+ * Cada recuperação guarda o cupom exclusivo criado para o cliente, o
+ * lembrete gravado na caixa de saída e o resultado: recuperado quando o
+ * carrinho é finalizado depois do envio, expirado quando o cupom vence
+ * antes disso.
+ */
+class CartRecovery {
+    /**
+     * Construtor da classe CartRecovery
+     * @param {string} cartId - ID do carrinho abandonado
+     * @param {string} userId - ID (e-mail) do cliente
+     * @param {string} couponCode - Código do cupom de recuperação
+     * @param {number} cartTotal - Total do carrinho no momento do envio
+     */
+    constructor(cartId, userId, couponCode, cartTotal = 0) {
+        this.id = uuidv4();
+        this.cartId = cartId;
+        this.userId = userId;
+        this.couponCode = couponCode;
+        this.cartTotal = cartTotal;
+        this.messageFile = null;
+        this.status = 'sent';
+        this.orderId = null;
+        this.orderTotal = 0;
+        this.couponUsed = false;
+        this.sentAt = new Date();
+        this.closedAt = null;
+    }
+
+    /**
+     * Verifica se a recuperação ainda aguarda resultado
+     * @returns {boolean} True se o lembrete foi enviado e o carrinho ainda não voltou
+     */
+    isPending() {
+        return this.status === 'sent';
+    }
+
+    /**
+     * Marca o carrinho como recuperado pelo pedido informado
+     * @param {Order} order - Pedido criado a partir do carrinho
+     */
+    markRecovered(order) {
+        this.setStatus('recovered');
+        this.orderId = order.id;
+        this.orderTotal = order.getTotal();
+        this.couponUsed = order.appliedCoupons.some(coupon => coupon.code === this.couponCode);
+    }
+
+    /**
+     * Marca a recuperação como expirada
+     */
+    markExpired() {
+        this.setStatus('expired');
+    }
+
+    /**
+     * Muda o status da recuperação
+     * @param {string} status - Novo status
+     */
+    setStatus(status) {
+        if (!RECOVERY_STATUSES.includes(status)) {
+            throw new Error(`Status de recuperação inválido: ${status}`);
+        }
+
+        this.status = status;
+        this.closedAt = status === 'sent' ? null : new Date();
+    }
+
+    /**
+     * Converte a recuperação para objeto JSON
+     * @returns {Object} Representação JSON da recuperação
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            cartId: this.cartId,
+            userId: this.userId,
+            couponCode: this.couponCode,
+            cartTotal: this.cartTotal,
+            messageFile: this.messageFile,
+            status: this.status,
+            orderId: this.orderId,
+            orderTotal: this.orderTotal,
+            couponUsed: this.couponUsed,
+            sentAt: this.sentAt,
+            closedAt: this.closedAt
+        };
+    }
+
+    /**
+     * Cria uma recuperação a partir de dados JSON
+     * @param {Object} data - Dados da recuperação
+     * @returns {CartRecovery} Nova instância de CartRecovery
+     */
+    static fromJSON(data) {
+        const recovery = new CartRecovery(data.cartId, data.userId, data.couponCode, data.cartTotal);
+
+        if (data.id) recovery.id = data.id;
+        if (data.messageFile) recovery.messageFile = data.messageFile;
+        if (data.status) recovery.status = data.status;
+        if (data.orderId) recovery.orderId = data.orderId;
+        if (data.orderTotal) recovery.orderTotal = data.orderTotal;
+        if (data.couponUsed) recovery.couponUsed = data.couponUsed;
+        if (data.sentAt) recovery.sentAt = new Date(data.sentAt);
+        if (data.closedAt) recovery.closedAt = new Date(data.closedAt);
+
+        return recovery;
+    }
+}
+
+module.exports = CartRecovery;
@@ -0,0 +1,163 @@
+/**
+ * Status possíveis de uma tentativa de checkout
+ */
+const ATTEMPT_STATUSES = ['in_progress', 'completed', 'failed', 'abandoned'];
+
+/**
+ * Classe que representa uma tentativa de checkout identificada por uma
+ * chave de idempotência
+ *
+ * A tentativa registra cada etapa já concluída (baixas de estoque, pedido
+ * criado, ofertas relâmpago registradas, cupons usados e moedas debitadas)
+ * para que um checkout interrompido possa ser retomado ou desfeito depois.
+ */
+class CheckoutAttempt {
+    /**
+     * Construtor da classe CheckoutAttempt
+     * @param {string} key - Chave de idempotência
+     * @param {string} cartId - ID do carrinho
+     * @param {string} userId - ID do usuário
+     */
+    constructor(key, cartId, userId = null) {
+        this.key = key;
+        this.cartId = cartId;
+        this.userId = userId;
+        this.status = 'in_progress';
+        this.orderId = null;
+        this.stockReduced = [];
+        this.flashSalePurchases = [];
+        this.redeemedCoupons = [];
+        this.coinsRedeemed = 0;
+        this.error = null;
+        this.startedAt = new Date();
+        this.updatedAt = new Date();
+        this.completedAt = null;
+    }
+
+    /**
+     * Verifica se a tentativa ainda não terminou
+     * @returns {boolean} True se está em andamento
+     */
+    isInProgress() {
+        return this.status === 'in_progress';
+    }
+
+    /**
+     * Verifica se a tentativa pode ser executada novamente com a mesma chave
+     * @returns {boolean} True se falhou ou foi abandonada
+     */
+    canRetry() {
+        return this.status === 'failed' || this.status === 'abandoned';
+    }
+
+    /**
+     * Registra a baixa de estoque de um produto
+     * @param {string} productId - ID do produto
+     * @param {number} quantity - Quantidade baixada
+     * @param {string} variantSku - SKU da variação (opcional)
+     */
+    recordStockReduced(productId, quantity, variantSku = null) {
+        this.stockReduced.push({ productId, variantSku, quantity });
+        this.updatedAt = new Date();
+    }
+
+    /**
+     * Registra o pedido criado pela tentativa
+     * @param {string} orderId - ID do pedido
+     */
+    recordOrder(orderId) {
+        this.orderId = orderId;
+        this.updatedAt = new Date();
+    }
+
+    /**
+     * Registra a compra de um produto na oferta relâmpago
+     * @param {string} productId - ID do produto
+     */
+    recordFlashSalePurchase(productId) {
+        this.flashSalePurchases.push(productId);
+        this.updatedAt = new Date();
+    }
+
+    /**
+     * Registra o uso de um cupom
+     * @param {string} code - Código do cupom
+     */
+    recordCoupon(code) {
+        this.redeemedCoupons.push(code);
+        this.updatedAt = new Date();
+    }
+
+    /**
+     * Registra o débito das moedas usadas no pedido
+     * @param {number} coins - Moedas debitadas
+     */
+    recordCoins(coins) {
+        this.coinsRedeemed = coins;
+        this.updatedAt = new Date();
+    }
+
+    /**
+     * Muda o status da tentativa
+     * @param {string} status - Novo status
+     * @param {string} error - Mensagem de erro (para tentativas que falharam)
+     */
+    setStatus(status, error = null) {
+        if (!ATTEMPT_STATUSES.includes(status)) {
+            throw new Error(`Status de checkout inválido: ${status}`);
+        }
+
+        this.status = status;
+        this.error = error;
+        this.updatedAt = new Date();
+        if (status === 'completed') {
+            this.completedAt = this.updatedAt;
+        }
+    }
+
+    /**
+     * Converte a tentativa para objeto JSON
+     * @returns {Object} Representação JSON da tentativa
+     */
+    toJSON() {
+        return {
+            key: this.key,
+            cartId: this.cartId,
+            userId: this.userId,
+            status: this.status,
+            orderId: this.orderId,
+            stockReduced: this.stockReduced,
+            flashSalePurchases: this.flashSalePurchases,
+            redeemedCoupons: this.redeemedCoupons,
+            coinsRedeemed: this.coinsRedeemed,
+            error: this.error,
+            startedAt: this.startedAt,
+            updatedAt: this.updatedAt,
+            completedAt: this.completedAt
+        };
+    }
+
+    /**
+     * Cria uma tentativa a partir de dados JSON
+     * @param {Object} data - Dados da tentativa
+     * @returns {CheckoutAttempt} Nova instância de CheckoutAttempt
+     */
+    static fromJSON(data) {
+        const attempt = new CheckoutAttempt(data.key, data.cartId, data.userId);
+
+        if (data.status) attempt.status = data.status;
+        if (data.orderId) attempt.orderId = data.orderId;
+        if (data.stockReduced) attempt.stockReduced = data.stockReduced;
+        if (data.flashSalePurchases) attempt.flashSalePurchases = data.flashSalePurchases;
+        if (data.redeemedCoupons) attempt.redeemedCoupons = data.redeemedCoupons;
+        if (data.coinsRedeemed) attempt.coinsRedeemed = data.coinsRedeemed;
+        if (data.error) attempt.error = data.error;
+        if (data.startedAt) attempt.startedAt = new Date(data.startedAt);
+        if (data.updatedAt) attempt.updatedAt = new Date(data.updatedAt);
+        if (data.completedAt) attempt.completedAt = new Date(data.completedAt);
+
+        return attempt;
+    }
+}
+
+module.exports = CheckoutAttempt;
@@ -0,0 +1,158 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Tipos de lançamento da carteira de moedas e seus rótulos
+ */
+const ENTRY_TYPES = {
+    earn: 'Moedas ganhas',
+    redeem: 'Moedas usadas',
+    expire: 'Moedas expiradas',
+    reversal: 'Estorno'
+};
+
+/**
+ * Classe que representa um lançamento na carteira de moedas de um cliente
+ *
+ * Os lançamentos formam um extrato: ganhos são positivos e usos, expirações
+ * e estornos de ganhos são negativos (o estorno de um uso devolve moedas).
+ * Só os ganhos guardam saldo: cada um tem a própria validade e o quanto
+ * dele ainda não foi usado, e os demais lançamentos registram de quais
+ * ganhos as moedas saíram (ou para quais voltaram).
+ */
+class CoinEntry {
+    /**
+     * Construtor da classe CoinEntry
+     * @param {string} userId - ID do cliente dono da carteira
+     * @param {string} type - Tipo do lançamento ('earn', 'redeem', 'expire' ou 'reversal')
+     * @param {number} amount - Quantidade de moedas (positiva para entradas, negativa para saídas)
+     * @param {string} orderId - Pedido que originou o lançamento (opcional)
+     * @param {string} description - Descrição exibida no extrato
+     */
+    constructor(userId, type, amount, orderId = null, description = '') {
+        this.id = uuidv4();
+        this.userId = userId;
+        this.type = type;
+        this.amount = amount;
+        this.orderId = orderId;
+        this.description = description;
+        // Ganhos: quanto ainda não foi usado e até quando vale
+        this.remaining = type === 'earn' ? amount : 0;
+        this.expiresAt = null;
+        // Demais lançamentos: de quais ganhos as moedas saíram ou para quais voltaram
+        this.allocations = [];
+        this.createdAt = new Date();
+    }
+
+    /**
+     * Obtém os rótulos dos tipos de lançamento
+     * @returns {Object} Rótulos indexados pelo tipo
+     */
+    static getTypeLabels() {
+        return { ...ENTRY_TYPES };
+    }
+
+    /**
+     * Obtém o rótulo do tipo do lançamento
+     * @returns {string} Rótulo exibido no extrato
+     */
+    getTypeLabel() {
+        return ENTRY_TYPES[this.type] || this.type;
+    }
+
+    /**
+     * Verifica se o lançamento é um ganho de moedas
+     * @returns {boolean} True se é um ganho
+     */
+    isEarning() {
+        return this.type === 'earn';
+    }
+
+    /**
+     * Verifica se as moedas de um ganho já venceram
+     * @param {Date} date - Data de referência
+     * @returns {boolean} True se venceram
+     */
+    isExpired(date = new Date()) {
+        return this.isEarning() && this.expiresAt !== null && date >= this.expiresAt;
+    }
+
+    /**
+     * Obtém quantas moedas do ganho ainda podem ser usadas
+     * @param {Date} date - Data de referência
+     * @returns {number} Moedas disponíveis (0 para outros lançamentos)
+     */
+    getAvailable(date = new Date()) {
+        return this.isEarning() && !this.isExpired(date) ? this.remaining : 0;
+    }
+
+    /**
+     * Valida os dados do lançamento
+     * @returns {Object} Resultado da validação
+     */
+    validate() {
+        const errors = [];
+
+        if (!this.userId) {
+            errors.push('Cliente do lançamento é obrigatório');
+        }
+
+        if (!ENTRY_TYPES[this.type]) {
+            errors.push('Tipo de lançamento deve ser "earn", "redeem", "expire" ou "reversal"');
+        }
+
+        if (!Number.isInteger(this.amount) || this.amount === 0) {
+            errors.push('Quantidade de moedas deve ser um inteiro diferente de zero');
+        }
+
+        if (this.isEarning() && this.amount < 0) {
+            errors.push('Ganho de moedas deve ser positivo');
+        }
+
+        if (['redeem', 'expire'].includes(this.type) && this.amount > 0) {
+            errors.push('Uso e expiração de moedas devem ser negativos');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Converte o lançamento para objeto JSON
+     * @returns {Object} Representação JSON do lançamento
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            userId: this.userId,
+            type: this.type,
+            amount: this.amount,
+            orderId: this.orderId,
+            description: this.description,
+            remaining: this.remaining,
+            expiresAt: this.expiresAt,
+            allocations: this.allocations,
+            createdAt: this.createdAt
+        };
+    }
+
+    /**
+     * Cria um lançamento a partir de dados JSON
+     * @param {Object} data - Dados do lançamento
+     * @returns {CoinEntry} Nova instância de CoinEntry
+     */
+    static fromJSON(data) {
+        const entry = new CoinEntry(data.userId, data.type, data.amount, data.orderId || null, data.description || '');
+
+        if (data.id) entry.id = data.id;
+        if (data.remaining !== undefined) entry.remaining = data.remaining;
+        if (data.expiresAt) entry.expiresAt = new Date(data.expiresAt);
+        if (data.allocations) entry.allocations = data.allocations.map(({ entryId, coins }) => ({ entryId, coins }));
+        if (data.createdAt) entry.createdAt = new Date(data.createdAt);
+
+        return entry;
+    }
+}
+
+module.exports = CoinEntry;
@@ -2,6 +2,16 @@ const { v4: uuidv4 } = require('uuid');
 
 /**
  * Classe que representa um cupom de desconto
+ *
+ * Cupons da plataforma valem para o carrinho inteiro; cupons de loja valem
+ * apenas para os itens vendidos pela loja do cupom. Um carrinho aceita no
+ * máximo um cupom de cada tipo.
+ *
+ * Regras de elegibilidade restringem ainda mais os itens participantes:
+ * categorias, marcas e produtos incluídos (quando informados, só eles
+ * participam), categorias, marcas e produtos excluídos (nunca participam) e
+ * uma quantidade mínima de unidades participantes. O desconto e o valor mínimo consideram apenas
+ * o subtotal dos itens participantes.
  */
 class Coupon {
     /**
@@ -13,8 +23,9 @@ class Coupon {
      * @param {Date} expiryDate - Data de expiração do cupom
      * @param {number} usageLimit - Limite de uso do cupom
      * @param {string} description - Descrição do cupom
+     * @param {string} shopId - ID da loja, para cupons de loja (padrão: cupom da plataforma)
      */
-    constructor(code, type, value, minimumAmount = 0, expiryDate = null, usageLimit = null, description = '') {
+    constructor(code, type, value, minimumAmount = 0, expiryDate = null, usageLimit = null, description = '', shopId = null) {
         this.id = uuidv4();
         this.code = code.toUpperCase();
         this.type = type; // 'percentage' ou 'fixed'
@@ -23,7 +34,18 @@ class Coupon {
         this.expiryDate = expiryDate;
         this.usageLimit = usageLimit;
         this.usageCount = 0;
+        this.redemptions = [];
         this.description = description;
+        this.shopId = shopId;
+        this.ownerId = null; // Cliente exclusivo do cupom (null para qualquer cliente)
+        // Regras de elegibilidade (listas vazias não restringem)
+        this.categories = [];
+        this.excludedCategories = [];
+        this.brands = [];
+        this.excludedBrands = [];
+        this.productIds = [];
+        this.excludedProductIds = [];
+        this.minimumQuantity = 0;
         this.isActive = true;
         this.createdAt = new Date();
         this.updatedAt = new Date();
@@ -52,12 +74,155 @@ class Coupon {
         return true;
     }
 
+    /**
+     * Verifica se é um cupom de loja
+     * @returns {boolean} True se vale apenas para os itens de uma loja
+     */
+    isShopVoucher() {
+        return Boolean(this.shopId);
+    }
+
+    /**
+     * Obtém o escopo do cupom
+     * @returns {string} 'shop' para cupons de loja ou 'platform' para cupons da plataforma
+     */
+    getScope() {
+        return this.isShopVoucher() ? 'shop' : 'platform';
+    }
+
+    /**
+     * Define as regras de elegibilidade do cupom
+     * @param {Object} rules - Regras ({ categories, excludedCategories, brands, excludedBrands, productIds, excludedProductIds, minimumQuantity })
+     */
+    setEligibility(rules = {}) {
+        if (rules.categories) this.categories = [...rules.categories];
+        if (rules.excludedCategories) this.excludedCategories = [...rules.excludedCategories];
+        if (rules.brands) this.brands = [...rules.brands];
+        if (rules.excludedBrands) this.excludedBrands = [...rules.excludedBrands];
+        if (rules.productIds) this.productIds = [...rules.productIds];
+        if (rules.excludedProductIds) this.excludedProductIds = [...rules.excludedProductIds];
+        if (rules.minimumQuantity !== undefined) this.minimumQuantity = rules.minimumQuantity;
+        this.updatedAt = new Date();
+    }
+
+    /**
+     * Verifica se o cupom tem regras de elegibilidade
+     * @returns {boolean} True se alguma regra restringe os itens participantes
+     */
+    hasEligibilityRules() {
+        return this.categories.length > 0 ||
+            this.excludedCategories.length > 0 ||
+            this.brands.length > 0 ||
+            this.excludedBrands.length > 0 ||
+            this.productIds.length > 0 ||
+            this.excludedProductIds.length > 0 ||
+            this.minimumQuantity > 0;
+    }
+
+    /**
+     * Verifica se um produto participa do cupom
+     * @param {Product} product - Produto
+     * @returns {Object} Resultado ({ isEligible, reason }), com o motivo quando o produto não participa
+     */
+    checkProductEligibility(product) {
+        const category = product.category.toLowerCase();
+        const matchesCategory = list => list.some(c => c.toLowerCase() === category);
+        const brand = (product.brand || '').toLowerCase();
+        const matchesBrand = list => brand !== '' && list.some(b => b.toLowerCase() === brand);
+
+        if (this.isShopVoucher() && product.getShopId() !== this.shopId) {
+            return { isEligible: false, reason: 'vendido por outra loja' };
+        }
+
+        if (this.excludedProductIds.includes(product.id)) {
+            return { isEligible: false, reason: 'produto fora da promoção' };
+        }
+
+        if (matchesCategory(this.excludedCategories)) {
+            return { isEligible: false, reason: `categoria ${product.category} fora da promoção` };
+        }
+
+        if (matchesBrand(this.excludedBrands)) {
+            return { isEligible: false, reason: `marca ${product.brand} fora da promoção` };
+        }
+
+        const hasInclusions = this.categories.length > 0 || this.brands.length > 0 || this.productIds.length > 0;
+        if (hasInclusions && !this.productIds.includes(product.id) &&
+            !matchesCategory(this.categories) && !matchesBrand(this.brands)) {
+            const included = [...this.categories, ...this.brands];
+            return {
+                isEligible: false,
+                reason: included.length > 0 ?
+                    `cupom válido apenas para ${included.join(', ')}` :
+                    'cupom válido apenas para produtos selecionados'
+            };
+        }
+
+        return { isEligible: true, reason: null };
+    }
+
+    /**
+     * Separa os itens do carrinho entre os que participam e os que não participam do cupom
+     * @param {Array<CartItem>} items - Itens do carrinho
+     * @returns {Object} Resultado ({ isValid, error, eligibleItems, ineligibleItems: [{ item, reason }] })
+     */
+    checkEligibility(items) {
+        const eligibleItems = [];
+        const ineligibleItems = [];
+
+        for (const item of items) {
+            const { isEligible, reason } = this.checkProductEligibility(item.product);
+            if (isEligible) {
+                eligibleItems.push(item);
+            } else {
+                ineligibleItems.push({ item, reason });
+            }
+        }
+
+        let error = null;
+        const quantity = eligibleItems.reduce((total, item) => total + item.quantity, 0);
+        if (items.length > 0 && eligibleItems.length === 0) {
+            error = 'Nenhum item do carrinho participa deste cupom';
+        } else if (quantity < this.minimumQuantity) {
+            error = `Cupom exige ${this.minimumQuantity} unidades de produtos participantes (o carrinho tem ${quantity})`;
+        }
+
+        return {
+            isValid: error === null,
+            error,
+            eligibleItems,
+            ineligibleItems
+        };
+    }
+
+    /**
+     * Calcula o subtotal dos itens que participam do cupom
+     * @param {Array<CartItem>} items - Itens do carrinho
+     * @returns {number} Subtotal participante
+     */
+    getEligibleSubtotal(items) {
+        return items
+            .filter(item => this.checkProductEligibility(item.product).isEligible)
+            .reduce((total, item) => total + item.getSubtotal(), 0);
+    }
+
     /**
      * Calcula o desconto para um determinado valor
-     * @param {number} amount - Valor base para calcular o desconto
+     *
+     * Com os itens do carrinho, o desconto é calculado só sobre o subtotal
+     * dos itens participantes, e a quantidade mínima precisa ser atingida.
+     * @param {number} amount - Valor base para calcular o desconto (usado quando os itens não são informados)
+     * @param {Array<CartItem>} items - Itens do carrinho (opcional)
      * @returns {number} Valor do desconto
      */
-    calculateDiscount(amount) {
+    calculateDiscount(amount, items = null) {
+        if (items) {
+            if (!this.checkEligibility(items).isValid) {
+                return 0;
+            }
+            amount = this.getEligibleSubtotal(items);
+        }
+
         if (!this.isValid() || amount < this.minimumAmount) {
             return 0;
         }
@@ -73,26 +238,51 @@ class Coupon {
 
     /**
      * Aplica o cupom (incrementa contador de uso)
+     * @param {string} userId - ID do usuário que utilizou o cupom (opcional)
+     * @param {string} orderId - ID do pedido em que o cupom foi utilizado (opcional)
      * @returns {boolean} True se aplicado com sucesso
      */
-    apply() {
+    apply(userId = null, orderId = null) {
         if (!this.isValid()) {
             return false;
         }
 
         this.usageCount++;
+        if (userId || orderId) {
+            this.redemptions.push({ userId, orderId, redeemedAt: new Date() });
+        }
         this.updatedAt = new Date();
         return true;
     }
 
     /**
      * Reverte a aplicação do cupom (decrementa contador de uso)
+     * @param {string} orderId - Reverte apenas o uso registrado neste pedido (opcional)
+     * @returns {boolean} True se revertido com sucesso
      */
-    revert() {
+    revert(orderId = null) {
+        if (orderId) {
+            const index = this.redemptions.findIndex(r => r.orderId === orderId);
+            if (index === -1) {
+                return false;
+            }
+            this.redemptions.splice(index, 1);
+        }
+
         if (this.usageCount > 0) {
             this.usageCount--;
             this.updatedAt = new Date();
         }
+        return true;
+    }
+
+    /**
+     * Obtém quantas vezes um usuário já utilizou o cupom
+     * @param {string} userId - ID do usuário
+     * @returns {number} Número de usos do usuário
+     */
+    getUsageCountForUser(userId) {
+        return this.redemptions.filter(r => r.userId === userId).length;
     }
 
     /**
@@ -147,10 +337,18 @@ class Coupon {
             text += ` - R$ ${this.value.toFixed(2)} de desconto`;
         }
 
+        if (this.categories.length > 0 || this.brands.length > 0) {
+            text += ` em ${[...this.categories, ...this.brands].join(', ')}`;
+        }
+
         if (this.minimumAmount > 0) {
             text += ` (mín. R$ ${this.minimumAmount.toFixed(2)})`;
         }
 
+        if (this.minimumQuantity > 0) {
+            text += ` (mín. ${this.minimumQuantity} unidades)`;
+        }
+
         return text;
     }
 
@@ -185,6 +383,20 @@ class Coupon {
             errors.push('Limite de uso deve ser maior que zero');
         }
 
+        if (!Number.isInteger(this.minimumQuantity) || this.minimumQuantity < 0) {
+            errors.push('Quantidade mínima deve ser um inteiro maior ou igual a zero');
+        }
+
+        const excluded = this.categories.filter(c => this.excludedCategories.some(e => e.toLowerCase() === c.toLowerCase()));
+        if (excluded.length > 0) {
+            errors.push(`Categoria não pode ser incluída e excluída ao mesmo tempo: ${excluded.join(', ')}`);
+        }
+
+        const excludedBrands = this.brands.filter(b => this.excludedBrands.some(e => e.toLowerCase() === b.toLowerCase()));
+        if (excludedBrands.length > 0) {
+            errors.push(`Marca não pode ser incluída e excluída ao mesmo tempo: ${excludedBrands.join(', ')}`);
+        }
+
         return {
             isValid: errors.length === 0,
             errors
@@ -205,7 +417,18 @@ class Coupon {
             expiryDate: this.expiryDate,
             usageLimit: this.usageLimit,
             usageCount: this.usageCount,
+            redemptions: this.redemptions,
             description: this.description,
+            shopId: this.shopId,
+            scope: this.getScope(),
+            ownerId: this.ownerId,
+            categories: this.categories,
+            excludedCategories: this.excludedCategories,
+            brands: this.brands,
+            excludedBrands: this.excludedBrands,
+            productIds: this.productIds,
+            excludedProductIds: this.excludedProductIds,
+            minimumQuantity: this.minimumQuantity,
             isActive: this.isActive,
             status: this.getStatus(),
             displayText: this.getDisplayText(),
@@ -227,11 +450,17 @@ class Coupon {
             data.minimumAmount,
             data.expiryDate ? new Date(data.expiryDate) : null,
             data.usageLimit,
-            data.description
+            data.description,
+            data.shopId || null
         );
 
         if (data.id) coupon.id = data.id;
         if (data.usageCount) coupon.usageCount = data.usageCount;
+        if (data.redemptions) {
+            coupon.redemptions = data.redemptions.map(r => ({ ...r, redeemedAt: new Date(r.redeemedAt) }));
+        }
+        if (data.ownerId) coupon.ownerId = data.ownerId;
+        coupon.setEligibility(data);
         if (data.isActive !== undefined) coupon.isActive = data.isActive;
         if (data.createdAt) coupon.createdAt = new Date(data.createdAt);
         if (data.updatedAt) coupon.updatedAt = new Date(data.updatedAt);
@@ -0,0 +1,230 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Classe que representa uma oferta relâmpago de um produto
+ *
+ * A oferta vale só dentro da janela de tempo e enquanto houver unidades na
+ * cota da promoção, que é separada do estoque normal do produto. Cada
+ * cliente pode comprar no máximo perUserLimit unidades pelo preço da oferta.
+ */
+class FlashSale {
+    /**
+     * Construtor da classe FlashSale
+     * @param {Date} startsAt - Início da oferta
+     * @param {Date} endsAt - Fim da oferta
+     * @param {number} promoPrice - Preço promocional (null para usar o desconto)
+     * @param {number} discount - Desconto em porcentagem, quando não há preço promocional
+     * @param {number} quota - Unidades vendidas pelo preço da oferta
+     * @param {number} perUserLimit - Unidades que cada cliente pode comprar na oferta
+     */
+    constructor(startsAt, endsAt, promoPrice = null, discount = 0, quota = 0, perUserLimit = 1) {
+        this.id = uuidv4();
+        this.startsAt = startsAt;
+        this.endsAt = endsAt;
+        this.promoPrice = promoPrice;
+        this.discount = discount;
+        this.quota = quota;
+        this.perUserLimit = perUserLimit;
+        this.purchases = [];
+        this.createdAt = new Date();
+    }
+
+    /**
+     * Verifica se a oferta já começou e ainda não terminou
+     * @param {Date} date - Data de referência
+     * @returns {boolean} True se está dentro da janela
+     */
+    isInWindow(date = new Date()) {
+        return date >= this.startsAt && date < this.endsAt;
+    }
+
+    /**
+     * Verifica se a oferta está valendo (dentro da janela e com cota)
+     * @param {Date} date - Data de referência
+     * @returns {boolean} True se o preço da oferta está em vigor
+     */
+    isLive(date = new Date()) {
+        return this.isInWindow(date) && this.getRemainingQuota() > 0;
+    }
+
+    /**
+     * Verifica se a oferta ainda vai começar
+     * @param {Date} date - Data de referência
+     * @returns {boolean} True se ainda não começou
+     */
+    isUpcoming(date = new Date()) {
+        return date < this.startsAt;
+    }
+
+    /**
+     * Verifica se a janela da oferta já fechou
+     * @param {Date} date - Data de referência
+     * @returns {boolean} True se terminou
+     */
+    hasEnded(date = new Date()) {
+        return date >= this.endsAt;
+    }
+
+    /**
+     * Obtém o tempo que falta para a oferta começar (se ainda não começou) ou terminar
+     * @param {Date} date - Data de referência
+     * @returns {number} Milissegundos restantes (0 se já terminou)
+     */
+    getTimeRemaining(date = new Date()) {
+        const target = this.isUpcoming(date) ? this.startsAt : this.endsAt;
+        return Math.max(0, target - date);
+    }
+
+    /**
+     * Calcula o preço da oferta
+     * @param {number} price - Preço sem desconto (já com a diferença da variação)
+     * @param {number} priceDelta - Diferença de preço da variação, somada ao preço promocional
+     * @returns {number} Preço da oferta
+     */
+    getFlashPrice(price, priceDelta = 0) {
+        if (this.promoPrice !== null) {
+            return this.promoPrice + priceDelta;
+        }
+        return price * (1 - this.discount / 100);
+    }
+
+    /**
+     * Obtém quantas unidades já foram vendidas na oferta
+     * @returns {number} Unidades vendidas
+     */
+    getSoldQuantity() {
+        return this.purchases.reduce((total, purchase) => total + purchase.quantity, 0);
+    }
+
+    /**
+     * Obtém quantas unidades da cota ainda podem ser vendidas
+     * @returns {number} Unidades restantes
+     */
+    getRemainingQuota() {
+        return Math.max(0, this.quota - this.getSoldQuantity());
+    }
+
+    /**
+     * Obtém quantas unidades um cliente já comprou na oferta
+     * @param {string} userId - ID do cliente
+     * @returns {number} Unidades compradas
+     */
+    getPurchasedByUser(userId) {
+        return this.purchases
+            .filter(purchase => purchase.userId === userId)
+            .reduce((total, purchase) => total + purchase.quantity, 0);
+    }
+
+    /**
+     * Obtém quantas unidades um cliente ainda pode comprar na oferta
+     * @param {string} userId - ID do cliente
+     * @returns {number} Menor valor entre o limite restante do cliente e a cota restante
+     */
+    getRemainingForUser(userId) {
+        return Math.max(0, Math.min(this.perUserLimit - this.getPurchasedByUser(userId), this.getRemainingQuota()));
+    }
+
+    /**
+     * Registra unidades compradas na oferta
+     * @param {string} userId - ID do cliente
+     * @param {string} orderId - ID do pedido
+     * @param {number} quantity - Unidades compradas
+     * @returns {boolean} True se registrado (false se passa do limite do cliente ou da cota)
+     */
+    recordPurchase(userId, orderId, quantity) {
+        if (!Number.isInteger(quantity) || quantity <= 0 || quantity > this.getRemainingForUser(userId)) {
+            return false;
+        }
+
+        this.purchases.push({ userId, orderId, quantity, purchasedAt: new Date() });
+        return true;
+    }
+
+    /**
+     * Devolve à cota as unidades compradas em um pedido
+     * @param {string} orderId - ID do pedido
+     * @returns {number} Unidades devolvidas
+     */
+    revertPurchase(orderId) {
+        const reverted = this.purchases.filter(purchase => purchase.orderId === orderId);
+        this.purchases = this.purchases.filter(purchase => purchase.orderId !== orderId);
+        return reverted.reduce((total, purchase) => total + purchase.quantity, 0);
+    }
+
+    /**
+     * Valida os dados da oferta
+     * @returns {Object} Resultado da validação
+     */
+    validate() {
+        const errors = [];
+
+        if (!(this.startsAt instanceof Date) || !(this.endsAt instanceof Date) || !(this.endsAt > this.startsAt)) {
+            errors.push('Fim da oferta relâmpago deve ser depois do início');
+        }
+
+        if (this.promoPrice !== null && this.promoPrice <= 0) {
+            errors.push('Preço da oferta relâmpago deve ser maior que zero');
+        }
+
+        if (this.promoPrice === null && (this.discount <= 0 || this.discount > 100)) {
+            errors.push('Oferta relâmpago precisa de um preço promocional ou de um desconto entre 0 e 100%');
+        }
+
+        if (!Number.isInteger(this.quota) || this.quota <= 0) {
+            errors.push('Cota da oferta relâmpago deve ser um inteiro maior que zero');
+        }
+
+        if (!Number.isInteger(this.perUserLimit) || this.perUserLimit <= 0) {
+            errors.push('Limite por cliente da oferta relâmpago deve ser um inteiro maior que zero');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Converte a oferta para objeto JSON
+     * @returns {Object} Representação JSON da oferta
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            startsAt: this.startsAt,
+            endsAt: this.endsAt,
+            promoPrice: this.promoPrice,
+            discount: this.discount,
+            quota: this.quota,
+            perUserLimit: this.perUserLimit,
+            purchases: this.purchases,
+            createdAt: this.createdAt
+        };
+    }
+
+    /**
+     * Cria uma oferta a partir de dados JSON
+     * @param {Object} data - Dados da oferta
+     * @returns {FlashSale} Nova instância de FlashSale
+     */
+    static fromJSON(data) {
+        const sale = new FlashSale(
+            new Date(data.startsAt),
+            new Date(data.endsAt),
+            data.promoPrice !== undefined ? data.promoPrice : null,
+            data.discount || 0,
+            data.quota,
+            data.perUserLimit
+        );
+
+        if (data.id) sale.id = data.id;
+        if (data.purchases) {
+            sale.purchases = data.purchases.map(p => ({ ...p, purchasedAt: new Date(p.purchasedAt) }));
+        }
+        if (data.createdAt) sale.createdAt = new Date(data.createdAt);
+
+        return sale;
+    }
+}
+
+module.exports = FlashSale;
@@ -0,0 +1,603 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Transições permitidas entre os status do pedido
+ */
+const STATUS_TRANSITIONS = {
+    pending_payment: ['paid', 'cancelled'],
+    paid: ['separated', 'cancelled'],
+    separated: ['shipped', 'cancelled'],
+    shipped: ['delivered', 'returned'],
+    delivered: ['returned'],
+    cancelled: [],
+    returned: []
+};
+
+/**
+ * Status de versões anteriores e o status equivalente na máquina de estados
+ * (pedidos 'confirmed' foram gravados antes do controle de pagamento)
+ */
+const LEGACY_STATUSES = {
+    confirmed: 'pending_payment'
+};
+
+/**
+ * Motivos de devolução aceitos
+ */
+const RETURN_REASONS = {
+    defective: 'Produto com defeito',
+    wrong_item: 'Produto diferente do pedido',
+    regret: 'Desistência da compra',
+    other: 'Outro motivo'
+};
+
+/**
+ * Motivos de devolução atribuídos ao vendedor, que sempre reembolsam o frete
+ */
+const SHIPPING_REFUND_REASONS = ['defective', 'wrong_item'];
+
+/**
+ * Verifica se uma linha (do pedido ou de uma devolução) é do produto e variação informados
+ * @param {Object} line - Linha com productId e variantSku
+ * @param {string} productId - ID do produto
+ * @param {string} variantSku - SKU da variação (opcional)
+ * @returns {boolean} True se a linha corresponde
+ */
+function isSameLine(line, productId, variantSku = null) {
+    return line.productId === productId && (line.variantSku || null) === (variantSku || null);
+}
+
+/**
+ * Divide um valor em centavos proporcionalmente aos pesos informados
+ *
+ * O resto do arredondamento vai para a última parte, então a soma das
+ * partes é sempre exatamente o valor dividido.
+ * @param {number} totalCents - Valor a dividir, em centavos
+ * @param {Array<number>} weights - Peso de cada parte
+ * @returns {Array<number>} Valor de cada parte, em centavos
+ */
+function splitCents(totalCents, weights) {
+    const base = weights.reduce((total, weight) => total + weight, 0);
+    let allocated = 0;
+
+    return weights.map((weight, index) => {
+        if (index === weights.length - 1) {
+            return totalCents - allocated;
+        }
+
+        const share = base > 0 ? Math.floor(totalCents * weight / base) : 0;
+        allocated += share;
+        return share;
+    });
+}
+
+/**
+ * Classe que representa um pedido finalizado
+ */
+class Order {
+    /**
+     * Construtor da classe Order
+     * @param {string} userId - ID do usuário que realizou o pedido
+     * @param {Array<Object>} items - Itens do pedido (instantâneo dos itens do carrinho)
+     * @param {Object} financialSummary - Resumo financeiro no momento da compra
+     * @param {string} cartId - ID do carrinho de origem
+     */
+    constructor(userId = null, items = [], financialSummary = {}, cartId = null) {
+        this.id = `ORD-${Date.now()}-${uuidv4().slice(0, 8).toUpperCase()}`;
+        this.userId = userId;
+        this.cartId = cartId;
+        this.items = items;
+        this.financialSummary = financialSummary;
+        this.appliedCoupons = [];
+        this.shippingAddress = null;
+        this.status = 'pending_payment';
+        this.createdAt = new Date();
+        this.updatedAt = new Date();
+        this.statusHistory = [{ from: null, to: this.status, changedAt: this.createdAt, note: 'Pedido criado' }];
+        this.returns = [];
+        this.payment = null;
+        this.subOrders = [];
+        this.coinsRedeemed = 0;
+
+        if (this.items.some(item => item.paidAmount === undefined)) {
+            this.allocateCouponDiscounts();
+        }
+    }
+
+    /**
+     * Obtém os motivos de devolução aceitos
+     * @returns {Object} Motivos indexados pelo código
+     */
+    static getReturnReasons() {
+        return { ...RETURN_REASONS };
+    }
+
+    /**
+     * Obtém os status para os quais um pedido pode ir a partir de um status
+     * @param {string} status - Status atual
+     * @returns {Array<string>} Próximos status permitidos
+     */
+    static getAllowedTransitions(status) {
+        return STATUS_TRANSITIONS[status] || [];
+    }
+
+    /**
+     * Verifica se o pedido pode mudar para um novo status
+     * @param {string} newStatus - Status desejado
+     * @returns {boolean} True se a transição é permitida
+     */
+    canTransitionTo(newStatus) {
+        return Order.getAllowedTransitions(this.status).includes(newStatus);
+    }
+
+    /**
+     * Muda o status do pedido, registrando a transição no histórico
+     * @param {string} newStatus - Novo status
+     * @param {string} note - Observação sobre a mudança
+     * @returns {boolean} True se a transição foi realizada
+     */
+    transitionTo(newStatus, note = '') {
+        if (!this.canTransitionTo(newStatus)) {
+            return false;
+        }
+
+        const changedAt = new Date();
+        this.statusHistory.push({ from: this.status, to: newStatus, changedAt, note });
+        this.status = newStatus;
+        this.updatedAt = changedAt;
+        return true;
+    }
+
+    /**
+     * Verifica se o pedido ainda pode ser cancelado (antes do envio)
+     * @returns {boolean} True se pode ser cancelado
+     */
+    isCancellable() {
+        return this.canTransitionTo('cancelled');
+    }
+
+    /**
+     * Cria um pedido a partir do estado atual de um carrinho
+     * @param {ShoppingCart} cart - Carrinho de origem
+     * @param {Function} getBundleComponents - Obtém os componentes ({ product, quantity }) de um kit
+     * @param {Function} getShopName - Obtém o nome de uma loja pelo ID (opcional)
+     * @returns {Order} Novo pedido
+     */
+    static fromCart(cart, getBundleComponents = null, getShopName = null) {
+        const items = cart.items.map(item => {
+            const line = {
+                productId: item.product.id,
+                variantSku: item.getVariantSku(),
+                shopId: item.product.getShopId(),
+                name: item.getName(),
+                category: item.product.category,
+                price: item.getUnitPrice(),
+                discount: item.product.discount,
+                unitPrice: item.getFinalUnitPrice(),
+                quantity: item.quantity,
+                subtotal: item.getSubtotal()
+            };
+
+            if (item.product.isBundle() && getBundleComponents) {
+                line.components = getBundleComponents(item.product).map(({ product, quantity }) => ({
+                    productId: product.id,
+                    name: product.name,
+                    unitQuantity: quantity,
+                    quantity: quantity * item.quantity,
+                    listPrice: product.getFinalPrice()
+                }));
+            }
+
+            return line;
+        });
+
+        const order = new Order(cart.userId, items, cart.getFinancialSummary(), cart.id);
+        order.coinsRedeemed = cart.getRedeemedCoins();
+        order.appliedCoupons = cart.appliedCoupons.map(coupon => ({
+            code: coupon.code,
+            type: coupon.type,
+            value: coupon.value,
+            shopId: coupon.shopId || null,
+            eligibleProductIds: coupon.isShopVoucher() || coupon.hasEligibilityRules() ?
+                [...new Set(coupon.checkEligibility(cart.items).eligibleItems.map(item => item.product.id))] :
+                null,
+            discount: coupon.calculateDiscount(cart.getSubtotal(), cart.items)
+        }));
+        // Com os cupons conhecidos, o desconto dos cupons restritos fica só nos itens participantes
+        order.allocateCouponDiscounts();
+        order.allocateBundlePrices();
+        order.shippingAddress = cart.shippingAddress;
+        order.splitByShop(cart.shippingByShop, getShopName);
+
+        return order;
+    }
+
+    /**
+     * Divide o pedido em um subpedido por loja, que é o que cada vendedor
+     * separa e envia
+     *
+     * O frete de cada loja é o escolhido para ela no carrinho; sem frete por
+     * loja, o frete do pedido é dividido proporcionalmente ao subtotal de cada uma.
+     * @param {Object} shippingByShop - Frete escolhido por loja (ID da loja -> custo)
+     * @param {Function} getShopName - Obtém o nome de uma loja pelo ID (opcional)
+     */
+    splitByShop(shippingByShop = {}, getShopName = null) {
+        const groups = new Map();
+        for (const item of this.items) {
+            if (!groups.has(item.shopId)) groups.set(item.shopId, []);
+            groups.get(item.shopId).push(item);
+        }
+
+        const shopIds = Array.from(groups.keys());
+        const hasShippingByShop = shopIds.some(shopId => shippingByShop[shopId] !== undefined);
+        const sharedShipping = splitCents(
+            Math.round((this.financialSummary.shippingCost || 0) * 100),
+            shopIds.map(shopId => Math.round(groups.get(shopId).reduce((total, item) => total + item.subtotal, 0) * 100))
+        );
+
+        this.subOrders = shopIds.map((shopId, index) => {
+            const lines = groups.get(shopId);
+            const subtotal = Math.round(lines.reduce((total, item) => total + item.subtotal, 0) * 100) / 100;
+            const couponDiscounts = Math.round(lines.reduce((total, item) => total + (item.couponDiscount || 0), 0) * 100) / 100;
+            const shippingCost = hasShippingByShop ? (shippingByShop[shopId] || 0) : sharedShipping[index] / 100;
+
+            return {
+                id: `${this.id}-${index + 1}`,
+                shopId,
+                shopName: getShopName ? getShopName(shopId) : shopId,
+                items: lines.map(item => ({
+                    productId: item.productId,
+                    variantSku: item.variantSku || null,
+                    name: item.name,
+                    quantity: item.quantity
+                })),
+                subtotal,
+                couponDiscounts,
+                shippingCost,
+                total: Math.round((subtotal - couponDiscounts + shippingCost) * 100) / 100
+            };
+        });
+    }
+
+    /**
+     * Obtém o subpedido de uma loja
+     * @param {string} shopId - ID da loja
+     * @returns {Object|null} Subpedido encontrado ou null
+     */
+    getSubOrder(shopId) {
+        return this.subOrders.find(subOrder => subOrder.shopId === shopId) || null;
+    }
+
+    /**
+     * Distribui o desconto dos cupons do pedido entre os itens,
+     * proporcionalmente ao subtotal de cada um
+     *
+     * O desconto de um cupom de loja ou com regras de elegibilidade fica
+     * apenas com os itens participantes; o restante, incluindo o desconto
+     * das moedas usadas, é dividido entre todos os itens. Os valores são
+     * calculados em centavos e o resto do arredondamento vai para o último
+     * item, de modo que a soma dos valores pagos por item é exatamente o que
+     * foi pago pelos produtos.
+     */
+    allocateCouponDiscounts() {
+        const subtotals = this.items.map(item => Math.round(item.subtotal * 100));
+        const shares = subtotals.map(() => 0);
+        const allocate = (indexes, totalDiscount) => {
+            const available = indexes.map(index => subtotals[index] - shares[index]);
+            const discount = Math.min(totalDiscount, available.reduce((total, value) => total + value, 0));
+
+            splitCents(discount, indexes.map(index => subtotals[index])).forEach((share, position) => {
+                shares[indexes[position]] += Math.min(share, available[position]);
+            });
+            return discount;
+        };
+
+        let remaining = Math.round(((this.financialSummary.couponDiscounts || 0) + (this.financialSummary.coinsDiscount || 0)) * 100);
+        for (const coupon of this.appliedCoupons.filter(c => c.eligibleProductIds || c.shopId)) {
+            const isEligible = item => (coupon.eligibleProductIds ?
+                coupon.eligibleProductIds.includes(item.productId) :
+                item.shopId === coupon.shopId);
+            const indexes = this.items
+                .map((item, index) => (isEligible(item) ? index : -1))
+                .filter(index => index !== -1);
+            remaining -= allocate(indexes, Math.min(remaining, Math.round(coupon.discount * 100)));
+        }
+        allocate(this.items.map((item, index) => index), Math.max(0, remaining));
+
+        this.items.forEach((item, index) => {
+            item.couponDiscount = shares[index] / 100;
+            item.paidAmount = (subtotals[index] - shares[index]) / 100;
+        });
+    }
+
+    /**
+     * Divide o valor de cada kit entre os componentes, proporcionalmente ao
+     * preço avulso de cada um, para reembolsos e relatórios de vendas
+     */
+    allocateBundlePrices() {
+        for (const item of this.items) {
+            if (!item.components || item.components.length === 0) continue;
+
+            const weights = item.components.map(component => Math.round(component.listPrice * component.quantity * 100));
+            const subtotals = splitCents(Math.round(item.subtotal * 100), weights);
+            const paidAmounts = splitCents(Math.round(item.paidAmount * 100), weights);
+
+            item.components.forEach((component, index) => {
+                component.subtotal = subtotals[index] / 100;
+                component.paidAmount = paidAmounts[index] / 100;
+            });
+        }
+    }
+
+    /**
+     * Obtém as vendas do pedido por produto, já descontadas as devoluções
+     *
+     * Kits aparecem pelos seus componentes, com a parte do valor do kit
+     * que coube a cada um.
+     * @returns {Array<Object>} Linhas ({ productId, variantSku, name, quantity, revenue })
+     */
+    getProductSales() {
+        const sales = new Map();
+        const add = (line, quantity, amount) => {
+            const key = line.variantSku ? `${line.productId}:${line.variantSku}` : line.productId;
+            const entry = sales.get(key) ||
+                { productId: line.productId, variantSku: line.variantSku || null, name: line.name, quantity: 0, revenue: 0 };
+
+            entry.quantity += quantity;
+            entry.revenue = Math.round((entry.revenue + amount) * 100) / 100;
+            sales.set(key, entry);
+        };
+
+        for (const item of this.items) {
+            for (const line of item.components || [item]) {
+                add(line, line.quantity, line.paidAmount);
+            }
+        }
+
+        for (const ret of this.returns) {
+            for (const item of ret.items) {
+                for (const line of item.components || [item]) {
+                    add(line, -line.quantity, -line.refundAmount);
+                }
+            }
+        }
+
+        return Array.from(sales.values());
+    }
+
+    /**
+     * Obtém o número total de unidades do pedido
+     * @returns {number} Total de unidades
+     */
+    getTotalItems() {
+        return this.items.reduce((total, item) => total + item.quantity, 0);
+    }
+
+    /**
+     * Obtém o valor total pago no pedido
+     * @returns {number} Total do pedido
+     */
+    getTotal() {
+        return this.financialSummary.total || 0;
+    }
+
+    /**
+     * Obtém um item do pedido pelo ID do produto
+     * @param {string} productId - ID do produto
+     * @param {string} variantSku - SKU da variação (opcional)
+     * @returns {Object|null} Item encontrado ou null
+     */
+    getItem(productId, variantSku = null) {
+        return this.items.find(item => isSameLine(item, productId, variantSku)) || null;
+    }
+
+    /**
+     * Obtém a quantidade já devolvida de um item
+     * @param {string} productId - ID do produto
+     * @param {string} variantSku - SKU da variação (opcional)
+     * @returns {number} Quantidade devolvida
+     */
+    getReturnedQuantity(productId, variantSku = null) {
+        return this.returns.reduce((total, ret) => {
+            const line = ret.items.find(item => isSameLine(item, productId, variantSku));
+            return total + (line ? line.quantity : 0);
+        }, 0);
+    }
+
+    /**
+     * Obtém a quantidade de um item que ainda pode ser devolvida
+     * @param {string} productId - ID do produto
+     * @param {string} variantSku - SKU da variação (opcional)
+     * @returns {number} Quantidade ainda não devolvida
+     */
+    getReturnableQuantity(productId, variantSku = null) {
+        const item = this.getItem(productId, variantSku);
+        return item ? item.quantity - this.getReturnedQuantity(productId, variantSku) : 0;
+    }
+
+    /**
+     * Verifica se todos os itens do pedido já foram devolvidos
+     * @returns {boolean} True se não resta nada a devolver
+     */
+    isFullyReturned() {
+        return this.items.every(item => this.getReturnableQuantity(item.productId, item.variantSku) === 0);
+    }
+
+    /**
+     * Obtém o total já reembolsado em devoluções
+     * @returns {number} Valor reembolsado
+     */
+    getRefundedTotal() {
+        return this.returns.reduce((total, ret) => total + ret.totalRefund, 0);
+    }
+
+    /**
+     * Calcula o reembolso de uma devolução sem registrá-la
+     *
+     * O reembolso de cada item é calculado de forma acumulada sobre o valor
+     * pago pela linha (já descontada a parte dos cupons), então a soma das
+     * devoluções de uma linha nunca ultrapassa o que foi pago por ela.
+     * @param {Array<Object>} returnItems - Itens devolvidos ({ productId, variantSku, quantity })
+     * @param {string} reason - Código do motivo da devolução
+     * @returns {Object} Detalhamento do reembolso
+     */
+    calculateRefund(returnItems, reason = 'other') {
+        const items = returnItems.map(({ productId, variantSku = null, quantity }) => {
+            const item = this.getItem(productId, variantSku);
+            const paidCents = Math.round(item.paidAmount * 100);
+            const returned = this.getReturnedQuantity(productId, variantSku);
+            const refundedCents = Math.round(paidCents * returned / item.quantity);
+            const refundCents = Math.round(paidCents * (returned + quantity) / item.quantity) - refundedCents;
+
+            const line = {
+                productId,
+                variantSku,
+                name: item.name,
+                quantity,
+                refundAmount: refundCents / 100
+            };
+
+            // O reembolso de um kit é dividido entre os componentes na mesma proporção do valor pago
+            if (item.components) {
+                const shares = splitCents(refundCents, item.components.map(component => Math.round(component.paidAmount * 100)));
+                line.components = item.components.map((component, index) => ({
+                    productId: component.productId,
+                    name: component.name,
+                    quantity: component.unitQuantity * quantity,
+                    refundAmount: shares[index] / 100
+                }));
+            }
+
+            return line;
+        });
+
+        const itemsRefund = items.reduce((total, item) => total + Math.round(item.refundAmount * 100), 0) / 100;
+
+        const completesOrder = this.items.every(item => {
+            const line = returnItems.find(ret => isSameLine(ret, item.productId, item.variantSku));
+            return this.getReturnableQuantity(item.productId, item.variantSku) === (line ? line.quantity : 0);
+        });
+        const shippingAlreadyRefunded = this.returns.some(ret => ret.shippingRefund > 0);
+        const refundsShipping = !shippingAlreadyRefunded &&
+            (completesOrder || SHIPPING_REFUND_REASONS.includes(reason));
+        const shippingRefund = refundsShipping ? (this.financialSummary.shippingCost || 0) : 0;
+
+        return {
+            items,
+            reason,
+            itemsRefund,
+            shippingRefund,
+            totalRefund: Math.round((itemsRefund + shippingRefund) * 100) / 100
+        };
+    }
+
+    /**
+     * Registra uma devolução no pedido
+     * @param {Array<Object>} returnItems - Itens devolvidos ({ productId, variantSku, quantity })
+     * @param {string} reason - Código do motivo da devolução
+     * @returns {Object} Devolução registrada
+     */
+    registerReturn(returnItems, reason = 'other') {
+        const refund = this.calculateRefund(returnItems, reason);
+        const record = {
+            id: `DEV-${Date.now()}-${uuidv4().slice(0, 4).toUpperCase()}`,
+            ...refund,
+            createdAt: new Date()
+        };
+
+        this.returns.push(record);
+        this.updatedAt = new Date();
+        return record;
+    }
+
+    /**
+     * Valida o pedido
+     * @returns {Object} Resultado da validação
+     */
+    validate() {
+        const errors = [];
+
+        if (!this.items || this.items.length === 0) {
+            errors.push('Pedido deve ter pelo menos um item');
+        }
+
+        for (const item of this.items) {
+            if (!item.productId) {
+                errors.push('Item do pedido sem produto');
+            }
+            if (item.quantity <= 0) {
+                errors.push(`Quantidade inválida para ${item.name}`);
+            }
+        }
+
+        if (this.getTotal() < 0) {
+            errors.push('Total do pedido não pode ser negativo');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Converte o pedido para objeto JSON
+     * @returns {Object} Representação JSON do pedido
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            userId: this.userId,
+            cartId: this.cartId,
+            items: this.items,
+            financialSummary: this.financialSummary,
+            appliedCoupons: this.appliedCoupons,
+            shippingAddress: this.shippingAddress,
+            status: this.status,
+            statusHistory: this.statusHistory,
+            returns: this.returns,
+            payment: this.payment,
+            subOrders: this.subOrders,
+            coinsRedeemed: this.coinsRedeemed,
+            totalItems: this.getTotalItems(),
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt
+        };
+    }
+
+    /**
+     * Cria um pedido a partir de dados JSON
+     * @param {Object} data - Dados do pedido
+     * @returns {Order} Nova instância de Order
+     */
+    static fromJSON(data) {
+        const order = new Order(data.userId, data.items || [], data.financialSummary || {}, data.cartId);
+
+        if (data.id) order.id = data.id;
+        if (data.appliedCoupons) order.appliedCoupons = data.appliedCoupons;
+        if (data.shippingAddress) order.shippingAddress = data.shippingAddress;
+        if (data.status) order.status = LEGACY_STATUSES[data.status] || data.status;
+        if (data.createdAt) order.createdAt = new Date(data.createdAt);
+        if (data.updatedAt) order.updatedAt = new Date(data.updatedAt);
+        if (data.statusHistory) {
+            order.statusHistory = data.statusHistory.map(entry => ({ ...entry, changedAt: new Date(entry.changedAt) }));
+        } else {
+            order.statusHistory = [{ from: null, to: order.status, changedAt: order.createdAt, note: 'Pedido criado' }];
+        }
+        if (data.payment) {
+            order.payment = { ...data.payment };
+            for (const field of ['createdAt', 'paidAt', 'dueDate']) {
+                if (order.payment[field]) order.payment[field] = new Date(order.payment[field]);
+            }
+        }
+        if (data.returns) {
+            order.returns = data.returns.map(ret => ({ ...ret, createdAt: new Date(ret.createdAt) }));
+        }
+        if (data.subOrders) order.subOrders = data.subOrders;
+        if (data.coinsRedeemed) order.coinsRedeemed = data.coinsRedeemed;
+
+        return order;
+    }
+}
+
+module.exports = Order;
@@ -1,7 +1,20 @@
 const { v4: uuidv4 } = require('uuid');
+const ProductVariant = require('./ProductVariant');
+const FlashSale = require('./FlashSale');
+const Shop = require('./Shop');
 
 /**
  * Classe que representa um produto no sistema
+ *
+ * Produtos com variações são vendidos sempre por variação: o estoque do
+ * produto passa a ser a soma do estoque das variações.
+ *
+ * Kits são produtos formados por outros produtos (componentes) e vendidos
+ * por um preço único. O estoque de um kit não é próprio: ele é calculado
+ * pelo ProductService a partir do estoque dos componentes.
+ *
+ * Um produto pode ter uma oferta relâmpago: enquanto ela está valendo, o
+ * preço final passa a ser o preço da oferta no lugar do desconto normal.
  */
 class Product {
     /**
@@ -14,8 +27,10 @@ class Product {
      * @param {string} image - URL da imagem do produto
      * @param {number} rating - Avaliação do produto (0-5)
      * @param {number} discount - Desconto em porcentagem (0-100)
+     * @param {string} shopId - ID da loja que vende o produto (padrão: loja da plataforma)
+     * @param {string} brand - Marca do produto (opcional)
      */
-    constructor(name, price, category, description = '', stock = 0, image = '', rating = 0, discount = 0) {
+    constructor(name, price, category, description = '', stock = 0, image = '', rating = 0, discount = 0, shopId = null, brand = null) {
         this.id = uuidv4();
         this.name = name;
         this.price = price;
@@ -25,57 +40,235 @@ class Product {
         this.image = image;
         this.rating = rating;
         this.discount = discount;
+        this.shopId = shopId;
+        this.brand = brand;
+        this.variants = [];
+        this.components = [];
+        this.flashSale = null;
         this.createdAt = new Date();
         this.updatedAt = new Date();
     }
 
+    /**
+     * Obtém a loja que vende o produto
+     * @returns {string} ID da loja (produtos sem loja são da loja da plataforma)
+     */
+    getShopId() {
+        return this.shopId || Shop.getDefaultId();
+    }
+
+    /**
+     * Verifica se o produto é vendido por variação
+     * @returns {boolean} True se tem variações
+     */
+    hasVariants() {
+        return this.variants.length > 0;
+    }
+
+    /**
+     * Obtém uma variação pelo SKU
+     * @param {string} sku - SKU da variação
+     * @returns {ProductVariant|null} Variação encontrada ou null
+     */
+    getVariant(sku) {
+        return this.variants.find(variant => variant.sku === sku) || null;
+    }
+
+    /**
+     * Lista as opções de variação do produto e os valores de cada uma
+     * @returns {Object} Valores por opção (ex: { Tamanho: ['P', 'M'], Cor: ['Preta'] })
+     */
+    getVariantOptions() {
+        const options = {};
+
+        for (const variant of this.variants) {
+            for (const [name, value] of Object.entries(variant.options)) {
+                if (!options[name]) options[name] = [];
+                if (!options[name].includes(value)) options[name].push(value);
+            }
+        }
+
+        return options;
+    }
+
+    /**
+     * Adiciona uma variação ao produto
+     * @param {ProductVariant} variant - Variação a ser adicionada
+     * @returns {boolean} True se adicionada (false se o SKU já existe)
+     */
+    addVariant(variant) {
+        if (!variant || this.getVariant(variant.sku)) {
+            return false;
+        }
+
+        this.variants.push(variant);
+        this.stock = this.variants.reduce((total, v) => total + v.stock, 0);
+        this.updatedAt = new Date();
+        return true;
+    }
+
+    /**
+     * Verifica se o produto é um kit de outros produtos
+     * @returns {boolean} True se é um kit
+     */
+    isBundle() {
+        return this.components.length > 0;
+    }
+
+    /**
+     * Obtém um componente do kit
+     * @param {string} productId - ID do produto componente
+     * @returns {Object|null} Componente ({ productId, quantity }) ou null
+     */
+    getComponent(productId) {
+        return this.components.find(component => component.productId === productId) || null;
+    }
+
+    /**
+     * Adiciona um componente ao kit
+     * @param {string} productId - ID do produto componente
+     * @param {number} quantity - Quantidade do componente em cada kit
+     * @returns {boolean} True se adicionado (false se já faz parte do kit)
+     */
+    addComponent(productId, quantity = 1) {
+        if (!productId || productId === this.id || this.getComponent(productId)) {
+            return false;
+        }
+
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+            return false;
+        }
+
+        this.components.push({ productId, quantity });
+        this.updatedAt = new Date();
+        return true;
+    }
+
+    /**
+     * Obtém o nome do produto com o rótulo da variação
+     * @param {string} variantSku - SKU da variação (opcional)
+     * @returns {string} Nome de exibição
+     */
+    getDisplayName(variantSku = null) {
+        const variant = this.getVariant(variantSku);
+        return variant ? `${this.name} (${variant.getLabel()})` : this.name;
+    }
+
+    /**
+     * Obtém o preço sem desconto, somando a diferença da variação
+     * @param {string} variantSku - SKU da variação (opcional)
+     * @returns {number} Preço sem desconto
+     */
+    getPrice(variantSku = null) {
+        const variant = this.getVariant(variantSku);
+        return this.price + (variant ? variant.priceDelta : 0);
+    }
+
+    /**
+     * Obtém a oferta relâmpago do produto se ela estiver valendo
+     * @param {Date} date - Data de referência
+     * @returns {FlashSale|null} Oferta em vigor ou null
+     */
+    getLiveFlashSale(date = new Date()) {
+        return this.flashSale && this.flashSale.isLive(date) ? this.flashSale : null;
+    }
+
+    /**
+     * Verifica se o produto está em oferta relâmpago
+     * @param {Date} date - Data de referência
+     * @returns {boolean} True se o preço da oferta está em vigor
+     */
+    isOnFlashSale(date = new Date()) {
+        return this.getLiveFlashSale(date) !== null;
+    }
+
     /**
      * Calcula o preço com desconto aplicado
+     *
+     * Durante uma oferta relâmpago vale o preço da oferta; fora da janela
+     * (ou quando a cota acaba) o produto volta ao preço normal.
+     * @param {string} variantSku - SKU da variação (opcional)
      * @returns {number} Preço final com desconto
      */
-    getFinalPrice() {
+    getFinalPrice(variantSku = null) {
+        const price = this.getPrice(variantSku);
+        const flashSale = this.getLiveFlashSale();
+        if (flashSale) {
+            return flashSale.getFlashPrice(price, price - this.price);
+        }
         if (this.discount > 0) {
-            return this.price * (1 - this.discount / 100);
+            return price * (1 - this.discount / 100);
         }
-        return this.price;
+        return price;
     }
 
     /**
      * Calcula o valor do desconto em reais
+     * @param {string} variantSku - SKU da variação (opcional)
      * @returns {number} Valor do desconto
      */
-    getDiscountAmount() {
-        return this.price - this.getFinalPrice();
+    getDiscountAmount(variantSku = null) {
+        return this.getPrice(variantSku) - this.getFinalPrice(variantSku);
+    }
+
+    /**
+     * Obtém o estoque do produto ou de uma variação
+     * @param {string} variantSku - SKU da variação (opcional)
+     * @returns {number} Quantidade em estoque
+     */
+    getStock(variantSku = null) {
+        if (!variantSku) {
+            return this.stock;
+        }
+
+        const variant = this.getVariant(variantSku);
+        return variant ? variant.stock : 0;
     }
 
     /**
      * Verifica se o produto está disponível em estoque
      * @param {number} quantity - Quantidade desejada
+     * @param {string} variantSku - SKU da variação (opcional)
      * @returns {boolean} True se disponível
      */
-    isAvailable(quantity = 1) {
-        return this.stock >= quantity;
+    isAvailable(quantity = 1, variantSku = null) {
+        return this.getStock(variantSku) >= quantity;
     }
 
     /**
      * Reduz o estoque do produto
      * @param {number} quantity - Quantidade a ser reduzida
+     * @param {string} variantSku - SKU da variação (obrigatório para produtos com variações)
      * @returns {boolean} True se a operação foi bem-sucedida
      */
-    reduceStock(quantity) {
-        if (this.isAvailable(quantity)) {
-            this.stock -= quantity;
-            this.updatedAt = new Date();
-            return true;
+    reduceStock(quantity, variantSku = null) {
+        // Produtos com variações só têm o estoque baixado por variação, e os demais nunca
+        if (this.hasVariants() !== Boolean(variantSku)) {
+            return false;
+        }
+
+        if (!this.isAvailable(quantity, variantSku)) {
+            return false;
         }
-        return false;
+
+        if (variantSku) {
+            this.getVariant(variantSku).stock -= quantity;
+        }
+        this.stock -= quantity;
+        this.updatedAt = new Date();
+        return true;
     }
 
     /**
      * Aumenta o estoque do produto
      * @param {number} quantity - Quantidade a ser adicionada
+     * @param {string} variantSku - SKU da variação (obrigatório para produtos com variações)
      */
-    increaseStock(quantity) {
+    increaseStock(quantity, variantSku = null) {
+        const variant = this.getVariant(variantSku);
+        if (variant) {
+            variant.stock += quantity;
+        }
         this.stock += quantity;
         this.updatedAt = new Date();
     }
@@ -85,7 +278,7 @@ class Product {
      * @param {Object} updates - Objeto com as atualizações
      */
     update(updates) {
-        const allowedFields = ['name', 'price', 'category', 'description', 'stock', 'image', 'rating', 'discount'];
+        const allowedFields = ['name', 'price', 'category', 'description', 'stock', 'image', 'rating', 'discount', 'shopId', 'brand'];
         
         for (const field of allowedFields) {
             if (updates.hasOwnProperty(field)) {
@@ -127,6 +320,38 @@ class Product {
             errors.push('Desconto deve estar entre 0 e 100%');
         }
 
+        const skus = new Set();
+        for (const variant of this.variants) {
+            errors.push(...variant.validate().errors);
+
+            if (skus.has(variant.sku)) {
+                errors.push(`SKU de variação repetido: ${variant.sku}`);
+            }
+            skus.add(variant.sku);
+
+            if (this.price + variant.priceDelta <= 0) {
+                errors.push(`Preço da variação ${variant.sku} deve ser maior que zero`);
+            }
+        }
+
+        if (this.flashSale) {
+            errors.push(...this.flashSale.validate().errors);
+
+            if (this.flashSale.promoPrice !== null && this.flashSale.promoPrice >= this.price) {
+                errors.push('Preço da oferta relâmpago deve ser menor que o preço do produto');
+            }
+        }
+
+        if (this.isBundle() && this.hasVariants()) {
+            errors.push('Kit não pode ter variações');
+        }
+
+        for (const component of this.components) {
+            if (!Number.isInteger(component.quantity) || component.quantity <= 0) {
+                errors.push('Quantidade de cada componente do kit deve ser um inteiro maior que zero');
+            }
+        }
+
         return {
             isValid: errors.length === 0,
             errors
@@ -150,6 +375,11 @@ class Product {
             rating: this.rating,
             discount: this.discount,
             discountAmount: this.getDiscountAmount(),
+            shopId: this.shopId,
+            brand: this.brand,
+            variants: this.variants.map(variant => variant.toJSON()),
+            components: this.components,
+            flashSale: this.flashSale ? this.flashSale.toJSON() : null,
             createdAt: this.createdAt,
             updatedAt: this.updatedAt
         };
@@ -169,10 +399,15 @@ class Product {
             data.stock,
             data.image,
             data.rating,
-            data.discount
+            data.discount,
+            data.shopId || null,
+            data.brand || null
         );
         
         if (data.id) product.id = data.id;
+        if (data.variants) product.variants = data.variants.map(variant => ProductVariant.fromJSON(variant));
+        if (data.components) product.components = data.components.map(({ productId, quantity }) => ({ productId, quantity }));
+        if (data.flashSale) product.flashSale = FlashSale.fromJSON(data.flashSale);
         if (data.createdAt) product.createdAt = new Date(data.createdAt);
         if (data.updatedAt) product.updatedAt = new Date(data.updatedAt);
         
@@ -0,0 +1,110 @@
+/**
+ * Classe que representa uma variação de um produto (tamanho, cor, voltagem...)
+ *
+ * Cada variação tem SKU e estoque próprios; o preço é o do produto mais a
+ * diferença da variação, e o peso, quando informado, substitui o peso
+ * estimado pela categoria no cálculo do frete.
+ */
+class ProductVariant {
+    /**
+     * Construtor da classe ProductVariant
+     * @param {string} sku - Código único da variação
+     * @param {Object} options - Opções da variação (ex: { Tamanho: 'M', Cor: 'Preta' })
+     * @param {number} stock - Quantidade em estoque da variação
+     * @param {number} priceDelta - Diferença em relação ao preço do produto (pode ser negativa)
+     * @param {number} weight - Peso da variação em kg (opcional)
+     */
+    constructor(sku, options = {}, stock = 0, priceDelta = 0, weight = null) {
+        this.sku = sku;
+        this.options = options;
+        this.stock = stock;
+        this.priceDelta = priceDelta;
+        this.weight = weight;
+    }
+
+    /**
+     * Obtém o rótulo de exibição da variação
+     * @returns {string} Valores das opções separados por barra (ex: "M / Preta")
+     */
+    getLabel() {
+        return Object.values(this.options).join(' / ');
+    }
+
+    /**
+     * Verifica se a variação corresponde às opções informadas
+     * @param {Object} options - Opções procuradas
+     * @returns {boolean} True se todas as opções coincidem
+     */
+    matches(options) {
+        return Object.entries(options).every(([name, value]) => this.options[name] === value);
+    }
+
+    /**
+     * Verifica se a variação está disponível em estoque
+     * @param {number} quantity - Quantidade desejada
+     * @returns {boolean} True se disponível
+     */
+    isAvailable(quantity = 1) {
+        return this.stock >= quantity;
+    }
+
+    /**
+     * Valida os dados da variação
+     * @returns {Object} Resultado da validação
+     */
+    validate() {
+        const errors = [];
+
+        if (!this.sku || this.sku.trim().length === 0) {
+            errors.push('SKU da variação é obrigatório');
+        }
+
+        if (Object.keys(this.options).length === 0) {
+            errors.push(`Variação ${this.sku} deve ter pelo menos uma opção`);
+        }
+
+        if (this.stock < 0) {
+            errors.push(`Estoque da variação ${this.sku} não pode ser negativo`);
+        }
+
+        if (this.weight !== null && this.weight <= 0) {
+            errors.push(`Peso da variação ${this.sku} deve ser maior que zero`);
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Converte a variação para objeto JSON
+     * @returns {Object} Representação JSON da variação
+     */
+    toJSON() {
+        return {
+            sku: this.sku,
+            options: this.options,
+            stock: this.stock,
+            priceDelta: this.priceDelta,
+            weight: this.weight
+        };
+    }
+
+    /**
+     * Cria uma variação a partir de dados JSON
+     * @param {Object} data - Dados da variação
+     * @returns {ProductVariant} Nova instância de ProductVariant
+     */
+    static fromJSON(data) {
+        return new ProductVariant(
+            data.sku,
+            data.options || {},
+            data.stock || 0,
+            data.priceDelta || 0,
+            data.weight !== undefined ? data.weight : null
+        );
+    }
+}
+
+module.exports = ProductVariant;
@@ -0,0 +1,104 @@
+const { v4: uuidv4 } = require('uuid');
+const config = require('../utils/Config');
+
+/**
+ * ID da loja da própria plataforma, dona dos produtos sem vendedor definido
+ */
+const DEFAULT_SHOP_ID = 'loja-oficial';
+
+/**
+ * Classe que representa uma loja (vendedor) do marketplace
+ *
+ * Cada loja envia os próprios produtos: o frete é cotado por loja e cada
+ * uma define a partir de qual valor oferece frete grátis.
+ */
+class Shop {
+    /**
+     * Construtor da classe Shop
+     * @param {string} name - Nome da loja
+     * @param {number} freeShippingThreshold - Valor mínimo em produtos da loja para frete grátis
+     * @param {number} rating - Avaliação da loja (0-5)
+     */
+    constructor(name, freeShippingThreshold = config.get('shipping.freeShippingThreshold'), rating = 0) {
+        this.id = uuidv4();
+        this.name = name;
+        this.freeShippingThreshold = freeShippingThreshold;
+        this.rating = rating;
+        this.createdAt = new Date();
+        this.updatedAt = new Date();
+    }
+
+    /**
+     * Obtém o ID da loja da plataforma
+     * @returns {string} ID da loja padrão
+     */
+    static getDefaultId() {
+        return DEFAULT_SHOP_ID;
+    }
+
+    /**
+     * Verifica se um valor em produtos da loja garante frete grátis
+     * @param {number} value - Subtotal dos produtos da loja
+     * @returns {boolean} True se o frete é grátis
+     */
+    qualifiesForFreeShipping(value) {
+        return value >= this.freeShippingThreshold;
+    }
+
+    /**
+     * Valida os dados da loja
+     * @returns {Object} Resultado da validação
+     */
+    validate() {
+        const errors = [];
+
+        if (!this.name || this.name.trim().length === 0) {
+            errors.push('Nome da loja é obrigatório');
+        }
+
+        if (this.freeShippingThreshold < 0) {
+            errors.push('Valor para frete grátis não pode ser negativo');
+        }
+
+        if (this.rating < 0 || this.rating > 5) {
+            errors.push('Avaliação deve estar entre 0 e 5');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Converte a loja para objeto JSON
+     * @returns {Object} Representação JSON da loja
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            freeShippingThreshold: this.freeShippingThreshold,
+            rating: this.rating,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt
+        };
+    }
+
+    /**
+     * Cria uma loja a partir de dados JSON
+     * @param {Object} data - Dados da loja
+     * @returns {Shop} Nova instância de Shop
+     */
+    static fromJSON(data) {
+        const shop = new Shop(data.name, data.freeShippingThreshold, data.rating);
+
+        if (data.id) shop.id = data.id;
+        if (data.createdAt) shop.createdAt = new Date(data.createdAt);
+        if (data.updatedAt) shop.updatedAt = new Date(data.updatedAt);
+
+        return shop;
+    }
+}
+
+module.exports = Shop;
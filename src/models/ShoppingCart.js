@@ -1,5 +1,7 @@
 const { v4: uuidv4 } = require('uuid');
 const CartItem = require('./CartItem');
+const Coupon = require('./Coupon');
+const config = require('../utils/Config');
 
 /**
  * Classe que representa o carrinho de compras
@@ -8,14 +10,22 @@ class ShoppingCart {
     /**
      * Construtor da classe ShoppingCart
      * @param {string} userId - ID do usuário proprietário do carrinho
+     * @param {string} name - Nome do carrinho (opcional)
      */
-    constructor(userId = null) {
+    constructor(userId = null, name = null) {
         this.id = uuidv4();
         this.userId = userId;
+        this.name = name;
         this.items = [];
         this.appliedCoupons = [];
         this.shippingAddress = null;
         this.shippingCost = 0;
+        // Frete escolhido para cada loja (ID da loja -> custo); o frete total é a soma
+        this.shippingByShop = {};
+        // Moedas de fidelidade que o cliente quer usar como desconto
+        this.coinsToRedeem = 0;
+        // Chave do último checkout concluído, que entra na chave do próximo
+        this.lastCheckoutKey = null;
         this.createdAt = new Date();
         this.updatedAt = new Date();
     }
@@ -24,24 +34,35 @@ class ShoppingCart {
      * Adiciona um produto ao carrinho
      * @param {Product} product - Produto a ser adicionado
      * @param {number} quantity - Quantidade do produto
+     * @param {string} variantSku - SKU da variação (obrigatório para produtos com variações)
      * @returns {boolean} True se adicionado com sucesso
      */
-    addProduct(product, quantity = 1) {
+    addProduct(product, quantity = 1, variantSku = null) {
         if (!product || quantity <= 0) {
             return false;
         }
 
-        if (!product.isAvailable(quantity)) {
+        const variant = variantSku ? product.getVariant(variantSku) : null;
+        if (product.hasVariants() !== Boolean(variant)) {
             return false;
         }
 
-        // Verifica se o produto já existe no carrinho
-        const existingItem = this.items.find(item => item.product.id === product.id);
+        if (!product.isAvailable(quantity, variantSku)) {
+            return false;
+        }
+
+        // Verifica se o produto (na mesma variação) já existe no carrinho
+        const existingItem = this.getItem(product.id, variantSku);
+
+        const totalQuantity = (existingItem ? existingItem.quantity : 0) + quantity;
+        if (!this.checkItemLimits(product.id, totalQuantity, variantSku).isValid) {
+            return false;
+        }
 
         if (existingItem) {
             // Se existe, aumenta a quantidade
             const newQuantity = existingItem.quantity + quantity;
-            if (product.isAvailable(newQuantity)) {
+            if (product.isAvailable(newQuantity, variantSku)) {
                 existingItem.updateQuantity(newQuantity);
                 this.updatedAt = new Date();
                 return true;
@@ -49,7 +70,7 @@ class ShoppingCart {
             return false;
         } else {
             // Se não existe, cria um novo item
-            const newItem = new CartItem(product, quantity);
+            const newItem = new CartItem(product, quantity, variant);
             const validation = newItem.validate();
             
             if (validation.isValid) {
@@ -61,14 +82,44 @@ class ShoppingCart {
         }
     }
 
+    /**
+     * Verifica se o carrinho comporta a quantidade total informada de um
+     * produto, respeitando os limites de produtos distintos (cart.maxItems)
+     * e de unidades por item (cart.maxQuantityPerItem)
+     * @param {string} productId - ID do produto
+     * @param {number} quantity - Quantidade total que o item teria no carrinho
+     * @param {string} variantSku - SKU da variação (opcional)
+     * @returns {Object} Resultado da verificação
+     */
+    checkItemLimits(productId, quantity, variantSku = null) {
+        const maxQuantity = config.get('cart.maxQuantityPerItem');
+        if (quantity > maxQuantity) {
+            return {
+                isValid: false,
+                error: `Quantidade máxima por item é ${maxQuantity}`
+            };
+        }
+
+        const maxItems = config.get('cart.maxItems');
+        if (!this.getItem(productId, variantSku) && this.items.length >= maxItems) {
+            return {
+                isValid: false,
+                error: `O carrinho pode ter no máximo ${maxItems} produtos diferentes`
+            };
+        }
+
+        return { isValid: true };
+    }
+
     /**
      * Remove um produto do carrinho
      * @param {string} productId - ID do produto a ser removido
+     * @param {string} variantSku - SKU da variação (opcional)
      * @returns {boolean} True se removido com sucesso
      */
-    removeProduct(productId) {
+    removeProduct(productId, variantSku = null) {
         const initialLength = this.items.length;
-        this.items = this.items.filter(item => item.product.id !== productId);
+        this.items = this.items.filter(item => !item.matches(productId, variantSku));
         
         if (this.items.length < initialLength) {
             this.updatedAt = new Date();
@@ -81,14 +132,15 @@ class ShoppingCart {
      * Atualiza a quantidade de um produto no carrinho
      * @param {string} productId - ID do produto
      * @param {number} newQuantity - Nova quantidade
+     * @param {string} variantSku - SKU da variação (opcional)
      * @returns {boolean} True se atualizado com sucesso
      */
-    updateProductQuantity(productId, newQuantity) {
+    updateProductQuantity(productId, newQuantity, variantSku = null) {
         if (newQuantity <= 0) {
-            return this.removeProduct(productId);
+            return this.removeProduct(productId, variantSku);
         }
 
-        const item = this.items.find(item => item.product.id === productId);
+        const item = this.getItem(productId, variantSku);
         if (item) {
             const success = item.updateQuantity(newQuantity);
             if (success) {
@@ -105,16 +157,39 @@ class ShoppingCart {
     clear() {
         this.items = [];
         this.appliedCoupons = [];
+        this.coinsToRedeem = 0;
         this.updatedAt = new Date();
     }
 
     /**
      * Obtém um item específico do carrinho
      * @param {string} productId - ID do produto
+     * @param {string} variantSku - SKU da variação (opcional)
      * @returns {CartItem|null} Item encontrado ou null
      */
-    getItem(productId) {
-        return this.items.find(item => item.product.id === productId) || null;
+    getItem(productId, variantSku = null) {
+        return this.items.find(item => item.matches(productId, variantSku)) || null;
+    }
+
+    /**
+     * Agrupa os itens do carrinho pela loja que vende cada produto
+     * @returns {Array<Object>} Grupos ({ shopId, items, subtotal }) na ordem em que as lojas aparecem no carrinho
+     */
+    getShopGroups() {
+        const groups = new Map();
+
+        for (const item of this.items) {
+            const shopId = item.product.getShopId();
+            if (!groups.has(shopId)) {
+                groups.set(shopId, { shopId, items: [], subtotal: 0 });
+            }
+
+            const group = groups.get(shopId);
+            group.items.push(item);
+            group.subtotal += item.getSubtotal();
+        }
+
+        return Array.from(groups.values());
     }
 
     /**
@@ -157,6 +232,38 @@ class ShoppingCart {
         return this.items.reduce((total, item) => total + item.getTotalDiscount(), 0);
     }
 
+    /**
+     * Lista os itens cujo preço mudou desde que foram adicionados
+     * @returns {Array<Object>} Mudanças de preço
+     */
+    getPriceChanges() {
+        return this.items
+            .map(item => item.getPriceChange())
+            .filter(change => change !== null);
+    }
+
+    /**
+     * Verifica se algum item ficou mais caro desde que foi adicionado
+     * @returns {boolean} True se há aumento de preço não confirmado
+     */
+    hasPriceIncreases() {
+        return this.getPriceChanges().some(change => change.increased);
+    }
+
+    /**
+     * Aceita os preços atuais de todos os itens
+     * @returns {number} Quantidade de itens cujo preço foi atualizado
+     */
+    acknowledgePriceChanges() {
+        const changedItems = this.items.filter(item => item.getPriceChange() !== null);
+        changedItems.forEach(item => item.acknowledgePriceChange());
+
+        if (changedItems.length > 0) {
+            this.updatedAt = new Date();
+        }
+        return changedItems.length;
+    }
+
     /**
      * Aplica um cupom de desconto
      * @param {Object} coupon - Cupom de desconto
@@ -173,8 +280,16 @@ class ShoppingCart {
             return false;
         }
 
-        // Verifica se atende aos requisitos mínimos
-        if (coupon.minimumAmount && this.getSubtotal() < coupon.minimumAmount) {
+        if (!this.checkCouponScope(coupon).isValid) {
+            return false;
+        }
+
+        if (!coupon.checkEligibility(this.items).isValid) {
+            return false;
+        }
+
+        // Verifica se atende aos requisitos mínimos, considerando só os itens a que o cupom se aplica
+        if (coupon.minimumAmount && this.getCouponSubtotal(coupon) < coupon.minimumAmount) {
             return false;
         }
 
@@ -183,6 +298,42 @@ class ShoppingCart {
         return true;
     }
 
+    /**
+     * Verifica se o escopo de um cupom permite aplicá-lo ao carrinho
+     *
+     * Cupons de loja exigem itens da loja no carrinho, e o carrinho aceita no
+     * máximo um cupom de loja e um cupom da plataforma.
+     * @param {Coupon} coupon - Cupom
+     * @returns {Object} Resultado da verificação
+     */
+    checkCouponScope(coupon) {
+        if (coupon.isShopVoucher() && !this.items.some(item => item.product.getShopId() === coupon.shopId)) {
+            return {
+                isValid: false,
+                error: 'Cupom de loja válido apenas para produtos de uma loja que não está no carrinho'
+            };
+        }
+
+        const sameScope = this.appliedCoupons.find(c => c.code !== coupon.code && c.getScope() === coupon.getScope());
+        if (sameScope) {
+            return {
+                isValid: false,
+                error: `O carrinho já tem um cupom ${coupon.isShopVoucher() ? 'de loja' : 'da plataforma'} (${sameScope.code})`
+            };
+        }
+
+        return { isValid: true };
+    }
+
+    /**
+     * Obtém o subtotal sobre o qual um cupom é calculado
+     * @param {Coupon} coupon - Cupom
+     * @returns {number} Subtotal dos itens que participam do cupom (os da loja, para cupons de loja)
+     */
+    getCouponSubtotal(coupon) {
+        return coupon.getEligibleSubtotal(this.items);
+    }
+
     /**
      * Remove um cupom aplicado
      * @param {string} couponCode - Código do cupom
@@ -204,12 +355,53 @@ class ShoppingCart {
      * @returns {number} Desconto total dos cupons
      */
     getCouponDiscounts() {
-        const subtotal = this.getSubtotal();
         return this.appliedCoupons.reduce((total, coupon) => {
-            return total + coupon.calculateDiscount(subtotal);
+            return total + coupon.calculateDiscount(this.getSubtotal(), this.items);
         }, 0);
     }
 
+    /**
+     * Define quantas moedas de fidelidade usar como desconto
+     * @param {number} coins - Quantidade de moedas (0 para não usar)
+     * @returns {boolean} True se a quantidade é válida
+     */
+    setCoinsToRedeem(coins) {
+        if (!Number.isInteger(coins) || coins < 0) {
+            return false;
+        }
+
+        this.coinsToRedeem = coins;
+        this.updatedAt = new Date();
+        return true;
+    }
+
+    /**
+     * Obtém o limite de moedas que pode ser usado no carrinho
+     * @returns {number} Moedas equivalentes a coins.maxRedeemPercentage do subtotal
+     */
+    getCoinsLimit() {
+        const coinCents = Math.round(config.get('coins.coinValue') * 100);
+        return Math.floor(Math.round(this.getSubtotal() * 100) * config.get('coins.maxRedeemPercentage') / 100 / coinCents);
+    }
+
+    /**
+     * Obtém quantas moedas serão de fato usadas
+     *
+     * Se o subtotal diminuir depois da escolha, o uso é limitado ao novo teto.
+     * @returns {number} Moedas usadas
+     */
+    getRedeemedCoins() {
+        return Math.min(this.coinsToRedeem, this.getCoinsLimit());
+    }
+
+    /**
+     * Calcula o desconto das moedas usadas
+     * @returns {number} Desconto em reais
+     */
+    getCoinsDiscount() {
+        return Math.round(this.getRedeemedCoins() * config.get('coins.coinValue') * 100) / 100;
+    }
+
     /**
      * Define o endereço de entrega
      * @param {Object} address - Endereço de entrega
@@ -221,10 +413,20 @@ class ShoppingCart {
 
     /**
      * Define o custo do frete
+     *
+     * Com uma loja, define apenas o frete dela e o total passa a ser a soma
+     * dos fretes por loja; sem loja, define o frete total do carrinho.
      * @param {number} cost - Custo do frete
+     * @param {string} shopId - ID da loja (opcional)
      */
-    setShippingCost(cost) {
-        this.shippingCost = Math.max(0, cost);
+    setShippingCost(cost, shopId = null) {
+        if (shopId) {
+            this.shippingByShop[shopId] = Math.max(0, cost);
+            this.shippingCost = Object.values(this.shippingByShop).reduce((total, value) => total + value, 0);
+        } else {
+            this.shippingByShop = {};
+            this.shippingCost = Math.max(0, cost);
+        }
         this.updatedAt = new Date();
     }
 
@@ -235,7 +437,7 @@ class ShoppingCart {
     getTotal() {
         const subtotal = this.getSubtotal();
         const couponDiscounts = this.getCouponDiscounts();
-        const total = subtotal - couponDiscounts + this.shippingCost;
+        const total = subtotal - couponDiscounts - this.getCoinsDiscount() + this.shippingCost;
         return Math.max(0, total);
     }
 
@@ -249,9 +451,10 @@ class ShoppingCart {
             productDiscounts: this.getProductDiscounts(),
             subtotal: this.getSubtotal(),
             couponDiscounts: this.getCouponDiscounts(),
+            coinsDiscount: this.getCoinsDiscount(),
             shippingCost: this.shippingCost,
             total: this.getTotal(),
-            totalSavings: this.getProductDiscounts() + this.getCouponDiscounts()
+            totalSavings: this.getProductDiscounts() + this.getCouponDiscounts() + this.getCoinsDiscount()
         };
     }
 
@@ -266,11 +469,16 @@ class ShoppingCart {
             errors.push('Carrinho está vazio');
         }
 
+        const maxItems = config.get('cart.maxItems');
+        if (this.items.length > maxItems) {
+            errors.push(`Carrinho tem ${this.items.length} produtos diferentes; o máximo é ${maxItems}`);
+        }
+
         // Valida cada item
         for (const item of this.items) {
             const itemValidation = item.validate();
             if (!itemValidation.isValid) {
-                errors.push(`Item ${item.product.name}: ${itemValidation.errors.join(', ')}`);
+                errors.push(`Item ${item.getName()}: ${itemValidation.errors.join(', ')}`);
             }
         }
 
@@ -287,6 +495,30 @@ class ShoppingCart {
         };
     }
 
+    /**
+     * Renomeia o carrinho
+     * @param {string} name - Novo nome
+     * @returns {boolean} True se renomeado com sucesso
+     */
+    rename(name) {
+        const trimmedName = typeof name === 'string' ? name.trim() : '';
+        if (trimmedName.length === 0 || trimmedName.length > 50) {
+            return false;
+        }
+
+        this.name = trimmedName;
+        this.updatedAt = new Date();
+        return true;
+    }
+
+    /**
+     * Obtém o nome de exibição do carrinho
+     * @returns {string} Nome do carrinho ou um nome baseado na data de criação
+     */
+    getDisplayName() {
+        return this.name || `Carrinho de ${this.createdAt.toLocaleDateString('pt-BR')}`;
+    }
+
     /**
      * Converte o carrinho para objeto JSON
      * @returns {Object} Representação JSON do carrinho
@@ -295,10 +527,14 @@ class ShoppingCart {
         return {
             id: this.id,
             userId: this.userId,
+            name: this.name,
             items: this.items.map(item => item.toJSON()),
             appliedCoupons: this.appliedCoupons,
             shippingAddress: this.shippingAddress,
             shippingCost: this.shippingCost,
+            shippingByShop: this.shippingByShop,
+            coinsToRedeem: this.coinsToRedeem,
+            lastCheckoutKey: this.lastCheckoutKey,
             financialSummary: this.getFinancialSummary(),
             totalItems: this.getTotalItems(),
             createdAt: this.createdAt,
@@ -312,12 +548,15 @@ class ShoppingCart {
      * @returns {ShoppingCart} Nova instância de ShoppingCart
      */
     static fromJSON(data) {
-        const cart = new ShoppingCart(data.userId);
+        const cart = new ShoppingCart(data.userId, data.name || null);
         
         if (data.id) cart.id = data.id;
-        if (data.appliedCoupons) cart.appliedCoupons = data.appliedCoupons;
+        if (data.appliedCoupons) cart.appliedCoupons = data.appliedCoupons.map(coupon => Coupon.fromJSON(coupon));
         if (data.shippingAddress) cart.shippingAddress = data.shippingAddress;
         if (data.shippingCost) cart.shippingCost = data.shippingCost;
+        if (data.shippingByShop) cart.shippingByShop = { ...data.shippingByShop };
+        if (data.coinsToRedeem) cart.coinsToRedeem = data.coinsToRedeem;
+        if (data.lastCheckoutKey) cart.lastCheckoutKey = data.lastCheckoutKey;
         if (data.createdAt) cart.createdAt = new Date(data.createdAt);
         if (data.updatedAt) cart.updatedAt = new Date(data.updatedAt);
         
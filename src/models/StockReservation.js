@@ -0,0 +1,105 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Classe que representa uma reserva temporária de estoque feita por um carrinho
+ */
+class StockReservation {
+    /**
+     * Construtor da classe StockReservation
+     * @param {string} cartId - ID do carrinho que fez a reserva
+     * @param {string} productId - ID do produto reservado
+     * @param {number} quantity - Quantidade reservada
+     * @param {number} ttl - Tempo de validade da reserva em ms
+     * @param {string} variantSku - SKU da variação reservada (opcional)
+     */
+    constructor(cartId, productId, quantity, ttl = 0, variantSku = null) {
+        this.id = uuidv4();
+        this.cartId = cartId;
+        this.productId = productId;
+        this.variantSku = variantSku;
+        this.quantity = quantity;
+        this.createdAt = new Date();
+        this.updatedAt = new Date();
+        this.expiresAt = new Date(this.createdAt.getTime() + ttl);
+    }
+
+    /**
+     * Verifica se a reserva já expirou
+     * @param {Date} now - Data de referência
+     * @returns {boolean} True se expirada
+     */
+    isExpired(now = new Date()) {
+        return now >= this.expiresAt;
+    }
+
+    /**
+     * Atualiza a quantidade reservada e renova o prazo da reserva
+     * @param {number} quantity - Nova quantidade
+     * @param {number} ttl - Tempo de validade em ms a partir de agora
+     */
+    renew(quantity, ttl) {
+        this.quantity = quantity;
+        this.updatedAt = new Date();
+        this.expiresAt = new Date(this.updatedAt.getTime() + ttl);
+    }
+
+    /**
+     * Valida a reserva
+     * @returns {Object} Resultado da validação
+     */
+    validate() {
+        const errors = [];
+
+        if (!this.cartId) {
+            errors.push('Reserva deve pertencer a um carrinho');
+        }
+
+        if (!this.productId) {
+            errors.push('Reserva deve ter um produto');
+        }
+
+        if (!Number.isInteger(this.quantity) || this.quantity <= 0) {
+            errors.push('Quantidade reservada deve ser um número inteiro positivo');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Converte a reserva para objeto JSON
+     * @returns {Object} Representação JSON da reserva
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            cartId: this.cartId,
+            productId: this.productId,
+            variantSku: this.variantSku,
+            quantity: this.quantity,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt,
+            expiresAt: this.expiresAt
+        };
+    }
+
+    /**
+     * Cria uma reserva a partir de dados JSON
+     * @param {Object} data - Dados da reserva
+     * @returns {StockReservation} Nova instância de StockReservation
+     */
+    static fromJSON(data) {
+        const reservation = new StockReservation(data.cartId, data.productId, data.quantity, 0, data.variantSku || null);
+
+        if (data.id) reservation.id = data.id;
+        if (data.createdAt) reservation.createdAt = new Date(data.createdAt);
+        if (data.updatedAt) reservation.updatedAt = new Date(data.updatedAt);
+        if (data.expiresAt) reservation.expiresAt = new Date(data.expiresAt);
+
+        return reservation;
+    }
+}
+
+module.exports = StockReservation;
@@ -0,0 +1,185 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Nome da lista padrão criada para todo usuário
+ */
+const DEFAULT_LIST_NAME = 'Favoritos';
+
+/**
+ * Classe que representa uma lista de desejos ("salvos para depois")
+ *
+ * A lista guarda apenas referências aos produtos, junto com o preço e a
+ * disponibilidade no momento em que foram salvos, sem reservar estoque.
+ */
+class Wishlist {
+    /**
+     * Construtor da classe Wishlist
+     * @param {string} userId - ID do usuário dono da lista
+     * @param {string} name - Nome da lista
+     * @param {boolean} isDefault - Se é a lista padrão do usuário
+     */
+    constructor(userId, name = DEFAULT_LIST_NAME, isDefault = false) {
+        this.id = uuidv4();
+        this.userId = userId;
+        this.name = name;
+        this.isDefault = isDefault;
+        this.items = [];
+        this.createdAt = new Date();
+        this.updatedAt = new Date();
+    }
+
+    /**
+     * Obtém o nome da lista padrão
+     * @returns {string} Nome da lista padrão
+     */
+    static getDefaultName() {
+        return DEFAULT_LIST_NAME;
+    }
+
+    /**
+     * Adiciona um produto à lista (ou atualiza a quantidade, se já estiver nela)
+     *
+     * Produtos com variações podem ser salvos sem variação escolhida; a
+     * escolha fica para quando o item for movido para o carrinho.
+     * @param {Product} product - Produto
+     * @param {number} quantity - Quantidade desejada
+     * @param {string} variantSku - SKU da variação (opcional)
+     * @returns {boolean} True se adicionado com sucesso
+     */
+    addProduct(product, quantity = 1, variantSku = null) {
+        if (!product || quantity <= 0) {
+            return false;
+        }
+
+        if (variantSku && !product.getVariant(variantSku)) {
+            return false;
+        }
+
+        const existingItem = this.getItem(product.id, variantSku);
+        if (existingItem) {
+            existingItem.quantity = quantity;
+        } else {
+            this.items.push({
+                productId: product.id,
+                variantSku,
+                name: product.getDisplayName(variantSku),
+                quantity,
+                savedPrice: product.getFinalPrice(variantSku),
+                savedInStock: product.getStock(variantSku) > 0,
+                addedAt: new Date()
+            });
+        }
+
+        this.updatedAt = new Date();
+        return true;
+    }
+
+    /**
+     * Remove um produto da lista
+     * @param {string} productId - ID do produto
+     * @param {string} variantSku - SKU da variação (opcional)
+     * @returns {boolean} True se removido com sucesso
+     */
+    removeProduct(productId, variantSku = null) {
+        const index = this.items.indexOf(this.getItem(productId, variantSku));
+        if (index === -1) {
+            return false;
+        }
+
+        this.items.splice(index, 1);
+        this.updatedAt = new Date();
+        return true;
+    }
+
+    /**
+     * Obtém um item da lista
+     * @param {string} productId - ID do produto
+     * @param {string} variantSku - SKU da variação (opcional)
+     * @returns {Object|null} Item encontrado ou null
+     */
+    getItem(productId, variantSku = null) {
+        return this.items.find(item =>
+            item.productId === productId && (item.variantSku || null) === (variantSku || null)) || null;
+    }
+
+    /**
+     * Verifica se a lista está vazia
+     * @returns {boolean} True se vazia
+     */
+    isEmpty() {
+        return this.items.length === 0;
+    }
+
+    /**
+     * Renomeia a lista
+     * @param {string} name - Novo nome
+     * @returns {boolean} True se renomeada com sucesso
+     */
+    rename(name) {
+        const trimmedName = typeof name === 'string' ? name.trim() : '';
+        if (trimmedName.length === 0 || trimmedName.length > 50) {
+            return false;
+        }
+
+        this.name = trimmedName;
+        this.updatedAt = new Date();
+        return true;
+    }
+
+    /**
+     * Valida a lista
+     * @returns {Object} Resultado da validação
+     */
+    validate() {
+        const errors = [];
+
+        if (!this.userId) {
+            errors.push('Lista deve pertencer a um usuário');
+        }
+
+        if (!this.name || this.name.trim().length === 0) {
+            errors.push('Nome da lista é obrigatório');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Converte a lista para objeto JSON
+     * @returns {Object} Representação JSON da lista
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            userId: this.userId,
+            name: this.name,
+            isDefault: this.isDefault,
+            items: this.items,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt
+        };
+    }
+
+    /**
+     * Cria uma lista a partir de dados JSON
+     * @param {Object} data - Dados da lista
+     * @returns {Wishlist} Nova instância de Wishlist
+     */
+    static fromJSON(data) {
+        const list = new Wishlist(data.userId, data.name, Boolean(data.isDefault));
+
+        if (data.id) list.id = data.id;
+        if (data.items) {
+            list.items = data.items.map(item => ({ ...item, addedAt: new Date(item.addedAt) }));
+        }
+        if (data.createdAt) list.createdAt = new Date(data.createdAt);
+        if (data.updatedAt) list.updatedAt = new Date(data.updatedAt);
+
+        return list;
+    }
+}
+
+module.exports = Wishlist;
@@ -3,14 +3,34 @@
  */
 
 const Product = require('./Product');
+const ProductVariant = require('./ProductVariant');
+const FlashSale = require('./FlashSale');
+const Shop = require('./Shop');
 const CartItem = require('./CartItem');
 const ShoppingCart = require('./ShoppingCart');
 const Coupon = require('./Coupon');
+const Order = require('./Order');
+const StockReservation = require('./StockReservation');
+const CheckoutAttempt = require('./CheckoutAttempt');
+const Wishlist = require('./Wishlist');
+const CartCommand = require('./CartCommand');
+const CartRecovery = require('./CartRecovery');
+const CoinEntry = require('./CoinEntry');
 
 module.exports = {
     Product,
+    ProductVariant,
+    FlashSale,
+    Shop,
     CartItem,
     ShoppingCart,
-    Coupon
+    Coupon,
+    Order,
+    StockReservation,
+    CheckoutAttempt,
+    Wishlist,
+    CartCommand,
+    CartRecovery,
+    CoinEntry
 };
 
@@ -0,0 +1,160 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { CartCommand } = require('../models');
+
+/**
+ * Quantidade máxima de alterações guardadas por carrinho
+ */
+const MAX_HISTORY_SIZE = 50;
+
+/**
+ * Serviço que guarda o histórico de alterações de cada carrinho para
+ * desfazer e refazer
+ */
+class CartHistoryService {
+    constructor() {
+        this.histories = new Map();
+        this.dataFile = path.join(__dirname, '../data/cart-history.json');
+        this.initialized = false;
+    }
+
+    /**
+     * Inicializa o serviço carregando o histórico do arquivo
+     */
+    async initialize() {
+        if (this.initialized) return;
+
+        try {
+            await this.loadHistory();
+            this.initialized = true;
+        } catch (error) {
+            console.error('Erro ao inicializar CartHistoryService:', error.message);
+            this.initialized = true;
+        }
+    }
+
+    /**
+     * Carrega o histórico do arquivo JSON
+     */
+    async loadHistory() {
+        try {
+            const data = await fs.readJSON(this.dataFile);
+            this.histories.clear();
+
+            for (const historyData of data.histories) {
+                this.histories.set(historyData.cartId, {
+                    undo: historyData.undo.map(command => CartCommand.fromJSON(command)),
+                    redo: historyData.redo.map(command => CartCommand.fromJSON(command))
+                });
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            // Arquivo não existe, isso é normal antes da primeira alteração
+        }
+    }
+
+    /**
+     * Salva o histórico no arquivo JSON
+     */
+    async saveHistory() {
+        try {
+            await fs.ensureDir(path.dirname(this.dataFile));
+
+            const data = {
+                histories: Array.from(this.histories.entries()).map(([cartId, history]) => ({
+                    cartId,
+                    undo: history.undo.map(command => command.toJSON()),
+                    redo: history.redo.map(command => command.toJSON())
+                })),
+                lastUpdated: new Date().toISOString()
+            };
+
+            await fs.writeJSON(this.dataFile, data, { spaces: 2 });
+        } catch (error) {
+            console.error('Erro ao salvar histórico dos carrinhos:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Obtém (criando se necessário) o histórico de um carrinho
+     * @param {string} cartId - ID do carrinho
+     * @returns {Object} Pilhas de desfazer e refazer
+     */
+    getHistory(cartId) {
+        if (!this.histories.has(cartId)) {
+            this.histories.set(cartId, { undo: [], redo: [] });
+        }
+        return this.histories.get(cartId);
+    }
+
+    /**
+     * Registra uma nova alteração; alterações desfeitas deixam de poder ser refeitas
+     * @param {CartCommand} command - Alteração feita no carrinho
+     */
+    async record(command) {
+        const history = this.getHistory(command.cartId);
+
+        history.undo.push(command);
+        if (history.undo.length > MAX_HISTORY_SIZE) {
+            history.undo.shift();
+        }
+        history.redo = [];
+
+        await this.saveHistory();
+    }
+
+    /**
+     * Obtém a última alteração que pode ser desfeita
+     * @param {string} cartId - ID do carrinho
+     * @returns {CartCommand|null} Alteração ou null
+     */
+    getLastUndo(cartId) {
+        const history = this.histories.get(cartId);
+        return history && history.undo.length > 0 ? history.undo[history.undo.length - 1] : null;
+    }
+
+    /**
+     * Obtém a última alteração desfeita, que pode ser refeita
+     * @param {string} cartId - ID do carrinho
+     * @returns {CartCommand|null} Alteração ou null
+     */
+    getLastRedo(cartId) {
+        const history = this.histories.get(cartId);
+        return history && history.redo.length > 0 ? history.redo[history.redo.length - 1] : null;
+    }
+
+    /**
+     * Move a última alteração para a pilha de refazer, depois de desfeita
+     * @param {string} cartId - ID do carrinho
+     */
+    async markUndone(cartId) {
+        const history = this.getHistory(cartId);
+        history.redo.push(history.undo.pop());
+        await this.saveHistory();
+    }
+
+    /**
+     * Move a última alteração desfeita de volta para a pilha de desfazer, depois de refeita
+     * @param {string} cartId - ID do carrinho
+     */
+    async markRedone(cartId) {
+        const history = this.getHistory(cartId);
+        history.undo.push(history.redo.pop());
+        await this.saveHistory();
+    }
+
+    /**
+     * Apaga o histórico de um carrinho
+     * @param {string} cartId - ID do carrinho
+     */
+    async clearHistory(cartId) {
+        if (this.histories.delete(cartId)) {
+            await this.saveHistory();
+        }
+    }
+}
+
+module.exports = CartHistoryService;
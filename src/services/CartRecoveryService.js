@@ -0,0 +1,274 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { Coupon, CartRecovery } = require('../models');
+const ValidationUtils = require('../utils/ValidationUtils');
+const config = require('../utils/Config');
+
+/**
+ * Serviço que recupera carrinhos abandonados
+ *
+ * O job encontra carrinhos parados, cria um cupom de uso único exclusivo
+ * do cliente, grava o lembrete na caixa de saída e acompanha se o
+ * carrinho volta a ser finalizado.
+ */
+class CartRecoveryService {
+    constructor(cartService, discountService, orderService) {
+        this.cartService = cartService;
+        this.discountService = discountService;
+        this.orderService = orderService;
+        this.recoveries = new Map();
+        this.dataFile = path.join(__dirname, '../data/recoveries.json');
+        this.outboxDir = path.join(__dirname, '../data/outbox');
+        this.initialized = false;
+    }
+
+    /**
+     * Inicializa o serviço carregando as recuperações do arquivo
+     */
+    async initialize() {
+        if (this.initialized) return;
+
+        try {
+            await this.loadRecoveries();
+            this.initialized = true;
+        } catch (error) {
+            console.error('Erro ao inicializar CartRecoveryService:', error.message);
+            this.initialized = true;
+        }
+    }
+
+    /**
+     * Carrega as recuperações do arquivo JSON
+     */
+    async loadRecoveries() {
+        try {
+            const data = await fs.readJSON(this.dataFile);
+            this.recoveries.clear();
+
+            for (const recoveryData of data.recoveries) {
+                const recovery = CartRecovery.fromJSON(recoveryData);
+                this.recoveries.set(recovery.id, recovery);
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            // Arquivo não existe, isso é normal antes da primeira execução do job
+        }
+    }
+
+    /**
+     * Salva as recuperações no arquivo JSON
+     */
+    async saveRecoveries() {
+        try {
+            await fs.ensureDir(path.dirname(this.dataFile));
+
+            const data = {
+                recoveries: Array.from(this.recoveries.values()).map(recovery => recovery.toJSON()),
+                lastUpdated: new Date().toISOString()
+            };
+
+            await fs.writeJSON(this.dataFile, data, { spaces: 2 });
+        } catch (error) {
+            console.error('Erro ao salvar recuperações de carrinhos:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Obtém todas as recuperações
+     * @returns {Array<CartRecovery>} Recuperações, da mais recente para a mais antiga
+     */
+    getAllRecoveries() {
+        return Array.from(this.recoveries.values()).sort((a, b) => b.sentAt - a.sentAt);
+    }
+
+    /**
+     * Obtém as recuperações de um carrinho
+     * @param {string} cartId - ID do carrinho
+     * @returns {Array<CartRecovery>} Recuperações do carrinho
+     */
+    getRecoveriesByCart(cartId) {
+        return this.getAllRecoveries().filter(recovery => recovery.cartId === cartId);
+    }
+
+    /**
+     * Executa o job de recuperação de carrinhos abandonados
+     * @param {number} days - Dias sem alteração para considerar o carrinho abandonado
+     * @returns {Object} Resumo da execução
+     */
+    async runRecoveryJob(days = config.get('recovery.abandonedAfterDays')) {
+        // Fecha os resultados pendentes antes, para não reenviar lembretes já respondidos
+        await this.updateOutcomes();
+
+        const summary = { checked: 0, sent: [], skipped: [] };
+
+        for (const cart of this.cartService.getAbandonedCarts(days)) {
+            summary.checked++;
+
+            const reason = this.getSkipReason(cart);
+            if (reason) {
+                summary.skipped.push({ cartId: cart.id, userId: cart.userId, reason });
+                continue;
+            }
+
+            summary.sent.push(await this.startRecovery(cart));
+        }
+
+        return summary;
+    }
+
+    /**
+     * Verifica se um carrinho abandonado deve ficar sem lembrete
+     * @param {ShoppingCart} cart - Carrinho abandonado
+     * @returns {string|null} Motivo para não enviar ou null
+     */
+    getSkipReason(cart) {
+        if (!cart.userId || !ValidationUtils.validateEmail(cart.userId).isValid) {
+            return 'Cliente sem e-mail identificado';
+        }
+
+        // Um único lembrete por abandono: só volta a enviar se o carrinho mudou depois do último
+        const lastRecovery = this.getRecoveriesByCart(cart.id)[0];
+        if (lastRecovery && (lastRecovery.isPending() || cart.updatedAt <= lastRecovery.sentAt)) {
+            return 'Lembrete já enviado';
+        }
+
+        return null;
+    }
+
+    /**
+     * Cria o cupom, grava o lembrete e registra a recuperação de um carrinho
+     * @param {ShoppingCart} cart - Carrinho abandonado
+     * @returns {CartRecovery} Recuperação registrada
+     */
+    async startRecovery(cart) {
+        const coupon = await this.createRecoveryCoupon(cart);
+
+        const recovery = new CartRecovery(cart.id, cart.userId, coupon.code, cart.getTotal());
+        recovery.messageFile = await this.writeReminder(recovery, this.buildReminderMessage(cart, coupon));
+
+        this.recoveries.set(recovery.id, recovery);
+        await this.saveRecoveries();
+        return recovery;
+    }
+
+    /**
+     * Cria o cupom de uso único exclusivo do dono do carrinho
+     * @param {ShoppingCart} cart - Carrinho abandonado
+     * @returns {Coupon} Cupom criado
+     */
+    async createRecoveryCoupon(cart) {
+        const expiryDate = new Date();
+        expiryDate.setDate(expiryDate.getDate() + config.get('recovery.couponValidDays'));
+
+        const coupon = new Coupon(
+            `VOLTE-${uuidv4().slice(0, 6)}`,
+            'percentage',
+            config.get('recovery.discountPercentage'),
+            0,
+            expiryDate,
+            1,
+            `Desconto para finalizar o carrinho de ${cart.userId}`
+        );
+        coupon.ownerId = cart.userId;
+
+        await this.discountService.addCoupon(coupon);
+        return coupon;
+    }
+
+    /**
+     * Monta o texto do lembrete enviado ao cliente
+     * @param {ShoppingCart} cart - Carrinho abandonado
+     * @param {Coupon} coupon - Cupom de recuperação
+     * @returns {string} Mensagem em texto
+     */
+    buildReminderMessage(cart, coupon) {
+        const separator = '-'.repeat(60);
+
+        return [
+            `Para: ${cart.userId}`,
+            'Assunto: Você esqueceu alguns itens no carrinho!',
+            separator,
+            'Olá! Seus produtos ainda estão esperando por você:',
+            '',
+            ...cart.items.map(item => `  • ${item.quantity}x ${item.getName()} - R$ ${item.getSubtotal().toFixed(2)}`),
+            '',
+            `Total do carrinho: R$ ${cart.getTotal().toFixed(2)}`,
+            separator,
+            `Use o cupom ${coupon.code} e ganhe ${coupon.value}% de desconto.`,
+            `Válido para uma compra até ${coupon.expiryDate.toLocaleDateString('pt-BR')}.`,
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Grava o lembrete na caixa de saída
+     * @param {CartRecovery} recovery - Recuperação do carrinho
+     * @param {string} message - Mensagem em texto
+     * @returns {string} Caminho do arquivo gravado
+     */
+    async writeReminder(recovery, message) {
+        const filePath = path.join(this.outboxDir, `lembrete-${recovery.cartId}-${recovery.id.slice(0, 8)}.txt`);
+        await fs.ensureDir(this.outboxDir);
+        await fs.writeFile(filePath, message, 'utf8');
+
+        return filePath;
+    }
+
+    /**
+     * Atualiza o resultado das recuperações pendentes
+     * @returns {number} Quantidade de recuperações encerradas
+     */
+    async updateOutcomes() {
+        const orders = this.orderService.getAllOrders();
+        let closed = 0;
+
+        for (const recovery of this.recoveries.values()) {
+            if (!recovery.isPending()) continue;
+
+            const order = orders.find(o => o.cartId === recovery.cartId && o.createdAt >= recovery.sentAt);
+            if (order) {
+                recovery.markRecovered(order);
+                closed++;
+                continue;
+            }
+
+            const coupon = this.discountService.getCouponByCode(recovery.couponCode);
+            if (!coupon || (coupon.expiryDate && new Date() > coupon.expiryDate)) {
+                recovery.markExpired();
+                closed++;
+            }
+        }
+
+        if (closed > 0) {
+            await this.saveRecoveries();
+        }
+        return closed;
+    }
+
+    /**
+     * Gera o relatório de recuperação de carrinhos
+     * @returns {Object} Totais e taxa de recuperação
+     */
+    async getRecoveryReport() {
+        await this.updateOutcomes();
+
+        const recoveries = this.getAllRecoveries();
+        const recovered = recoveries.filter(recovery => recovery.status === 'recovered');
+
+        return {
+            sent: recoveries.length,
+            recovered: recovered.length,
+            expired: recoveries.filter(recovery => recovery.status === 'expired').length,
+            pending: recoveries.filter(recovery => recovery.isPending()).length,
+            couponsUsed: recovered.filter(recovery => recovery.couponUsed).length,
+            recoveredRevenue: recovered.reduce((total, recovery) => total + recovery.orderTotal, 0),
+            recoveryRate: recoveries.length > 0 ? (recovered.length / recoveries.length) * 100 : 0
+        };
+    }
+}
+
+module.exports = CartRecoveryService;
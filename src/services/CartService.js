@@ -1,15 +1,46 @@
 const fs = require('fs-extra');
 const path = require('path');
-const { ShoppingCart, CartItem } = require('../models');
+const crypto = require('crypto');
+const { ShoppingCart, CartItem, Order, Coupon, CartCommand } = require('../models');
+const config = require('../utils/Config');
+const CartShareUtils = require('../utils/CartShareUtils');
 
 /**
  * Serviço para gerenciamento do carrinho de compras
  */
 class CartService {
-    constructor(productService) {
+    /**
+     * Construtor da classe CartService
+     *
+     * Só o productService é obrigatório; sem os demais serviços as etapas
+     * que dependem deles (pedidos, cupons, reservas, tentativas de checkout,
+     * histórico, lojas e moedas) são puladas.
+     * @param {Object} services - Serviços usados pelo carrinho
+     * ({ productService, orderService, discountService, reservationService,
+     * checkoutAttemptService, historyService, shopService, coinService })
+     */
+    constructor({
+        productService,
+        orderService = null,
+        discountService = null,
+        reservationService = null,
+        checkoutAttemptService = null,
+        historyService = null,
+        shopService = null,
+        coinService = null
+    }) {
         this.productService = productService;
+        this.orderService = orderService;
+        this.discountService = discountService;
+        this.reservationService = reservationService;
+        this.checkoutAttemptService = checkoutAttemptService;
+        this.historyService = historyService;
+        this.shopService = shopService;
+        this.coinService = coinService;
+        this.replayingHistory = false;
         this.carts = new Map();
         this.dataFile = path.join(__dirname, '../data/carts.json');
+        this.exportDir = path.join(__dirname, '../data/exports');
         this.initialized = false;
     }
 
@@ -44,7 +75,10 @@ class CartService {
                     const product = this.productService.getProductById(itemData.product.id);
                     if (product) {
                         const item = CartItem.fromJSON(itemData, product);
-                        cart.items.push(item);
+                        // Itens cuja variação deixou de existir são descartados, como produtos removidos
+                        if (product.hasVariants() === Boolean(item.variant)) {
+                            cart.items.push(item);
+                        }
                     }
                 }
                 
@@ -80,10 +114,11 @@ class CartService {
     /**
      * Cria um novo carrinho
      * @param {string} userId - ID do usuário (opcional)
+     * @param {string} name - Nome do carrinho (opcional)
      * @returns {ShoppingCart} Novo carrinho criado
      */
-    async createCart(userId = null) {
-        const cart = new ShoppingCart(userId);
+    async createCart(userId = null, name = null) {
+        const cart = new ShoppingCart(userId, name);
         this.carts.set(cart.id, cart);
         await this.saveCarts();
         return cart;
@@ -99,63 +134,155 @@ class CartService {
     }
 
     /**
-     * Obtém carrinho por usuário
+     * Obtém o carrinho mais recente de um usuário
      * @param {string} userId - ID do usuário
      * @returns {ShoppingCart|null} Carrinho do usuário ou null
      */
     getCartByUser(userId) {
-        for (const cart of this.carts.values()) {
-            if (cart.userId === userId) {
-                return cart;
-            }
+        return this.getCartsByUser(userId)[0] || null;
+    }
+
+    /**
+     * Lista os carrinhos de um usuário, do mais recente para o mais antigo
+     * @param {string} userId - ID do usuário
+     * @returns {Array<ShoppingCart>} Carrinhos do usuário
+     */
+    getCartsByUser(userId) {
+        return this.getAllCarts()
+            .filter(cart => cart.userId === userId)
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    /**
+     * Renomeia um carrinho
+     * @param {string} cartId - ID do carrinho
+     * @param {string} name - Novo nome
+     * @returns {boolean} True se renomeado com sucesso
+     */
+    async renameCart(cartId, name) {
+        const cart = this.getCart(cartId);
+        if (!cart) {
+            throw new Error('Carrinho não encontrado');
         }
-        return null;
+
+        if (!cart.rename(name)) {
+            throw new Error('Nome do carrinho deve ter entre 1 e 50 caracteres');
+        }
+
+        await this.saveCarts();
+        return true;
+    }
+
+    /**
+     * Obtém um produto do catálogo garantindo que a variação informada é válida
+     * @param {string} productId - ID do produto
+     * @param {string} variantSku - SKU da variação (obrigatório para produtos com variações)
+     * @returns {Product} Produto encontrado
+     */
+    getProductForCart(productId, variantSku = null) {
+        const product = this.productService.getProductById(productId);
+        if (!product) {
+            throw new Error('Produto não encontrado');
+        }
+
+        if (variantSku && !product.getVariant(variantSku)) {
+            throw new Error(`Variação não encontrada para ${product.name}`);
+        }
+
+        if (product.hasVariants() && !variantSku) {
+            throw new Error(`Escolha uma variação de ${product.name}`);
+        }
+
+        return product;
     }
 
     /**
      * Adiciona produto ao carrinho
+     *
+     * O mesmo produto em variações diferentes vira linhas separadas.
      * @param {string} cartId - ID do carrinho
      * @param {string} productId - ID do produto
      * @param {number} quantity - Quantidade do produto
+     * @param {string} variantSku - SKU da variação (obrigatório para produtos com variações)
      * @returns {boolean} True se adicionado com sucesso
      */
-    async addProductToCart(cartId, productId, quantity = 1) {
+    async addProductToCart(cartId, productId, quantity = 1, variantSku = null) {
         const cart = this.getCart(cartId);
         if (!cart) {
             throw new Error('Carrinho não encontrado');
         }
 
-        const product = this.productService.getProductById(productId);
-        if (!product) {
-            throw new Error('Produto não encontrado');
+        const product = this.getProductForCart(productId, variantSku);
+
+        if (!product.isAvailable(quantity, variantSku)) {
+            throw new Error(`Produto indisponível. Estoque atual: ${product.getStock(variantSku)}`);
+        }
+
+        const existingItem = cart.getItem(productId, variantSku);
+        const previousQuantity = existingItem ? existingItem.quantity : 0;
+
+        const limits = cart.checkItemLimits(productId, previousQuantity + quantity, variantSku);
+        if (!limits.isValid) {
+            throw new Error(limits.error);
         }
+        this.assertFlashSaleLimit(cart, product, previousQuantity + quantity, variantSku);
 
-        if (!product.isAvailable(quantity)) {
-            throw new Error(`Produto indisponível. Estoque atual: ${product.stock}`);
+        if (this.reservationService) {
+            await this.reservationService.reserve(cartId, productId, previousQuantity + quantity, variantSku);
         }
 
-        const success = cart.addProduct(product, quantity);
+        const success = cart.addProduct(product, quantity, variantSku);
         if (success) {
             await this.saveCarts();
+            await this.recordCommand(cartId, 'item_quantity',
+                { productId, variantSku, from: previousQuantity, to: previousQuantity + quantity },
+                `Adicionar ${quantity}× ${product.getDisplayName(variantSku)}`);
+        } else {
+            await this.restoreReservation(cartId, productId, previousQuantity, variantSku);
         }
         return success;
     }
 
+    /**
+     * Volta a reserva de um item para a quantidade que está no carrinho
+     * @param {string} cartId - ID do carrinho
+     * @param {string} productId - ID do produto
+     * @param {number} quantity - Quantidade no carrinho
+     * @param {string} variantSku - SKU da variação (opcional)
+     */
+    async restoreReservation(cartId, productId, quantity, variantSku = null) {
+        if (!this.reservationService) return;
+
+        if (quantity > 0) {
+            await this.reservationService.reserve(cartId, productId, quantity, variantSku);
+        } else {
+            await this.reservationService.release(cartId, productId, variantSku);
+        }
+    }
+
     /**
      * Remove produto do carrinho
      * @param {string} cartId - ID do carrinho
      * @param {string} productId - ID do produto
+     * @param {string} variantSku - SKU da variação (opcional)
      * @returns {boolean} True se removido com sucesso
      */
-    async removeProductFromCart(cartId, productId) {
+    async removeProductFromCart(cartId, productId, variantSku = null) {
         const cart = this.getCart(cartId);
         if (!cart) {
             throw new Error('Carrinho não encontrado');
         }
 
-        const success = cart.removeProduct(productId);
+        const item = cart.getItem(productId, variantSku);
+        const success = cart.removeProduct(productId, variantSku);
         if (success) {
+            if (this.reservationService) {
+                await this.reservationService.release(cartId, productId, variantSku);
+            }
             await this.saveCarts();
+            await this.recordCommand(cartId, 'item_quantity',
+                { productId, variantSku, from: item.quantity, to: 0 },
+                `Remover ${item.getName()}`);
         }
         return success;
     }
@@ -165,26 +292,47 @@ class CartService {
      * @param {string} cartId - ID do carrinho
      * @param {string} productId - ID do produto
      * @param {number} newQuantity - Nova quantidade
+     * @param {string} variantSku - SKU da variação (opcional)
      * @returns {boolean} True se atualizado com sucesso
      */
-    async updateProductQuantity(cartId, productId, newQuantity) {
+    async updateProductQuantity(cartId, productId, newQuantity, variantSku = null) {
         const cart = this.getCart(cartId);
         if (!cart) {
             throw new Error('Carrinho não encontrado');
         }
 
-        const product = this.productService.getProductById(productId);
-        if (!product) {
-            throw new Error('Produto não encontrado');
+        const product = this.getProductForCart(productId, variantSku);
+
+        if (newQuantity > 0 && !product.isAvailable(newQuantity, variantSku)) {
+            throw new Error(`Quantidade indisponível. Estoque atual: ${product.getStock(variantSku)}`);
+        }
+
+        if (newQuantity > 0) {
+            const limits = cart.checkItemLimits(productId, newQuantity, variantSku);
+            if (!limits.isValid) {
+                throw new Error(limits.error);
+            }
+            this.assertFlashSaleLimit(cart, product, newQuantity, variantSku);
         }
 
-        if (newQuantity > 0 && !product.isAvailable(newQuantity)) {
-            throw new Error(`Quantidade indisponível. Estoque atual: ${product.stock}`);
+        const existingItem = cart.getItem(productId, variantSku);
+        const previousQuantity = existingItem ? existingItem.quantity : 0;
+        if (this.reservationService && newQuantity > 0) {
+            await this.reservationService.reserve(cartId, productId, newQuantity, variantSku);
         }
 
-        const success = cart.updateProductQuantity(productId, newQuantity);
+        const name = product.getDisplayName(variantSku);
+        const success = cart.updateProductQuantity(productId, newQuantity, variantSku);
         if (success) {
+            if (this.reservationService && newQuantity <= 0) {
+                await this.reservationService.release(cartId, productId, variantSku);
+            }
             await this.saveCarts();
+            await this.recordCommand(cartId, 'item_quantity',
+                { productId, variantSku, from: previousQuantity, to: Math.max(0, newQuantity) },
+                newQuantity > 0 ? `Alterar ${name} para ${newQuantity}` : `Remover ${name}`);
+        } else {
+            await this.restoreReservation(cartId, productId, previousQuantity, variantSku);
         }
         return success;
     }
@@ -200,8 +348,22 @@ class CartService {
             throw new Error('Carrinho não encontrado');
         }
 
+        const previousItems = cart.items.map(item => ({
+            productId: item.product.id,
+            variantSku: item.getVariantSku(),
+            quantity: item.quantity
+        }));
+        const previousCoupons = cart.appliedCoupons.map(coupon => coupon.toJSON());
+
         cart.clear();
+        if (this.reservationService) {
+            await this.reservationService.releaseCart(cartId);
+        }
         await this.saveCarts();
+
+        if (previousItems.length > 0 || previousCoupons.length > 0) {
+            await this.recordCommand(cartId, 'clear', { items: previousItems, coupons: previousCoupons }, 'Limpar carrinho');
+        }
         return true;
     }
 
@@ -217,10 +379,11 @@ class CartService {
             throw new Error('Carrinho não encontrado');
         }
 
+        // O uso do cupom só é contabilizado quando o pedido é finalizado
         const success = cart.applyCoupon(coupon);
         if (success) {
-            coupon.apply();
             await this.saveCarts();
+            await this.recordCommand(cartId, 'coupon_apply', { coupon: coupon.toJSON() }, `Aplicar cupom ${coupon.code}`);
         }
         return success;
     }
@@ -237,13 +400,45 @@ class CartService {
             throw new Error('Carrinho não encontrado');
         }
 
+        const coupon = cart.appliedCoupons.find(c => c.code === couponCode);
         const success = cart.removeCoupon(couponCode);
         if (success) {
             await this.saveCarts();
+            await this.recordCommand(cartId, 'coupon_remove', { coupon: coupon.toJSON() }, `Remover cupom ${couponCode}`);
         }
         return success;
     }
 
+    /**
+     * Define quantas moedas de fidelidade usar como desconto no carrinho
+     * @param {string} cartId - ID do carrinho
+     * @param {number} coins - Quantidade de moedas (0 para não usar)
+     */
+    async setCoinsToRedeem(cartId, coins) {
+        const cart = this.getCart(cartId);
+        if (!cart) {
+            throw new Error('Carrinho não encontrado');
+        }
+
+        if (!Number.isInteger(coins) || coins < 0) {
+            throw new Error('Quantidade de moedas deve ser um inteiro maior ou igual a zero');
+        }
+
+        if (coins > 0) {
+            if (!this.coinService) {
+                throw new Error('Carteira de moedas indisponível');
+            }
+
+            const maxCoins = this.coinService.getMaxRedeemableCoins(cart);
+            if (coins > maxCoins) {
+                throw new Error(`Você pode usar no máximo ${maxCoins} moedas nesta compra`);
+            }
+        }
+
+        cart.setCoinsToRedeem(coins);
+        await this.saveCarts();
+    }
+
     /**
      * Define endereço de entrega
      * @param {string} cartId - ID do carrinho
@@ -255,67 +450,695 @@ class CartService {
             throw new Error('Carrinho não encontrado');
         }
 
+        const previousAddress = cart.shippingAddress;
         cart.setShippingAddress(address);
         await this.saveCarts();
+        await this.recordCommand(cartId, 'shipping',
+            { field: 'shippingAddress', from: previousAddress, to: address },
+            'Alterar endereço de entrega');
     }
 
     /**
      * Define custo do frete
      * @param {string} cartId - ID do carrinho
      * @param {number} cost - Custo do frete
+     * @param {string} shopId - ID da loja cujo frete está sendo definido (opcional)
      */
-    async setShippingCost(cartId, cost) {
+    async setShippingCost(cartId, cost, shopId = null) {
         const cart = this.getCart(cartId);
         if (!cart) {
             throw new Error('Carrinho não encontrado');
         }
 
-        cart.setShippingCost(cost);
+        const previousCost = shopId ? (cart.shippingByShop[shopId] || 0) : cart.shippingCost;
+        cart.setShippingCost(cost, shopId);
         await this.saveCarts();
+        await this.recordCommand(cartId, 'shipping',
+            { field: 'shippingCost', shopId, from: previousCost, to: shopId ? cart.shippingByShop[shopId] : cart.shippingCost },
+            shopId ? `Alterar frete de ${this.getShopName(shopId)}` : 'Alterar frete');
+    }
+
+    /**
+     * Obtém o nome de exibição de uma loja
+     * @param {string} shopId - ID da loja
+     * @returns {string} Nome da loja (ou o próprio ID, sem serviço de lojas)
+     */
+    getShopName(shopId) {
+        return this.shopService ? this.shopService.getShopName(shopId) : shopId;
+    }
+
+    /**
+     * Registra uma alteração do carrinho no histórico de desfazer
+     * @param {string} cartId - ID do carrinho
+     * @param {string} type - Tipo da alteração
+     * @param {Object} data - Estados anterior e posterior
+     * @param {string} description - Descrição exibida ao usuário
+     */
+    async recordCommand(cartId, type, data, description) {
+        // Alterações feitas ao desfazer/refazer movem o comando entre as pilhas em vez de gerar outro
+        if (!this.historyService || this.replayingHistory) return;
+
+        await this.historyService.record(new CartCommand(cartId, type, data, description));
+    }
+
+    /**
+     * Apaga o histórico de desfazer/refazer de um carrinho
+     * @param {string} cartId - ID do carrinho
+     */
+    async clearCartHistory(cartId) {
+        if (this.historyService) {
+            await this.historyService.clearHistory(cartId);
+        }
+    }
+
+    /**
+     * Obtém a alteração que seria desfeita
+     * @param {string} cartId - ID do carrinho
+     * @returns {CartCommand|null} Alteração ou null
+     */
+    getUndoCommand(cartId) {
+        return this.historyService ? this.historyService.getLastUndo(cartId) : null;
+    }
+
+    /**
+     * Obtém a alteração que seria refeita
+     * @param {string} cartId - ID do carrinho
+     * @returns {CartCommand|null} Alteração ou null
+     */
+    getRedoCommand(cartId) {
+        return this.historyService ? this.historyService.getLastRedo(cartId) : null;
+    }
+
+    /**
+     * Desfaz a última alteração do carrinho
+     * @param {string} cartId - ID do carrinho
+     * @returns {CartCommand} Alteração desfeita
+     */
+    async undo(cartId) {
+        const command = this.getUndoCommand(cartId);
+        if (!command) {
+            throw new Error('Não há alterações para desfazer');
+        }
+
+        await this.replayCommand(command, 'from');
+        await this.historyService.markUndone(cartId);
+        return command;
+    }
+
+    /**
+     * Refaz a última alteração desfeita do carrinho, verificando o estoque
+     * @param {string} cartId - ID do carrinho
+     * @returns {CartCommand} Alteração refeita
+     */
+    async redo(cartId) {
+        const command = this.getRedoCommand(cartId);
+        if (!command) {
+            throw new Error('Não há alterações para refazer');
+        }
+
+        await this.replayCommand(command, 'to');
+        await this.historyService.markRedone(cartId);
+        return command;
+    }
+
+    /**
+     * Leva o carrinho para o estado anterior ('from') ou posterior ('to') de
+     * uma alteração, passando pelas mesmas verificações de estoque e reserva
+     * das operações normais
+     * @param {CartCommand} command - Alteração
+     * @param {string} state - 'from' para desfazer ou 'to' para refazer
+     */
+    async replayCommand(command, state) {
+        const cart = this.getCart(command.cartId);
+        if (!cart) {
+            throw new Error('Carrinho não encontrado');
+        }
+
+        const { data } = command;
+        this.replayingHistory = true;
+
+        try {
+            switch (command.type) {
+                case 'item_quantity':
+                    await this.setItemQuantity(cart, data.productId, data[state], data.variantSku || null);
+                    break;
+                case 'clear':
+                    if (state === 'to') {
+                        await this.clearCart(cart.id);
+                        break;
+                    }
+                    // Confere todo o estoque antes de devolver qualquer item
+                    for (const { productId, quantity, variantSku } of data.items) {
+                        this.assertItemAvailable(cart, productId, quantity, variantSku || null);
+                    }
+                    for (const { productId, quantity, variantSku } of data.items) {
+                        await this.setItemQuantity(cart, productId, quantity, variantSku || null);
+                    }
+                    for (const couponData of data.coupons) {
+                        await this.applyCouponToCart(cart.id, this.resolveCoupon(couponData));
+                    }
+                    break;
+                case 'coupon_apply':
+                case 'coupon_remove': {
+                    const shouldApply = (command.type === 'coupon_apply') === (state === 'to');
+                    if (shouldApply) {
+                        if (!await this.applyCouponToCart(cart.id, this.resolveCoupon(data.coupon))) {
+                            throw new Error(`Cupom ${data.coupon.code} não pode mais ser aplicado`);
+                        }
+                    } else {
+                        await this.removeCouponFromCart(cart.id, data.coupon.code);
+                    }
+                    break;
+                }
+                case 'shipping':
+                    if (data.field === 'shippingAddress') {
+                        await this.setShippingAddress(cart.id, data[state]);
+                    } else {
+                        await this.setShippingCost(cart.id, data[state], data.shopId || null);
+                    }
+                    break;
+                default:
+                    throw new Error(`Tipo de alteração desconhecido: ${command.type}`);
+            }
+        } finally {
+            this.replayingHistory = false;
+        }
+    }
+
+    /**
+     * Deixa um item do carrinho com a quantidade informada (0 remove o item)
+     * @param {ShoppingCart} cart - Carrinho
+     * @param {string} productId - ID do produto
+     * @param {number} quantity - Quantidade desejada
+     * @param {string} variantSku - SKU da variação (opcional)
+     */
+    async setItemQuantity(cart, productId, quantity, variantSku = null) {
+        const item = cart.getItem(productId, variantSku);
+        const currentQuantity = item ? item.quantity : 0;
+        if (quantity === currentQuantity) return;
+
+        if (quantity <= 0) {
+            await this.removeProductFromCart(cart.id, productId, variantSku);
+            return;
+        }
+
+        this.assertItemAvailable(cart, productId, quantity, variantSku);
+        if (item) {
+            await this.updateProductQuantity(cart.id, productId, quantity, variantSku);
+        } else {
+            await this.addProductToCart(cart.id, productId, quantity, variantSku);
+        }
+    }
+
+    /**
+     * Garante que o carrinho pode ter a quantidade informada de um produto
+     * @param {ShoppingCart} cart - Carrinho
+     * @param {string} productId - ID do produto
+     * @param {number} quantity - Quantidade desejada
+     * @param {string} variantSku - SKU da variação (opcional)
+     */
+    assertItemAvailable(cart, productId, quantity, variantSku = null) {
+        const product = this.productService.getProductById(productId);
+        if (!product || (variantSku && !product.getVariant(variantSku))) {
+            throw new Error('Produto não está mais à venda');
+        }
+
+        const available = this.reservationService
+            ? this.reservationService.getAvailableStock(productId, cart.id, variantSku)
+            : product.getStock(variantSku);
+        if (quantity > available) {
+            throw new Error(`Estoque insuficiente para ${product.getDisplayName(variantSku)}. Disponível: ${available}`);
+        }
+    }
+
+    /**
+     * Garante que o dono do carrinho pode levar a quantidade informada de um
+     * produto em oferta relâmpago, somando todas as variações do produto
+     * @param {ShoppingCart} cart - Carrinho
+     * @param {Product} product - Produto
+     * @param {number} quantity - Quantidade desejada do item
+     * @param {string} variantSku - SKU da variação do item (opcional)
+     */
+    assertFlashSaleLimit(cart, product, quantity, variantSku = null) {
+        const flashSale = product.getLiveFlashSale();
+        if (!flashSale) return;
+
+        const otherVariants = cart.items
+            .filter(item => item.product.id === product.id && item.getVariantSku() !== (variantSku || null))
+            .reduce((total, item) => total + item.quantity, 0);
+        const allowed = flashSale.getRemainingForUser(cart.userId);
+
+        if (otherVariants + quantity > allowed) {
+            throw new Error(`Oferta relâmpago de ${product.name}: você pode levar até ${allowed} ` +
+                `${allowed === 1 ? 'unidade' : 'unidades'} (limite de ${flashSale.perUserLimit} por cliente, ` +
+                `${flashSale.getRemainingQuota()} restantes na oferta)`);
+        }
+    }
+
+    /**
+     * Soma as unidades de cada produto em oferta relâmpago no carrinho
+     * @param {ShoppingCart} cart - Carrinho
+     * @returns {Map<string, number>} Unidades por ID do produto
+     */
+    getFlashSaleQuantities(cart) {
+        const quantities = new Map();
+        for (const item of cart.items) {
+            if (item.product.isOnFlashSale()) {
+                quantities.set(item.product.id, (quantities.get(item.product.id) || 0) + item.quantity);
+            }
+        }
+        return quantities;
+    }
+
+    /**
+     * Obtém o cupom atual a partir dos dados guardados no histórico
+     * @param {Object} couponData - Dados do cupom
+     * @returns {Coupon} Cupom
+     */
+    resolveCoupon(couponData) {
+        const coupon = this.discountService ? this.discountService.getCouponByCode(couponData.code) : null;
+        return coupon || Coupon.fromJSON(couponData);
+    }
+
+    /**
+     * Lista os itens do carrinho cujo preço mudou desde que foram adicionados
+     * @param {string} cartId - ID do carrinho
+     * @returns {Array<Object>} Mudanças de preço
+     */
+    getPriceChanges(cartId) {
+        const cart = this.getCart(cartId);
+        if (!cart) {
+            throw new Error('Carrinho não encontrado');
+        }
+
+        return cart.getPriceChanges();
+    }
+
+    /**
+     * Confirma os preços atuais dos itens do carrinho, liberando o checkout
+     * @param {string} cartId - ID do carrinho
+     * @returns {number} Quantidade de itens cujo preço foi confirmado
+     */
+    async acknowledgePriceChanges(cartId) {
+        const cart = this.getCart(cartId);
+        if (!cart) {
+            throw new Error('Carrinho não encontrado');
+        }
+
+        const acknowledged = cart.acknowledgePriceChanges();
+        if (acknowledged > 0) {
+            await this.saveCarts();
+        }
+        return acknowledged;
+    }
+
+    /**
+     * Gera a chave de idempotência do checkout de um carrinho
+     *
+     * A chave depende do carrinho, do seu conteúdo e da chave do checkout
+     * anterior, então repetir a mesma tentativa gera a mesma chave, mas uma
+     * nova compra com os mesmos itens gera uma chave nova. Depois do checkout
+     * o carrinho fica vazio e a chave volta a ser a do checkout concluído,
+     * para que a repetição encontre o pedido já criado.
+     * @param {ShoppingCart} cart - Carrinho
+     * @returns {string} Chave de idempotência
+     */
+    getCheckoutKey(cart) {
+        if (cart.isEmpty() && cart.lastCheckoutKey) {
+            return cart.lastCheckoutKey;
+        }
+
+        const contents = {
+            cartId: cart.id,
+            previousKey: cart.lastCheckoutKey,
+            items: cart.items
+                .map(item => [item.getKey(), item.quantity, item.getFinalUnitPrice()])
+                .sort((a, b) => a[0].localeCompare(b[0])),
+            coupons: cart.appliedCoupons.map(coupon => coupon.code).sort(),
+            shippingCost: cart.shippingCost
+        };
+
+        return crypto.createHash('sha256').update(JSON.stringify(contents)).digest('hex').slice(0, 32);
+    }
+
+    /**
+     * Obtém o pedido de uma tentativa de checkout já concluída
+     * @param {string} key - Chave de idempotência
+     * @returns {Order|null} Pedido já criado ou null se a chave ainda não foi usada
+     */
+    getReplayedOrder(key) {
+        const attempt = this.checkoutAttemptService.getAttempt(key);
+        if (!attempt) return null;
+
+        if (attempt.isInProgress()) {
+            throw new Error('Este checkout já está em andamento');
+        }
+
+        if (attempt.status === 'completed') {
+            return this.orderService ? this.orderService.getOrderById(attempt.orderId) : null;
+        }
+
+        return null;
     }
 
     /**
      * Finaliza a compra processando o carrinho
+     *
+     * O checkout é tudo-ou-nada: todos os itens são verificados antes de
+     * qualquer alteração, e se uma etapa posterior falhar (baixa de estoque,
+     * gravação do pedido, cota das ofertas relâmpago, uso dos cupons e das
+     * moedas ou gravação do carrinho) tudo o que já foi feito é desfeito.
+     *
+     * Repetir o checkout com a chave de uma tentativa concluída devolve o
+     * pedido já criado, sem baixar o estoque de novo.
      * @param {string} cartId - ID do carrinho
-     * @returns {Object} Resumo da compra
+     * @param {string} idempotencyKey - Chave da tentativa (opcional, gerada a partir do carrinho)
+     * @returns {Order} Pedido criado
      */
-    async checkout(cartId) {
+    async checkout(cartId, idempotencyKey = null) {
+        if (idempotencyKey && this.checkoutAttemptService) {
+            const replayedOrder = this.getReplayedOrder(idempotencyKey);
+            if (replayedOrder) return replayedOrder;
+        }
+
         const cart = this.getCart(cartId);
         if (!cart) {
             throw new Error('Carrinho não encontrado');
         }
 
+        const key = idempotencyKey || this.getCheckoutKey(cart);
+        if (!idempotencyKey && this.checkoutAttemptService) {
+            const replayedOrder = this.getReplayedOrder(key);
+            if (replayedOrder) return replayedOrder;
+        }
+
         const validation = cart.validate();
         if (!validation.isValid) {
             throw new Error(`Carrinho inválido: ${validation.errors.join(', ')}`);
         }
 
-        // Reduzir estoque dos produtos
-        for (const item of cart.items) {
-            const success = await this.productService.reduceStock(item.product.id, item.quantity);
-            if (!success) {
-                throw new Error(`Falha ao processar estoque do produto: ${item.product.name}`);
+        if (cart.hasPriceIncreases()) {
+            throw new Error('O preço de alguns itens subiu desde que foram adicionados. Confirme os novos preços antes de finalizar');
+        }
+
+        // 1. Verificar todos os itens antes de alterar qualquer estoque
+        const unavailable = cart.items.filter(item => !this.isItemAvailable(cart, item));
+        if (unavailable.length > 0) {
+            const names = unavailable.map(item => item.getName()).join(', ');
+            throw new Error(`Estoque insuficiente para: ${names}`);
+        }
+
+        for (const productId of this.getFlashSaleQuantities(cart).keys()) {
+            const item = cart.items.find(cartItem => cartItem.product.id === productId);
+            this.assertFlashSaleLimit(cart, item.product, item.quantity, item.getVariantSku());
+        }
+
+        if (this.discountService) {
+            for (const coupon of cart.appliedCoupons) {
+                const couponValidation = this.discountService.validateCoupon(coupon.code, cart.getSubtotal(), cart.userId, cart);
+                if (!couponValidation.isValid) {
+                    throw new Error(`Cupom ${coupon.code}: ${couponValidation.error}`);
+                }
             }
         }
 
-        // Criar resumo da compra
-        const orderSummary = {
-            orderId: `ORD-${Date.now()}`,
-            cartId: cart.id,
-            userId: cart.userId,
-            items: cart.items.map(item => item.toJSON()),
-            financialSummary: cart.getFinancialSummary(),
-            shippingAddress: cart.shippingAddress,
-            appliedCoupons: cart.appliedCoupons,
-            processedAt: new Date(),
-            status: 'confirmed'
-        };
+        const coins = cart.getRedeemedCoins();
+        if (coins > 0 && this.coinService && this.coinService.getBalance(cart.userId) < coins) {
+            throw new Error('Saldo de moedas insuficiente para o desconto escolhido');
+        }
 
-        // Limpar carrinho após checkout
-        cart.clear();
-        await this.saveCarts();
+        const attempt = this.checkoutAttemptService ?
+            await this.checkoutAttemptService.startAttempt(key, cart) :
+            null;
+
+        // Ações de desfazer, executadas em ordem inversa em caso de falha
+        const rollbackActions = [];
+
+        try {
+            // 2. Reservar o estoque de cada item
+            for (const item of cart.items) {
+                const variantSku = item.getVariantSku();
+                const success = await this.productService.reduceStock(item.product.id, item.quantity, variantSku);
+                if (!success) {
+                    throw new Error(`Falha ao processar estoque do produto: ${item.getName()}`);
+                }
+                rollbackActions.push(() => this.productService.increaseStock(item.product.id, item.quantity, variantSku));
+                await this.recordCheckoutStep(attempt, a => a.recordStockReduced(item.product.id, item.quantity, variantSku));
+            }
+
+            // 3. Registrar o pedido no histórico
+            const order = Order.fromCart(cart, product => this.productService.getBundleComponents(product), shopId => this.getShopName(shopId));
+            if (this.orderService) {
+                // O ID é registrado antes da gravação para que um pedido gravado nunca fique sem dono
+                await this.recordCheckoutStep(attempt, a => a.recordOrder(order.id));
+                await this.orderService.createOrder(order);
+                rollbackActions.push(() => this.orderService.removeOrder(order.id));
+            }
+
+            // 4. Registrar as unidades vendidas nas ofertas relâmpago
+            // (cada produto é gravado à parte, então o desfazer vem antes do primeiro registro)
+            rollbackActions.push(() => this.productService.revertFlashSalePurchases(order.id));
+            for (const [productId, quantity] of this.getFlashSaleQuantities(cart)) {
+                await this.recordCheckoutFlashSale(cart, productId, quantity, order.id, attempt);
+            }
+
+            // 5. Registrar o uso dos cupons pelo usuário neste pedido
+            if (this.discountService) {
+                for (const coupon of cart.appliedCoupons) {
+                    await this.redeemCheckoutCoupon(cart, coupon.code, order.id, attempt);
+                    rollbackActions.push(() => this.discountService.revertCoupon(coupon.code, order.id));
+                }
+            }
+
+            // 6. Debitar as moedas usadas como desconto
+            if (this.coinService && order.coinsRedeemed > 0) {
+                await this.redeemCheckoutCoins(order, attempt);
+                rollbackActions.push(() => this.coinService.reverseOrder(order.id));
+            }
+
+            // 7. Limpar carrinho após checkout
+            const previousItems = cart.items;
+            const previousCoupons = cart.appliedCoupons;
+            const previousCoins = cart.coinsToRedeem;
+            const previousKey = cart.lastCheckoutKey;
+            cart.clear();
+            cart.lastCheckoutKey = key;
+            rollbackActions.push(() => {
+                cart.items = previousItems;
+                cart.appliedCoupons = previousCoupons;
+                cart.coinsToRedeem = previousCoins;
+                cart.lastCheckoutKey = previousKey;
+            });
+            await this.saveCarts();
+
+            // 8. As reservas viraram baixa definitiva de estoque
+            if (this.reservationService) {
+                const released = await this.reservationService.releaseCart(cart.id);
+                rollbackActions.push(() => this.reservationService.restoreReservations(released));
+            }
+
+            await this.recordCheckoutStep(attempt, a => a.setStatus('completed'));
+            // Uma compra finalizada não pode ser desfeita pelo histórico do carrinho
+            await this.clearCartHistory(cart.id);
+            return order;
+        } catch (error) {
+            await this.rollbackCheckout(rollbackActions);
+            await this.recordCheckoutStep(attempt, a => a.setStatus('failed', error.message)).catch(() => {});
+            throw error;
+        }
+    }
+
+    /**
+     * Registra as unidades de um produto compradas na oferta relâmpago pelo checkout
+     * @param {ShoppingCart} cart - Carrinho do checkout
+     * @param {string} productId - ID do produto
+     * @param {number} quantity - Unidades compradas
+     * @param {string} orderId - ID do pedido
+     * @param {CheckoutAttempt|null} attempt - Tentativa de checkout
+     */
+    async recordCheckoutFlashSale(cart, productId, quantity, orderId, attempt) {
+        const recorded = await this.productService.recordFlashSalePurchase(productId, cart.userId, orderId, quantity);
+        if (!recorded) {
+            throw new Error(`Oferta relâmpago de ${this.productService.getProductById(productId).name} não está mais disponível`);
+        }
+        await this.recordCheckoutStep(attempt, a => a.recordFlashSalePurchase(productId));
+    }
+
+    /**
+     * Registra o uso de um cupom no pedido do checkout
+     * @param {ShoppingCart} cart - Carrinho do checkout
+     * @param {string} code - Código do cupom
+     * @param {string} orderId - ID do pedido
+     * @param {CheckoutAttempt|null} attempt - Tentativa de checkout
+     */
+    async redeemCheckoutCoupon(cart, code, orderId, attempt) {
+        const redeemed = await this.discountService.applyCoupon(code, cart.userId, orderId);
+        if (!redeemed) {
+            throw new Error(`Cupom ${code} não pode mais ser utilizado`);
+        }
+        await this.recordCheckoutStep(attempt, a => a.recordCoupon(code));
+    }
+
+    /**
+     * Debita as moedas usadas no pedido do checkout
+     * @param {Order} order - Pedido do checkout
+     * @param {CheckoutAttempt|null} attempt - Tentativa de checkout
+     */
+    async redeemCheckoutCoins(order, attempt) {
+        await this.coinService.redeem(order.userId, order.coinsRedeemed, order.id);
+        await this.recordCheckoutStep(attempt, a => a.recordCoins(order.coinsRedeemed));
+    }
+
+    /**
+     * Registra uma etapa concluída na tentativa de checkout e a persiste
+     * @param {CheckoutAttempt|null} attempt - Tentativa de checkout
+     * @param {Function} update - Alteração a aplicar na tentativa
+     */
+    async recordCheckoutStep(attempt, update) {
+        if (!attempt) return;
+
+        update(attempt);
+        await this.checkoutAttemptService.saveAttempts();
+    }
+
+    /**
+     * Lista os checkouts que foram interrompidos antes de terminar
+     * @returns {Array<CheckoutAttempt>} Tentativas pendentes
+     */
+    getInterruptedCheckouts() {
+        return this.checkoutAttemptService ? this.checkoutAttemptService.getPendingAttempts() : [];
+    }
+
+    /**
+     * Obtém uma tentativa de checkout interrompida
+     * @param {string} key - Chave de idempotência
+     * @returns {CheckoutAttempt} Tentativa pendente
+     */
+    getInterruptedCheckout(key) {
+        const attempt = this.checkoutAttemptService ? this.checkoutAttemptService.getAttempt(key) : null;
+        if (!attempt || !attempt.isInProgress()) {
+            throw new Error('Checkout interrompido não encontrado');
+        }
+        return attempt;
+    }
 
-        return orderSummary;
+    /**
+     * Desfaz as etapas registradas de uma tentativa interrompida
+     * @param {CheckoutAttempt} attempt - Tentativa interrompida
+     */
+    async undoCheckoutAttempt(attempt) {
+        const order = attempt.orderId && this.orderService ? this.orderService.getOrderById(attempt.orderId) : null;
+        if (order) {
+            await this.productService.revertFlashSalePurchases(order.id);
+            if (this.discountService) {
+                await this.discountService.revertOrderRedemptions(order.id);
+            }
+            if (this.coinService) {
+                await this.coinService.reverseOrder(order.id);
+            }
+            await this.orderService.removeOrder(order.id);
+        }
+
+        for (const { productId, quantity, variantSku } of attempt.stockReduced) {
+            if (this.productService.getProductById(productId)) {
+                await this.productService.increaseStock(productId, quantity, variantSku || null);
+            }
+        }
+    }
+
+    /**
+     * Abandona um checkout interrompido, desfazendo o que já tinha sido feito
+     * (estoque, pedido, ofertas relâmpago, cupons e moedas). O carrinho continua com os itens.
+     * @param {string} key - Chave de idempotência
+     * @returns {CheckoutAttempt} Tentativa abandonada
+     */
+    async abandonCheckout(key) {
+        const attempt = this.getInterruptedCheckout(key);
+
+        await this.undoCheckoutAttempt(attempt);
+        await this.recordCheckoutStep(attempt, a => a.setStatus('abandoned', 'Checkout interrompido e abandonado'));
+        return attempt;
+    }
+
+    /**
+     * Retoma um checkout interrompido
+     *
+     * Se o pedido já tinha sido gravado, apenas as etapas restantes são
+     * concluídas; caso contrário, o que foi feito é desfeito e o checkout
+     * é executado novamente com a mesma chave.
+     * @param {string} key - Chave de idempotência
+     * @returns {Order} Pedido do checkout
+     */
+    async resumeCheckout(key) {
+        const attempt = this.getInterruptedCheckout(key);
+        const order = attempt.orderId && this.orderService ? this.orderService.getOrderById(attempt.orderId) : null;
+
+        if (!order) {
+            await this.undoCheckoutAttempt(attempt);
+            await this.recordCheckoutStep(attempt, a => a.setStatus('abandoned', 'Checkout reiniciado'));
+            return this.checkout(attempt.cartId, key);
+        }
+
+        const cart = this.getCart(attempt.cartId);
+        if (cart) {
+            for (const [productId, quantity] of this.getFlashSaleQuantities(cart)) {
+                if (!attempt.flashSalePurchases.includes(productId)) {
+                    await this.recordCheckoutFlashSale(cart, productId, quantity, order.id, attempt);
+                }
+            }
+            if (this.discountService) {
+                for (const coupon of order.appliedCoupons) {
+                    if (!attempt.redeemedCoupons.includes(coupon.code)) {
+                        await this.redeemCheckoutCoupon(cart, coupon.code, order.id, attempt);
+                    }
+                }
+            }
+            if (this.coinService && order.coinsRedeemed > 0 && attempt.coinsRedeemed === 0) {
+                await this.redeemCheckoutCoins(order, attempt);
+            }
+
+            cart.clear();
+            cart.lastCheckoutKey = attempt.key;
+            await this.saveCarts();
+            await this.clearCartHistory(cart.id);
+        }
+
+        if (this.reservationService) {
+            await this.reservationService.releaseCart(attempt.cartId);
+        }
+
+        await this.recordCheckoutStep(attempt, a => a.setStatus('completed'));
+        return order;
+    }
+
+    /**
+     * Verifica se um item do carrinho pode ser comprado, descontando do
+     * estoque as reservas ativas de outros carrinhos
+     * @param {ShoppingCart} cart - Carrinho
+     * @param {CartItem} item - Item do carrinho
+     * @returns {boolean} True se há estoque para o item
+     */
+    isItemAvailable(cart, item) {
+        const variantSku = item.getVariantSku();
+        if (this.reservationService) {
+            return this.reservationService.getAvailableStock(item.product.id, cart.id, variantSku) >= item.quantity;
+        }
+        return this.productService.checkStock(item.product.id, item.quantity, variantSku);
+    }
+
+    /**
+     * Desfaz as etapas já concluídas de um checkout que falhou
+     * @param {Array<Function>} rollbackActions - Ações de desfazer na ordem em que foram registradas
+     */
+    async rollbackCheckout(rollbackActions) {
+        for (const action of rollbackActions.reverse()) {
+            try {
+                await action();
+            } catch (error) {
+                // Continua desfazendo as demais etapas mesmo que uma falhe
+                console.error('Erro ao desfazer etapa do checkout:', error.message);
+            }
+        }
     }
 
     /**
@@ -362,11 +1185,334 @@ class CartService {
     async removeCart(cartId) {
         const deleted = this.carts.delete(cartId);
         if (deleted) {
+            if (this.reservationService) {
+                await this.reservationService.releaseCart(cartId);
+            }
             await this.saveCarts();
+            await this.clearCartHistory(cartId);
         }
         return deleted;
     }
 
+    /**
+     * Junta o carrinho de visitante ao carrinho do usuário que acabou de se
+     * identificar
+     *
+     * As quantidades são somadas e limitadas ao estoque disponível e ao
+     * máximo por item; os cupons repetidos são descartados e todos os cupons
+     * são validados de novo com o subtotal resultante. Se o usuário ainda
+     * não tem carrinho, o carrinho de visitante passa a ser dele.
+     * @param {string} guestCartId - ID do carrinho de visitante
+     * @param {string} userId - ID do usuário identificado
+     * @returns {Object} Carrinho resultante e relatório dos ajustes
+     */
+    async mergeGuestCart(guestCartId, userId) {
+        const guestCart = this.getCart(guestCartId);
+        if (!guestCart) {
+            throw new Error('Carrinho não encontrado');
+        }
+
+        const report = {
+            mergedItems: [],
+            adjustedItems: [],
+            droppedItems: [],
+            droppedCoupons: []
+        };
+
+        const userCart = this.getCartByUser(userId);
+        if (!userCart || userCart.id === guestCartId) {
+            guestCart.userId = userId;
+            guestCart.updatedAt = new Date();
+            await this.saveCarts();
+            return { cart: guestCart, report };
+        }
+
+        // As reservas do visitante são liberadas antes para que o estoque
+        // que ele segurava possa ser reaproveitado pelo carrinho do usuário
+        if (this.reservationService) {
+            await this.reservationService.releaseCart(guestCartId);
+        }
+
+        const maxQuantityPerItem = config.get('cart.maxQuantityPerItem');
+
+        for (const guestItem of guestCart.items) {
+            const product = this.productService.getProductById(guestItem.product.id);
+            const variantSku = guestItem.getVariantSku();
+            const requested = guestItem.quantity;
+            if (!product || (variantSku && !product.getVariant(variantSku))) {
+                report.droppedItems.push({ name: guestItem.getName(), requested, reason: 'Produto não está mais à venda' });
+                continue;
+            }
+
+            const name = product.getDisplayName(variantSku);
+            const existingItem = userCart.getItem(product.id, variantSku);
+            const currentQuantity = existingItem ? existingItem.quantity : 0;
+            const available = this.reservationService
+                ? this.reservationService.getAvailableStock(product.id, userCart.id, variantSku)
+                : product.getStock(variantSku);
+            const limit = Math.min(available, maxQuantityPerItem);
+            const quantity = Math.min(requested, limit - currentQuantity);
+            const limitReason = maxQuantityPerItem < available
+                ? `Limite de ${maxQuantityPerItem} unidades por item`
+                : `Estoque disponível: ${available}`;
+
+            if (quantity <= 0) {
+                report.droppedItems.push({ name, requested, reason: limitReason });
+                continue;
+            }
+
+            const limits = userCart.checkItemLimits(product.id, currentQuantity + quantity, variantSku);
+            if (!limits.isValid) {
+                report.droppedItems.push({ name, requested, reason: limits.error });
+                continue;
+            }
+
+            const success = existingItem
+                ? existingItem.combineWith(new CartItem(product, quantity, product.getVariant(variantSku)))
+                : userCart.addProduct(product, quantity, variantSku);
+            if (!success) {
+                report.droppedItems.push({ name, requested, reason: 'Sem estoque disponível' });
+                continue;
+            }
+
+            if (this.reservationService) {
+                await this.reservationService.reserve(userCart.id, product.id, currentQuantity + quantity, variantSku);
+            }
+
+            report.mergedItems.push({ name, quantity });
+            if (quantity < requested) {
+                report.adjustedItems.push({ name, requested, quantity, reason: limitReason });
+            }
+        }
+
+        const coupons = [...userCart.appliedCoupons];
+        for (const coupon of guestCart.appliedCoupons) {
+            if (coupons.some(c => c.code === coupon.code)) {
+                report.droppedCoupons.push({ code: coupon.code, reason: 'Cupom já aplicado no carrinho' });
+            } else {
+                coupons.push(coupon);
+            }
+        }
+
+        userCart.appliedCoupons = [];
+        for (const coupon of coupons) {
+            const error = this.getCouponError(userCart, coupon, userId);
+            if (error) {
+                report.droppedCoupons.push({ code: coupon.code, reason: error });
+            } else {
+                userCart.appliedCoupons.push(coupon);
+            }
+        }
+
+        userCart.updatedAt = new Date();
+        this.carts.delete(guestCartId);
+        await this.saveCarts();
+        // As alterações antigas guardam quantidades anteriores à junção e não podem mais ser desfeitas
+        await this.clearCartHistory(guestCartId);
+        await this.clearCartHistory(userCart.id);
+
+        return { cart: userCart, report };
+    }
+
+    /**
+     * Verifica se um cupom continua valendo para o subtotal atual do carrinho
+     * @param {ShoppingCart} cart - Carrinho
+     * @param {Coupon} coupon - Cupom aplicado
+     * @param {string} userId - ID do usuário
+     * @returns {string|null} Motivo pelo qual o cupom não vale ou null
+     */
+    getCouponError(cart, coupon, userId) {
+        if (this.discountService) {
+            const validation = this.discountService.validateCoupon(coupon.code, cart.getSubtotal(), userId, cart);
+            return validation.isValid ? null : validation.error;
+        }
+
+        if (!coupon.isValid()) {
+            return 'Cupom expirado ou inativo';
+        }
+
+        const scope = cart.checkCouponScope(coupon);
+        if (!scope.isValid) {
+            return scope.error;
+        }
+        const eligibility = coupon.checkEligibility(cart.items);
+        if (!eligibility.isValid) {
+            return eligibility.error;
+        }
+        if (coupon.minimumAmount && cart.getCouponSubtotal(coupon) < coupon.minimumAmount) {
+            return `Valor mínimo de R$ ${coupon.minimumAmount.toFixed(2)} não atingido`;
+        }
+        return null;
+    }
+
+    /**
+     * Obtém os dados compartilháveis de um carrinho (sem preços)
+     * @param {string} cartId - ID do carrinho
+     * @returns {Object} Itens e códigos de cupons do carrinho
+     */
+    getShareData(cartId) {
+        const cart = this.getCart(cartId);
+        if (!cart) {
+            throw new Error('Carrinho não encontrado');
+        }
+
+        if (cart.isEmpty()) {
+            throw new Error('Carrinho vazio não pode ser compartilhado');
+        }
+
+        return {
+            items: cart.items.map(item => ({
+                productId: item.product.id,
+                variantSku: item.getVariantSku(),
+                name: item.getName(),
+                quantity: item.quantity
+            })),
+            coupons: cart.appliedCoupons.map(coupon => coupon.code)
+        };
+    }
+
+    /**
+     * Gera o código de compartilhamento de um carrinho
+     * @param {string} cartId - ID do carrinho
+     * @returns {string} Código de compartilhamento
+     */
+    getShareCode(cartId) {
+        return CartShareUtils.encode(this.getShareData(cartId));
+    }
+
+    /**
+     * Exporta um carrinho para um arquivo JSON
+     * @param {string} cartId - ID do carrinho
+     * @returns {string} Caminho do arquivo gerado
+     */
+    async exportCartToFile(cartId) {
+        const fileData = CartShareUtils.toFileData(this.getShareData(cartId));
+
+        const filePath = path.join(this.exportDir, `carrinho-${cartId}.json`);
+        await fs.ensureDir(this.exportDir);
+        await fs.writeJSON(filePath, fileData, { spaces: 2 });
+
+        return filePath;
+    }
+
+    /**
+     * Importa um carrinho compartilhado por código para o carrinho informado
+     * @param {string} cartId - ID do carrinho de destino
+     * @param {string} code - Código de compartilhamento
+     * @returns {Object} Relatório da importação
+     */
+    async importShareCode(cartId, code) {
+        const shared = CartShareUtils.decode(code);
+        if (!shared.isValid) {
+            throw new Error(`Código de compartilhamento inválido: ${shared.error}`);
+        }
+
+        return this.importSharedCart(cartId, shared);
+    }
+
+    /**
+     * Importa um carrinho exportado em arquivo JSON para o carrinho informado
+     * @param {string} cartId - ID do carrinho de destino
+     * @param {string} filePath - Caminho do arquivo
+     * @returns {Object} Relatório da importação
+     */
+    async importCartFromFile(cartId, filePath) {
+        let fileData;
+        try {
+            fileData = await fs.readJSON(filePath);
+        } catch (error) {
+            throw new Error(error.code === 'ENOENT' ? 'Arquivo não encontrado' : 'Arquivo não é um JSON válido');
+        }
+
+        const shared = CartShareUtils.fromFileData(fileData);
+        if (!shared.isValid) {
+            throw new Error(`Arquivo inválido: ${shared.error}`);
+        }
+
+        return this.importSharedCart(cartId, shared);
+    }
+
+    /**
+     * Adiciona ao carrinho os itens e cupons de um carrinho compartilhado
+     *
+     * Cada produto é buscado de novo no catálogo, com preço e estoque atuais;
+     * itens que não existem mais ou estão sem estoque são pulados e os
+     * demais são limitados ao que está disponível.
+     * @param {string} cartId - ID do carrinho de destino
+     * @param {Object} shared - Itens ({ productId, variantSku, quantity }) e cupons lidos
+     * @returns {Object} Relatório da importação
+     */
+    async importSharedCart(cartId, shared) {
+        const cart = this.getCart(cartId);
+        if (!cart) {
+            throw new Error('Carrinho não encontrado');
+        }
+
+        const report = {
+            mergedItems: [],
+            adjustedItems: [],
+            droppedItems: [],
+            droppedCoupons: []
+        };
+
+        for (const { productId, variantSku, quantity: requested } of shared.items) {
+            const product = this.productService.getProductById(productId);
+            if (!product) {
+                report.droppedItems.push({ name: productId, requested, reason: 'Produto não encontrado' });
+                continue;
+            }
+
+            const name = product.getDisplayName(variantSku);
+            if (variantSku ? !product.getVariant(variantSku) : product.hasVariants()) {
+                report.droppedItems.push({ name, requested, reason: 'Variação não encontrada' });
+                continue;
+            }
+
+            const existingItem = cart.getItem(productId, variantSku);
+            const currentQuantity = existingItem ? existingItem.quantity : 0;
+            const available = this.reservationService
+                ? this.reservationService.getAvailableStock(productId, cartId, variantSku)
+                : product.getStock(variantSku);
+            const quantity = Math.min(requested, available - currentQuantity);
+
+            if (quantity <= 0) {
+                report.droppedItems.push({ name, requested, reason: 'Sem estoque disponível' });
+                continue;
+            }
+
+            try {
+                await this.addProductToCart(cartId, productId, quantity, variantSku);
+            } catch (error) {
+                report.droppedItems.push({ name, requested, reason: error.message });
+                continue;
+            }
+
+            report.mergedItems.push({ name, quantity });
+            if (quantity < requested) {
+                report.adjustedItems.push({ name, requested, quantity, reason: `Estoque disponível: ${available}` });
+            }
+        }
+
+        for (const code of shared.coupons) {
+            const coupon = this.discountService ? this.discountService.getCouponByCode(code) : null;
+            if (!coupon) {
+                report.droppedCoupons.push({ code, reason: 'Cupom não encontrado' });
+                continue;
+            }
+
+            if (cart.appliedCoupons.some(c => c.code === coupon.code)) {
+                continue;
+            }
+
+            const error = this.getCouponError(cart, coupon, cart.userId);
+            if (error || !await this.applyCouponToCart(cartId, coupon)) {
+                report.droppedCoupons.push({ code, reason: error || 'Cupom não pode ser aplicado' });
+            }
+        }
+
+        return report;
+    }
+
     /**
      * Lista todos os carrinhos (para administração)
      * @returns {Array<ShoppingCart>} Lista de carrinhos
@@ -0,0 +1,105 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { CheckoutAttempt } = require('../models');
+
+/**
+ * Serviço que persiste as tentativas de checkout por chave de idempotência
+ */
+class CheckoutAttemptService {
+    constructor() {
+        this.attempts = new Map();
+        this.dataFile = path.join(__dirname, '../data/checkouts.json');
+        this.initialized = false;
+    }
+
+    /**
+     * Inicializa o serviço carregando tentativas do arquivo
+     */
+    async initialize() {
+        if (this.initialized) return;
+
+        try {
+            await this.loadAttempts();
+            this.initialized = true;
+        } catch (error) {
+            console.error('Erro ao inicializar CheckoutAttemptService:', error.message);
+            this.initialized = true;
+        }
+    }
+
+    /**
+     * Carrega tentativas do arquivo JSON
+     */
+    async loadAttempts() {
+        try {
+            const data = await fs.readJSON(this.dataFile);
+            this.attempts.clear();
+
+            for (const attemptData of data.attempts) {
+                const attempt = CheckoutAttempt.fromJSON(attemptData);
+                this.attempts.set(attempt.key, attempt);
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            // Arquivo não existe, isso é normal antes do primeiro checkout
+        }
+    }
+
+    /**
+     * Salva tentativas no arquivo JSON
+     */
+    async saveAttempts() {
+        try {
+            await fs.ensureDir(path.dirname(this.dataFile));
+
+            const data = {
+                attempts: Array.from(this.attempts.values()).map(attempt => attempt.toJSON()),
+                lastUpdated: new Date().toISOString()
+            };
+
+            await fs.writeJSON(this.dataFile, data, { spaces: 2 });
+        } catch (error) {
+            console.error('Erro ao salvar tentativas de checkout:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Obtém uma tentativa pela chave de idempotência
+     * @param {string} key - Chave de idempotência
+     * @returns {CheckoutAttempt|null} Tentativa encontrada ou null
+     */
+    getAttempt(key) {
+        return this.attempts.get(key) || null;
+    }
+
+    /**
+     * Registra o início de uma tentativa de checkout
+     * @param {string} key - Chave de idempotência
+     * @param {ShoppingCart} cart - Carrinho do checkout
+     * @returns {CheckoutAttempt} Tentativa iniciada
+     */
+    async startAttempt(key, cart) {
+        const existing = this.getAttempt(key);
+        if (existing && !existing.canRetry()) {
+            throw new Error('Já existe um checkout com esta chave');
+        }
+
+        const attempt = new CheckoutAttempt(key, cart.id, cart.userId);
+        this.attempts.set(key, attempt);
+        await this.saveAttempts();
+        return attempt;
+    }
+
+    /**
+     * Obtém as tentativas que ficaram em andamento (checkout interrompido)
+     * @returns {Array<CheckoutAttempt>} Tentativas pendentes
+     */
+    getPendingAttempts() {
+        return Array.from(this.attempts.values()).filter(attempt => attempt.isInProgress());
+    }
+}
+
+module.exports = CheckoutAttemptService;
@@ -0,0 +1,349 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { CoinEntry } = require('../models');
+const config = require('../utils/Config');
+
+/**
+ * Serviço da carteira de moedas de fidelidade
+ *
+ * O cliente ganha moedas sobre o valor pago em cada pedido confirmado e
+ * pode usá-las como desconto no checkout, até um limite do subtotal. Cada
+ * ganho vence após um prazo configurável (coins.expiryDays) e as moedas
+ * são usadas sempre das que vencem primeiro.
+ */
+class CoinService {
+    constructor() {
+        this.entries = new Map();
+        this.dataFile = path.join(__dirname, '../data/coins.json');
+        this.initialized = false;
+    }
+
+    /**
+     * Inicializa o serviço carregando o extrato e registrando as moedas vencidas
+     */
+    async initialize() {
+        if (this.initialized) return;
+
+        try {
+            await this.loadEntries();
+            await this.expireCoins();
+            this.initialized = true;
+        } catch (error) {
+            console.error('Erro ao inicializar CoinService:', error.message);
+            this.initialized = true;
+        }
+    }
+
+    /**
+     * Carrega os lançamentos do arquivo JSON
+     */
+    async loadEntries() {
+        try {
+            const data = await fs.readJSON(this.dataFile);
+            this.entries.clear();
+
+            for (const entryData of data.entries) {
+                const entry = CoinEntry.fromJSON(entryData);
+                this.entries.set(entry.id, entry);
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            // Arquivo não existe, isso é normal antes do primeiro ganho de moedas
+        }
+    }
+
+    /**
+     * Salva os lançamentos no arquivo JSON
+     */
+    async saveEntries() {
+        try {
+            await fs.ensureDir(path.dirname(this.dataFile));
+
+            const data = {
+                entries: Array.from(this.entries.values()).map(entry => entry.toJSON()),
+                lastUpdated: new Date().toISOString()
+            };
+
+            await fs.writeJSON(this.dataFile, data, { spaces: 2 });
+        } catch (error) {
+            console.error('Erro ao salvar moedas:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Obtém o extrato de um cliente
+     * @param {string} userId - ID do cliente
+     * @returns {Array<CoinEntry>} Lançamentos do mais antigo para o mais recente
+     */
+    getEntries(userId) {
+        return Array.from(this.entries.values())
+            .filter(entry => entry.userId === userId)
+            .sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    /**
+     * Obtém o saldo de moedas de um cliente
+     * @param {string} userId - ID do cliente
+     * @param {Date} date - Data de referência (moedas vencidas não contam)
+     * @returns {number} Moedas disponíveis
+     */
+    getBalance(userId, date = new Date()) {
+        return this.getEntries(userId).reduce((total, entry) => total + entry.getAvailable(date), 0);
+    }
+
+    /**
+     * Obtém as próximas moedas a vencer de um cliente
+     * @param {string} userId - ID do cliente
+     * @param {Date} date - Data de referência
+     * @returns {Object|null} Moedas e data do próximo vencimento ({ coins, expiresAt }) ou null
+     */
+    getNextExpiration(userId, date = new Date()) {
+        const next = this.getAvailableEarnings(userId, date)[0];
+        return next ? { coins: next.getAvailable(date), expiresAt: next.expiresAt } : null;
+    }
+
+    /**
+     * Obtém os ganhos de um cliente que ainda têm moedas disponíveis
+     * @param {string} userId - ID do cliente
+     * @param {Date} date - Data de referência
+     * @returns {Array<CoinEntry>} Ganhos, dos que vencem primeiro para os que vencem depois
+     */
+    getAvailableEarnings(userId, date = new Date()) {
+        return this.getEntries(userId)
+            .filter(entry => entry.getAvailable(date) > 0)
+            .sort((a, b) => a.expiresAt - b.expiresAt);
+    }
+
+    /**
+     * Converte moedas em reais
+     * @param {number} coins - Quantidade de moedas
+     * @returns {number} Valor em reais
+     */
+    coinsToAmount(coins) {
+        return Math.round(coins * config.get('coins.coinValue') * 100) / 100;
+    }
+
+    /**
+     * Calcula quantas moedas um valor pago rende
+     * @param {number} amountPaid - Valor pago
+     * @returns {number} Moedas ganhas
+     */
+    calculateEarnedCoins(amountPaid) {
+        const coinCents = Math.round(config.get('coins.coinValue') * 100);
+        return Math.max(0, Math.floor(Math.round(amountPaid * 100) * config.get('coins.earnPercentage') / 100 / coinCents));
+    }
+
+    /**
+     * Obtém quantas moedas o dono de um carrinho pode usar nele
+     * @param {ShoppingCart} cart - Carrinho
+     * @returns {number} Menor valor entre o saldo e o limite do carrinho
+     */
+    getMaxRedeemableCoins(cart) {
+        return Math.min(this.getBalance(cart.userId), cart.getCoinsLimit());
+    }
+
+    /**
+     * Busca um lançamento de um pedido
+     * @param {string} orderId - ID do pedido
+     * @param {string} type - Tipo do lançamento
+     * @param {Function} filter - Condição adicional (opcional)
+     * @returns {CoinEntry|null} Lançamento encontrado ou null
+     */
+    findOrderEntry(orderId, type, filter = () => true) {
+        return Array.from(this.entries.values())
+            .find(entry => entry.orderId === orderId && entry.type === type && filter(entry)) || null;
+    }
+
+    /**
+     * Registra um lançamento e salva o extrato
+     * @param {CoinEntry} entry - Lançamento
+     * @returns {CoinEntry} Lançamento registrado
+     */
+    async addEntry(entry) {
+        const validation = entry.validate();
+        if (!validation.isValid) {
+            throw new Error(`Lançamento de moedas inválido: ${validation.errors.join(', ')}`);
+        }
+
+        this.entries.set(entry.id, entry);
+        await this.saveEntries();
+        return entry;
+    }
+
+    /**
+     * Retira moedas dos ganhos disponíveis de um cliente
+     * @param {string} userId - ID do cliente
+     * @param {number} coins - Quantidade de moedas
+     * @param {string} preferredEntryId - Ganho de onde as moedas saem primeiro (opcional)
+     * @returns {Array<Object>} De quais ganhos as moedas saíram ({ entryId, coins })
+     */
+    consumeCoins(userId, coins, preferredEntryId = null) {
+        const earnings = this.getAvailableEarnings(userId)
+            .sort((a, b) => (b.id === preferredEntryId) - (a.id === preferredEntryId));
+        const allocations = [];
+        let missing = coins;
+
+        for (const earning of earnings) {
+            if (missing === 0) break;
+
+            const taken = Math.min(missing, earning.remaining);
+            earning.remaining -= taken;
+            missing -= taken;
+            allocations.push({ entryId: earning.id, coins: taken });
+        }
+
+        return allocations;
+    }
+
+    /**
+     * Credita as moedas ganhas em um pedido confirmado
+     *
+     * Um pedido rende moedas uma única vez, sobre o total pago.
+     * @param {Order} order - Pedido pago
+     * @returns {CoinEntry|null} Ganho registrado ou null se o pedido não rende moedas
+     */
+    async earnForOrder(order) {
+        if (this.findOrderEntry(order.id, 'earn')) {
+            return null;
+        }
+
+        const coins = this.calculateEarnedCoins(order.getTotal());
+        if (coins <= 0) {
+            return null;
+        }
+
+        const entry = new CoinEntry(order.userId, 'earn', coins, order.id, `Compra ${order.id}`);
+        entry.expiresAt = new Date(entry.createdAt.getTime() + config.get('coins.expiryDays') * 24 * 60 * 60 * 1000);
+        return this.addEntry(entry);
+    }
+
+    /**
+     * Usa moedas de um cliente como desconto em um pedido
+     * @param {string} userId - ID do cliente
+     * @param {number} coins - Quantidade de moedas
+     * @param {string} orderId - ID do pedido
+     * @returns {CoinEntry} Uso registrado
+     */
+    async redeem(userId, coins, orderId) {
+        if (!Number.isInteger(coins) || coins <= 0) {
+            throw new Error('Quantidade de moedas deve ser um inteiro maior que zero');
+        }
+
+        if (this.findOrderEntry(orderId, 'redeem')) {
+            throw new Error('Este pedido já usou moedas');
+        }
+
+        await this.expireCoins();
+        if (this.getBalance(userId) < coins) {
+            throw new Error('Saldo de moedas insuficiente');
+        }
+
+        const entry = new CoinEntry(userId, 'redeem', -coins, orderId, `Desconto no pedido ${orderId}`);
+        entry.allocations = this.consumeCoins(userId, coins);
+        return this.addEntry(entry);
+    }
+
+    /**
+     * Registra a expiração das moedas vencidas
+     * @param {Date} date - Data de referência
+     * @returns {number} Total de moedas expiradas
+     */
+    async expireCoins(date = new Date()) {
+        let expired = 0;
+
+        for (const earning of Array.from(this.entries.values())) {
+            if (!earning.isExpired(date) || earning.remaining <= 0) continue;
+
+            const entry = new CoinEntry(earning.userId, 'expire', -earning.remaining, earning.orderId,
+                `Moedas de ${earning.createdAt.toLocaleDateString('pt-BR')} vencidas`);
+            entry.allocations = [{ entryId: earning.id, coins: earning.remaining }];
+            expired += earning.remaining;
+            earning.remaining = 0;
+            this.entries.set(entry.id, entry);
+        }
+
+        if (expired > 0) {
+            await this.saveEntries();
+        }
+        return expired;
+    }
+
+    /**
+     * Estorna as moedas de um pedido cancelado
+     *
+     * As moedas usadas no pedido voltam para os ganhos de onde saíram, e as
+     * moedas ganhas com ele são retiradas do saldo. Se o cliente já gastou
+     * parte delas, só o que ainda está no saldo é retirado.
+     * @param {string} orderId - ID do pedido
+     * @returns {Array<CoinEntry>} Estornos registrados
+     */
+    async reverseOrder(orderId) {
+        const reversals = [];
+
+        const redemption = this.findOrderEntry(orderId, 'redeem');
+        if (redemption && !this.findOrderEntry(orderId, 'reversal', entry => entry.amount > 0)) {
+            for (const { entryId, coins } of redemption.allocations) {
+                const earning = this.entries.get(entryId);
+                if (earning) earning.remaining += coins;
+            }
+
+            const entry = new CoinEntry(redemption.userId, 'reversal', -redemption.amount, orderId, `Moedas devolvidas do pedido ${orderId}`);
+            entry.allocations = redemption.allocations.map(allocation => ({ ...allocation }));
+            reversals.push(entry);
+        }
+
+        const earning = this.findOrderEntry(orderId, 'earn');
+        if (earning && !this.findOrderEntry(orderId, 'reversal', entry => entry.amount < 0)) {
+            const coins = Math.min(earning.amount, this.getBalance(earning.userId));
+            if (coins > 0) {
+                const entry = new CoinEntry(earning.userId, 'reversal', -coins, orderId, `Moedas do pedido cancelado ${orderId}`);
+                entry.allocations = this.consumeCoins(earning.userId, coins, earning.id);
+                reversals.push(entry);
+            }
+        }
+
+        for (const entry of reversals) {
+            this.entries.set(entry.id, entry);
+        }
+        if (reversals.length > 0) {
+            await this.saveEntries();
+        }
+        return reversals;
+    }
+
+    /**
+     * Retira do saldo as moedas ganhas com os itens devolvidos de um pedido
+     *
+     * Cada devolução retira a parte das moedas proporcional ao total já
+     * reembolsado, e a devolução do pedido inteiro retira todas. Como no
+     * cancelamento, só sai o que ainda está no saldo.
+     * @param {Order} order - Pedido com as devoluções registradas
+     * @returns {CoinEntry|null} Estorno registrado ou null se não há moedas a retirar
+     */
+    async reverseReturnedCoins(order) {
+        const earning = this.findOrderEntry(order.id, 'earn');
+        if (!earning) {
+            return null;
+        }
+
+        const share = order.isFullyReturned() || order.getTotal() <= 0 ?
+            1 :
+            Math.min(1, order.getRefundedTotal() / order.getTotal());
+        const reversed = Array.from(this.entries.values())
+            .filter(entry => entry.orderId === order.id && entry.type === 'reversal' && entry.amount < 0)
+            .reduce((total, entry) => total - entry.amount, 0);
+        const coins = Math.min(Math.round(earning.amount * share) - reversed, this.getBalance(earning.userId));
+        if (coins <= 0) {
+            return null;
+        }
+
+        const entry = new CoinEntry(earning.userId, 'reversal', -coins, order.id, `Moedas dos itens devolvidos do pedido ${order.id}`);
+        entry.allocations = this.consumeCoins(earning.userId, coins, earning.id);
+        return this.addEntry(entry);
+    }
+}
+
+module.exports = CoinService;
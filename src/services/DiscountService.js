@@ -1,6 +1,7 @@
 const fs = require('fs-extra');
 const path = require('path');
 const { Coupon } = require('../models');
+const config = require('../utils/Config');
 
 /**
  * Serviço para gerenciamento de descontos e cupons
@@ -74,6 +75,12 @@ class DiscountService {
      */
     async createSampleCoupons() {
         const sampleCoupons = Coupon.createSampleCoupons();
+
+        // Cupons com regras de elegibilidade: valem apenas para os itens participantes
+        const electronicsCoupon = new Coupon('ELETRO10', 'percentage', 10, 100, null, 300, 'Desconto em eletrônicos');
+        electronicsCoupon.setEligibility({ categories: ['Eletrônicos'] });
+        const bulkCoupon = new Coupon('LEVE3', 'fixed', 20, 0, null, 300, 'Leve 3 ou mais (exceto eletrônicos)');
+        bulkCoupon.setEligibility({ excludedCategories: ['Eletrônicos'], minimumQuantity: 3 });
         
         // Adicionar mais cupons específicos
         const additionalCoupons = [
@@ -81,7 +88,14 @@ class DiscountService {
             new Coupon('BLACKFRIDAY', 'percentage', 30, 150, new Date('2024-12-31'), 1000, 'Black Friday 2024'),
             new Coupon('FRETEGRATIS', 'fixed', 25, 80, null, 500, 'Frete grátis acima de R$ 80'),
             new Coupon('NATAL2024', 'percentage', 20, 100, new Date('2024-12-25'), 200, 'Promoção de Natal'),
-            new Coupon('VOLTA5', 'fixed', 5, 30, null, null, 'Desconto volta às aulas')
+            new Coupon('VOLTA5', 'fixed', 5, 30, null, null, 'Desconto volta às aulas'),
+
+            // Cupons de loja: valem apenas para os produtos da loja
+            new Coupon('TECH50', 'fixed', 50, 500, null, 100, 'Desconto da Tech Center', 'tech-center'),
+            new Coupon('MODA15', 'percentage', 15, 80, null, 200, 'Desconto da Moda Brasil', 'moda-brasil'),
+
+            electronicsCoupon,
+            bulkCoupon
         ];
 
         const allCoupons = [...sampleCoupons, ...additionalCoupons];
@@ -103,10 +117,12 @@ class DiscountService {
 
     /**
      * Obtém cupons ativos
+     * @param {string} userId - ID do usuário; cupons exclusivos de outros clientes ficam de fora (opcional)
      * @returns {Array<Coupon>} Lista de cupons válidos
      */
-    getActiveCoupons() {
-        return this.getAllCoupons().filter(coupon => coupon.isValid());
+    getActiveCoupons(userId = null) {
+        return this.getAllCoupons().filter(coupon =>
+            coupon.isValid() && (!coupon.ownerId || coupon.ownerId === userId));
     }
 
     /**
@@ -122,9 +138,13 @@ class DiscountService {
      * Valida um cupom para um determinado valor
      * @param {string} code - Código do cupom
      * @param {number} amount - Valor para validação
-     * @returns {Object} Resultado da validação
+     * @param {string} userId - ID do usuário, para verificar o limite por usuário (opcional)
+     * @param {ShoppingCart} cart - Carrinho do cupom (opcional): o valor passa a ser o subtotal dos itens
+     *                              a que o cupom se aplica e vale o limite de um cupom de cada tipo
+     * @returns {Object} Resultado da validação; com o carrinho, traz também os itens que participam
+     *                   (eligibleItems) e os que não participam com o motivo (ineligibleItems)
      */
-    validateCoupon(code, amount) {
+    validateCoupon(code, amount, userId = null, cart = null) {
         const coupon = this.getCouponByCode(code);
         
         if (!coupon) {
@@ -144,37 +164,109 @@ class DiscountService {
             };
         }
 
-        if (amount < coupon.minimumAmount) {
+        if (coupon.ownerId && coupon.ownerId !== userId) {
+            return {
+                isValid: false,
+                error: 'Este cupom é exclusivo de outro cliente',
+                coupon: coupon
+            };
+        }
+
+        if (userId && this.hasReachedUserLimit(coupon, userId)) {
             return {
                 isValid: false,
-                error: `Valor mínimo de R$ ${coupon.minimumAmount.toFixed(2)} não atingido`,
+                error: 'Você já atingiu o limite de uso deste cupom',
                 coupon: coupon
             };
         }
 
-        const discount = coupon.calculateDiscount(amount);
+        let itemsReport = {};
+        if (cart) {
+            const scope = cart.checkCouponScope(coupon);
+            if (!scope.isValid) {
+                return {
+                    isValid: false,
+                    error: scope.error,
+                    coupon: coupon
+                };
+            }
+
+            const eligibility = coupon.checkEligibility(cart.items);
+            itemsReport = {
+                eligibleItems: eligibility.eligibleItems.map(item => item.getName()),
+                ineligibleItems: eligibility.ineligibleItems.map(({ item, reason }) => ({ name: item.getName(), reason }))
+            };
+
+            if (!eligibility.isValid) {
+                return {
+                    isValid: false,
+                    error: eligibility.error,
+                    coupon: coupon,
+                    ...itemsReport
+                };
+            }
+        }
+
+        // Cupons de loja e com regras de elegibilidade são calculados apenas sobre os itens participantes
+        const eligibleAmount = cart ? cart.getCouponSubtotal(coupon) : amount;
+
+        if (eligibleAmount < coupon.minimumAmount) {
+            let error = `Valor mínimo de R$ ${coupon.minimumAmount.toFixed(2)} não atingido`;
+            if (coupon.isShopVoucher()) {
+                error = `Valor mínimo de R$ ${coupon.minimumAmount.toFixed(2)} em produtos da loja não atingido`;
+            } else if (coupon.hasEligibilityRules()) {
+                error = `Valor mínimo de R$ ${coupon.minimumAmount.toFixed(2)} em produtos participantes não atingido`;
+            }
+
+            return {
+                isValid: false,
+                error,
+                coupon: coupon,
+                ...itemsReport
+            };
+        }
+
+        const discount = coupon.calculateDiscount(amount, cart ? cart.items : null);
         
         return {
             isValid: true,
             error: null,
             coupon: coupon,
             discount: discount,
-            finalAmount: Math.max(0, amount - discount)
+            finalAmount: Math.max(0, amount - discount),
+            ...itemsReport
         };
     }
 
+    /**
+     * Verifica se o usuário já esgotou o limite de usos de um cupom
+     * @param {Coupon} coupon - Cupom a ser verificado
+     * @param {string} userId - ID do usuário
+     * @returns {boolean} True se o limite foi atingido
+     */
+    hasReachedUserLimit(coupon, userId) {
+        const maxUsagePerUser = config.get('coupons.maxUsagePerUser');
+        return Boolean(maxUsagePerUser) && coupon.getUsageCountForUser(userId) >= maxUsagePerUser;
+    }
+
     /**
      * Aplica um cupom (incrementa contador de uso)
      * @param {string} code - Código do cupom
+     * @param {string} userId - ID do usuário que utilizou o cupom (opcional)
+     * @param {string} orderId - ID do pedido em que o cupom foi utilizado (opcional)
      * @returns {boolean} True se aplicado com sucesso
      */
-    async applyCoupon(code) {
+    async applyCoupon(code, userId = null, orderId = null) {
         const coupon = this.getCouponByCode(code);
         if (!coupon) {
             return false;
         }
 
-        const success = coupon.apply();
+        if (userId && this.hasReachedUserLimit(coupon, userId)) {
+            return false;
+        }
+
+        const success = coupon.apply(userId, orderId);
         if (success) {
             await this.saveCoupons();
         }
@@ -184,13 +276,40 @@ class DiscountService {
     /**
      * Reverte aplicação de um cupom
      * @param {string} code - Código do cupom
+     * @param {string} orderId - Reverte apenas o uso registrado neste pedido (opcional)
+     * @returns {boolean} True se revertido com sucesso
      */
-    async revertCoupon(code) {
+    async revertCoupon(code, orderId = null) {
         const coupon = this.getCouponByCode(code);
-        if (coupon) {
-            coupon.revert();
+        if (!coupon) {
+            return false;
+        }
+
+        const success = coupon.revert(orderId);
+        if (success) {
+            await this.saveCoupons();
+        }
+        return success;
+    }
+
+    /**
+     * Reverte todos os usos de cupons registrados em um pedido
+     * @param {string} orderId - ID do pedido
+     * @returns {Array<string>} Códigos dos cupons revertidos
+     */
+    async revertOrderRedemptions(orderId) {
+        const reverted = [];
+
+        for (const coupon of this.coupons.values()) {
+            if (coupon.revert(orderId)) {
+                reverted.push(coupon.code);
+            }
+        }
+
+        if (reverted.length > 0) {
             await this.saveCoupons();
         }
+        return reverted;
     }
 
     /**
@@ -0,0 +1,348 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { Order } = require('../models');
+
+/**
+ * Serviço para gerenciamento do histórico de pedidos
+ */
+class OrderService {
+    constructor(productService = null, discountService = null, coinService = null) {
+        this.productService = productService;
+        this.discountService = discountService;
+        this.coinService = coinService;
+        this.orders = new Map();
+        this.dataFile = path.join(__dirname, '../data/orders.json');
+        this.initialized = false;
+    }
+
+    /**
+     * Inicializa o serviço carregando pedidos do arquivo
+     */
+    async initialize() {
+        if (this.initialized) return;
+
+        try {
+            await this.loadOrders();
+            this.initialized = true;
+        } catch (error) {
+            console.error('Erro ao inicializar OrderService:', error.message);
+            this.initialized = true;
+        }
+    }
+
+    /**
+     * Carrega pedidos do arquivo JSON
+     */
+    async loadOrders() {
+        try {
+            const data = await fs.readJSON(this.dataFile);
+            this.orders.clear();
+
+            for (const orderData of data.orders) {
+                const order = Order.fromJSON(orderData);
+                this.orders.set(order.id, order);
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            // Arquivo não existe, isso é normal antes do primeiro pedido
+        }
+    }
+
+    /**
+     * Salva pedidos no arquivo JSON
+     */
+    async saveOrders() {
+        try {
+            await fs.ensureDir(path.dirname(this.dataFile));
+
+            const data = {
+                orders: Array.from(this.orders.values()).map(order => order.toJSON()),
+                lastUpdated: new Date().toISOString()
+            };
+
+            await fs.writeJSON(this.dataFile, data, { spaces: 2 });
+        } catch (error) {
+            console.error('Erro ao salvar pedidos:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Registra um novo pedido
+     * @param {Order} order - Pedido a ser registrado
+     * @returns {Order} Pedido registrado
+     */
+    async createOrder(order) {
+        const validation = order.validate();
+        if (!validation.isValid) {
+            throw new Error(`Pedido inválido: ${validation.errors.join(', ')}`);
+        }
+
+        this.orders.set(order.id, order);
+
+        try {
+            await this.saveOrders();
+        } catch (error) {
+            // Não manter em memória um pedido que não foi persistido
+            this.orders.delete(order.id);
+            throw error;
+        }
+
+        return order;
+    }
+
+    /**
+     * Remove um pedido do histórico
+     * @param {string} orderId - ID do pedido
+     * @returns {boolean} True se removido com sucesso
+     */
+    async removeOrder(orderId) {
+        const deleted = this.orders.delete(orderId);
+        if (deleted) {
+            await this.saveOrders();
+        }
+        return deleted;
+    }
+
+    /**
+     * Muda o status de um pedido aplicando os efeitos colaterais da transição
+     *
+     * Cancelar antes do envio devolve os itens ao estoque e às ofertas
+     * relâmpago e reverte o uso dos cupons e as moedas do pedido; uma devolução devolve os itens ao estoque.
+     * A confirmação do pagamento credita as moedas ganhas com o pedido.
+     * @param {string} orderId - ID do pedido
+     * @param {string} newStatus - Novo status
+     * @param {string} note - Observação registrada no histórico
+     * @returns {Order} Pedido atualizado
+     */
+    async updateOrderStatus(orderId, newStatus, note = '') {
+        const order = this.getOrderById(orderId);
+        if (!order) {
+            throw new Error('Pedido não encontrado');
+        }
+
+        if (!order.canTransitionTo(newStatus)) {
+            throw new Error(`Não é possível mudar o pedido de "${order.status}" para "${newStatus}"`);
+        }
+
+        if (newStatus === 'cancelled' || newStatus === 'returned') {
+            await this.restockOrderItems(order);
+        }
+
+        if (newStatus === 'cancelled' && this.productService) {
+            await this.productService.revertFlashSalePurchases(order.id);
+        }
+
+        if (newStatus === 'cancelled' && this.discountService) {
+            await this.discountService.revertOrderRedemptions(order.id);
+        }
+
+        if (newStatus === 'cancelled' && this.coinService) {
+            await this.coinService.reverseOrder(order.id);
+        }
+
+        order.transitionTo(newStatus, note);
+        await this.saveOrders();
+
+        if (newStatus === 'paid' && this.coinService) {
+            await this.coinService.earnForOrder(order);
+        }
+        return order;
+    }
+
+    /**
+     * Cancela um pedido que ainda não foi enviado
+     * @param {string} orderId - ID do pedido
+     * @param {string} reason - Motivo do cancelamento
+     * @returns {Order} Pedido cancelado
+     */
+    async cancelOrder(orderId, reason = 'Cancelado pelo cliente') {
+        const order = this.getOrderById(orderId);
+        if (order && !order.isCancellable()) {
+            throw new Error('Pedido já enviado não pode ser cancelado');
+        }
+
+        return this.updateOrderStatus(orderId, 'cancelled', reason);
+    }
+
+    /**
+     * Devolve ao estoque os itens de um pedido que ainda não foram devolvidos
+     * @param {Order} order - Pedido
+     */
+    async restockOrderItems(order) {
+        if (!this.productService) return;
+
+        for (const item of order.items) {
+            const quantity = order.getReturnableQuantity(item.productId, item.variantSku);
+            if (quantity > 0) {
+                await this.restockItem(item, quantity);
+            }
+        }
+    }
+
+    /**
+     * Devolve ao estoque unidades de um item do pedido
+     *
+     * Kits voltam ao estoque pelos componentes registrados no pedido, mesmo
+     * que o kit tenha saído do catálogo.
+     * @param {Object} item - Item do pedido
+     * @param {number} quantity - Quantidade devolvida
+     */
+    async restockItem(item, quantity) {
+        const lines = item.components
+            ? item.components.map(component => ({ productId: component.productId, variantSku: null, quantity: component.unitQuantity * quantity }))
+            : [{ productId: item.productId, variantSku: item.variantSku || null, quantity }];
+
+        for (const line of lines) {
+            if (this.productService.getProductById(line.productId)) {
+                await this.productService.increaseStock(line.productId, line.quantity, line.variantSku);
+            }
+        }
+    }
+
+    /**
+     * Registra a devolução de parte dos itens de um pedido entregue
+     *
+     * Os itens voltam ao estoque e o reembolso é calculado sobre o valor
+     * efetivamente pago por eles, e as moedas ganhas com o pedido saem do
+     * saldo na mesma proporção. Quando todos os itens forem devolvidos, o
+     * pedido passa para o status "returned".
+     * @param {string} orderId - ID do pedido
+     * @param {Array<Object>} returnItems - Itens devolvidos ({ productId, variantSku, quantity })
+     * @param {string} reason - Código do motivo da devolução
+     * @returns {Object} Devolução registrada com o valor a reembolsar
+     */
+    async createReturn(orderId, returnItems, reason = 'other') {
+        const order = this.getOrderById(orderId);
+        if (!order) {
+            throw new Error('Pedido não encontrado');
+        }
+
+        if (order.status !== 'delivered') {
+            throw new Error('Somente pedidos entregues podem ser devolvidos');
+        }
+
+        if (!Order.getReturnReasons()[reason]) {
+            throw new Error('Motivo de devolução inválido');
+        }
+
+        const items = returnItems.filter(item => item.quantity > 0);
+        if (items.length === 0) {
+            throw new Error('Selecione pelo menos um item para devolver');
+        }
+
+        for (const { productId, variantSku, quantity } of items) {
+            const item = order.getItem(productId, variantSku);
+            if (!item) {
+                throw new Error('Produto não pertence ao pedido');
+            }
+
+            const returnable = order.getReturnableQuantity(productId, variantSku);
+            if (quantity > returnable) {
+                throw new Error(`Quantidade de ${item.name} excede o que pode ser devolvido (${returnable})`);
+            }
+        }
+
+        if (this.productService) {
+            for (const { productId, variantSku, quantity } of items) {
+                await this.restockItem(order.getItem(productId, variantSku), quantity);
+            }
+        }
+
+        const record = order.registerReturn(items, reason);
+        if (order.isFullyReturned()) {
+            order.transitionTo('returned', 'Todos os itens foram devolvidos');
+        }
+
+        await this.saveOrders();
+
+        if (this.coinService) {
+            await this.coinService.reverseReturnedCoins(order);
+        }
+        return record;
+    }
+
+    /**
+     * Obtém um pedido por ID
+     * @param {string} orderId - ID do pedido
+     * @returns {Order|null} Pedido encontrado ou null
+     */
+    getOrderById(orderId) {
+        return this.orders.get(orderId) || null;
+    }
+
+    /**
+     * Lista todos os pedidos, do mais recente para o mais antigo
+     * @returns {Array<Order>} Lista de pedidos
+     */
+    getAllOrders() {
+        return Array.from(this.orders.values())
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    /**
+     * Obtém pedidos de um usuário
+     * @param {string} userId - ID do usuário
+     * @returns {Array<Order>} Pedidos do usuário
+     */
+    getOrdersByUser(userId) {
+        return this.getAllOrders().filter(order => order.userId === userId);
+    }
+
+    /**
+     * Obtém pedidos realizados dentro de um período
+     * @param {Date} startDate - Data inicial (inclusive)
+     * @param {Date} endDate - Data final (inclusive, até o fim do dia)
+     * @param {string} userId - Restringe a busca a um usuário (opcional)
+     * @returns {Array<Order>} Pedidos do período
+     */
+    getOrdersByDateRange(startDate, endDate, userId = null) {
+        const source = userId ? this.getOrdersByUser(userId) : this.getAllOrders();
+
+        // Uma data final sem horário (meia-noite) precisa incluir os pedidos do resto do dia
+        let endOfDay = null;
+        if (endDate) {
+            endOfDay = new Date(endDate);
+            endOfDay.setHours(23, 59, 59, 999);
+        }
+
+        return source.filter(order =>
+            (!startDate || order.createdAt >= startDate) &&
+            (!endOfDay || order.createdAt <= endOfDay)
+        );
+    }
+
+    /**
+     * Gera o relatório de vendas por produto dos pedidos não cancelados
+     *
+     * Kits entram pelos componentes, com a parte do preço do kit que coube
+     * a cada um, e as devoluções já são descontadas.
+     * @param {Date} startDate - Data inicial (opcional)
+     * @param {Date} endDate - Data final (opcional)
+     * @returns {Array<Object>} Vendas por produto, da maior receita para a menor
+     */
+    getProductSalesReport(startDate = null, endDate = null) {
+        const report = new Map();
+
+        for (const order of this.getOrdersByDateRange(startDate, endDate)) {
+            if (order.status === 'cancelled') continue;
+
+            for (const line of order.getProductSales()) {
+                const key = line.variantSku ? `${line.productId}:${line.variantSku}` : line.productId;
+                const entry = report.get(key) || { ...line, quantity: 0, revenue: 0 };
+
+                entry.quantity += line.quantity;
+                entry.revenue = Math.round((entry.revenue + line.revenue) * 100) / 100;
+                report.set(key, entry);
+            }
+        }
+
+        return Array.from(report.values())
+            .filter(entry => entry.quantity > 0)
+            .sort((a, b) => b.revenue - a.revenue);
+    }
+}
+
+module.exports = OrderService;
@@ -0,0 +1,252 @@
+const fs = require('fs-extra');
+const path = require('path');
+const PixUtils = require('../utils/PixUtils');
+const BoletoUtils = require('../utils/BoletoUtils');
+const CardUtils = require('../utils/CardUtils');
+const config = require('../utils/Config');
+
+/**
+ * Serviço para geração e confirmação de pagamentos de pedidos
+ */
+class PaymentService {
+    constructor(orderService) {
+        this.orderService = orderService;
+        this.exportDir = path.join(__dirname, '../data/boletos');
+    }
+
+    /**
+     * Obtém um pedido que ainda aguarda pagamento
+     * @param {string} orderId - ID do pedido
+     * @returns {Order} Pedido encontrado
+     */
+    getPendingOrder(orderId) {
+        const order = this.orderService.getOrderById(orderId);
+        if (!order) {
+            throw new Error('Pedido não encontrado');
+        }
+
+        if (order.status !== 'pending_payment') {
+            throw new Error('Pedido não está aguardando pagamento');
+        }
+
+        return order;
+    }
+
+    /**
+     * Gera a cobrança Pix (BR Code estático) para o total do pedido
+     * @param {string} orderId - ID do pedido
+     * @returns {Object} Dados do pagamento Pix
+     */
+    async createPixPayment(orderId) {
+        const order = this.getPendingOrder(orderId);
+        const pixConfig = config.get('payment.pix');
+        const amount = Math.round(order.getTotal() * 100) / 100;
+        const txid = order.id.replace(/[^A-Za-z0-9]/g, '').slice(-25);
+
+        order.payment = {
+            method: 'pix',
+            status: 'pending',
+            amount,
+            txid,
+            payload: PixUtils.buildPayload({
+                key: pixConfig.key,
+                merchantName: pixConfig.merchantName,
+                merchantCity: pixConfig.merchantCity,
+                amount,
+                txid
+            }),
+            createdAt: new Date(),
+            paidAt: null
+        };
+        order.updatedAt = new Date();
+
+        await this.orderService.saveOrders();
+        return order.payment;
+    }
+
+    /**
+     * Gera o boleto bancário para o total do pedido
+     *
+     * O vencimento é contado em dias úteis a partir da data de emissão.
+     * @param {string} orderId - ID do pedido
+     * @returns {Object} Dados do boleto
+     */
+    async createBoletoPayment(orderId) {
+        const order = this.getPendingOrder(orderId);
+        const boletoConfig = config.get('payment.boleto');
+        const amount = Math.round(order.getTotal() * 100) / 100;
+        const createdAt = new Date();
+        const dueDate = BoletoUtils.addBusinessDays(createdAt, boletoConfig.dueBusinessDays);
+        // O nosso número usa os dígitos do timestamp que compõe o ID do pedido
+        const nossoNumero = order.id.split('-')[1].replace(/\D/g, '').slice(-11).padStart(11, '0');
+
+        const barcode = BoletoUtils.buildBarcode({
+            bankCode: boletoConfig.bankCode,
+            amount,
+            dueDate,
+            freeField: BoletoUtils.buildFreeField({
+                agency: boletoConfig.agency,
+                wallet: boletoConfig.wallet,
+                nossoNumero,
+                account: boletoConfig.account
+            })
+        });
+
+        order.payment = {
+            method: 'boleto',
+            status: 'pending',
+            amount,
+            nossoNumero,
+            barcode,
+            linhaDigitavel: BoletoUtils.barcodeToLinhaDigitavel(barcode),
+            dueDate,
+            createdAt,
+            paidAt: null
+        };
+        order.updatedAt = new Date();
+
+        await this.orderService.saveOrders();
+        return order.payment;
+    }
+
+    /**
+     * Verifica se o boleto de um pagamento já venceu
+     * @param {Object} payment - Pagamento do pedido
+     * @param {Date} date - Data de referência
+     * @returns {boolean} True se é um boleto vencido
+     */
+    isBoletoExpired(payment, date = new Date()) {
+        if (!payment || payment.method !== 'boleto') return false;
+
+        const endOfDueDate = new Date(payment.dueDate);
+        endOfDueDate.setHours(23, 59, 59, 999);
+        return date > endOfDueDate;
+    }
+
+    /**
+     * Exporta o boleto de um pedido para um arquivo imprimível
+     * @param {string} orderId - ID do pedido
+     * @param {string} format - Formato do arquivo ('html' ou 'txt')
+     * @returns {string} Caminho do arquivo gerado
+     */
+    async exportBoleto(orderId, format = 'html') {
+        const order = this.orderService.getOrderById(orderId);
+        if (!order || !order.payment || order.payment.method !== 'boleto') {
+            throw new Error('Pedido não possui boleto gerado');
+        }
+
+        if (!['html', 'txt'].includes(format)) {
+            throw new Error('Formato de exportação inválido');
+        }
+
+        const boletoConfig = config.get('payment.boleto');
+        const boleto = {
+            ...order.payment,
+            bankCode: boletoConfig.bankCode,
+            bankName: boletoConfig.bankName,
+            agency: boletoConfig.agency,
+            account: boletoConfig.account,
+            wallet: boletoConfig.wallet,
+            beneficiary: boletoConfig.beneficiary,
+            instructions: boletoConfig.instructions,
+            payer: order.userId,
+            documentNumber: order.id
+        };
+
+        const filePath = path.join(this.exportDir, `boleto-${order.id}.${format}`);
+        await fs.ensureDir(this.exportDir);
+        await fs.writeFile(filePath, format === 'html' ? BoletoUtils.toHTML(boleto) : BoletoUtils.toText(boleto), 'utf8');
+
+        return filePath;
+    }
+
+    /**
+     * Obtém as opções de parcelamento no cartão para o total de um pedido
+     * @param {string} orderId - ID do pedido
+     * @returns {Array<Object>} Opções de parcelamento
+     */
+    getInstallmentOptions(orderId) {
+        const order = this.getPendingOrder(orderId);
+        return CardUtils.calculateInstallments(order.getTotal(), config.get('payment.card'));
+    }
+
+    /**
+     * Paga um pedido com cartão de crédito (autorização simulada)
+     *
+     * Os dados do cartão só existem durante a chamada: o pedido guarda apenas
+     * a bandeira e os quatro últimos dígitos.
+     * @param {string} orderId - ID do pedido
+     * @param {Object} card - Dados do cartão ({ number, holder, expiryMonth, expiryYear, cvv })
+     * @param {number} installments - Número de parcelas
+     * @returns {Order} Pedido pago
+     */
+    async createCardPayment(orderId, card, installments = 1) {
+        const order = this.getPendingOrder(orderId);
+
+        const validation = CardUtils.validateCard(card);
+        if (!validation.isValid) {
+            throw new Error(`Cartão inválido: ${validation.errors.join(', ')}`);
+        }
+
+        const plan = this.getInstallmentOptions(orderId).find(option => option.installments === installments);
+        if (!plan) {
+            throw new Error(`Parcelamento em ${installments}x não disponível para este pedido`);
+        }
+
+        order.payment = {
+            method: 'credit_card',
+            status: 'confirmed',
+            amount: plan.total,
+            brand: validation.brand,
+            lastDigits: CardUtils.getLastDigits(card.number),
+            installments: plan.installments,
+            installmentValue: plan.installmentValue,
+            interest: plan.interest,
+            authorizationCode: Math.floor(100000 + Math.random() * 900000).toString(),
+            createdAt: new Date(),
+            paidAt: new Date()
+        };
+
+        const planLabel = plan.interestFree ? `${plan.installments}x sem juros` : `${plan.installments}x com juros`;
+        return this.orderService.updateOrderStatus(orderId, 'paid', `Pagamento com cartão ${validation.brandName} aprovado em ${planLabel}`);
+    }
+
+    /**
+     * Confirma o pagamento de um pedido (simulação do aviso do banco)
+     * @param {string} orderId - ID do pedido
+     * @returns {Order} Pedido pago
+     */
+    async confirmPayment(orderId) {
+        const order = this.getPendingOrder(orderId);
+        if (!order.payment) {
+            throw new Error('Nenhum pagamento foi gerado para este pedido');
+        }
+
+        if (this.isBoletoExpired(order.payment)) {
+            throw new Error('Boleto vencido. Gere um novo boleto para pagar o pedido');
+        }
+
+        order.payment.status = 'confirmed';
+        order.payment.paidAt = new Date();
+
+        const methodLabel = PaymentService.getMethodLabel(order.payment.method);
+        return this.orderService.updateOrderStatus(orderId, 'paid', `Pagamento ${methodLabel} confirmado`);
+    }
+
+    /**
+     * Obtém o nome de exibição de um meio de pagamento
+     * @param {string} method - Código do meio de pagamento
+     * @returns {string} Nome do meio de pagamento
+     */
+    static getMethodLabel(method) {
+        const labels = {
+            pix: 'Pix',
+            boleto: 'Boleto',
+            credit_card: 'Cartão de crédito'
+        };
+
+        return labels[method] || method;
+    }
+}
+
+module.exports = PaymentService;
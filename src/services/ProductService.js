@@ -1,6 +1,6 @@
 const fs = require('fs-extra');
 const path = require('path');
-const { Product } = require('../models');
+const { Product, ProductVariant, Shop } = require('../models');
 
 /**
  * Serviço para gerenciamento de produtos
@@ -40,6 +40,7 @@ class ProductService {
                 const product = Product.fromJSON(productData);
                 this.products.set(product.id, product);
             }
+            this.refreshBundleStock();
         } catch (error) {
             if (error.code === 'ENOENT') {
                 // Arquivo não existe, criar produtos de exemplo
@@ -127,10 +128,87 @@ class ProductService {
                 'Tapete antiderrapante 6mm de espessura', 20, '', 4.4, 20)
         ];
 
+        // Produtos vendidos por variação; o estoque do produto vira a soma das variações
+        const sampleVariants = {
+            'Smart TV 43" 4K LG': [
+                new ProductVariant('TV-LG43-110V', { Voltagem: '110V' }, 4, 0, 9.8),
+                new ProductVariant('TV-LG43-220V', { Voltagem: '220V' }, 4, 0, 9.8)
+            ],
+            'Camiseta Básica Algodão': [
+                new ProductVariant('CAM-ALG-P-BR', { Tamanho: 'P', Cor: 'Branca' }, 5, 0, 0.2),
+                new ProductVariant('CAM-ALG-M-BR', { Tamanho: 'M', Cor: 'Branca' }, 8, 0, 0.25),
+                new ProductVariant('CAM-ALG-G-BR', { Tamanho: 'G', Cor: 'Branca' }, 7, 0, 0.3),
+                new ProductVariant('CAM-ALG-GG-BR', { Tamanho: 'GG', Cor: 'Branca' }, 3, 5.00, 0.35),
+                new ProductVariant('CAM-ALG-P-PR', { Tamanho: 'P', Cor: 'Preta' }, 6, 0, 0.2),
+                new ProductVariant('CAM-ALG-M-PR', { Tamanho: 'M', Cor: 'Preta' }, 9, 0, 0.25),
+                new ProductVariant('CAM-ALG-G-PR', { Tamanho: 'G', Cor: 'Preta' }, 8, 0, 0.3),
+                new ProductVariant('CAM-ALG-GG-PR', { Tamanho: 'GG', Cor: 'Preta' }, 4, 5.00, 0.35)
+            ],
+            'Tênis Esportivo Nike Air': [
+                new ProductVariant('TEN-AIR-38', { Tamanho: '38' }, 4, 0, 0.9),
+                new ProductVariant('TEN-AIR-39', { Tamanho: '39' }, 4, 0, 0.95),
+                new ProductVariant('TEN-AIR-40', { Tamanho: '40' }, 5, 0, 1.0),
+                new ProductVariant('TEN-AIR-41', { Tamanho: '41' }, 4, 0, 1.05),
+                new ProductVariant('TEN-AIR-42', { Tamanho: '42' }, 3, 0, 1.1)
+            ]
+        };
+
+        // Kits vendidos por um preço único, com a quantidade de cada componente
+        const sampleBundles = [
+            {
+                bundle: new Product('Kit Smartphone + Fone JBL + Carregador', 1399.99, 'Eletrônicos',
+                    'Smartphone Samsung Galaxy A54, Fone de Ouvido Bluetooth JBL e Carregador Portátil 10000mAh', 0, '', 4.7, 0),
+                components: {
+                    'Smartphone Samsung Galaxy A54': 1,
+                    'Fone de Ouvido Bluetooth JBL': 1,
+                    'Carregador Portátil 10000mAh': 1
+                }
+            }
+        ];
+
+        // Loja que vende cada categoria; as demais ficam com a loja da plataforma
+        const sampleShops = {
+            'Eletrônicos': 'tech-center',
+            'Roupas': 'moda-brasil',
+            'Calçados': 'moda-brasil',
+            'Acessórios': 'moda-brasil',
+            'Casa': 'casa-conforto',
+            'Decoração': 'casa-conforto',
+            'Eletrodomésticos': 'casa-conforto',
+            'Beleza': 'beleza-natural',
+            'Perfumaria': 'beleza-natural',
+            'Cuidados': 'beleza-natural'
+        };
+
+        // Marca dos produtos de marca conhecida
+        const sampleBrands = {
+            'Smartphone Samsung Galaxy A54': 'Samsung',
+            'Fone de Ouvido Bluetooth JBL': 'JBL',
+            'Smart TV 43" 4K LG': 'LG',
+            'Tênis Esportivo Nike Air': 'Nike',
+            'Relógio Digital Casio': 'Casio'
+        };
+
+        for (const product of [...sampleProducts, ...sampleBundles.map(({ bundle }) => bundle)]) {
+            product.shopId = sampleShops[product.category] || Shop.getDefaultId();
+            product.brand = sampleBrands[product.name] || null;
+        }
+
         for (const product of sampleProducts) {
+            for (const variant of sampleVariants[product.name] || []) {
+                product.addVariant(variant);
+            }
             this.products.set(product.id, product);
         }
 
+        for (const { bundle, components } of sampleBundles) {
+            for (const [name, quantity] of Object.entries(components)) {
+                bundle.addComponent(sampleProducts.find(product => product.name === name).id, quantity);
+            }
+            this.products.set(bundle.id, bundle);
+        }
+        this.refreshBundleStock();
+
         await this.saveProducts();
     }
 
@@ -184,6 +262,17 @@ class ProductService {
         return this.getAllProducts().filter(product => product.discount > 0);
     }
 
+    /**
+     * Obtém os produtos com oferta relâmpago valendo ou programada
+     * @param {Date} date - Data de referência
+     * @returns {Array<Product>} Produtos, das ofertas que terminam (ou começam) primeiro para as demais
+     */
+    getFlashSaleProducts(date = new Date()) {
+        return this.getAllProducts()
+            .filter(product => product.flashSale && (product.isOnFlashSale(date) || product.flashSale.isUpcoming(date)))
+            .sort((a, b) => a.flashSale.getTimeRemaining(date) - b.flashSale.getTimeRemaining(date));
+    }
+
     /**
      * Obtém produtos mais bem avaliados
      * @param {number} minRating - Avaliação mínima
@@ -231,11 +320,69 @@ class ProductService {
             throw new Error(`Produto inválido: ${validation.errors.join(', ')}`);
         }
 
+        if (product.isBundle()) {
+            this.validateBundleComponents(product);
+        }
+
         this.products.set(product.id, product);
+        this.refreshBundleStock();
         await this.saveProducts();
         return true;
     }
 
+    /**
+     * Garante que os componentes de um kit são produtos simples do catálogo
+     * @param {Product} bundle - Kit
+     */
+    validateBundleComponents(bundle) {
+        for (const { product } of this.getBundleComponents(bundle)) {
+            if (!product) {
+                throw new Error('Componente do kit não encontrado');
+            }
+
+            if (product.isBundle() || product.hasVariants()) {
+                throw new Error(`${product.name} não pode ser componente de um kit`);
+            }
+        }
+    }
+
+    /**
+     * Obtém os produtos que compõem um kit
+     * @param {Product} bundle - Kit
+     * @returns {Array<Object>} Componentes ({ product, quantity }); product é null se saiu do catálogo
+     */
+    getBundleComponents(bundle) {
+        return bundle.components.map(({ productId, quantity }) => ({
+            product: this.products.get(productId) || null,
+            quantity
+        }));
+    }
+
+    /**
+     * Calcula quantos kits podem ser montados com o estoque dos componentes
+     * @param {Product} bundle - Kit
+     * @returns {number} Estoque do kit
+     */
+    calculateBundleStock(bundle) {
+        const components = this.getBundleComponents(bundle);
+        if (components.some(({ product }) => !product)) {
+            return 0;
+        }
+
+        return Math.min(...components.map(({ product, quantity }) => Math.floor(product.stock / quantity)));
+    }
+
+    /**
+     * Recalcula o estoque de todos os kits a partir dos componentes
+     */
+    refreshBundleStock() {
+        for (const product of this.products.values()) {
+            if (product.isBundle()) {
+                product.stock = this.calculateBundleStock(product);
+            }
+        }
+    }
+
     /**
      * Atualiza um produto existente
      * @param {string} productId - ID do produto
@@ -254,6 +401,7 @@ class ProductService {
             throw new Error(`Produto inválido: ${validation.errors.join(', ')}`);
         }
 
+        this.refreshBundleStock();
         await this.saveProducts();
         return true;
     }
@@ -266,53 +414,176 @@ class ProductService {
     async removeProduct(productId) {
         const deleted = this.products.delete(productId);
         if (deleted) {
+            // Kits que usavam o produto ficam indisponíveis
+            this.refreshBundleStock();
             await this.saveProducts();
         }
         return deleted;
     }
 
+    /**
+     * Programa uma oferta relâmpago para um produto
+     * @param {string} productId - ID do produto
+     * @param {FlashSale} flashSale - Oferta a programar
+     * @returns {boolean} True se programada com sucesso
+     */
+    async scheduleFlashSale(productId, flashSale) {
+        const product = this.products.get(productId);
+        if (!product) {
+            throw new Error('Produto não encontrado');
+        }
+
+        if (product.flashSale && !product.flashSale.hasEnded()) {
+            throw new Error(`${product.name} já tem uma oferta relâmpago programada`);
+        }
+
+        const previousSale = product.flashSale;
+        product.flashSale = flashSale;
+        const validation = product.validate();
+        if (!validation.isValid) {
+            product.flashSale = previousSale;
+            throw new Error(`Oferta relâmpago inválida: ${validation.errors.join(', ')}`);
+        }
+
+        product.updatedAt = new Date();
+        await this.saveProducts();
+        return true;
+    }
+
+    /**
+     * Registra as unidades de um pedido compradas na oferta relâmpago de um produto
+     * @param {string} productId - ID do produto
+     * @param {string} userId - ID do cliente
+     * @param {string} orderId - ID do pedido
+     * @param {number} quantity - Unidades compradas
+     * @returns {boolean} True se registrado (false se o produto não está em oferta ou passou do limite)
+     */
+    async recordFlashSalePurchase(productId, userId, orderId, quantity) {
+        const product = this.products.get(productId);
+        const flashSale = product ? product.getLiveFlashSale() : null;
+        if (!flashSale || !flashSale.recordPurchase(userId, orderId, quantity)) {
+            return false;
+        }
+
+        await this.saveProducts();
+        return true;
+    }
+
+    /**
+     * Devolve às ofertas relâmpago as unidades compradas em um pedido
+     * @param {string} orderId - ID do pedido
+     * @returns {number} Unidades devolvidas
+     */
+    async revertFlashSalePurchases(orderId) {
+        let reverted = 0;
+        for (const product of this.getAllProducts()) {
+            if (product.flashSale) {
+                reverted += product.flashSale.revertPurchase(orderId);
+            }
+        }
+
+        if (reverted > 0) {
+            await this.saveProducts();
+        }
+        return reverted;
+    }
+
     /**
      * Verifica disponibilidade de estoque
      * @param {string} productId - ID do produto
      * @param {number} quantity - Quantidade desejada
+     * @param {string} variantSku - SKU da variação (opcional)
      * @returns {boolean} True se disponível
      */
-    checkStock(productId, quantity) {
+    checkStock(productId, quantity, variantSku = null) {
         const product = this.products.get(productId);
-        return product ? product.isAvailable(quantity) : false;
+        return product ? product.isAvailable(quantity, variantSku) : false;
     }
 
     /**
-     * Reduz estoque de um produto
+     * Obtém um produto garantindo que a variação informada existe
      * @param {string} productId - ID do produto
-     * @param {number} quantity - Quantidade a ser reduzida
-     * @returns {boolean} True se operação foi bem-sucedida
+     * @param {string} variantSku - SKU da variação (obrigatório para produtos com variações)
+     * @returns {Product} Produto encontrado
      */
-    async reduceStock(productId, quantity) {
+    getStockProduct(productId, variantSku) {
         const product = this.products.get(productId);
         if (!product) {
             throw new Error('Produto não encontrado');
         }
 
-        const success = product.reduceStock(quantity);
+        if (product.hasVariants() && !product.getVariant(variantSku)) {
+            throw new Error(`Variação não encontrada para ${product.name}`);
+        }
+
+        return product;
+    }
+
+    /**
+     * Reduz estoque de um produto
+     * @param {string} productId - ID do produto
+     * @param {number} quantity - Quantidade a ser reduzida
+     * @param {string} variantSku - SKU da variação (obrigatório para produtos com variações)
+     * @returns {boolean} True se operação foi bem-sucedida
+     */
+    async reduceStock(productId, quantity, variantSku = null) {
+        const product = this.getStockProduct(productId, variantSku);
+
+        if (product.isBundle()) {
+            return this.reduceBundleStock(product, quantity);
+        }
+
+        const success = product.reduceStock(quantity, variantSku);
         if (success) {
+            this.refreshBundleStock();
             await this.saveProducts();
         }
         return success;
     }
 
+    /**
+     * Baixa o estoque dos componentes de um kit vendido
+     * @param {Product} bundle - Kit
+     * @param {number} quantity - Quantidade de kits
+     * @returns {boolean} True se todos os componentes tinham estoque
+     */
+    async reduceBundleStock(bundle, quantity) {
+        const components = this.getBundleComponents(bundle);
+        const available = components.every(({ product, quantity: perBundle }) =>
+            product && product.isAvailable(perBundle * quantity));
+        if (!available) {
+            return false;
+        }
+
+        for (const { product, quantity: perBundle } of components) {
+            product.reduceStock(perBundle * quantity);
+        }
+
+        this.refreshBundleStock();
+        await this.saveProducts();
+        return true;
+    }
+
     /**
      * Aumenta estoque de um produto
      * @param {string} productId - ID do produto
      * @param {number} quantity - Quantidade a ser adicionada
+     * @param {string} variantSku - SKU da variação (obrigatório para produtos com variações)
      */
-    async increaseStock(productId, quantity) {
-        const product = this.products.get(productId);
-        if (!product) {
-            throw new Error('Produto não encontrado');
+    async increaseStock(productId, quantity, variantSku = null) {
+        const product = this.getStockProduct(productId, variantSku);
+
+        if (product.isBundle()) {
+            for (const { product: component, quantity: perBundle } of this.getBundleComponents(product)) {
+                if (component) {
+                    component.increaseStock(perBundle * quantity);
+                }
+            }
+        } else {
+            product.increaseStock(quantity, variantSku);
         }
 
-        product.increaseStock(quantity);
+        this.refreshBundleStock();
         await this.saveProducts();
     }
 }
@@ -0,0 +1,293 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { StockReservation } = require('../models');
+const config = require('../utils/Config');
+
+/**
+ * Serviço de reservas temporárias de estoque
+ *
+ * Cada carrinho mantém uma reserva por produto com a quantidade que está
+ * no carrinho. O estoque disponível para os demais é o estoque físico menos
+ * as reservas ativas; reservas vencidas deixam de contar e são liberadas.
+ */
+class ReservationService {
+    constructor(productService) {
+        this.productService = productService;
+        this.reservations = new Map();
+        this.dataFile = path.join(__dirname, '../data/reservations.json');
+        this.ttl = config.get('cart.sessionTimeout');
+        this.initialized = false;
+    }
+
+    /**
+     * Inicializa o serviço carregando reservas do arquivo
+     */
+    async initialize() {
+        if (this.initialized) return;
+
+        try {
+            await this.loadReservations();
+            await this.releaseExpired();
+            this.initialized = true;
+        } catch (error) {
+            console.error('Erro ao inicializar ReservationService:', error.message);
+            this.initialized = true;
+        }
+    }
+
+    /**
+     * Carrega reservas do arquivo JSON
+     */
+    async loadReservations() {
+        try {
+            const data = await fs.readJSON(this.dataFile);
+            this.reservations.clear();
+
+            for (const reservationData of data.reservations) {
+                const reservation = StockReservation.fromJSON(reservationData);
+                this.reservations.set(this.getKey(reservation.cartId, reservation.productId, reservation.variantSku), reservation);
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            // Arquivo não existe, isso é normal antes da primeira reserva
+        }
+    }
+
+    /**
+     * Salva reservas no arquivo JSON
+     */
+    async saveReservations() {
+        try {
+            await fs.ensureDir(path.dirname(this.dataFile));
+
+            const data = {
+                reservations: Array.from(this.reservations.values()).map(reservation => reservation.toJSON()),
+                lastUpdated: new Date().toISOString()
+            };
+
+            await fs.writeJSON(this.dataFile, data, { spaces: 2 });
+        } catch (error) {
+            console.error('Erro ao salvar reservas:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Monta a chave de uma reserva
+     * @param {string} cartId - ID do carrinho
+     * @param {string} productId - ID do produto
+     * @param {string} variantSku - SKU da variação (opcional)
+     * @returns {string} Chave da reserva
+     */
+    getKey(cartId, productId, variantSku = null) {
+        return variantSku ? `${cartId}:${productId}:${variantSku}` : `${cartId}:${productId}`;
+    }
+
+    /**
+     * Obtém a reserva ativa de um carrinho para um produto
+     * @param {string} cartId - ID do carrinho
+     * @param {string} productId - ID do produto
+     * @param {string} variantSku - SKU da variação (opcional)
+     * @returns {StockReservation|null} Reserva ativa ou null
+     */
+    getReservation(cartId, productId, variantSku = null) {
+        const reservation = this.reservations.get(this.getKey(cartId, productId, variantSku));
+        return reservation && !reservation.isExpired() ? reservation : null;
+    }
+
+    /**
+     * Obtém as reservas ativas de um carrinho
+     * @param {string} cartId - ID do carrinho
+     * @returns {Array<StockReservation>} Reservas ativas
+     */
+    getCartReservations(cartId) {
+        return Array.from(this.reservations.values())
+            .filter(reservation => reservation.cartId === cartId && !reservation.isExpired());
+    }
+
+    /**
+     * Soma as quantidades reservadas de um produto
+     *
+     * Reservas de kits também seguram as unidades dos componentes, então
+     * contam para cada produto que faz parte do kit.
+     * @param {string} productId - ID do produto
+     * @param {string} excludeCartId - Carrinho cuja reserva do item não deve ser contada
+     * @param {string} variantSku - SKU da variação (opcional)
+     * @param {string} excludeProductId - Item reservado pelo carrinho que não deve ser contado (padrão: o próprio produto)
+     * @returns {number} Quantidade reservada
+     */
+    getReservedQuantity(productId, excludeCartId = null, variantSku = null, excludeProductId = productId) {
+        let reserved = 0;
+
+        for (const reservation of this.reservations.values()) {
+            if (reservation.isExpired() ||
+                (reservation.cartId === excludeCartId && reservation.productId === excludeProductId)) {
+                continue;
+            }
+
+            if (reservation.productId === productId && reservation.variantSku === variantSku) {
+                reserved += reservation.quantity;
+            } else if (!variantSku) {
+                reserved += reservation.quantity * this.getComponentQuantity(reservation.productId, productId);
+            }
+        }
+
+        return reserved;
+    }
+
+    /**
+     * Obtém quantas unidades de um produto fazem parte de cada kit
+     * @param {string} bundleId - ID do kit
+     * @param {string} productId - ID do produto componente
+     * @returns {number} Quantidade por kit (0 se não é componente)
+     */
+    getComponentQuantity(bundleId, productId) {
+        const bundle = this.productService.getProductById(bundleId);
+        const component = bundle ? bundle.getComponent(productId) : null;
+        return component ? component.quantity : 0;
+    }
+
+    /**
+     * Obtém o estoque disponível de um produto (estoque menos reservas ativas)
+     *
+     * Sem SKU, o estoque de um produto com variações é a soma do que está
+     * disponível em cada variação. Um kit tem disponível o número de kits
+     * que dá para montar com o que sobra de cada componente.
+     * @param {string} productId - ID do produto
+     * @param {string} excludeCartId - Carrinho cujas reservas não devem ser descontadas
+     * @param {string} variantSku - SKU da variação (opcional)
+     * @returns {number} Quantidade disponível
+     */
+    getAvailableStock(productId, excludeCartId = null, variantSku = null) {
+        const product = this.productService.getProductById(productId);
+        if (!product) return 0;
+
+        if (!variantSku && product.hasVariants()) {
+            return product.variants.reduce((total, variant) =>
+                total + this.getAvailableStock(productId, excludeCartId, variant.sku), 0);
+        }
+
+        if (product.isBundle()) {
+            return Math.min(...product.components.map(({ productId: componentId, quantity }) => {
+                const component = this.productService.getProductById(componentId);
+                if (!component) return 0;
+
+                const free = component.stock - this.getReservedQuantity(componentId, excludeCartId, null, productId);
+                return Math.max(0, Math.floor(free / quantity));
+            }));
+        }
+
+        return Math.max(0, product.getStock(variantSku) - this.getReservedQuantity(productId, excludeCartId, variantSku));
+    }
+
+    /**
+     * Define a quantidade reservada por um carrinho para um produto,
+     * renovando o prazo da reserva
+     * @param {string} cartId - ID do carrinho
+     * @param {string} productId - ID do produto
+     * @param {number} quantity - Quantidade total que o carrinho deve manter reservada
+     * @param {string} variantSku - SKU da variação (opcional)
+     * @returns {StockReservation} Reserva atualizada
+     */
+    async reserve(cartId, productId, quantity, variantSku = null) {
+        const product = this.productService.getProductById(productId);
+        if (!product) {
+            throw new Error('Produto não encontrado');
+        }
+
+        await this.releaseExpired();
+
+        const available = this.getAvailableStock(productId, cartId, variantSku);
+        if (quantity > available) {
+            throw new Error(`Produto indisponível. Disponível para reserva: ${available}`);
+        }
+
+        const key = this.getKey(cartId, productId, variantSku);
+        let reservation = this.reservations.get(key);
+
+        if (reservation) {
+            reservation.renew(quantity, this.ttl);
+        } else {
+            reservation = new StockReservation(cartId, productId, quantity, this.ttl, variantSku);
+            this.reservations.set(key, reservation);
+        }
+
+        await this.saveReservations();
+        return reservation;
+    }
+
+    /**
+     * Libera a reserva de um carrinho para um produto
+     * @param {string} cartId - ID do carrinho
+     * @param {string} productId - ID do produto
+     * @param {string} variantSku - SKU da variação (opcional)
+     * @returns {boolean} True se havia reserva
+     */
+    async release(cartId, productId, variantSku = null) {
+        const deleted = this.reservations.delete(this.getKey(cartId, productId, variantSku));
+        if (deleted) {
+            await this.saveReservations();
+        }
+        return deleted;
+    }
+
+    /**
+     * Libera todas as reservas de um carrinho
+     * @param {string} cartId - ID do carrinho
+     * @returns {Array<StockReservation>} Reservas liberadas
+     */
+    async releaseCart(cartId) {
+        const released = [];
+
+        for (const [key, reservation] of this.reservations) {
+            if (reservation.cartId === cartId) {
+                released.push(reservation);
+                this.reservations.delete(key);
+            }
+        }
+
+        if (released.length > 0) {
+            await this.saveReservations();
+        }
+        return released;
+    }
+
+    /**
+     * Restaura reservas liberadas (usado para desfazer um checkout)
+     * @param {Array<StockReservation>} reservations - Reservas a restaurar
+     */
+    async restoreReservations(reservations) {
+        for (const reservation of reservations) {
+            this.reservations.set(this.getKey(reservation.cartId, reservation.productId, reservation.variantSku), reservation);
+        }
+
+        if (reservations.length > 0) {
+            await this.saveReservations();
+        }
+    }
+
+    /**
+     * Remove as reservas vencidas
+     * @param {Date} now - Data de referência
+     * @returns {Array<StockReservation>} Reservas liberadas
+     */
+    async releaseExpired(now = new Date()) {
+        const released = [];
+
+        for (const [key, reservation] of this.reservations) {
+            if (reservation.isExpired(now)) {
+                released.push(reservation);
+                this.reservations.delete(key);
+            }
+        }
+
+        if (released.length > 0) {
+            await this.saveReservations();
+        }
+        return released;
+    }
+}
+
+module.exports = ReservationService;
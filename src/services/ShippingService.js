@@ -1,3 +1,5 @@
+const config = require('../utils/Config');
+
 /**
  * Serviço para cálculo de frete e entrega
  */
@@ -84,13 +86,19 @@ class ShippingService {
      * @param {string} cep - CEP de destino
      * @param {number} weight - Peso total em kg
      * @param {number} value - Valor total dos produtos
+     * @param {number} freeShippingThreshold - Valor a partir do qual o frete é grátis (padrão: o da plataforma)
      * @returns {Object} Cálculo de frete
      */
-    calculateShipping(cep, weight = 1, value = 0) {
+    calculateShipping(cep, weight = 1, value = 0, freeShippingThreshold = config.get('shipping.freeShippingThreshold')) {
         if (!this.validateCEP(cep)) {
             throw new Error('CEP inválido. Use o formato 00000-000 ou 00000000');
         }
 
+        const maxWeight = config.get('shipping.maxWeight');
+        if (weight > maxWeight) {
+            throw new Error(`Peso total de ${weight.toFixed(1)} kg excede o limite de ${maxWeight} kg por envio`);
+        }
+
         const rateInfo = this.findShippingRate(cep);
         let shippingCost = rateInfo.rate;
 
@@ -100,8 +108,7 @@ class ShippingService {
             shippingCost += extraWeight * 3.50; // R$ 3,50 por kg adicional
         }
 
-        // Frete grátis para compras acima de R$ 150
-        const freeShippingThreshold = 150;
+        // Frete grátis para compras a partir do valor mínimo (cada loja define o seu)
         const isFreeShipping = value >= freeShippingThreshold;
 
         if (isFreeShipping) {
@@ -147,10 +154,11 @@ class ShippingService {
      * @param {string} cep - CEP de destino
      * @param {number} weight - Peso total
      * @param {number} value - Valor total
+     * @param {number} freeShippingThreshold - Valor a partir do qual o frete é grátis (padrão: o da plataforma)
      * @returns {Array} Opções de entrega
      */
-    getShippingOptions(cep, weight = 1, value = 0) {
-        const standardShipping = this.calculateShipping(cep, weight, value);
+    getShippingOptions(cep, weight = 1, value = 0, freeShippingThreshold = config.get('shipping.freeShippingThreshold')) {
+        const standardShipping = this.calculateShipping(cep, weight, value, freeShippingThreshold);
         
         // Opção expressa (mais cara, mais rápida)
         const expressShipping = {
@@ -177,6 +185,27 @@ class ShippingService {
         ];
     }
 
+    /**
+     * Cota o frete separadamente para cada loja do carrinho
+     *
+     * Cada loja envia um pacote próprio, com o peso dos seus itens e o seu
+     * próprio valor mínimo para frete grátis.
+     * @param {string} cep - CEP de destino
+     * @param {Array<Object>} shopGroups - Grupos do carrinho por loja ({ shopId, shop, items, subtotal })
+     * @returns {Array<Object>} Cotações por loja ({ shopId, shopName, options })
+     */
+    getShippingOptionsByShop(cep, shopGroups) {
+        return shopGroups.map(group => {
+            const threshold = group.shop ? group.shop.freeShippingThreshold : config.get('shipping.freeShippingThreshold');
+
+            return {
+                shopId: group.shopId,
+                shopName: group.shop ? group.shop.name : group.shopId,
+                options: this.getShippingOptions(cep, this.calculateWeight(group.items), group.subtotal, threshold)
+            };
+        });
+    }
+
     /**
      * Calcula peso estimado baseado nos itens do carrinho
      * @param {Array} cartItems - Itens do carrinho
@@ -204,8 +233,10 @@ class ShippingService {
                 'Acessórios': 0.2
             };
             
-            const categoryWeight = categoryWeights[item.product.category] || 0.5;
-            totalWeight += categoryWeight * item.quantity;
+            // O peso informado na variação tem prioridade sobre a estimativa da categoria
+            const itemWeight = item.getWeight();
+            const unitWeight = itemWeight !== null ? itemWeight : (categoryWeights[item.product.category] || 0.5);
+            totalWeight += unitWeight * item.quantity;
         }
         
         return Math.max(0.1, totalWeight); // Peso mínimo de 100g
@@ -251,11 +282,11 @@ class ShippingService {
 
     /**
      * Obtém informações sobre frete grátis
-     * @param {number} currentValue - Valor atual do carrinho
+     * @param {number} currentValue - Valor atual do carrinho (ou dos itens de uma loja)
+     * @param {number} threshold - Valor a partir do qual o frete é grátis (padrão: o da plataforma)
      * @returns {Object} Informações sobre frete grátis
      */
-    getFreeShippingInfo(currentValue) {
-        const threshold = 150;
+    getFreeShippingInfo(currentValue, threshold = config.get('shipping.freeShippingThreshold')) {
         const remaining = Math.max(0, threshold - currentValue);
         
         return {
@@ -0,0 +1,147 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { Shop } = require('../models');
+
+/**
+ * Serviço para gerenciamento das lojas (vendedores) do marketplace
+ */
+class ShopService {
+    constructor() {
+        this.shops = new Map();
+        this.dataFile = path.join(__dirname, '../data/shops.json');
+        this.initialized = false;
+    }
+
+    /**
+     * Inicializa o serviço carregando lojas do arquivo
+     */
+    async initialize() {
+        if (this.initialized) return;
+
+        try {
+            await this.loadShops();
+            this.initialized = true;
+        } catch (error) {
+            console.error('Erro ao inicializar ShopService:', error.message);
+            await this.createSampleShops();
+            this.initialized = true;
+        }
+    }
+
+    /**
+     * Carrega lojas do arquivo JSON
+     */
+    async loadShops() {
+        try {
+            const data = await fs.readJSON(this.dataFile);
+            this.shops.clear();
+
+            for (const shopData of data.shops) {
+                const shop = Shop.fromJSON(shopData);
+                this.shops.set(shop.id, shop);
+            }
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                // Arquivo não existe, criar lojas de exemplo
+                await this.createSampleShops();
+            } else {
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Salva lojas no arquivo JSON
+     */
+    async saveShops() {
+        try {
+            await fs.ensureDir(path.dirname(this.dataFile));
+
+            const data = {
+                shops: Array.from(this.shops.values()).map(shop => shop.toJSON()),
+                lastUpdated: new Date().toISOString()
+            };
+
+            await fs.writeJSON(this.dataFile, data, { spaces: 2 });
+        } catch (error) {
+            console.error('Erro ao salvar lojas:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Cria as lojas de exemplo usadas pelos produtos de demonstração
+     */
+    async createSampleShops() {
+        const sampleShops = [
+            { id: Shop.getDefaultId(), name: 'Loja Oficial', freeShippingThreshold: 150, rating: 4.8 },
+            { id: 'tech-center', name: 'Tech Center', freeShippingThreshold: 199, rating: 4.6 },
+            { id: 'moda-brasil', name: 'Moda Brasil', freeShippingThreshold: 99, rating: 4.4 },
+            { id: 'casa-conforto', name: 'Casa & Conforto', freeShippingThreshold: 149, rating: 4.5 },
+            { id: 'beleza-natural', name: 'Beleza Natural', freeShippingThreshold: 79, rating: 4.7 }
+        ];
+
+        for (const shopData of sampleShops) {
+            const shop = Shop.fromJSON(shopData);
+            this.shops.set(shop.id, shop);
+        }
+
+        await this.saveShops();
+    }
+
+    /**
+     * Obtém todas as lojas
+     * @returns {Array<Shop>} Lista de lojas
+     */
+    getAllShops() {
+        return Array.from(this.shops.values());
+    }
+
+    /**
+     * Obtém uma loja por ID
+     *
+     * Lojas desconhecidas (ou produtos sem loja) ficam com a loja da plataforma.
+     * @param {string} shopId - ID da loja
+     * @returns {Shop|null} Loja encontrada ou null se nem a loja da plataforma existir
+     */
+    getShop(shopId) {
+        return this.shops.get(shopId) || this.shops.get(Shop.getDefaultId()) || null;
+    }
+
+    /**
+     * Obtém o nome de exibição de uma loja
+     * @param {string} shopId - ID da loja
+     * @returns {string} Nome da loja (ou o próprio ID, se ela não existir)
+     */
+    getShopName(shopId) {
+        const shop = this.shops.get(shopId);
+        return shop ? shop.name : shopId;
+    }
+
+    /**
+     * Adiciona uma nova loja
+     * @param {Shop} shop - Loja a ser adicionada
+     * @returns {boolean} True se adicionada com sucesso
+     */
+    async addShop(shop) {
+        const validation = shop.validate();
+        if (!validation.isValid) {
+            throw new Error(`Loja inválida: ${validation.errors.join(', ')}`);
+        }
+
+        this.shops.set(shop.id, shop);
+        await this.saveShops();
+        return true;
+    }
+
+    /**
+     * Agrupa os itens de um carrinho pelas lojas que os vendem
+     * @param {ShoppingCart} cart - Carrinho
+     * @returns {Array<Object>} Grupos ({ shopId, shop, items, subtotal }) na ordem em que as lojas aparecem no carrinho
+     */
+    getCartGroups(cart) {
+        return cart.getShopGroups().map(group => ({ ...group, shop: this.getShop(group.shopId) }));
+    }
+}
+
+module.exports = ShopService;
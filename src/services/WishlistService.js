@@ -0,0 +1,287 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { Wishlist } = require('../models');
+
+/**
+ * Serviço para gerenciamento das listas de desejos dos usuários
+ */
+class WishlistService {
+    constructor(productService, cartService = null) {
+        this.productService = productService;
+        this.cartService = cartService;
+        this.lists = new Map();
+        this.dataFile = path.join(__dirname, '../data/wishlists.json');
+        this.initialized = false;
+    }
+
+    /**
+     * Inicializa o serviço carregando listas do arquivo
+     */
+    async initialize() {
+        if (this.initialized) return;
+
+        try {
+            await this.loadLists();
+            this.initialized = true;
+        } catch (error) {
+            console.error('Erro ao inicializar WishlistService:', error.message);
+            this.initialized = true;
+        }
+    }
+
+    /**
+     * Carrega listas do arquivo JSON
+     */
+    async loadLists() {
+        try {
+            const data = await fs.readJSON(this.dataFile);
+            this.lists.clear();
+
+            for (const listData of data.wishlists) {
+                const list = Wishlist.fromJSON(listData);
+                this.lists.set(list.id, list);
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            // Arquivo não existe, isso é normal antes da primeira lista
+        }
+    }
+
+    /**
+     * Salva listas no arquivo JSON
+     */
+    async saveLists() {
+        try {
+            await fs.ensureDir(path.dirname(this.dataFile));
+
+            const data = {
+                wishlists: Array.from(this.lists.values()).map(list => list.toJSON()),
+                lastUpdated: new Date().toISOString()
+            };
+
+            await fs.writeJSON(this.dataFile, data, { spaces: 2 });
+        } catch (error) {
+            console.error('Erro ao salvar listas:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Obtém uma lista por ID
+     * @param {string} listId - ID da lista
+     * @returns {Wishlist|null} Lista encontrada ou null
+     */
+    getList(listId) {
+        return this.lists.get(listId) || null;
+    }
+
+    /**
+     * Lista as listas de um usuário, com a lista padrão primeiro
+     * @param {string} userId - ID do usuário
+     * @returns {Array<Wishlist>} Listas do usuário
+     */
+    getListsByUser(userId) {
+        return Array.from(this.lists.values())
+            .filter(list => list.userId === userId)
+            .sort((a, b) => (b.isDefault - a.isDefault) || (a.createdAt - b.createdAt));
+    }
+
+    /**
+     * Obtém a lista padrão ("Favoritos") do usuário, criando-a se necessário
+     * @param {string} userId - ID do usuário
+     * @returns {Wishlist} Lista padrão
+     */
+    async getDefaultList(userId) {
+        const existing = this.getListsByUser(userId).find(list => list.isDefault);
+        if (existing) return existing;
+
+        const list = new Wishlist(userId, Wishlist.getDefaultName(), true);
+        this.lists.set(list.id, list);
+        await this.saveLists();
+        return list;
+    }
+
+    /**
+     * Cria uma lista personalizada
+     * @param {string} userId - ID do usuário
+     * @param {string} name - Nome da lista
+     * @returns {Wishlist} Lista criada
+     */
+    async createList(userId, name) {
+        const list = new Wishlist(userId);
+        if (!list.rename(name)) {
+            throw new Error('Nome da lista deve ter entre 1 e 50 caracteres');
+        }
+
+        const nameInUse = this.getListsByUser(userId)
+            .some(existing => existing.name.toLowerCase() === list.name.toLowerCase());
+        if (nameInUse) {
+            throw new Error(`Você já tem uma lista chamada "${list.name}"`);
+        }
+
+        this.lists.set(list.id, list);
+        await this.saveLists();
+        return list;
+    }
+
+    /**
+     * Remove uma lista personalizada
+     * @param {string} listId - ID da lista
+     * @returns {boolean} True se removida com sucesso
+     */
+    async removeList(listId) {
+        const list = this.getList(listId);
+        if (!list) {
+            throw new Error('Lista não encontrada');
+        }
+
+        if (list.isDefault) {
+            throw new Error('A lista Favoritos não pode ser excluída');
+        }
+
+        this.lists.delete(listId);
+        await this.saveLists();
+        return true;
+    }
+
+    /**
+     * Adiciona um produto a uma lista
+     * @param {string} listId - ID da lista
+     * @param {string} productId - ID do produto
+     * @param {number} quantity - Quantidade desejada
+     * @param {string} variantSku - SKU da variação (opcional)
+     * @returns {boolean} True se adicionado com sucesso
+     */
+    async addProductToList(listId, productId, quantity = 1, variantSku = null) {
+        const list = this.getList(listId);
+        if (!list) {
+            throw new Error('Lista não encontrada');
+        }
+
+        const product = this.productService.getProductById(productId);
+        if (!product) {
+            throw new Error('Produto não encontrado');
+        }
+
+        if (variantSku && !product.getVariant(variantSku)) {
+            throw new Error(`Variação não encontrada para ${product.name}`);
+        }
+
+        const success = list.addProduct(product, quantity, variantSku);
+        if (success) {
+            await this.saveLists();
+        }
+        return success;
+    }
+
+    /**
+     * Remove um produto de uma lista
+     * @param {string} listId - ID da lista
+     * @param {string} productId - ID do produto
+     * @param {string} variantSku - SKU da variação (opcional)
+     * @returns {boolean} True se removido com sucesso
+     */
+    async removeProductFromList(listId, productId, variantSku = null) {
+        const list = this.getList(listId);
+        if (!list) {
+            throw new Error('Lista não encontrada');
+        }
+
+        const success = list.removeProduct(productId, variantSku);
+        if (success) {
+            await this.saveLists();
+        }
+        return success;
+    }
+
+    /**
+     * Move um item do carrinho para uma lista ("salvar para depois"),
+     * liberando a reserva de estoque do carrinho
+     * @param {string} cartId - ID do carrinho
+     * @param {string} productId - ID do produto
+     * @param {string} listId - ID da lista de destino
+     * @param {string} variantSku - SKU da variação (opcional)
+     * @returns {boolean} True se movido com sucesso
+     */
+    async moveFromCart(cartId, productId, listId, variantSku = null) {
+        const cart = this.cartService.getCart(cartId);
+        if (!cart) {
+            throw new Error('Carrinho não encontrado');
+        }
+
+        const item = cart.getItem(productId, variantSku);
+        if (!item) {
+            throw new Error('Produto não está no carrinho');
+        }
+
+        await this.addProductToList(listId, productId, item.quantity, variantSku);
+        return this.cartService.removeProductFromCart(cartId, productId, variantSku);
+    }
+
+    /**
+     * Move um item de uma lista para o carrinho
+     *
+     * O produto passa pelas mesmas verificações de estoque de uma adição
+     * normal ao carrinho; se não houver estoque, o item continua na lista.
+     * Itens salvos sem variação precisam que ela seja escolhida agora.
+     * @param {string} listId - ID da lista
+     * @param {string} productId - ID do produto
+     * @param {string} cartId - ID do carrinho de destino
+     * @param {string} variantSku - SKU do item na lista (opcional)
+     * @param {string} chosenSku - Variação escolhida para itens salvos sem variação (opcional)
+     * @returns {boolean} True se movido com sucesso
+     */
+    async moveToCart(listId, productId, cartId, variantSku = null, chosenSku = null) {
+        const list = this.getList(listId);
+        if (!list) {
+            throw new Error('Lista não encontrada');
+        }
+
+        const item = list.getItem(productId, variantSku);
+        if (!item) {
+            throw new Error('Produto não está na lista');
+        }
+
+        const added = await this.cartService.addProductToCart(cartId, productId, item.quantity, variantSku || chosenSku);
+        if (!added) {
+            return false;
+        }
+
+        return this.removeProductFromList(listId, productId, variantSku);
+    }
+
+    /**
+     * Compara cada item da lista com o produto atual, indicando quedas de
+     * preço e itens que ficaram sem estoque desde que foram salvos
+     * @param {string} listId - ID da lista
+     * @returns {Array<Object>} Itens com a situação atual do produto
+     */
+    getListItemsStatus(listId) {
+        const list = this.getList(listId);
+        if (!list) {
+            throw new Error('Lista não encontrada');
+        }
+
+        return list.items.map(item => {
+            const product = this.productService.getProductById(item.productId);
+            const variantSku = item.variantSku || null;
+            const currentPrice = product ? product.getFinalPrice(variantSku) : null;
+            const inStock = product ? product.getStock(variantSku) > 0 : false;
+
+            return {
+                ...item,
+                product,
+                currentPrice,
+                inStock,
+                unavailable: !product,
+                priceDropped: product !== null && currentPrice < item.savedPrice - 0.005,
+                priceDifference: product ? currentPrice - item.savedPrice : 0,
+                wentOutOfStock: item.savedInStock && !inStock
+            };
+        });
+    }
+}
+
+module.exports = WishlistService;
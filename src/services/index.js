@@ -6,11 +6,29 @@ const ProductService = require('./ProductService');
 const CartService = require('./CartService');
 const DiscountService = require('./DiscountService');
 const ShippingService = require('./ShippingService');
+const OrderService = require('./OrderService');
+const PaymentService = require('./PaymentService');
+const ReservationService = require('./ReservationService');
+const CheckoutAttemptService = require('./CheckoutAttemptService');
+const WishlistService = require('./WishlistService');
+const CartHistoryService = require('./CartHistoryService');
+const CartRecoveryService = require('./CartRecoveryService');
+const ShopService = require('./ShopService');
+const CoinService = require('./CoinService');
 
 module.exports = {
     ProductService,
     CartService,
     DiscountService,
-    ShippingService
+    ShippingService,
+    OrderService,
+    PaymentService,
+    ReservationService,
+    CheckoutAttemptService,
+    WishlistService,
+    CartHistoryService,
+    CartRecoveryService,
+    ShopService,
+    CoinService
 };
 
@@ -0,0 +1,376 @@
+/**
+ * Utilitários para geração de boletos bancários (padrão FEBRABAN)
+ *
+ * O código de barras tem 44 dígitos: banco (3), moeda (1), dígito verificador
+ * geral (1), fator de vencimento (4), valor em centavos (10) e campo livre (25),
+ * cujo conteúdo é definido por cada banco. A linha digitável reorganiza esses
+ * dígitos em cinco campos, os três primeiros com dígito verificador módulo 10.
+ */
+
+/**
+ * Data base do fator de vencimento (fator 0)
+ */
+const DUE_FACTOR_BASE = Date.UTC(1997, 9, 7);
+
+/**
+ * Feriados nacionais de data fixa (mês-dia) em que não há expediente bancário
+ */
+const FIXED_HOLIDAYS = ['01-01', '04-21', '05-01', '09-07', '10-12', '11-02', '11-15', '11-20', '12-25'];
+
+/**
+ * Padrões do código Intercalado 2 de 5 (n = estreito, w = largo)
+ */
+const ITF_PATTERNS = ['nnwwn', 'wnnnw', 'nwnnw', 'wwnnn', 'nnwnw', 'wnwnn', 'nwwnn', 'nnnww', 'wnnwn', 'nwnwn'];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+class BoletoUtils {
+    /**
+     * Calcula o dígito verificador módulo 10 (campos da linha digitável)
+     * @param {string} digits - Sequência numérica
+     * @returns {number} Dígito verificador
+     */
+    static mod10(digits) {
+        let sum = 0;
+        let weight = 2;
+
+        for (let i = digits.length - 1; i >= 0; i--) {
+            const product = Number(digits[i]) * weight;
+            sum += product > 9 ? product - 9 : product;
+            weight = weight === 2 ? 1 : 2;
+        }
+
+        return (10 - (sum % 10)) % 10;
+    }
+
+    /**
+     * Calcula o dígito verificador módulo 11 do código de barras
+     * @param {string} digits - Os 43 dígitos do código de barras sem o verificador
+     * @returns {number} Dígito verificador (resultados 0, 10 e 11 viram 1)
+     */
+    static mod11(digits) {
+        let sum = 0;
+        let weight = 2;
+
+        for (let i = digits.length - 1; i >= 0; i--) {
+            sum += Number(digits[i]) * weight;
+            weight = weight === 9 ? 2 : weight + 1;
+        }
+
+        const dv = 11 - (sum % 11);
+        return dv === 0 || dv === 10 || dv === 11 ? 1 : dv;
+    }
+
+    /**
+     * Converte uma data para o número de dias desde a data base, ignorando o horário
+     * @param {Date} date - Data
+     * @returns {number} Dias desde 07/10/1997
+     */
+    static daysSinceBase(date) {
+        const day = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+        return Math.round((day - DUE_FACTOR_BASE) / MS_PER_DAY);
+    }
+
+    /**
+     * Calcula o fator de vencimento de uma data
+     *
+     * O fator chegou a 9999 em 21/02/2025 e recomeçou em 1000 no dia
+     * seguinte, então ele se repete a cada 9000 dias.
+     * @param {Date} date - Data de vencimento
+     * @returns {string} Fator com 4 dígitos
+     */
+    static getDueFactor(date) {
+        const days = this.daysSinceBase(date);
+        if (days < 1000) {
+            throw new Error('Data de vencimento anterior ao início do fator de vencimento');
+        }
+
+        const factor = ((days - 1000) % 9000) + 1000;
+        return factor.toString().padStart(4, '0');
+    }
+
+    /**
+     * Obtém a data de vencimento de um fator
+     *
+     * Como o fator se repete a cada 9000 dias, é escolhida a data do ciclo
+     * mais próxima da data de referência.
+     * @param {string|number} factor - Fator de vencimento
+     * @param {Date} referenceDate - Data de referência
+     * @returns {Date|null} Data de vencimento ou null quando o boleto não tem vencimento
+     */
+    static getDateFromFactor(factor, referenceDate = new Date()) {
+        const value = Number(factor);
+        if (!value) return null;
+
+        const referenceDays = this.daysSinceBase(referenceDate);
+        const cycles = Math.max(0, Math.round((referenceDays - value) / 9000));
+        const days = value + cycles * 9000;
+
+        return new Date(1997, 9, 7 + days);
+    }
+
+    /**
+     * Calcula a data da Páscoa (algoritmo de Meeus/Jones/Butcher)
+     * @param {number} year - Ano
+     * @returns {Date} Domingo de Páscoa
+     */
+    static getEasterDate(year) {
+        const a = year % 19;
+        const b = Math.floor(year / 100);
+        const c = year % 100;
+        const d = Math.floor(b / 4);
+        const e = b % 4;
+        const f = Math.floor((b + 8) / 25);
+        const g = Math.floor((b - f + 1) / 3);
+        const h = (19 * a + b - d - g + 15) % 30;
+        const i = Math.floor(c / 4);
+        const k = c % 4;
+        const l = (32 + 2 * e + 2 * i - h - k) % 7;
+        const m = Math.floor((a + 11 * h + 22 * l) / 451);
+        const month = Math.floor((h + l - 7 * m + 114) / 31);
+        const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+        return new Date(year, month - 1, day);
+    }
+
+    /**
+     * Verifica se uma data é dia útil bancário
+     *
+     * Considera fins de semana, feriados nacionais fixos e os feriados
+     * móveis sem expediente bancário (Carnaval, Sexta-feira Santa e Corpus Christi).
+     * @param {Date} date - Data
+     * @returns {boolean} True se é dia útil
+     */
+    static isBusinessDay(date) {
+        if (date.getDay() === 0 || date.getDay() === 6) {
+            return false;
+        }
+
+        const monthDay = `${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+        if (FIXED_HOLIDAYS.includes(monthDay)) {
+            return false;
+        }
+
+        const easter = this.getEasterDate(date.getFullYear());
+        const daysFromEaster = this.daysSinceBase(date) - this.daysSinceBase(easter);
+        // Segunda e terça de Carnaval, Sexta-feira Santa e Corpus Christi
+        return ![-48, -47, -2, 60].includes(daysFromEaster);
+    }
+
+    /**
+     * Soma dias úteis a uma data
+     * @param {Date} date - Data inicial
+     * @param {number} days - Quantidade de dias úteis
+     * @returns {Date} Data resultante (sem horário)
+     */
+    static addBusinessDays(date, days) {
+        const result = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        let added = 0;
+
+        while (added < days) {
+            result.setDate(result.getDate() + 1);
+            if (this.isBusinessDay(result)) {
+                added++;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Monta o campo livre no layout de cobrança do Bradesco
+     * (agência, carteira, nosso número, conta e um zero final)
+     * @param {Object} options - Dados da conta do beneficiário
+     * @param {string} options.agency - Agência (4 dígitos)
+     * @param {string} options.wallet - Carteira (2 dígitos)
+     * @param {string} options.nossoNumero - Nosso número (11 dígitos)
+     * @param {string} options.account - Conta (7 dígitos)
+     * @returns {string} Campo livre com 25 dígitos
+     */
+    static buildFreeField({ agency, wallet, nossoNumero, account }) {
+        return String(agency).padStart(4, '0') +
+            String(wallet).padStart(2, '0') +
+            String(nossoNumero).padStart(11, '0') +
+            String(account).padStart(7, '0') +
+            '0';
+    }
+
+    /**
+     * Gera o código de barras de um boleto
+     * @param {Object} options - Dados do boleto
+     * @param {string} options.bankCode - Código do banco (3 dígitos)
+     * @param {number} options.amount - Valor do boleto
+     * @param {Date} options.dueDate - Data de vencimento
+     * @param {string} options.freeField - Campo livre (25 dígitos)
+     * @returns {string} Código de barras com 44 dígitos
+     */
+    static buildBarcode({ bankCode, amount, dueDate, freeField }) {
+        if (!/^\d{25}$/.test(freeField)) {
+            throw new Error('Campo livre do boleto deve ter 25 dígitos');
+        }
+
+        const cents = Math.round(amount * 100);
+        if (cents < 0 || cents > 9999999999) {
+            throw new Error('Valor do boleto fora do limite permitido');
+        }
+
+        const bank = String(bankCode).padStart(3, '0');
+        const factor = dueDate ? this.getDueFactor(dueDate) : '0000';
+        const value = cents.toString().padStart(10, '0');
+        const withoutDv = `${bank}9${factor}${value}${freeField}`;
+        const dv = this.mod11(withoutDv);
+
+        return `${withoutDv.slice(0, 4)}${dv}${withoutDv.slice(4)}`;
+    }
+
+    /**
+     * Converte o código de barras na linha digitável (47 dígitos, sem formatação)
+     * @param {string} barcode - Código de barras
+     * @returns {string} Linha digitável
+     */
+    static barcodeToLinhaDigitavel(barcode) {
+        const field1 = barcode.slice(0, 4) + barcode.slice(19, 24);
+        const field2 = barcode.slice(24, 34);
+        const field3 = barcode.slice(34, 44);
+
+        return field1 + this.mod10(field1) +
+            field2 + this.mod10(field2) +
+            field3 + this.mod10(field3) +
+            barcode[4] +
+            barcode.slice(5, 19);
+    }
+
+    /**
+     * Reconstrói o código de barras a partir da linha digitável
+     * @param {string} linhaDigitavel - Linha digitável com 47 dígitos
+     * @returns {string} Código de barras
+     */
+    static linhaDigitavelToBarcode(linhaDigitavel) {
+        return linhaDigitavel.slice(0, 4) +
+            linhaDigitavel[32] +
+            linhaDigitavel.slice(33, 47) +
+            linhaDigitavel.slice(4, 9) +
+            linhaDigitavel.slice(10, 20) +
+            linhaDigitavel.slice(21, 31);
+    }
+
+    /**
+     * Formata a linha digitável no padrão impresso nos boletos
+     * @param {string} linhaDigitavel - Linha digitável com 47 dígitos
+     * @returns {string} Linha no formato "AAAAA.AAAAA BBBBB.BBBBBB CCCCC.CCCCCC D EEEEEEEEEEEEEE"
+     */
+    static formatLinhaDigitavel(linhaDigitavel) {
+        const l = linhaDigitavel;
+        return `${l.slice(0, 5)}.${l.slice(5, 10)} ${l.slice(10, 15)}.${l.slice(15, 21)} ` +
+            `${l.slice(21, 26)}.${l.slice(26, 32)} ${l[32]} ${l.slice(33)}`;
+    }
+
+    /**
+     * Formata uma data no padrão dd/mm/aaaa
+     * @param {Date} date - Data
+     * @returns {string} Data formatada
+     */
+    static formatDate(date) {
+        return new Date(date).toLocaleDateString('pt-BR');
+    }
+
+    /**
+     * Gera a versão em texto de um boleto para impressão
+     * @param {Object} boleto - Dados do boleto
+     * @returns {string} Boleto em texto
+     */
+    static toText(boleto) {
+        const separator = '-'.repeat(72);
+
+        return [
+            separator,
+            `${boleto.bankName} | ${boleto.bankCode}-${this.mod11(boleto.bankCode)} | ${this.formatLinhaDigitavel(boleto.linhaDigitavel)}`,
+            separator,
+            `Beneficiário:      ${boleto.beneficiary}`,
+            `Agência/Código:    ${boleto.agency} / ${boleto.account}`,
+            `Pagador:           ${boleto.payer}`,
+            `Nosso número:      ${boleto.wallet}/${boleto.nossoNumero}`,
+            `Nº do documento:   ${boleto.documentNumber}`,
+            `Data do documento: ${this.formatDate(boleto.createdAt)}`,
+            `Vencimento:        ${this.formatDate(boleto.dueDate)}`,
+            `Valor do documento: R$ ${boleto.amount.toFixed(2)}`,
+            separator,
+            `Instruções: ${boleto.instructions}`,
+            separator,
+            `Código de barras: ${boleto.barcode}`,
+            separator,
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Gera as barras do código Intercalado 2 de 5 em HTML
+     * @param {string} barcode - Código de barras (quantidade par de dígitos)
+     * @returns {string} Elementos HTML das barras
+     */
+    static renderBarsHTML(barcode) {
+        // Início (barra e espaço estreitos, duas vezes) e fim (barra larga, espaço e barra estreitos)
+        let pattern = 'nnnn';
+        for (let i = 0; i < barcode.length; i += 2) {
+            const bars = ITF_PATTERNS[Number(barcode[i])];
+            const spaces = ITF_PATTERNS[Number(barcode[i + 1])];
+            for (let j = 0; j < 5; j++) {
+                pattern += bars[j] + spaces[j];
+            }
+        }
+        pattern += 'wnn';
+
+        return pattern.split('').map((width, index) => {
+            const color = index % 2 === 0 ? '#000' : '#fff';
+            return `<span style="display:inline-block;height:50px;width:${width === 'w' ? 3 : 1}px;background:${color}"></span>`;
+        }).join('');
+    }
+
+    /**
+     * Gera a versão em HTML de um boleto para impressão
+     * @param {Object} boleto - Dados do boleto
+     * @returns {string} Documento HTML
+     */
+    static toHTML(boleto) {
+        const row = (label, value) => `<tr><th>${label}</th><td>${value}</td></tr>`;
+
+        return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+<meta charset="utf-8">
+<title>Boleto ${boleto.documentNumber}</title>
+<style>
+body { font-family: Arial, sans-serif; font-size: 12px; margin: 24px; }
+.header { display: flex; gap: 16px; border-bottom: 2px solid #000; padding-bottom: 4px; font-size: 16px; font-weight: bold; }
+.linha { margin-left: auto; letter-spacing: 1px; }
+table { border-collapse: collapse; width: 100%; margin: 8px 0; }
+th, td { border: 1px solid #000; padding: 4px 6px; text-align: left; }
+th { width: 30%; font-weight: normal; color: #555; }
+.barcode { margin-top: 16px; line-height: 0; }
+</style>
+</head>
+<body>
+<div class="header">
+<span>${boleto.bankName}</span>
+<span>${boleto.bankCode}-${this.mod11(boleto.bankCode)}</span>
+<span class="linha">${this.formatLinhaDigitavel(boleto.linhaDigitavel)}</span>
+</div>
+<table>
+${row('Beneficiário', boleto.beneficiary)}
+${row('Agência/Código do beneficiário', `${boleto.agency} / ${boleto.account}`)}
+${row('Pagador', boleto.payer)}
+${row('Nosso número', `${boleto.wallet}/${boleto.nossoNumero}`)}
+${row('Nº do documento', boleto.documentNumber)}
+${row('Data do documento', this.formatDate(boleto.createdAt))}
+${row('Vencimento', `<strong>${this.formatDate(boleto.dueDate)}</strong>`)}
+${row('Valor do documento', `<strong>R$ ${boleto.amount.toFixed(2)}</strong>`)}
+${row('Instruções', boleto.instructions)}
+</table>
+<div class="barcode">${this.renderBarsHTML(boleto.barcode)}</div>
+</body>
+</html>
+`;
+    }
+}
+
+module.exports = BoletoUtils;
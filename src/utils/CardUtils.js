@@ -0,0 +1,313 @@
+/**
+ * Faixas de BIN (primeiros dígitos) de cada bandeira
+ *
+ * A ordem importa: Elo e Hipercard usam BINs dentro das faixas de
+ * Visa e Mastercard, então precisam ser verificadas primeiro.
+ */
+const CARD_BRANDS = [
+    {
+        brand: 'elo',
+        name: 'Elo',
+        lengths: [16],
+        cvvLength: 3,
+        ranges: [
+            [401178, 401179], [431274, 431274], [438935, 438935], [451416, 451416],
+            [457393, 457393], [457631, 457632], [504175, 504175], [506699, 506778],
+            [509000, 509999], [627780, 627780], [636297, 636297], [636368, 636368],
+            [650031, 650033], [650035, 650051], [650405, 650439], [650485, 650538],
+            [650541, 650598], [650700, 650718], [650720, 650727], [650901, 650978],
+            [651652, 651679], [655000, 655019], [655021, 655058]
+        ]
+    },
+    {
+        brand: 'hipercard',
+        name: 'Hipercard',
+        lengths: [13, 16, 19],
+        cvvLength: 3,
+        ranges: [
+            [384100, 384100], [384140, 384140], [384160, 384160], [606282, 606282],
+            [637095, 637095], [637568, 637568], [637599, 637599], [637609, 637609],
+            [637612, 637612]
+        ]
+    },
+    {
+        brand: 'amex',
+        name: 'American Express',
+        lengths: [15],
+        cvvLength: 4,
+        ranges: [[340000, 349999], [370000, 379999]]
+    },
+    {
+        brand: 'mastercard',
+        name: 'Mastercard',
+        lengths: [16],
+        cvvLength: 3,
+        ranges: [[510000, 559999], [222100, 272099]]
+    },
+    {
+        brand: 'visa',
+        name: 'Visa',
+        lengths: [13, 16, 19],
+        cvvLength: 3,
+        ranges: [[400000, 499999]]
+    }
+];
+
+/**
+ * Utilitários para validação de cartões de crédito e cálculo de parcelamento
+ */
+class CardUtils {
+    /**
+     * Remove espaços e separadores do número do cartão
+     * @param {string} number - Número do cartão
+     * @returns {string} Apenas os dígitos
+     */
+    static cleanNumber(number) {
+        return String(number || '').replace(/[\s.-]/g, '');
+    }
+
+    /**
+     * Verifica o dígito verificador do cartão pelo algoritmo de Luhn
+     * @param {string} number - Número do cartão
+     * @returns {boolean} True se o número passa no teste
+     */
+    static luhnCheck(number) {
+        const digits = this.cleanNumber(number);
+        if (!/^\d+$/.test(digits)) return false;
+
+        let sum = 0;
+        let double = false;
+
+        for (let i = digits.length - 1; i >= 0; i--) {
+            let digit = Number(digits[i]);
+            if (double) {
+                digit *= 2;
+                if (digit > 9) digit -= 9;
+            }
+            sum += digit;
+            double = !double;
+        }
+
+        return sum % 10 === 0;
+    }
+
+    /**
+     * Identifica a bandeira do cartão pelo BIN
+     * @param {string} number - Número do cartão
+     * @returns {Object|null} Dados da bandeira ou null se não reconhecida
+     */
+    static detectBrand(number) {
+        const digits = this.cleanNumber(number);
+        if (digits.length < 6) return null;
+
+        const bin = Number(digits.slice(0, 6));
+        const brand = CARD_BRANDS.find(entry =>
+            entry.ranges.some(([start, end]) => bin >= start && bin <= end)
+        );
+
+        return brand ? { ...brand } : null;
+    }
+
+    /**
+     * Valida o número do cartão (bandeira, tamanho e Luhn)
+     * @param {string} number - Número do cartão
+     * @returns {Object} Resultado da validação com a bandeira
+     */
+    static validateNumber(number) {
+        const digits = this.cleanNumber(number);
+
+        if (!/^\d{12,19}$/.test(digits)) {
+            return {
+                isValid: false,
+                error: 'Número do cartão deve ter entre 12 e 19 dígitos'
+            };
+        }
+
+        const brand = this.detectBrand(digits);
+        if (!brand) {
+            return {
+                isValid: false,
+                error: 'Bandeira do cartão não aceita'
+            };
+        }
+
+        if (!brand.lengths.includes(digits.length)) {
+            return {
+                isValid: false,
+                error: `Número de dígitos inválido para cartão ${brand.name}`
+            };
+        }
+
+        if (!this.luhnCheck(digits)) {
+            return {
+                isValid: false,
+                error: 'Número do cartão inválido'
+            };
+        }
+
+        return { isValid: true, brand: brand.brand, brandName: brand.name };
+    }
+
+    /**
+     * Valida a data de validade (o cartão vale até o último dia do mês)
+     * @param {number|string} month - Mês de validade (1 a 12)
+     * @param {number|string} year - Ano de validade (2 ou 4 dígitos)
+     * @param {Date} now - Data de referência
+     * @returns {Object} Resultado da validação
+     */
+    static validateExpiry(month, year, now = new Date()) {
+        const expiryMonth = Number(month);
+        let expiryYear = Number(year);
+
+        if (!Number.isInteger(expiryMonth) || expiryMonth < 1 || expiryMonth > 12) {
+            return {
+                isValid: false,
+                error: 'Mês de validade inválido'
+            };
+        }
+
+        if (!Number.isInteger(expiryYear)) {
+            return {
+                isValid: false,
+                error: 'Ano de validade inválido'
+            };
+        }
+
+        if (expiryYear < 100) {
+            expiryYear += 2000;
+        }
+
+        // Primeiro dia do mês seguinte ao da validade
+        const expiresAt = new Date(expiryYear, expiryMonth, 1);
+        if (now >= expiresAt) {
+            return {
+                isValid: false,
+                error: 'Cartão vencido'
+            };
+        }
+
+        if (expiryYear > now.getFullYear() + 20) {
+            return {
+                isValid: false,
+                error: 'Ano de validade inválido'
+            };
+        }
+
+        return { isValid: true };
+    }
+
+    /**
+     * Valida o código de segurança (4 dígitos para American Express, 3 para as demais)
+     * @param {string} cvv - Código de segurança
+     * @param {string} brand - Código da bandeira
+     * @returns {Object} Resultado da validação
+     */
+    static validateCVV(cvv, brand) {
+        const brandInfo = CARD_BRANDS.find(entry => entry.brand === brand);
+        const expectedLength = brandInfo ? brandInfo.cvvLength : 3;
+
+        if (!new RegExp(`^\\d{${expectedLength}}$`).test(String(cvv || ''))) {
+            return {
+                isValid: false,
+                error: `Código de segurança deve ter ${expectedLength} dígitos`
+            };
+        }
+
+        return { isValid: true };
+    }
+
+    /**
+     * Valida todos os dados do cartão
+     * @param {Object} card - Dados do cartão
+     * @param {string} card.number - Número do cartão
+     * @param {string} card.holder - Nome impresso no cartão
+     * @param {number} card.expiryMonth - Mês de validade
+     * @param {number} card.expiryYear - Ano de validade
+     * @param {string} card.cvv - Código de segurança
+     * @returns {Object} Resultado da validação
+     */
+    static validateCard(card) {
+        const errors = [];
+
+        const numberValidation = this.validateNumber(card.number);
+        if (!numberValidation.isValid) errors.push(numberValidation.error);
+
+        if (!card.holder || card.holder.trim().length < 2) {
+            errors.push('Nome do titular é obrigatório');
+        }
+
+        const expiryValidation = this.validateExpiry(card.expiryMonth, card.expiryYear);
+        if (!expiryValidation.isValid) errors.push(expiryValidation.error);
+
+        const cvvValidation = this.validateCVV(card.cvv, numberValidation.brand);
+        if (!cvvValidation.isValid) errors.push(cvvValidation.error);
+
+        return {
+            isValid: errors.length === 0,
+            errors,
+            brand: numberValidation.brand,
+            brandName: numberValidation.brandName
+        };
+    }
+
+    /**
+     * Obtém os últimos quatro dígitos do cartão
+     * @param {string} number - Número do cartão
+     * @returns {string} Últimos quatro dígitos
+     */
+    static getLastDigits(number) {
+        return this.cleanNumber(number).slice(-4);
+    }
+
+    /**
+     * Calcula as opções de parcelamento de um valor
+     *
+     * Até `interestFreeInstallments` parcelas não há juros; acima disso as
+     * parcelas seguem a Tabela Price (juros compostos mensais). Só são
+     * oferecidas opções cuja parcela seja de pelo menos `minInstallmentValue`.
+     * @param {number} amount - Valor a parcelar
+     * @param {Object} options - Regras de parcelamento
+     * @param {number} options.maxInstallments - Número máximo de parcelas
+     * @param {number} options.interestFreeInstallments - Parcelas sem juros
+     * @param {number} options.minInstallmentValue - Valor mínimo de cada parcela
+     * @param {number} options.monthlyInterestRate - Taxa de juros mensal (ex: 0.0299)
+     * @returns {Array<Object>} Opções de parcelamento
+     */
+    static calculateInstallments(amount, { maxInstallments, interestFreeInstallments, minInstallmentValue, monthlyInterestRate }) {
+        const cents = Math.round(amount * 100);
+        const plans = [];
+
+        for (let installments = 1; installments <= maxInstallments; installments++) {
+            const interestFree = installments <= interestFreeInstallments || monthlyInterestRate <= 0;
+            let installmentCents;
+            let totalCents;
+
+            if (interestFree) {
+                installmentCents = Math.floor(cents / installments);
+                totalCents = cents;
+            } else {
+                const factor = Math.pow(1 + monthlyInterestRate, installments);
+                installmentCents = Math.round(cents * monthlyInterestRate * factor / (factor - 1));
+                totalCents = installmentCents * installments;
+            }
+
+            if (installments > 1 && installmentCents < Math.round(minInstallmentValue * 100)) {
+                break;
+            }
+
+            plans.push({
+                installments,
+                installmentValue: installmentCents / 100,
+                // Nas opções sem juros, o resto da divisão é cobrado na primeira parcela
+                firstInstallmentValue: (totalCents - installmentCents * (installments - 1)) / 100,
+                total: totalCents / 100,
+                interest: (totalCents - cents) / 100,
+                interestFree
+            });
+        }
+
+        return plans;
+    }
+}
+
+module.exports = CardUtils;
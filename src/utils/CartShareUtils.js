@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+
+/**
+ * Versão atual do formato de compartilhamento de carrinhos
+ */
+const SHARE_FORMAT_VERSION = 1;
+
+/**
+ * Identificador gravado nos arquivos JSON exportados
+ */
+const SHARE_FILE_FORMAT = 'shopee-cart';
+
+/**
+ * Utilitários para exportar e importar carrinhos compartilhados
+ *
+ * O código de compartilhamento é o JSON compacto do carrinho (apenas IDs
+ * de produtos, SKUs de variação, quantidades e códigos de cupons) em base64url, seguido de
+ * um ponto e de uma soma de verificação. Preços nunca fazem parte do
+ * código: quem importa sempre usa os preços atuais do catálogo.
+ */
+class CartShareUtils {
+    /**
+     * Calcula a soma de verificação de um conteúdo
+     * @param {string} content - Conteúdo
+     * @returns {string} 8 primeiros dígitos hexadecimais do SHA-256
+     */
+    static checksum(content) {
+        return crypto.createHash('sha256').update(content).digest('hex').slice(0, 8);
+    }
+
+    /**
+     * Gera o código de compartilhamento de um carrinho
+     * @param {Object} data - Itens ({ productId, variantSku, quantity }) e cupons do carrinho
+     * @returns {string} Código de compartilhamento
+     */
+    static encode(data) {
+        const payload = JSON.stringify({
+            v: SHARE_FORMAT_VERSION,
+            // O SKU só entra na entrada quando o item tem variação, mantendo o código curto
+            i: data.items.map(item => (item.variantSku
+                ? [item.productId, item.quantity, item.variantSku]
+                : [item.productId, item.quantity])),
+            c: data.coupons
+        });
+
+        const body = Buffer.from(payload, 'utf8').toString('base64url');
+        return `${body}.${this.checksum(payload)}`;
+    }
+
+    /**
+     * Lê um código de compartilhamento
+     * @param {string} code - Código de compartilhamento
+     * @returns {Object} Resultado da leitura, com os itens e cupons quando válido
+     */
+    static decode(code) {
+        const parts = typeof code === 'string' ? code.trim().split('.') : [];
+        if (parts.length !== 2 || !parts[0] || !parts[1]) {
+            return { isValid: false, error: 'Formato de código inválido' };
+        }
+
+        const payload = Buffer.from(parts[0], 'base64url').toString('utf8');
+        if (this.checksum(payload) !== parts[1].toLowerCase()) {
+            return { isValid: false, error: 'Código corrompido ou incompleto' };
+        }
+
+        let data;
+        try {
+            data = JSON.parse(payload);
+        } catch (error) {
+            return { isValid: false, error: 'Código corrompido ou incompleto' };
+        }
+
+        if (data.v !== SHARE_FORMAT_VERSION) {
+            return { isValid: false, error: `Versão do código não suportada: ${data.v}` };
+        }
+
+        return this.validateShareData({
+            items: Array.isArray(data.i)
+                ? data.i.map(entry => (Array.isArray(entry)
+                    ? { productId: entry[0], variantSku: entry.length > 2 ? entry[2] : null, quantity: entry[1] }
+                    : {}))
+                : null,
+            coupons: data.c
+        });
+    }
+
+    /**
+     * Monta o conteúdo do arquivo JSON de exportação
+     * @param {Object} data - Itens ({ productId, variantSku, name, quantity }) e cupons do carrinho
+     * @returns {Object} Conteúdo do arquivo
+     */
+    static toFileData(data) {
+        return {
+            format: SHARE_FILE_FORMAT,
+            version: SHARE_FORMAT_VERSION,
+            exportedAt: new Date().toISOString(),
+            items: data.items.map(item => ({
+                productId: item.productId,
+                variantSku: item.variantSku || null,
+                name: item.name,
+                quantity: item.quantity
+            })),
+            coupons: data.coupons,
+            shareCode: this.encode(data)
+        };
+    }
+
+    /**
+     * Lê o conteúdo de um arquivo JSON exportado
+     * @param {Object} fileData - Conteúdo do arquivo
+     * @returns {Object} Resultado da leitura, com os itens e cupons quando válido
+     */
+    static fromFileData(fileData) {
+        if (!fileData || fileData.format !== SHARE_FILE_FORMAT) {
+            return { isValid: false, error: 'Arquivo não é um carrinho exportado' };
+        }
+
+        if (fileData.version !== SHARE_FORMAT_VERSION) {
+            return { isValid: false, error: `Versão do arquivo não suportada: ${fileData.version}` };
+        }
+
+        // Só IDs, SKUs, quantidades e códigos são lidos; qualquer outro campo (como preços) é ignorado
+        return this.validateShareData({
+            items: Array.isArray(fileData.items)
+                ? fileData.items.map(item => ({
+                    productId: item && item.productId,
+                    variantSku: item && item.variantSku !== undefined ? item.variantSku : null,
+                    quantity: item && item.quantity
+                }))
+                : null,
+            coupons: fileData.coupons
+        });
+    }
+
+    /**
+     * Confere a estrutura lida de um código ou arquivo
+     * @param {Object} data - Itens e cupons lidos
+     * @returns {Object} Resultado da validação
+     */
+    static validateShareData(data) {
+        if (!data.items) {
+            return { isValid: false, error: 'Lista de itens ausente' };
+        }
+
+        const invalidItem = data.items.some(item =>
+            typeof item.productId !== 'string' || !Number.isInteger(item.quantity) || item.quantity <= 0 ||
+            (item.variantSku !== null && typeof item.variantSku !== 'string'));
+        if (invalidItem) {
+            return { isValid: false, error: 'Item com produto ou quantidade inválida' };
+        }
+
+        const coupons = Array.isArray(data.coupons) ? data.coupons.filter(code => typeof code === 'string') : [];
+
+        return {
+            isValid: true,
+            error: null,
+            items: data.items,
+            coupons: [...new Set(coupons.map(code => code.toUpperCase()))]
+        };
+    }
+}
+
+module.exports = CartShareUtils;
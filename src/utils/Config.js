@@ -40,6 +40,46 @@ class Config {
                 maxFixedDiscount: 500.00
             },
 
+            // Configurações das moedas de fidelidade
+            coins: {
+                earnPercentage: 2, // % do valor pago devolvido em moedas
+                coinValue: 0.01, // R$ por moeda
+                expiryDays: 180,
+                maxRedeemPercentage: 25 // % máximo do subtotal pago com moedas
+            },
+
+            // Configurações de recuperação de carrinhos abandonados
+            recovery: {
+                abandonedAfterDays: 7,
+                discountPercentage: 10,
+                couponValidDays: 3
+            },
+
+            // Configurações de pagamento
+            payment: {
+                pix: {
+                    key: 'pagamentos@shopeeclone.com.br',
+                    merchantName: 'Shopee Clone',
+                    merchantCity: 'Sao Paulo'
+                },
+                boleto: {
+                    bankCode: '237',
+                    bankName: 'Banco Bradesco S.A.',
+                    agency: '3381',
+                    account: '0004530',
+                    wallet: '09',
+                    beneficiary: 'Shopee Clone Comércio Digital Ltda',
+                    dueBusinessDays: 3,
+                    instructions: 'Não receber após o vencimento.'
+                },
+                card: {
+                    maxInstallments: 12,
+                    interestFreeInstallments: 6,
+                    minInstallmentValue: 20.00,
+                    monthlyInterestRate: 0.0299 // 2,99% a.m.
+                }
+            },
+
             // Configurações de produtos
             products: {
                 maxNameLength: 100,
@@ -216,15 +256,31 @@ class Config {
             'ENCRYPTION_KEY': 'security.encryptionKey',
             'FREE_SHIPPING_THRESHOLD': 'shipping.freeShippingThreshold',
             'MAX_CART_ITEMS': 'cart.maxItems',
+            'MAX_QUANTITY_PER_ITEM': 'cart.maxQuantityPerItem',
+            'MAX_SHIPPING_WEIGHT': 'shipping.maxWeight',
+            'ABANDONED_CART_DAYS': 'recovery.abandonedAfterDays',
+            'RECOVERY_DISCOUNT_PERCENTAGE': 'recovery.discountPercentage',
+            'COINS_EARN_PERCENTAGE': 'coins.earnPercentage',
+            'COINS_EXPIRY_DAYS': 'coins.expiryDays',
+            'COINS_MAX_REDEEM_PERCENTAGE': 'coins.maxRedeemPercentage',
+            'PIX_KEY': 'payment.pix.key',
+            'PIX_MERCHANT_NAME': 'payment.pix.merchantName',
+            'PIX_MERCHANT_CITY': 'payment.pix.merchantCity',
+            'BOLETO_DUE_DAYS': 'payment.boleto.dueBusinessDays',
+            'INTEREST_FREE_INSTALLMENTS': 'payment.card.interestFreeInstallments',
             'CACHE_TIMEOUT': 'performance.cacheTimeout'
         };
 
+        // Valores que são sempre texto: uma chave Pix só com dígitos (CPF, CNPJ
+        // ou telefone) perderia os zeros à esquerda se virasse número
+        const stringVars = new Set(['PIX_KEY', 'PIX_MERCHANT_NAME', 'PIX_MERCHANT_CITY']);
+
         for (const [envVar, configPath] of Object.entries(envMappings)) {
             const envValue = process.env[envVar];
             if (envValue !== undefined) {
                 // Converte string para o tipo apropriado
                 let value = envValue;
-                if (!isNaN(envValue)) {
+                if (!stringVars.has(envVar) && !isNaN(envValue)) {
                     value = Number(envValue);
                 } else if (envValue.toLowerCase() === 'true') {
                     value = true;
@@ -249,6 +305,29 @@ class Config {
             errors.push('cart.maxItems deve ser maior que zero');
         }
 
+        if (this.get('cart.maxQuantityPerItem') <= 0) {
+            errors.push('cart.maxQuantityPerItem deve ser maior que zero');
+        }
+
+        if (this.get('shipping.maxWeight') <= 0) {
+            errors.push('shipping.maxWeight deve ser maior que zero');
+        }
+
+        if (this.get('recovery.abandonedAfterDays') <= 0) {
+            errors.push('recovery.abandonedAfterDays deve ser maior que zero');
+        }
+
+        if (this.get('coins.expiryDays') <= 0) {
+            errors.push('coins.expiryDays deve ser maior que zero');
+        }
+
+        for (const key of ['coins.earnPercentage', 'coins.maxRedeemPercentage']) {
+            const value = this.get(key);
+            if (value < 0 || value > 100) {
+                errors.push(`${key} deve estar entre 0 e 100`);
+            }
+        }
+
         if (this.get('shipping.freeShippingThreshold') < 0) {
             errors.push('shipping.freeShippingThreshold não pode ser negativo');
         }
@@ -1,5 +1,7 @@
 const chalk = require('chalk');
 const Table = require('cli-table3');
+const QRCode = require('qrcode');
+const BoletoUtils = require('./BoletoUtils');
 
 /**
  * Utilitários para formatação e exibição no terminal
@@ -63,8 +65,9 @@ class DisplayUtils {
      * Exibe lista de produtos em formato de tabela
      * @param {Array} products - Lista de produtos
      * @param {boolean} showStock - Se deve mostrar estoque
+     * @param {Function} getAvailableStock - Obtém o estoque disponível de um produto (padrão: estoque físico)
      */
-    static showProductList(products, showStock = true) {
+    static showProductList(products, showStock = true, getAvailableStock = product => product.stock) {
         if (!products || products.length === 0) {
             this.showWarning('Nenhum produto encontrado.');
             return;
@@ -78,21 +81,28 @@ class DisplayUtils {
         });
 
         products.forEach((product, index) => {
+            const name = product.name.length > 20 ? product.name.substring(0, 20) + '...' : product.name;
+            const onFlashSale = product.isOnFlashSale();
+            let discount = product.discount > 0 ? chalk.green(`${product.discount}%`) : '-';
+            if (onFlashSale) {
+                discount = chalk.yellow(`⚡ ${Math.round(product.getDiscountAmount() / product.price * 100)}%`);
+            }
             const row = [
                 chalk.cyan((index + 1).toString()),
-                product.name.length > 22 ? product.name.substring(0, 22) + '...' : product.name,
+                product.hasVariants() ? `${name} ${chalk.magenta('*')}` : name,
                 product.category,
                 `R$ ${product.price.toFixed(2)}`,
-                product.discount > 0 ? chalk.green(`${product.discount}%`) : '-',
-                product.discount > 0 ? 
+                discount,
+                product.discount > 0 || onFlashSale ? 
                     chalk.green(`R$ ${product.getFinalPrice().toFixed(2)}`) : 
                     `R$ ${product.price.toFixed(2)}`,
                 product.rating > 0 ? `⭐ ${product.rating}` : '-'
             ];
 
             if (showStock) {
-                row.splice(-1, 0, product.stock > 0 ? 
-                    chalk.green(product.stock.toString()) : 
+                const available = getAvailableStock(product);
+                row.splice(-1, 0, available > 0 ? 
+                    chalk.green(available.toString()) : 
                     chalk.red('0'));
             }
 
@@ -100,14 +110,55 @@ class DisplayUtils {
         });
 
         console.log(table.toString());
+        if (products.some(product => product.hasVariants())) {
+            console.log(chalk.gray(`${chalk.magenta('*')} Produto com variações (tamanho, cor, voltagem): escolha ao adicionar ao carrinho`));
+        }
+        this.showFlashSaleCountdowns(products.filter(product => product.flashSale));
         console.log();
     }
 
     /**
-     * Exibe o carrinho de compras
+     * Exibe a contagem regressiva das ofertas relâmpago valendo ou programadas
+     * @param {Array<Product>} products - Produtos com oferta relâmpago
+     */
+    static showFlashSaleCountdowns(products) {
+        const now = new Date();
+
+        for (const product of products) {
+            const sale = product.flashSale;
+            if (product.isOnFlashSale(now)) {
+                console.log(chalk.yellow(`⚡ ${product.name}: R$ ${product.getFinalPrice().toFixed(2)} · ` +
+                    `termina em ${this.formatCountdown(sale.getTimeRemaining(now))} · restam ${sale.getRemainingQuota()} · ` +
+                    `até ${sale.perUserLimit} por cliente`));
+            } else if (sale.isUpcoming(now)) {
+                console.log(chalk.gray(`⚡ ${product.name}: oferta relâmpago começa em ${this.formatCountdown(sale.getTimeRemaining(now))}`));
+            }
+        }
+    }
+
+    /**
+     * Formata um intervalo de tempo como contagem regressiva
+     * @param {number} milliseconds - Intervalo em milissegundos
+     * @returns {string} Tempo no formato HH:MM:SS (com os dias na frente, se houver)
+     */
+    static formatCountdown(milliseconds) {
+        const totalSeconds = Math.max(0, Math.floor(milliseconds / 1000));
+        const days = Math.floor(totalSeconds / 86400);
+        const clock = [
+            Math.floor(totalSeconds % 86400 / 3600),
+            Math.floor(totalSeconds % 3600 / 60),
+            totalSeconds % 60
+        ].map(value => value.toString().padStart(2, '0')).join(':');
+
+        return days > 0 ? `${days}d ${clock}` : clock;
+    }
+
+    /**
+     * Exibe o carrinho de compras, com os itens agrupados pela loja que os vende
      * @param {ShoppingCart} cart - Carrinho de compras
+     * @param {Function} getShop - Obtém a loja (Shop) pelo ID, para nome e frete grátis (opcional)
      */
-    static showCart(cart) {
+    static showCart(cart, getShop = null) {
         if (!cart || cart.isEmpty()) {
             this.showWarning('Seu carrinho está vazio.');
             return;
@@ -118,28 +169,70 @@ class DisplayUtils {
 
         const table = new Table({
             head: ['Item', 'Produto', 'Preço Unit.', 'Qtd', 'Subtotal', 'Desconto'],
-            colWidths: [6, 25, 12, 6, 12, 10]
+            colWidths: [6, 34, 12, 6, 12, 10]
         });
 
-        cart.items.forEach((item, index) => {
-            const displayInfo = item.getDisplayInfo();
-            table.push([
-                chalk.cyan((index + 1).toString()),
-                displayInfo.name.length > 22 ? displayInfo.name.substring(0, 22) + '...' : displayInfo.name,
-                displayInfo.finalPrice,
-                displayInfo.quantity,
-                chalk.green(displayInfo.subtotal),
-                displayInfo.savings !== '-' ? chalk.green(displayInfo.savings) : '-'
-            ]);
-        });
+        let index = 0;
+        for (const group of cart.getShopGroups()) {
+            const shop = getShop ? getShop(group.shopId) : null;
+            const details = [`subtotal R$ ${group.subtotal.toFixed(2)}`];
+
+            if (cart.shippingByShop[group.shopId] !== undefined) {
+                const cost = cart.shippingByShop[group.shopId];
+                details.push(cost > 0 ? `frete R$ ${cost.toFixed(2)}` : 'frete grátis');
+            } else if (shop) {
+                details.push(shop.qualifiesForFreeShipping(group.subtotal) ?
+                    'frete grátis' :
+                    `frete grátis a partir de R$ ${shop.freeShippingThreshold.toFixed(2)}`);
+            }
+
+            table.push([{
+                colSpan: 6,
+                content: `${chalk.blue.bold(`🏪 ${shop ? shop.name : group.shopId}`)} ${chalk.gray(`(${details.join(' · ')})`)}`
+            }]);
+
+            for (const item of group.items) {
+                const displayInfo = item.getDisplayInfo();
+                index++;
+                table.push([
+                    chalk.cyan(index.toString()),
+                    displayInfo.name.length > 31 ? displayInfo.name.substring(0, 31) + '...' : displayInfo.name,
+                    displayInfo.finalPrice,
+                    displayInfo.quantity,
+                    chalk.green(displayInfo.subtotal),
+                    displayInfo.savings !== '-' ? chalk.green(displayInfo.savings) : '-'
+                ]);
+            }
+        }
 
         console.log(table.toString());
 
+        this.showPriceChanges(cart.getPriceChanges());
+
         // Resumo financeiro
         const summary = cart.getFinancialSummary();
         this.showFinancialSummary(summary);
     }
 
+    /**
+     * Exibe avisos de itens cujo preço mudou desde que foram adicionados
+     * @param {Array<Object>} changes - Mudanças de preço (ShoppingCart.getPriceChanges)
+     */
+    static showPriceChanges(changes) {
+        if (!changes || changes.length === 0) return;
+
+        console.log();
+        for (const change of changes) {
+            const prices = `R$ ${change.previousPrice.toFixed(2)} → R$ ${change.currentPrice.toFixed(2)}`;
+            if (change.increased) {
+                console.log(chalk.red(`🔺 ${change.name}: preço subiu (${prices})`));
+            } else {
+                console.log(chalk.green(`🔻 ${change.name}: preço baixou (${prices})`));
+            }
+        }
+        console.log();
+    }
+
     /**
      * Exibe resumo financeiro
      * @param {Object} summary - Resumo financeiro
@@ -165,6 +258,10 @@ class DisplayUtils {
             summaryTable.push(['Desconto Cupom:', chalk.green(`-R$ ${summary.couponDiscounts.toFixed(2)}`)]);
         }
 
+        if (summary.coinsDiscount > 0) {
+            summaryTable.push(['Desconto Moedas:', chalk.green(`-R$ ${summary.coinsDiscount.toFixed(2)}`)]);
+        }
+
         if (summary.shippingCost > 0) {
             summaryTable.push(['Frete:', `R$ ${summary.shippingCost.toFixed(2)}`]);
         } else if (summary.subtotal > 0) {
@@ -187,11 +284,38 @@ class DisplayUtils {
         console.log();
     }
 
+    /**
+     * Exibe a tabela de parcelamento no cartão de crédito
+     * @param {Array<Object>} plans - Opções de parcelamento
+     */
+    static showInstallmentTable(plans) {
+        console.log(chalk.yellow.bold('💳 Parcelamento no Cartão'));
+        console.log();
+
+        const table = new Table({
+            head: ['Parcelas', 'Valor da Parcela', 'Total', 'Juros'],
+            colWidths: [10, 18, 14, 16]
+        });
+
+        plans.forEach(plan => {
+            table.push([
+                `${plan.installments}x`,
+                `R$ ${plan.installmentValue.toFixed(2)}`,
+                `R$ ${plan.total.toFixed(2)}`,
+                plan.interestFree ? chalk.green('sem juros') : chalk.yellow(`R$ ${plan.interest.toFixed(2)}`)
+            ]);
+        });
+
+        console.log(table.toString());
+        console.log();
+    }
+
     /**
      * Exibe lista de cupons disponíveis
      * @param {Array} coupons - Lista de cupons
+     * @param {Function} getShopName - Obtém o nome da loja dos cupons de loja (opcional)
      */
-    static showCouponList(coupons) {
+    static showCouponList(coupons, getShopName = shopId => shopId) {
         if (!coupons || coupons.length === 0) {
             this.showWarning('Nenhum cupom disponível no momento.');
             return;
@@ -201,8 +325,8 @@ class DisplayUtils {
         console.log();
 
         const table = new Table({
-            head: ['Código', 'Desconto', 'Valor Mínimo', 'Validade', 'Descrição'],
-            colWidths: [12, 12, 12, 12, 30]
+            head: ['Código', 'Desconto', 'Valor Mínimo', 'Validade', 'Válido em', 'Descrição'],
+            colWidths: [12, 12, 12, 12, 20, 28]
         });
 
         coupons.forEach(coupon => {
@@ -218,11 +342,32 @@ class DisplayUtils {
                 coupon.expiryDate.toLocaleDateString('pt-BR') : 
                 'Sem prazo';
 
+            const scope = [coupon.isShopVoucher() ? chalk.blue(`🏪 ${getShopName(coupon.shopId)}`) : 'Toda a plataforma'];
+            if (coupon.categories.length > 0) {
+                scope.push(`Só ${coupon.categories.join(', ')}`);
+            }
+            if (coupon.excludedCategories.length > 0) {
+                scope.push(`Exceto ${coupon.excludedCategories.join(', ')}`);
+            }
+            if (coupon.brands.length > 0) {
+                scope.push(`Só marca ${coupon.brands.join(', ')}`);
+            }
+            if (coupon.excludedBrands.length > 0) {
+                scope.push(`Exceto marca ${coupon.excludedBrands.join(', ')}`);
+            }
+            if (coupon.productIds.length > 0) {
+                scope.push('Produtos selecionados');
+            }
+            if (coupon.minimumQuantity > 0) {
+                scope.push(`Mín. ${coupon.minimumQuantity} unidades`);
+            }
+
             table.push([
                 chalk.cyan(coupon.code),
                 chalk.green(discount),
                 minAmount,
                 validity,
+                scope.join('\n'),
                 coupon.description || 'Cupom de desconto'
             ]);
         });
@@ -231,17 +376,35 @@ class DisplayUtils {
         console.log();
     }
 
+    /**
+     * Exibe quais itens do carrinho participam de um cupom e por que os demais não participam
+     * @param {Object} validation - Resultado de DiscountService.validateCoupon com o carrinho
+     */
+    static showCouponEligibility(validation) {
+        if (!validation.ineligibleItems || validation.ineligibleItems.length === 0) return;
+
+        console.log(chalk.yellow.bold('\n🎯 Itens participantes do cupom:'));
+        for (const name of validation.eligibleItems) {
+            console.log(chalk.green(`   ✔ ${name}`));
+        }
+        for (const { name, reason } of validation.ineligibleItems) {
+            console.log(chalk.gray(`   ✘ ${name} (${reason})`));
+        }
+        console.log();
+    }
+
     /**
      * Exibe opções de frete
      * @param {Array} shippingOptions - Opções de frete
+     * @param {string} shopName - Loja a que as opções se referem (opcional)
      */
-    static showShippingOptions(shippingOptions) {
+    static showShippingOptions(shippingOptions, shopName = null) {
         if (!shippingOptions || shippingOptions.length === 0) {
             this.showWarning('Nenhuma opção de frete disponível.');
             return;
         }
 
-        console.log(chalk.blue.bold('🚚 Opções de Frete'));
+        console.log(chalk.blue.bold(shopName ? `🚚 Opções de Frete - ${shopName}` : '🚚 Opções de Frete'));
         console.log();
 
         const table = new Table({
@@ -271,36 +434,50 @@ class DisplayUtils {
     /**
      * Exibe informações de frete grátis
      * @param {Object} freeShippingInfo - Informações de frete grátis
+     * @param {string} shopName - Loja a que o frete grátis se refere (opcional)
      */
-    static showFreeShippingProgress(freeShippingInfo) {
+    static showFreeShippingProgress(freeShippingInfo, shopName = null) {
         if (freeShippingInfo.qualified) {
-            this.showSuccess('🎉 Parabéns! Você ganhou frete grátis!');
+            this.showSuccess(shopName ?
+                `🎉 Parabéns! Você ganhou frete grátis na ${shopName}!` :
+                '🎉 Parabéns! Você ganhou frete grátis!');
             return;
         }
 
         const remaining = freeShippingInfo.remaining;
         const percentage = freeShippingInfo.percentage;
         
-        console.log(chalk.blue.bold('🚚 Progresso para Frete Grátis'));
+        console.log(chalk.blue.bold(shopName ? `🚚 Progresso para Frete Grátis - ${shopName}` : '🚚 Progresso para Frete Grátis'));
         console.log();
         
         const progressBar = '█'.repeat(Math.floor(percentage / 5)) + '░'.repeat(20 - Math.floor(percentage / 5));
         
         console.log(`Progresso: [${chalk.green(progressBar)}] ${percentage.toFixed(1)}%`);
-        console.log(`Faltam apenas ${chalk.green(`R$ ${remaining.toFixed(2)}`)} para ganhar frete grátis!`);
+        console.log(`Faltam apenas ${chalk.green(`R$ ${remaining.toFixed(2)}`)} ${shopName ? `em produtos da ${shopName} ` : ''}para ganhar frete grátis!`);
         console.log();
     }
 
     /**
      * Exibe resumo do pedido finalizado
-     * @param {Object} orderSummary - Resumo do pedido
+     * @param {Order} order - Pedido finalizado
      */
-    static showOrderSummary(orderSummary) {
+    static showOrderSummary(order) {
         console.log(chalk.green.bold('🎉 Pedido Finalizado com Sucesso!'));
         console.log();
 
-        console.log(chalk.yellow.bold(`📋 Pedido: ${orderSummary.orderId}`));
-        console.log(chalk.gray(`Data: ${orderSummary.processedAt.toLocaleString('pt-BR')}`));
+        this.showOrderDetails(order);
+
+        this.showSuccess('Obrigado pela sua compra! Você receberá um e-mail com os detalhes do pedido.');
+    }
+
+    /**
+     * Exibe os detalhes de um pedido
+     * @param {Order} order - Pedido a ser exibido
+     */
+    static showOrderDetails(order) {
+        console.log(chalk.yellow.bold(`📋 Pedido: ${order.id}`));
+        console.log(chalk.gray(`Data: ${order.createdAt.toLocaleString('pt-BR')}`));
+        console.log(chalk.gray(`Status: ${this.getOrderStatusLabel(order.status)}`));
         console.log();
 
         // Itens do pedido
@@ -310,30 +487,462 @@ class DisplayUtils {
             colWidths: [30, 10, 12, 12]
         });
 
-        orderSummary.items.forEach(item => {
+        order.items.forEach(item => {
             itemsTable.push([
-                item.product.name.length > 27 ? item.product.name.substring(0, 27) + '...' : item.product.name,
+                item.name.length > 27 ? item.name.substring(0, 27) + '...' : item.name,
                 item.quantity,
-                `R$ ${item.product.finalPrice.toFixed(2)}`,
+                `R$ ${item.unitPrice.toFixed(2)}`,
                 chalk.green(`R$ ${item.subtotal.toFixed(2)}`)
             ]);
+
+            for (const component of item.components || []) {
+                const name = `  └ ${component.name}`;
+                itemsTable.push([
+                    chalk.gray(name.length > 27 ? name.substring(0, 27) + '...' : name),
+                    chalk.gray(component.quantity),
+                    '',
+                    chalk.gray(`R$ ${component.subtotal.toFixed(2)}`)
+                ]);
+            }
         });
 
         console.log(itemsTable.toString());
         console.log();
 
+        // Pedidos com mais de uma loja são enviados em subpedidos separados
+        if (order.subOrders.length > 1) {
+            console.log(chalk.blue.bold('🏪 Envios por Loja:'));
+            const subOrdersTable = new Table({
+                head: ['Subpedido', 'Loja', 'Itens', 'Frete', 'Total'],
+                colWidths: [32, 20, 8, 12, 12]
+            });
+
+            order.subOrders.forEach(subOrder => {
+                subOrdersTable.push([
+                    subOrder.id,
+                    subOrder.shopName,
+                    subOrder.items.reduce((total, item) => total + item.quantity, 0),
+                    subOrder.shippingCost > 0 ? `R$ ${subOrder.shippingCost.toFixed(2)}` : chalk.green('GRÁTIS'),
+                    chalk.green(`R$ ${subOrder.total.toFixed(2)}`)
+                ]);
+            });
+
+            console.log(subOrdersTable.toString());
+            console.log();
+        }
+
+        if (order.appliedCoupons.length > 0) {
+            console.log(chalk.magenta(`🎫 Cupons: ${order.appliedCoupons.map(c => c.code).join(', ')}`));
+            console.log();
+        }
+
+        if (order.coinsRedeemed > 0) {
+            console.log(chalk.magenta(`🪙 Moedas usadas: ${order.coinsRedeemed}`));
+            console.log();
+        }
+
         // Resumo financeiro
-        this.showFinancialSummary(orderSummary.financialSummary);
+        this.showFinancialSummary(order.financialSummary);
 
-        if (orderSummary.shippingAddress) {
+        if (order.shippingAddress) {
             console.log(chalk.blue.bold('📍 Endereço de Entrega:'));
-            console.log(`${orderSummary.shippingAddress.street}, ${orderSummary.shippingAddress.number}`);
-            console.log(`${orderSummary.shippingAddress.city} - ${orderSummary.shippingAddress.state}`);
-            console.log(`CEP: ${orderSummary.shippingAddress.zipCode}`);
+            console.log(`${order.shippingAddress.street}, ${order.shippingAddress.number}`);
+            console.log(`${order.shippingAddress.city} - ${order.shippingAddress.state}`);
+            console.log(`CEP: ${order.shippingAddress.zipCode}`);
             console.log();
         }
 
-        this.showSuccess('Obrigado pela sua compra! Você receberá um e-mail com os detalhes do pedido.');
+        if (order.returns.length > 0) {
+            console.log(chalk.blue.bold('↩️  Devoluções:'));
+            order.returns.forEach(ret => this.showRefundSummary(ret));
+        }
+
+        this.showOrderHistory(order);
+    }
+
+    /**
+     * Exibe o detalhamento de um reembolso de devolução
+     * @param {Object} refund - Reembolso calculado ou devolução registrada
+     */
+    static showRefundSummary(refund) {
+        if (refund.id) {
+            console.log(chalk.gray(`${refund.id} - ${refund.createdAt.toLocaleString('pt-BR')}`));
+        }
+
+        const table = new Table({
+            head: ['Produto', 'Qtd', 'Reembolso'],
+            colWidths: [30, 6, 14]
+        });
+
+        refund.items.forEach(item => {
+            table.push([
+                item.name.length > 27 ? item.name.substring(0, 27) + '...' : item.name,
+                item.quantity,
+                `R$ ${item.refundAmount.toFixed(2)}`
+            ]);
+        });
+
+        table.push(['Frete', '', refund.shippingRefund > 0 ? `R$ ${refund.shippingRefund.toFixed(2)}` : chalk.gray('Não reembolsado')]);
+        table.push([chalk.bold('TOTAL A REEMBOLSAR'), '', chalk.green.bold(`R$ ${refund.totalRefund.toFixed(2)}`)]);
+
+        console.log(table.toString());
+        console.log();
+    }
+
+    /**
+     * Exibe o histórico de status de um pedido
+     * @param {Order} order - Pedido
+     */
+    static showOrderHistory(order) {
+        console.log(chalk.blue.bold('🕒 Histórico do Pedido:'));
+
+        const table = new Table({
+            head: ['Data', 'Status', 'Observação'],
+            colWidths: [22, 22, 30]
+        });
+
+        order.statusHistory.forEach(entry => {
+            table.push([
+                entry.changedAt.toLocaleString('pt-BR'),
+                this.getOrderStatusLabel(entry.to),
+                entry.note || '-'
+            ]);
+        });
+
+        console.log(table.toString());
+        console.log();
+    }
+
+    /**
+     * Exibe lista de pedidos em formato de tabela
+     * @param {Array<Order>} orders - Lista de pedidos
+     */
+    static showOrderList(orders) {
+        if (!orders || orders.length === 0) {
+            this.showWarning('Você ainda não realizou nenhum pedido.');
+            return;
+        }
+
+        console.log(chalk.yellow.bold('📦 Meus Pedidos'));
+        console.log();
+
+        const table = new Table({
+            head: ['#', 'Pedido', 'Data', 'Itens', 'Total', 'Status'],
+            colWidths: [5, 28, 12, 7, 14, 22]
+        });
+
+        orders.forEach((order, index) => {
+            table.push([
+                chalk.cyan((index + 1).toString()),
+                order.id,
+                order.createdAt.toLocaleDateString('pt-BR'),
+                order.getTotalItems(),
+                chalk.green(`R$ ${order.getTotal().toFixed(2)}`),
+                this.getOrderStatusLabel(order.status)
+            ]);
+        });
+
+        console.log(table.toString());
+        console.log();
+    }
+
+    /**
+     * Exibe a lista de carrinhos do usuário
+     * @param {Array<ShoppingCart>} carts - Carrinhos do usuário
+     * @param {string} currentCartId - ID do carrinho em uso
+     */
+    static showCartList(carts, currentCartId = null) {
+        if (!carts || carts.length === 0) {
+            this.showWarning('Você não tem carrinhos salvos.');
+            return;
+        }
+
+        console.log(chalk.yellow.bold('🗂️  Meus Carrinhos'));
+        console.log();
+
+        const table = new Table({
+            head: ['#', 'Carrinho', 'Itens', 'Total', 'Atualizado em'],
+            colWidths: [5, 32, 7, 14, 14]
+        });
+
+        carts.forEach((cart, index) => {
+            const name = cart.getDisplayName();
+            table.push([
+                chalk.cyan((index + 1).toString()),
+                cart.id === currentCartId ? chalk.bold(`${name} ✔`) : name,
+                cart.getTotalItems(),
+                chalk.green(`R$ ${cart.getTotal().toFixed(2)}`),
+                cart.updatedAt.toLocaleDateString('pt-BR')
+            ]);
+        });
+
+        console.log(table.toString());
+        console.log();
+    }
+
+    /**
+     * Exibe os itens de uma lista de desejos com alertas de preço e estoque
+     * @param {Wishlist} list - Lista exibida
+     * @param {Array<Object>} items - Itens com a situação atual (WishlistService.getListItemsStatus)
+     */
+    static showWishlist(list, items) {
+        console.log(chalk.yellow.bold(`❤️  ${list.name}`));
+        console.log();
+
+        if (!items || items.length === 0) {
+            this.showInfo('Esta lista está vazia.');
+            return;
+        }
+
+        const table = new Table({
+            head: ['#', 'Produto', 'Qtd', 'Salvo por', 'Preço atual', 'Situação'],
+            colWidths: [5, 28, 5, 13, 13, 24]
+        });
+
+        items.forEach((item, index) => {
+            const alerts = [];
+            if (item.unavailable) {
+                alerts.push(chalk.red('❌ Indisponível'));
+            } else {
+                if (item.priceDropped) {
+                    alerts.push(chalk.green(`🔻 Baixou R$ ${Math.abs(item.priceDifference).toFixed(2)}`));
+                }
+                if (item.wentOutOfStock) {
+                    alerts.push(chalk.red('⚠️  Esgotou'));
+                } else if (!item.inStock) {
+                    alerts.push(chalk.red('Sem estoque'));
+                }
+            }
+
+            table.push([
+                chalk.cyan((index + 1).toString()),
+                item.name,
+                item.quantity,
+                `R$ ${item.savedPrice.toFixed(2)}`,
+                item.currentPrice !== null ? chalk.green(`R$ ${item.currentPrice.toFixed(2)}`) : '-',
+                alerts.length > 0 ? alerts.join('\n') : chalk.gray('OK')
+            ]);
+        });
+
+        console.log(table.toString());
+        console.log();
+    }
+
+    /**
+     * Exibe a carteira de moedas de fidelidade com o extrato
+     * @param {Array<CoinEntry>} entries - Lançamentos do cliente
+     * @param {number} balance - Saldo de moedas
+     * @param {number} balanceAmount - Saldo convertido em reais
+     * @param {Object|null} nextExpiration - Próximo vencimento ({ coins, expiresAt }) ou null
+     */
+    static showCoinWallet(entries, balance, balanceAmount, nextExpiration = null) {
+        console.log(chalk.yellow.bold(`🪙 Saldo: ${balance} moedas (R$ ${balanceAmount.toFixed(2)})`));
+        if (nextExpiration) {
+            console.log(chalk.gray(`${nextExpiration.coins} moedas vencem em ${nextExpiration.expiresAt.toLocaleDateString('pt-BR')}`));
+        }
+        console.log();
+
+        if (!entries || entries.length === 0) {
+            this.showInfo('Nenhuma movimentação de moedas ainda.');
+            return;
+        }
+
+        const table = new Table({
+            head: ['Data', 'Lançamento', 'Moedas', 'Descrição'],
+            colWidths: [12, 18, 10, 40]
+        });
+
+        for (const entry of entries) {
+            table.push([
+                entry.createdAt.toLocaleDateString('pt-BR'),
+                entry.getTypeLabel(),
+                entry.amount > 0 ? chalk.green(`+${entry.amount}`) : chalk.red(entry.amount.toString()),
+                entry.description
+            ]);
+        }
+
+        console.log(table.toString());
+        console.log();
+    }
+
+    /**
+     * Exibe o relatório de itens e cupons juntados a um carrinho
+     * @param {Object} report - Relatório de CartService.mergeGuestCart ou CartService.importSharedCart
+     * @param {string} title - Título da lista de ajustes
+     */
+    static showMergeReport(report, title = 'Ajustes feitos ao juntar os carrinhos:') {
+        const hasChanges = report.adjustedItems.length > 0 ||
+            report.droppedItems.length > 0 ||
+            report.droppedCoupons.length > 0;
+
+        if (report.mergedItems.length > 0) {
+            const totalMerged = report.mergedItems.reduce((total, item) => total + item.quantity, 0);
+            this.showSuccess(`${totalMerged} ${totalMerged === 1 ? 'unidade foi juntada' : 'unidades foram juntadas'} ao seu carrinho.`);
+        }
+
+        if (!hasChanges) return;
+
+        console.log(chalk.yellow.bold(`\n⚠️  ${title}`));
+
+        for (const item of report.adjustedItems) {
+            console.log(chalk.yellow(`   • ${item.name}: ${item.quantity} de ${item.requested} unidades (${item.reason})`));
+        }
+        for (const item of report.droppedItems) {
+            console.log(chalk.red(`   • ${item.name}: não incluído (${item.reason})`));
+        }
+        for (const coupon of report.droppedCoupons) {
+            console.log(chalk.red(`   • Cupom ${coupon.code} removido (${coupon.reason})`));
+        }
+
+        console.log();
+    }
+
+    /**
+     * Exibe o resultado do job de recuperação de carrinhos abandonados
+     * @param {Object} summary - Resumo de CartRecoveryService.runRecoveryJob
+     * @param {Object} report - Relatório de CartRecoveryService.getRecoveryReport
+     */
+    static showRecoveryReport(summary, report) {
+        console.log(chalk.blue.bold(`📨 ${summary.checked} ${summary.checked === 1 ? 'carrinho abandonado encontrado' : 'carrinhos abandonados encontrados'}`));
+
+        for (const recovery of summary.sent) {
+            console.log(chalk.green(`   • ${recovery.userId}: lembrete com cupom ${recovery.couponCode}`));
+        }
+        for (const skipped of summary.skipped) {
+            console.log(chalk.gray(`   • ${skipped.userId || skipped.cartId}: ${skipped.reason}`));
+        }
+        console.log();
+
+        const table = new Table({
+            head: ['Enviados', 'Recuperados', 'Expirados', 'Aguardando', 'Taxa', 'Receita'],
+            colWidths: [10, 13, 11, 12, 9, 14]
+        });
+
+        table.push([
+            report.sent,
+            chalk.green(report.recovered),
+            chalk.red(report.expired),
+            report.pending,
+            chalk.bold(`${report.recoveryRate.toFixed(1)}%`),
+            `R$ ${report.recoveredRevenue.toFixed(2)}`
+        ]);
+
+        console.log(table.toString());
+        console.log(chalk.gray(`Cupons de recuperação usados: ${report.couponsUsed}`));
+        console.log();
+    }
+
+    /**
+     * Exibe o relatório de vendas por produto
+     * @param {Array<Object>} sales - Vendas por produto (OrderService.getProductSalesReport)
+     */
+    static showProductSalesReport(sales) {
+        if (!sales || sales.length === 0) {
+            this.showWarning('Nenhuma venda registrada.');
+            return;
+        }
+
+        console.log(chalk.yellow.bold('📊 Vendas por Produto'));
+        console.log(chalk.gray('Kits são contados pelos componentes, com a parte do preço do kit que coube a cada um.'));
+        console.log();
+
+        const table = new Table({
+            head: ['Produto', 'Qtd', 'Receita'],
+            colWidths: [34, 6, 14]
+        });
+
+        sales.forEach(line => {
+            table.push([
+                line.name.length > 31 ? line.name.substring(0, 31) + '...' : line.name,
+                line.quantity,
+                chalk.green(`R$ ${line.revenue.toFixed(2)}`)
+            ]);
+        });
+
+        const total = sales.reduce((sum, line) => sum + line.revenue, 0);
+        table.push([chalk.bold('TOTAL'), '', chalk.green.bold(`R$ ${total.toFixed(2)}`)]);
+
+        console.log(table.toString());
+        console.log();
+    }
+
+    /**
+     * Obtém o rótulo de exibição de um status de pedido
+     * @param {string} status - Status do pedido
+     * @returns {string} Rótulo do status
+     */
+    static getOrderStatusLabel(status) {
+        const labels = {
+            pending_payment: 'Aguardando pagamento',
+            paid: 'Pago',
+            separated: 'Em separação',
+            shipped: 'Enviado',
+            delivered: 'Entregue',
+            cancelled: 'Cancelado',
+            returned: 'Devolvido'
+        };
+
+        return labels[status] || status;
+    }
+
+    /**
+     * Exibe os dados de pagamento Pix com o QR Code
+     * @param {Object} payment - Pagamento Pix do pedido
+     */
+    static showPixPayment(payment) {
+        console.log(chalk.cyan.bold('💠 Pagamento via Pix'));
+        console.log();
+        console.log(`Valor: ${chalk.green.bold(`R$ ${payment.amount.toFixed(2)}`)}`);
+        console.log(chalk.gray('Escaneie o QR Code abaixo no app do seu banco:'));
+        console.log();
+
+        this.showQRCode(payment.payload);
+
+        console.log(chalk.bold('Pix Copia e Cola:'));
+        console.log(payment.payload);
+        console.log();
+    }
+
+    /**
+     * Exibe o boleto gerado para um pedido
+     * @param {Object} payment - Pagamento por boleto do pedido
+     */
+    static showBoletoPayment(payment) {
+        console.log(chalk.cyan.bold('🧾 Boleto bancário'));
+        console.log();
+        console.log(`Valor: ${chalk.green.bold(`R$ ${payment.amount.toFixed(2)}`)}`);
+        console.log(`Vencimento: ${chalk.yellow(new Date(payment.dueDate).toLocaleDateString('pt-BR'))}`);
+        console.log();
+        console.log(chalk.bold('Linha digitável:'));
+        console.log(BoletoUtils.formatLinhaDigitavel(payment.linhaDigitavel));
+        console.log();
+    }
+
+    /**
+     * Desenha um QR Code no terminal usando meios-blocos Unicode
+     *
+     * Cada linha do terminal representa duas linhas de módulos do QR Code,
+     * com uma margem de dois módulos ao redor para facilitar a leitura.
+     * @param {string} text - Conteúdo do QR Code
+     */
+    static showQRCode(text) {
+        const qr = QRCode.create(text, { errorCorrectionLevel: 'M' });
+        const size = qr.modules.size;
+        const margin = 2;
+        const isDark = (row, col) =>
+            row >= 0 && col >= 0 && row < size && col < size && Boolean(qr.modules.get(row, col));
+
+        for (let row = -margin; row < size + margin; row += 2) {
+            let line = '';
+            for (let col = -margin; col < size + margin; col++) {
+                const top = isDark(row, col);
+                const bottom = isDark(row + 1, col);
+                line += top && bottom ? '█' : top ? '▀' : bottom ? '▄' : ' ';
+            }
+            console.log(chalk.black.bgWhite(line));
+        }
+
+        console.log();
     }
 
     /**
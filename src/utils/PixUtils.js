@@ -0,0 +1,175 @@
+/**
+ * Utilitários para geração do BR Code Pix ("copia e cola")
+ *
+ * O payload segue o padrão EMV QRCPS-MPM adotado pelo Banco Central:
+ * uma sequência de campos TLV (ID com 2 dígitos, tamanho com 2 dígitos e
+ * valor), terminada pelo CRC16-CCITT do próprio payload.
+ */
+class PixUtils {
+    /**
+     * Monta um campo TLV do padrão EMV
+     * @param {string} id - Identificador do campo (2 dígitos)
+     * @param {string} value - Valor do campo
+     * @returns {string} Campo formatado
+     */
+    static formatField(id, value) {
+        const length = value.length.toString().padStart(2, '0');
+        return `${id}${length}${value}`;
+    }
+
+    /**
+     * Calcula o CRC16-CCITT (polinômio 0x1021, valor inicial 0xFFFF)
+     * @param {string} payload - Texto sobre o qual o CRC é calculado
+     * @returns {string} CRC em 4 dígitos hexadecimais maiúsculos
+     */
+    static crc16(payload) {
+        let crc = 0xFFFF;
+
+        for (const byte of Buffer.from(payload, 'utf8')) {
+            crc ^= byte << 8;
+            for (let bit = 0; bit < 8; bit++) {
+                crc = (crc & 0x8000) ? ((crc << 1) ^ 0x1021) : (crc << 1);
+                crc &= 0xFFFF;
+            }
+        }
+
+        return crc.toString(16).toUpperCase().padStart(4, '0');
+    }
+
+    /**
+     * Remove acentos e caracteres fora do conjunto aceito pelo BR Code
+     * @param {string} text - Texto original
+     * @param {number} maxLength - Comprimento máximo
+     * @returns {string} Texto normalizado
+     */
+    static normalizeText(text, maxLength) {
+        return (text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^A-Za-z0-9 $%*+\-./:]/g, '')
+            .trim()
+            .substring(0, maxLength);
+    }
+
+    /**
+     * Gera o payload de um BR Code Pix estático
+     * @param {Object} options - Dados da cobrança
+     * @param {string} options.key - Chave Pix do recebedor
+     * @param {string} options.merchantName - Nome do recebedor (até 25 caracteres)
+     * @param {string} options.merchantCity - Cidade do recebedor (até 15 caracteres)
+     * @param {number} options.amount - Valor da cobrança (opcional)
+     * @param {string} options.txid - Identificador da transação (até 25 caracteres)
+     * @param {string} options.description - Descrição exibida ao pagador (opcional)
+     * @returns {string} Payload "copia e cola"
+     */
+    static buildPayload({ key, merchantName, merchantCity, amount = null, txid = '***', description = '' }) {
+        if (!key) {
+            throw new Error('Chave Pix é obrigatória');
+        }
+
+        const merchantAccount =
+            this.formatField('00', 'br.gov.bcb.pix') +
+            this.formatField('01', key) +
+            (description ? this.formatField('02', this.normalizeText(description, 40)) : '');
+
+        // "***" indica ausência de identificador da transação
+        const cleanTxid = (txid || '').replace(/[^A-Za-z0-9]/g, '').substring(0, 25) || '***';
+
+        let payload =
+            this.formatField('00', '01') +
+            this.formatField('26', merchantAccount) +
+            this.formatField('52', '0000') +
+            this.formatField('53', '986');
+
+        if (amount !== null && amount > 0) {
+            payload += this.formatField('54', amount.toFixed(2));
+        }
+
+        payload +=
+            this.formatField('58', 'BR') +
+            this.formatField('59', this.normalizeText(merchantName, 25)) +
+            this.formatField('60', this.normalizeText(merchantCity, 15)) +
+            this.formatField('62', this.formatField('05', cleanTxid));
+
+        // O CRC cobre o payload inteiro, incluindo o ID e o tamanho do próprio campo 63
+        payload += '6304';
+        return payload + this.crc16(payload);
+    }
+
+    /**
+     * Decodifica os campos TLV de um payload
+     * @param {string} payload - Payload ou valor de um campo composto
+     * @returns {Object} Campos indexados pelo ID
+     */
+    static parseFields(payload) {
+        const fields = {};
+        let position = 0;
+
+        while (position < payload.length) {
+            const id = payload.substring(position, position + 2);
+            const length = parseInt(payload.substring(position + 2, position + 4), 10);
+
+            if (isNaN(length) || position + 4 + length > payload.length) {
+                throw new Error('Payload Pix malformado');
+            }
+
+            fields[id] = payload.substring(position + 4, position + 4 + length);
+            position += 4 + length;
+        }
+
+        return fields;
+    }
+
+    /**
+     * Valida um payload Pix "copia e cola" e extrai seus dados
+     * @param {string} payload - Payload a ser validado
+     * @returns {Object} Resultado da validação
+     */
+    static validatePayload(payload) {
+        if (!payload || typeof payload !== 'string' || payload.length < 8) {
+            return {
+                isValid: false,
+                error: 'Payload Pix é obrigatório'
+            };
+        }
+
+        const body = payload.slice(0, -4);
+        if (!body.endsWith('6304') || this.crc16(body) !== payload.slice(-4).toUpperCase()) {
+            return {
+                isValid: false,
+                error: 'CRC do payload Pix inválido'
+            };
+        }
+
+        let fields;
+        try {
+            fields = this.parseFields(payload);
+        } catch (error) {
+            return {
+                isValid: false,
+                error: error.message
+            };
+        }
+
+        const merchantAccount = fields['26'] ? this.parseFields(fields['26']) : {};
+        if (fields['00'] !== '01' || merchantAccount['00'] !== 'br.gov.bcb.pix') {
+            return {
+                isValid: false,
+                error: 'Payload não é um BR Code Pix'
+            };
+        }
+
+        const additionalData = fields['62'] ? this.parseFields(fields['62']) : {};
+
+        return {
+            isValid: true,
+            key: merchantAccount['01'],
+            amount: fields['54'] ? parseFloat(fields['54']) : null,
+            merchantName: fields['59'],
+            merchantCity: fields['60'],
+            txid: additionalData['05']
+        };
+    }
+}
+
+module.exports = PixUtils;
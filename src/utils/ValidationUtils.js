@@ -1,3 +1,5 @@
+const BoletoUtils = require('./BoletoUtils');
+
 /**
  * Utilitários para validação de dados
  */
@@ -239,6 +241,58 @@ class ValidationUtils {
         return { isValid: true };
     }
 
+    /**
+     * Valida a linha digitável de um boleto e extrai valor e vencimento
+     * @param {string} linhaDigitavel - Linha digitável (com ou sem pontuação)
+     * @param {Date} referenceDate - Data usada para resolver o ciclo do fator de vencimento
+     * @returns {Object} Resultado da validação
+     */
+    static validateLinhaDigitavel(linhaDigitavel, referenceDate = new Date()) {
+        if (!linhaDigitavel || typeof linhaDigitavel !== 'string') {
+            return {
+                isValid: false,
+                error: 'Linha digitável é obrigatória'
+            };
+        }
+
+        const cleanLine = linhaDigitavel.replace(/[\s.]/g, '');
+
+        if (!/^\d{47}$/.test(cleanLine)) {
+            return {
+                isValid: false,
+                error: 'Linha digitável deve ter 47 dígitos'
+            };
+        }
+
+        // Campos 1, 2 e 3 com seus dígitos verificadores módulo 10
+        const fields = [[0, 9], [10, 20], [21, 31]];
+        for (let i = 0; i < fields.length; i++) {
+            const [start, dvPosition] = fields[i];
+            if (BoletoUtils.mod10(cleanLine.slice(start, dvPosition)) !== Number(cleanLine[dvPosition])) {
+                return {
+                    isValid: false,
+                    error: `Dígito verificador do campo ${i + 1} inválido`
+                };
+            }
+        }
+
+        const barcode = BoletoUtils.linhaDigitavelToBarcode(cleanLine);
+        if (BoletoUtils.mod11(barcode.slice(0, 4) + barcode.slice(5)) !== Number(barcode[4])) {
+            return {
+                isValid: false,
+                error: 'Dígito verificador geral inválido'
+            };
+        }
+
+        return {
+            isValid: true,
+            bankCode: barcode.slice(0, 3),
+            amount: Number(barcode.slice(9, 19)) / 100,
+            dueDate: BoletoUtils.getDateFromFactor(barcode.slice(5, 9), referenceDate),
+            barcode
+        };
+    }
+
     /**
      * Valida data
      * @param {Date|string} date - Data a ser validada
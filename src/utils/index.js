@@ -6,11 +6,19 @@ const DisplayUtils = require('./DisplayUtils');
 const ValidationUtils = require('./ValidationUtils');
 const Logger = require('./Logger');
 const Config = require('./Config');
+const PixUtils = require('./PixUtils');
+const BoletoUtils = require('./BoletoUtils');
+const CardUtils = require('./CardUtils');
+const CartShareUtils = require('./CartShareUtils');
 
 module.exports = {
     DisplayUtils,
     ValidationUtils,
     Logger,
-    Config
+    Config,
+    PixUtils,
+    BoletoUtils,
+    CardUtils,
+    CartShareUtils
 };
 
@@ -2,9 +2,80 @@
  * Testes básicos do sistema de carrinho de compras
  */
 
-const { Product, CartItem, ShoppingCart, Coupon } = require('../src/models');
-const { ProductService, CartService, DiscountService, ShippingService } = require('../src/services');
-const { ValidationUtils } = require('../src/utils');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { Product, ProductVariant, FlashSale, CartItem, ShoppingCart, Coupon, Order } = require('../src/models');
+const { ProductService, CartService, DiscountService, ShippingService, OrderService, PaymentService, ReservationService, CheckoutAttemptService, WishlistService, CartHistoryService, CartRecoveryService, ShopService, CoinService } = require('../src/services');
+const { ValidationUtils, Config, PixUtils, BoletoUtils, CardUtils, CartShareUtils } = require('../src/utils');
+
+/**
+ * Cria um caminho de arquivo de dados em diretório temporário,
+ * para que os testes não alterem os arquivos de src/data
+ * @param {string} filename - Nome do arquivo
+ * @returns {string} Caminho completo do arquivo
+ */
+function tempDataFile(filename) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shopee-cart-test-'));
+    return path.join(dir, filename);
+}
+
+/**
+ * Cria os serviços principais apontando para arquivos temporários
+ * @returns {Object} Serviços inicializados
+ */
+async function createTestServices() {
+    const shopService = new ShopService();
+    shopService.dataFile = tempDataFile('shops.json');
+    await shopService.initialize();
+
+    const productService = new ProductService();
+    productService.dataFile = tempDataFile('products.json');
+    await productService.initialize();
+
+    const discountService = new DiscountService();
+    discountService.dataFile = tempDataFile('coupons.json');
+    await discountService.initialize();
+
+    const coinService = new CoinService();
+    coinService.dataFile = tempDataFile('coins.json');
+    await coinService.initialize();
+
+    const orderService = new OrderService(productService, discountService, coinService);
+    orderService.dataFile = tempDataFile('orders.json');
+    await orderService.initialize();
+
+    const reservationService = new ReservationService(productService);
+    reservationService.dataFile = tempDataFile('reservations.json');
+    await reservationService.initialize();
+
+    const checkoutAttemptService = new CheckoutAttemptService();
+    checkoutAttemptService.dataFile = tempDataFile('checkouts.json');
+    await checkoutAttemptService.initialize();
+
+    const cartHistoryService = new CartHistoryService();
+    cartHistoryService.dataFile = tempDataFile('cart-history.json');
+    await cartHistoryService.initialize();
+
+    const cartService = new CartService({
+        productService,
+        orderService,
+        discountService,
+        reservationService,
+        checkoutAttemptService,
+        historyService: cartHistoryService,
+        shopService,
+        coinService
+    });
+    cartService.dataFile = tempDataFile('carts.json');
+    await cartService.initialize();
+
+    const wishlistService = new WishlistService(productService, cartService);
+    wishlistService.dataFile = tempDataFile('wishlists.json');
+    await wishlistService.initialize();
+
+    return { shopService, productService, orderService, discountService, reservationService, checkoutAttemptService, cartHistoryService, cartService, wishlistService, coinService };
+}
 
 /**
  * Classe para executar testes
@@ -240,7 +311,7 @@ runner.test('Integração - CartService operações básicas', async () => {
     const productService = new ProductService();
     await productService.initialize();
     
-    const cartService = new CartService(productService);
+    const cartService = new CartService({ productService });
     await cartService.initialize();
     
     const cart = await cartService.createCart('test-user');
@@ -279,6 +350,2178 @@ runner.test('Integração - ShippingService cálculo de frete', () => {
     runner.assert(shipping.deliveryDays > 0, 'Dias de entrega devem ser positivos');
 });
 
+runner.test('Order - Criação a partir do carrinho', () => {
+    const cart = new ShoppingCart('user-1');
+    const product = new Product('Produto', 100, 'Categoria', 'Descrição', 10, '', 0, 10);
+    cart.addProduct(product, 2);
+    cart.applyCoupon(new Coupon('DEZ', 'fixed', 10));
+
+    const order = Order.fromCart(cart);
+
+    runner.assert(order.id.startsWith('ORD-'), 'ID do pedido deve começar com ORD-');
+    runner.assertEqual(order.userId, 'user-1', 'Pedido deve pertencer ao usuário do carrinho');
+    runner.assertEqual(order.items.length, 1, 'Pedido deve ter 1 item');
+    runner.assertEqual(order.items[0].unitPrice, 90, 'Preço unitário deve ser o preço final');
+    runner.assertEqual(order.getTotalItems(), 2, 'Pedido deve ter 2 unidades');
+    runner.assertEqual(order.getTotal(), 170, 'Total deve considerar o cupom');
+    runner.assertEqual(order.appliedCoupons[0].discount, 10, 'Desconto do cupom deve ser registrado');
+
+    const restored = Order.fromJSON(JSON.parse(JSON.stringify(order)));
+    runner.assertEqual(restored.id, order.id, 'ID deve ser preservado na serialização');
+    runner.assert(restored.createdAt instanceof Date, 'Data deve ser reconstruída');
+});
+
+runner.test('Integração - OrderService persistência e consultas', async () => {
+    const orderService = new OrderService();
+    orderService.dataFile = tempDataFile('orders.json');
+    await orderService.initialize();
+
+    const item = { productId: 'p1', name: 'Produto', quantity: 1, unitPrice: 10, subtotal: 10 };
+    const oldOrder = new Order('user-a', [item], { total: 10 });
+    oldOrder.createdAt = new Date('2024-01-10T12:00:00Z');
+    await orderService.createOrder(oldOrder);
+    await orderService.createOrder(new Order('user-a', [item], { total: 10 }));
+    await orderService.createOrder(new Order('user-b', [item], { total: 10 }));
+
+    const reloaded = new OrderService();
+    reloaded.dataFile = orderService.dataFile;
+    await reloaded.initialize();
+
+    runner.assertEqual(reloaded.getAllOrders().length, 3, 'Pedidos devem ser recarregados do arquivo');
+    runner.assert(reloaded.getOrderById(oldOrder.id), 'Pedido deve ser encontrado por ID');
+    runner.assertEqual(reloaded.getOrdersByUser('user-a').length, 2, 'Usuário A deve ter 2 pedidos');
+
+    const january = reloaded.getOrdersByDateRange(new Date('2024-01-01'), new Date('2024-01-31'));
+    runner.assertEqual(january.length, 1, 'Deve haver 1 pedido em janeiro de 2024');
+    runner.assertEqual(january[0].id, oldOrder.id, 'Pedido de janeiro deve ser o pedido antigo');
+});
+
+runner.test('OrderService - Período inclui o dia inteiro da data final', async () => {
+    const orderService = new OrderService();
+    orderService.dataFile = tempDataFile('orders.json');
+    await orderService.initialize();
+
+    const item = { productId: 'p1', name: 'Produto', quantity: 1, unitPrice: 10, subtotal: 10 };
+    const afternoon = new Order('user-a', [item], { total: 10 });
+    afternoon.createdAt = new Date(2024, 0, 31, 15, 30);
+    await orderService.createOrder(afternoon);
+    const nextDay = new Order('user-a', [item], { total: 10 });
+    nextDay.createdAt = new Date(2024, 1, 1, 0, 0);
+    await orderService.createOrder(nextDay);
+
+    const january = orderService.getOrdersByDateRange(new Date(2024, 0, 1), new Date(2024, 0, 31));
+    runner.assertArrayEqual(january.map(order => order.id), [afternoon.id], 'Pedido da tarde do último dia deve entrar no período');
+});
+
+runner.test('Integração - Checkout registra pedido no histórico', async () => {
+    const { productService, orderService, cartService } = await createTestServices();
+
+    const cart = await cartService.createCart('buyer');
+    const product = productService.getAllProducts()[0];
+    await cartService.addProductToCart(cart.id, product.id, 2);
+
+    const order = await cartService.checkout(cart.id);
+
+    runner.assert(cart.isEmpty(), 'Carrinho deve ser limpo após o checkout');
+    runner.assertEqual(orderService.getOrdersByUser('buyer').length, 1, 'Pedido deve ser salvo no histórico');
+    runner.assertEqual(orderService.getOrderById(order.id).getTotalItems(), 2, 'Pedido deve ter 2 unidades');
+});
+
+/**
+ * Monta um carrinho com três produtos para os testes de checkout transacional
+ * @returns {Object} Serviços, carrinho, produtos e estoque inicial
+ */
+async function createCheckoutFixture() {
+    const services = await createTestServices();
+    const products = services.productService.getAllProducts().slice(0, 3);
+    const cart = await services.cartService.createCart('buyer');
+
+    for (const product of products) {
+        await services.cartService.addProductToCart(cart.id, product.id, 1);
+    }
+
+    const initialStock = products.map(product => product.stock);
+    return { ...services, cart, products, initialStock };
+}
+
+/**
+ * Verifica que o checkout falhou sem deixar efeitos colaterais
+ */
+function assertCheckoutRolledBack(fixture) {
+    const { cart, products, initialStock, orderService } = fixture;
+
+    products.forEach((product, index) => {
+        runner.assertEqual(product.stock, initialStock[index], `Estoque de ${product.name} deve ser restaurado`);
+    });
+    runner.assertEqual(cart.items.length, 3, 'Carrinho deve manter os itens');
+    runner.assertEqual(orderService.getAllOrders().length, 0, 'Nenhum pedido deve ser registrado');
+
+    for (const product of products.filter(p => p.flashSale)) {
+        runner.assertEqual(product.flashSale.getRemainingQuota(), product.flashSale.quota, `Cota da oferta de ${product.name} deve ser restaurada`);
+        runner.assertEqual(product.flashSale.getPurchasedByUser(cart.userId), 0, `Compras do cliente na oferta de ${product.name} devem ser desfeitas`);
+    }
+}
+
+runner.test('Checkout transacional - Falha na verificação de estoque', async () => {
+    const fixture = await createCheckoutFixture();
+    const { cartService, cart, products } = fixture;
+    let reduceCalls = 0;
+    const originalReduce = fixture.productService.reduceStock.bind(fixture.productService);
+    fixture.productService.reduceStock = async (...args) => {
+        reduceCalls++;
+        return originalReduce(...args);
+    };
+
+    // Outro cliente esgota o terceiro produto depois que ele entrou no carrinho
+    const soldOut = products[2];
+    const stockBefore = soldOut.stock;
+    soldOut.stock = 0;
+
+    let error = null;
+    try {
+        await cartService.checkout(cart.id);
+    } catch (e) {
+        error = e;
+    }
+
+    soldOut.stock = stockBefore;
+    runner.assert(error, 'Checkout deve falhar');
+    runner.assertEqual(reduceCalls, 0, 'Nenhum estoque deve ser baixado antes de verificar todos os itens');
+    assertCheckoutRolledBack(fixture);
+});
+
+runner.test('Checkout transacional - Falha ao baixar estoque do terceiro item', async () => {
+    const fixture = await createCheckoutFixture();
+    const { productService, cartService, cart } = fixture;
+    const originalReduce = productService.reduceStock.bind(productService);
+    let calls = 0;
+    productService.reduceStock = async (...args) => {
+        calls++;
+        if (calls === 3) {
+            throw new Error('Falha simulada no estoque');
+        }
+        return originalReduce(...args);
+    };
+
+    let error = null;
+    try {
+        await cartService.checkout(cart.id);
+    } catch (e) {
+        error = e;
+    }
+
+    runner.assert(error && error.message === 'Falha simulada no estoque', 'Erro original deve ser propagado');
+    assertCheckoutRolledBack(fixture);
+});
+
+runner.test('Checkout transacional - Baixa de estoque recusada', async () => {
+    const fixture = await createCheckoutFixture();
+    const { productService, cartService, cart } = fixture;
+    const originalReduce = productService.reduceStock.bind(productService);
+    let calls = 0;
+    productService.reduceStock = async (...args) => {
+        calls++;
+        return calls === 2 ? false : originalReduce(...args);
+    };
+
+    let error = null;
+    try {
+        await cartService.checkout(cart.id);
+    } catch (e) {
+        error = e;
+    }
+
+    runner.assert(error, 'Checkout deve falhar');
+    assertCheckoutRolledBack(fixture);
+});
+
+runner.test('Checkout transacional - Falha ao gravar o pedido', async () => {
+    const fixture = await createCheckoutFixture();
+    const { orderService, cartService, cart } = fixture;
+    orderService.saveOrders = async () => {
+        throw new Error('Disco cheio');
+    };
+
+    let error = null;
+    try {
+        await cartService.checkout(cart.id);
+    } catch (e) {
+        error = e;
+    }
+
+    runner.assert(error && error.message === 'Disco cheio', 'Erro de gravação deve ser propagado');
+    assertCheckoutRolledBack(fixture);
+});
+
+runner.test('Checkout transacional - Falha ao registrar a oferta relâmpago do segundo produto', async () => {
+    const fixture = await createCheckoutFixture();
+    const { productService, cartService, cart, products } = fixture;
+    const now = Date.now();
+    for (const product of products.slice(0, 2)) {
+        const promoPrice = Math.round(product.price * 50) / 100;
+        await productService.scheduleFlashSale(product.id, new FlashSale(new Date(now - 1000), new Date(now + 60 * 60 * 1000), promoPrice, 0, 5, 2));
+    }
+
+    const originalRecord = productService.recordFlashSalePurchase.bind(productService);
+    let calls = 0;
+    productService.recordFlashSalePurchase = async (...args) => {
+        calls++;
+        return calls === 2 ? false : originalRecord(...args);
+    };
+
+    let error = null;
+    try {
+        await cartService.checkout(cart.id);
+    } catch (e) {
+        error = e;
+    }
+
+    runner.assert(error && error.message.includes('não está mais disponível'), 'Checkout deve falhar na oferta do segundo produto');
+    runner.assertEqual(calls, 2, 'A oferta do primeiro produto deve ter sido registrada antes da falha');
+    assertCheckoutRolledBack(fixture);
+});
+
+runner.test('Checkout transacional - Falha ao gravar o carrinho', async () => {
+    const fixture = await createCheckoutFixture();
+    const { cartService, cart } = fixture;
+    cartService.saveCarts = async () => {
+        throw new Error('Disco cheio');
+    };
+
+    let error = null;
+    try {
+        await cartService.checkout(cart.id);
+    } catch (e) {
+        error = e;
+    }
+
+    runner.assert(error, 'Checkout deve falhar');
+    assertCheckoutRolledBack(fixture);
+});
+
+runner.test('Coupon - Registro de uso por usuário e pedido', () => {
+    const coupon = new Coupon('USO', 'fixed', 5);
+
+    runner.assert(coupon.apply('user-1', 'ORD-1'), 'Deve registrar uso do usuário 1');
+    runner.assert(coupon.apply('user-1', 'ORD-2'), 'Deve registrar segundo uso do usuário 1');
+    runner.assert(coupon.apply('user-2', 'ORD-3'), 'Deve registrar uso do usuário 2');
+
+    runner.assertEqual(coupon.usageCount, 3, 'Contador geral deve ser 3');
+    runner.assertEqual(coupon.getUsageCountForUser('user-1'), 2, 'Usuário 1 deve ter 2 usos');
+
+    runner.assert(coupon.revert('ORD-2'), 'Deve reverter o uso do pedido ORD-2');
+    runner.assert(!coupon.revert('ORD-2'), 'Não deve reverter o mesmo pedido duas vezes');
+    runner.assertEqual(coupon.usageCount, 2, 'Contador geral deve voltar para 2');
+    runner.assertEqual(coupon.getUsageCountForUser('user-1'), 1, 'Usuário 1 deve ficar com 1 uso');
+
+    const restored = Coupon.fromJSON(JSON.parse(JSON.stringify(coupon)));
+    runner.assertEqual(restored.getUsageCountForUser('user-2'), 1, 'Usos devem ser preservados na serialização');
+});
+
+runner.test('DiscountService - Limites de uso global e por usuário', async () => {
+    const discountService = new DiscountService();
+    discountService.dataFile = tempDataFile('coupons.json');
+    await discountService.initialize();
+    await discountService.addCoupon(new Coupon('LIMITE', 'fixed', 5, 0, null, 3));
+
+    const originalLimit = Config.get('coupons.maxUsagePerUser');
+    Config.set('coupons.maxUsagePerUser', 2);
+
+    try {
+        runner.assert(await discountService.applyCoupon('LIMITE', 'user-1', 'ORD-1'), 'Primeiro uso deve ser aceito');
+        runner.assert(await discountService.applyCoupon('LIMITE', 'user-1', 'ORD-2'), 'Segundo uso deve ser aceito');
+
+        const perUser = discountService.validateCoupon('LIMITE', 100, 'user-1');
+        runner.assert(!perUser.isValid, 'Terceiro uso do mesmo usuário deve ser recusado');
+        runner.assert(!await discountService.applyCoupon('LIMITE', 'user-1', 'ORD-3'), 'Aplicação acima do limite deve falhar');
+
+        runner.assert(discountService.validateCoupon('LIMITE', 100, 'user-2').isValid, 'Outro usuário ainda pode usar o cupom');
+        await discountService.applyCoupon('LIMITE', 'user-2', 'ORD-4');
+
+        const global = discountService.validateCoupon('LIMITE', 100, 'user-3');
+        runner.assert(!global.isValid, 'Cupom deve ser recusado após atingir o limite global');
+        runner.assertEqual(global.error, 'Limite de uso atingido', 'Mensagem deve indicar limite global');
+
+        const reverted = await discountService.revertOrderRedemptions('ORD-4');
+        runner.assertArrayEqual(reverted, ['LIMITE'], 'Deve reverter o cupom do pedido');
+        runner.assert(discountService.validateCoupon('LIMITE', 100, 'user-3').isValid, 'Cupom volta a ficar disponível');
+    } finally {
+        Config.set('coupons.maxUsagePerUser', originalLimit);
+    }
+});
+
+runner.test('Integração - Checkout registra uso do cupom', async () => {
+    const { productService, discountService, cartService } = await createTestServices();
+    await discountService.addCoupon(new Coupon('UMAVEZ', 'fixed', 10, 0, null, 1));
+
+    const cart = await cartService.createCart('buyer');
+    await cartService.addProductToCart(cart.id, productService.getAllProducts()[0].id, 1);
+    const validation = discountService.validateCoupon('UMAVEZ', cart.getSubtotal(), cart.userId);
+    await cartService.applyCouponToCart(cart.id, validation.coupon);
+
+    runner.assertEqual(validation.coupon.usageCount, 0, 'Aplicar ao carrinho não deve consumir o cupom');
+
+    const order = await cartService.checkout(cart.id);
+    const coupon = discountService.getCouponByCode('UMAVEZ');
+
+    runner.assertEqual(coupon.usageCount, 1, 'Checkout deve consumir o cupom');
+    runner.assertEqual(coupon.redemptions[0].orderId, order.id, 'Uso deve ser associado ao pedido');
+    runner.assertEqual(coupon.redemptions[0].userId, 'buyer', 'Uso deve ser associado ao usuário');
+    runner.assert(!discountService.validateCoupon('UMAVEZ', 1000, 'other').isValid, 'Cupom esgotado deve ser recusado');
+});
+
+runner.test('Checkout transacional - Falha após uso do cupom reverte o cupom', async () => {
+    const fixture = await createCheckoutFixture();
+    const { discountService, cartService, cart } = fixture;
+    await discountService.addCoupon(new Coupon('REVERTE', 'fixed', 10));
+    await cartService.applyCouponToCart(cart.id, discountService.getCouponByCode('REVERTE'));
+
+    cartService.saveCarts = async () => {
+        throw new Error('Disco cheio');
+    };
+
+    let error = null;
+    try {
+        await cartService.checkout(cart.id);
+    } catch (e) {
+        error = e;
+    }
+
+    const coupon = discountService.getCouponByCode('REVERTE');
+    runner.assert(error, 'Checkout deve falhar');
+    runner.assertEqual(coupon.usageCount, 0, 'Uso do cupom deve ser revertido');
+    runner.assertEqual(coupon.redemptions.length, 0, 'Registro de uso deve ser removido');
+    runner.assertEqual(cart.appliedCoupons.length, 1, 'Cupom deve continuar aplicado ao carrinho');
+    assertCheckoutRolledBack(fixture);
+});
+
+runner.test('Order - Máquina de estados', () => {
+    const order = new Order('user', [{ productId: 'p1', name: 'Produto', quantity: 1, unitPrice: 10, subtotal: 10 }], { total: 10 });
+
+    runner.assertEqual(order.status, 'pending_payment', 'Pedido deve começar aguardando pagamento');
+    runner.assert(!order.transitionTo('shipped'), 'Não deve pular etapas');
+    runner.assert(order.transitionTo('paid', 'Pagamento aprovado'), 'Deve ir para pago');
+    runner.assert(order.transitionTo('separated'), 'Deve ir para separação');
+    runner.assert(order.isCancellable(), 'Pedido em separação ainda pode ser cancelado');
+    runner.assert(order.transitionTo('shipped'), 'Deve ir para enviado');
+    runner.assert(!order.isCancellable(), 'Pedido enviado não pode ser cancelado');
+    runner.assert(order.transitionTo('delivered'), 'Deve ir para entregue');
+    runner.assert(order.transitionTo('returned'), 'Pedido entregue pode ser devolvido');
+    runner.assertArrayEqual(Order.getAllowedTransitions('returned'), [], 'Devolvido é um status final');
+
+    runner.assertArrayEqual(
+        order.statusHistory.map(entry => entry.to),
+        ['pending_payment', 'paid', 'separated', 'shipped', 'delivered', 'returned'],
+        'Histórico deve registrar todas as transições'
+    );
+    runner.assertEqual(order.statusHistory[1].note, 'Pagamento aprovado', 'Observação deve ser registrada');
+    runner.assert(order.statusHistory[1].changedAt instanceof Date, 'Transição deve ter data');
+});
+
+runner.test('Order - Pedido gravado com o status antigo "confirmed"', () => {
+    const order = Order.fromJSON({
+        id: 'pedido-antigo',
+        userId: 'user',
+        items: [{ productId: 'p1', name: 'Produto', quantity: 1, unitPrice: 10, subtotal: 10 }],
+        financialSummary: { total: 10 },
+        status: 'confirmed',
+        createdAt: '2025-08-30T01:43:51.205Z'
+    });
+
+    runner.assertEqual(order.status, 'pending_payment', 'Status antigo deve virar aguardando pagamento');
+    runner.assertEqual(order.statusHistory[0].to, 'pending_payment', 'Histórico deve começar no status convertido');
+    runner.assert(order.isCancellable(), 'Pedido antigo deve poder ser cancelado');
+    runner.assert(order.transitionTo('paid'), 'Pedido antigo deve poder ser pago');
+});
+
+runner.test('Integração - Cancelamento devolve estoque e cupom', async () => {
+    const { productService, discountService, orderService, cartService } = await createTestServices();
+    await discountService.addCoupon(new Coupon('CANCELA', 'fixed', 10));
+
+    const product = productService.getAllProducts()[0];
+    const initialStock = product.stock;
+    const cart = await cartService.createCart('buyer');
+    await cartService.addProductToCart(cart.id, product.id, 2);
+    await cartService.applyCouponToCart(cart.id, discountService.getCouponByCode('CANCELA'));
+
+    const order = await cartService.checkout(cart.id);
+    runner.assertEqual(product.stock, initialStock - 2, 'Estoque deve ser baixado no checkout');
+
+    await orderService.updateOrderStatus(order.id, 'paid');
+    await orderService.cancelOrder(order.id, 'Desisti');
+
+    runner.assertEqual(order.status, 'cancelled', 'Pedido deve estar cancelado');
+    runner.assertEqual(product.stock, initialStock, 'Estoque deve ser devolvido');
+    runner.assertEqual(discountService.getCouponByCode('CANCELA').usageCount, 0, 'Uso do cupom deve ser revertido');
+    runner.assertEqual(order.statusHistory[order.statusHistory.length - 1].note, 'Desisti', 'Motivo deve ir para o histórico');
+
+    let error = null;
+    try {
+        await orderService.updateOrderStatus(order.id, 'paid');
+    } catch (e) {
+        error = e;
+    }
+    runner.assert(error, 'Pedido cancelado não pode voltar a ser pago');
+});
+
+runner.test('Integração - Pedido enviado não pode ser cancelado', async () => {
+    const { productService, orderService, cartService } = await createTestServices();
+    const product = productService.getAllProducts()[0];
+    const cart = await cartService.createCart('buyer');
+    await cartService.addProductToCart(cart.id, product.id, 1);
+    const order = await cartService.checkout(cart.id);
+
+    for (const status of ['paid', 'separated', 'shipped']) {
+        await orderService.updateOrderStatus(order.id, status);
+    }
+    const stockAfterShipping = product.stock;
+
+    let error = null;
+    try {
+        await orderService.cancelOrder(order.id);
+    } catch (e) {
+        error = e;
+    }
+
+    runner.assert(error, 'Cancelamento após envio deve falhar');
+    runner.assertEqual(order.status, 'shipped', 'Status deve continuar enviado');
+    runner.assertEqual(product.stock, stockAfterShipping, 'Estoque não deve ser alterado');
+});
+
+/**
+ * Cria um pedido entregue com dois itens, cupom de R$ 10 e frete de R$ 20
+ * @returns {Order} Pedido de exemplo
+ */
+function createDeliveredOrder() {
+    const items = [
+        { productId: 'a', name: 'Produto A', quantity: 3, unitPrice: 100 / 3, subtotal: 100 },
+        { productId: 'b', name: 'Produto B', quantity: 1, unitPrice: 50, subtotal: 50 }
+    ];
+    const order = new Order('user', items, { subtotal: 150, couponDiscounts: 10, shippingCost: 20, total: 160 });
+    ['paid', 'separated', 'shipped', 'delivered'].forEach(status => order.transitionTo(status));
+    return order;
+}
+
+runner.test('Order - Rateio do desconto de cupom entre os itens', () => {
+    const order = createDeliveredOrder();
+
+    runner.assertEqual(order.items[0].couponDiscount, 6.66, 'Item A deve receber 2/3 do desconto');
+    runner.assertEqual(order.items[1].couponDiscount, 3.34, 'Item B deve receber o restante do desconto');
+    runner.assertEqual(order.items[0].paidAmount + order.items[1].paidAmount, 140, 'Soma paga deve ser o subtotal menos o cupom');
+});
+
+runner.test('Order - Reembolso parcial nunca excede o valor pago', () => {
+    const order = createDeliveredOrder();
+    const refunds = [];
+
+    for (let i = 0; i < 3; i++) {
+        const refund = order.calculateRefund([{ productId: 'a', quantity: 1 }], 'regret');
+        runner.assertEqual(refund.shippingRefund, 0, 'Desistência parcial não reembolsa o frete');
+        order.registerReturn([{ productId: 'a', quantity: 1 }], 'regret');
+        refunds.push(refund.itemsRefund);
+    }
+
+    runner.assertArrayEqual(refunds, [31.11, 31.12, 31.11], 'Reembolsos devem somar exatamente o valor pago');
+    runner.assertEqual(order.getReturnableQuantity('a'), 0, 'Nada mais do item A pode ser devolvido');
+
+    const last = order.calculateRefund([{ productId: 'b', quantity: 1 }], 'regret');
+    runner.assertEqual(last.itemsRefund, 46.66, 'Item B reembolsa o valor pago por ele');
+    runner.assertEqual(last.shippingRefund, 20, 'Devolução que completa o pedido reembolsa o frete');
+    order.registerReturn([{ productId: 'b', quantity: 1 }], 'regret');
+
+    runner.assertEqual(Math.round(order.getRefundedTotal() * 100) / 100, order.getTotal(), 'Total reembolsado deve ser o total pago');
+});
+
+runner.test('Order - Defeito reembolsa o frete uma única vez', () => {
+    const order = createDeliveredOrder();
+
+    const first = order.registerReturn([{ productId: 'b', quantity: 1 }], 'defective');
+    runner.assertEqual(first.shippingRefund, 20, 'Produto com defeito reembolsa o frete');
+
+    const second = order.calculateRefund([{ productId: 'a', quantity: 1 }], 'defective');
+    runner.assertEqual(second.shippingRefund, 0, 'Frete já reembolsado não é reembolsado de novo');
+});
+
+runner.test('Integração - Devolução parcial devolve estoque', async () => {
+    const { productService, orderService, cartService } = await createTestServices();
+    const [first, second] = productService.getAllProducts();
+    const cart = await cartService.createCart('buyer');
+    await cartService.addProductToCart(cart.id, first.id, 2);
+    await cartService.addProductToCart(cart.id, second.id, 1);
+    const order = await cartService.checkout(cart.id);
+    const stockAfterCheckout = first.stock;
+
+    let error = null;
+    try {
+        await orderService.createReturn(order.id, [{ productId: first.id, quantity: 1 }]);
+    } catch (e) {
+        error = e;
+    }
+    runner.assert(error, 'Pedido não entregue não pode ser devolvido');
+
+    for (const status of ['paid', 'separated', 'shipped', 'delivered']) {
+        await orderService.updateOrderStatus(order.id, status);
+    }
+
+    error = null;
+    try {
+        await orderService.createReturn(order.id, [{ productId: first.id, quantity: 3 }]);
+    } catch (e) {
+        error = e;
+    }
+    runner.assert(error, 'Não deve devolver mais do que foi comprado');
+
+    await orderService.createReturn(order.id, [{ productId: first.id, quantity: 1 }], 'regret');
+    runner.assertEqual(first.stock, stockAfterCheckout + 1, 'Item devolvido deve voltar ao estoque');
+    runner.assertEqual(order.status, 'delivered', 'Devolução parcial mantém o pedido entregue');
+
+    await orderService.createReturn(order.id, [
+        { productId: first.id, quantity: 1 },
+        { productId: second.id, quantity: 1 }
+    ], 'regret');
+    runner.assertEqual(order.status, 'returned', 'Pedido totalmente devolvido muda de status');
+    runner.assert(order.getRefundedTotal() <= order.getTotal() + 0.001, 'Reembolso total não pode exceder o valor pago');
+});
+
+runner.test('PixUtils - CRC16-CCITT', () => {
+    runner.assertEqual(PixUtils.crc16('123456789'), '29B1', 'Valor de verificação do CRC16-CCITT deve ser 29B1');
+});
+
+runner.test('PixUtils - Payload de exemplo do Banco Central', () => {
+    // Exemplo do Manual de Padrões para Iniciação do Pix
+    const expected = '00020126580014br.gov.bcb.pix0136123e4567-e12b-12d1-a456-426655440000' +
+        '5204000053039865802BR5913Fulano de Tal6008BRASILIA62070503***63041D3D';
+
+    const payload = PixUtils.buildPayload({
+        key: '123e4567-e12b-12d1-a456-426655440000',
+        merchantName: 'Fulano de Tal',
+        merchantCity: 'BRASILIA'
+    });
+
+    runner.assertEqual(payload, expected, 'Payload deve ser idêntico ao exemplo oficial');
+    runner.assert(PixUtils.validatePayload(expected).isValid, 'Exemplo oficial deve ser válido');
+});
+
+runner.test('PixUtils - Payload com valor e identificador', () => {
+    const payload = PixUtils.buildPayload({
+        key: 'loja@exemplo.com.br',
+        merchantName: 'Loja São João',
+        merchantCity: 'São Paulo',
+        amount: 1234.5,
+        txid: 'ORD-123-ABC'
+    });
+
+    const parsed = PixUtils.validatePayload(payload);
+    runner.assert(parsed.isValid, 'Payload gerado deve ser válido');
+    runner.assertEqual(parsed.amount, 1234.5, 'Valor deve ser preservado');
+    runner.assertEqual(parsed.key, 'loja@exemplo.com.br', 'Chave deve ser preservada');
+    runner.assertEqual(parsed.merchantName, 'Loja Sao Joao', 'Nome deve ser gravado sem acentos');
+    runner.assertEqual(parsed.txid, 'ORD123ABC', 'Identificador deve conter apenas letras e números');
+    runner.assert(payload.includes('54071234.50'), 'Campo 54 deve ter o valor com duas casas decimais');
+
+    const tampered = payload.replace('1234.50', '1234.51');
+    runner.assert(!PixUtils.validatePayload(tampered).isValid, 'Payload alterado deve falhar no CRC');
+});
+
+runner.test('Integração - Pagamento Pix do pedido', async () => {
+    const services = await createTestServices();
+    const { productService, orderService, cartService } = services;
+    const paymentService = new PaymentService(orderService);
+
+    const cart = await cartService.createCart('buyer');
+    await cartService.addProductToCart(cart.id, productService.getAllProducts()[0].id, 1);
+    const cartTotal = cart.getTotal();
+    const order = await cartService.checkout(cart.id);
+
+    const payment = await paymentService.createPixPayment(order.id);
+    const parsed = PixUtils.validatePayload(payment.payload);
+
+    runner.assert(parsed.isValid, 'Payload do pedido deve ser válido');
+    runner.assertEqual(parsed.amount, Math.round(cartTotal * 100) / 100, 'Valor do Pix deve ser o total do carrinho');
+    runner.assertEqual(order.status, 'pending_payment', 'Pedido deve aguardar pagamento');
+
+    await paymentService.confirmPayment(order.id);
+    runner.assertEqual(order.status, 'paid', 'Pedido deve ficar pago após a confirmação');
+    runner.assertEqual(order.payment.status, 'confirmed', 'Pagamento deve ficar confirmado');
+
+    let error = null;
+    try {
+        await paymentService.confirmPayment(order.id);
+    } catch (e) {
+        error = e;
+    }
+    runner.assert(error, 'Pagamento não pode ser confirmado duas vezes');
+});
+
+runner.test('BoletoUtils - Dígitos verificadores módulo 10 e 11', () => {
+    runner.assertEqual(BoletoUtils.mod10('001905009'), 5, 'DV do campo 1 deve ser 5');
+    runner.assertEqual(BoletoUtils.mod10('4014481606'), 9, 'DV do campo 2 deve ser 9');
+    runner.assertEqual(BoletoUtils.mod10('0680935031'), 4, 'DV do campo 3 deve ser 4');
+    runner.assertEqual(BoletoUtils.mod11('0019373700000001000500940144816060680935031'), 3, 'DV geral deve ser 3');
+});
+
+runner.test('BoletoUtils - Código de barras e linha digitável', () => {
+    // Exemplo da documentação de cobrança do Banco do Brasil: R$ 1,00 com vencimento em 31/12/2007
+    const barcode = BoletoUtils.buildBarcode({
+        bankCode: '001',
+        amount: 1,
+        dueDate: new Date(2007, 11, 31),
+        freeField: '0500940144816060680935031'
+    });
+
+    runner.assertEqual(barcode, '00193373700000001000500940144816060680935031', 'Código de barras deve bater com o exemplo');
+
+    const linha = BoletoUtils.barcodeToLinhaDigitavel(barcode);
+    runner.assertEqual(
+        BoletoUtils.formatLinhaDigitavel(linha),
+        '00190.50095 40144.816069 06809.350314 3 37370000000100',
+        'Linha digitável deve bater com o exemplo'
+    );
+    runner.assertEqual(BoletoUtils.linhaDigitavelToBarcode(linha), barcode, 'Conversão deve ser reversível');
+});
+
+runner.test('BoletoUtils - Fator de vencimento e dias úteis', () => {
+    runner.assertEqual(BoletoUtils.getDueFactor(new Date(2000, 6, 3)), '1000', 'Fator de 03/07/2000 deve ser 1000');
+    runner.assertEqual(BoletoUtils.getDueFactor(new Date(2025, 1, 21)), '9999', 'Fator de 21/02/2025 deve ser 9999');
+    runner.assertEqual(BoletoUtils.getDueFactor(new Date(2025, 1, 22)), '1000', 'Fator deve recomeçar em 1000 em 22/02/2025');
+
+    const recent = BoletoUtils.getDateFromFactor('1000', new Date(2026, 0, 1));
+    runner.assertEqual(recent.getFullYear(), 2025, 'Fator deve ser resolvido no ciclo mais próximo da referência');
+
+    // Sexta-feira 09/10/2026 + 3 dias úteis, pulando o fim de semana e o feriado de 12/10
+    const dueDate = BoletoUtils.addBusinessDays(new Date(2026, 9, 9), 3);
+    runner.assertEqual(dueDate.toDateString(), new Date(2026, 9, 15).toDateString(), 'Vencimento deve pular fim de semana e feriado');
+    runner.assert(!BoletoUtils.isBusinessDay(new Date(2026, 3, 3)), 'Sexta-feira Santa não deve ser dia útil');
+});
+
+runner.test('ValidationUtils - Linha digitável', () => {
+    const result = ValidationUtils.validateLinhaDigitavel(
+        '00190.50095 40144.816069 06809.350314 3 37370000000100',
+        new Date(2008, 0, 1)
+    );
+
+    runner.assert(result.isValid, 'Linha digitável do exemplo deve ser válida');
+    runner.assertEqual(result.bankCode, '001', 'Banco deve ser extraído');
+    runner.assertEqual(result.amount, 1, 'Valor deve ser extraído');
+    runner.assertEqual(result.dueDate.toDateString(), new Date(2007, 11, 31).toDateString(), 'Vencimento deve ser extraído');
+
+    const wrongField = ValidationUtils.validateLinhaDigitavel('00190.50095 40144.816068 06809.350314 3 37370000000100');
+    runner.assert(!wrongField.isValid, 'DV de campo alterado deve ser rejeitado');
+
+    const wrongAmount = ValidationUtils.validateLinhaDigitavel('00190.50095 40144.816069 06809.350314 3 37370000000200');
+    runner.assert(!wrongAmount.isValid, 'Valor alterado deve falhar no DV geral');
+
+    runner.assert(!ValidationUtils.validateLinhaDigitavel('123').isValid, 'Linha curta deve ser rejeitada');
+});
+
+runner.test('Integração - Pagamento por boleto do pedido', async () => {
+    const services = await createTestServices();
+    const { productService, orderService, cartService } = services;
+    const paymentService = new PaymentService(orderService);
+    paymentService.exportDir = tempDataFile('boletos');
+
+    const cart = await cartService.createCart('buyer');
+    await cartService.addProductToCart(cart.id, productService.getAllProducts()[0].id, 2);
+    const order = await cartService.checkout(cart.id);
+
+    const payment = await paymentService.createBoletoPayment(order.id);
+    const parsed = ValidationUtils.validateLinhaDigitavel(payment.linhaDigitavel);
+
+    runner.assert(parsed.isValid, 'Linha digitável gerada deve ser válida');
+    runner.assertEqual(parsed.amount, payment.amount, 'Valor da linha deve ser o total do pedido');
+    runner.assertEqual(parsed.dueDate.toDateString(), payment.dueDate.toDateString(), 'Vencimento da linha deve ser o do boleto');
+    runner.assert(BoletoUtils.isBusinessDay(payment.dueDate), 'Vencimento deve cair em dia útil');
+
+    const htmlFile = await paymentService.exportBoleto(order.id, 'html');
+    const html = await fs.readFile(htmlFile, 'utf8');
+    runner.assert(html.includes(BoletoUtils.formatLinhaDigitavel(payment.linhaDigitavel)), 'HTML deve conter a linha digitável');
+
+    const textFile = await paymentService.exportBoleto(order.id, 'txt');
+    const text = await fs.readFile(textFile, 'utf8');
+    runner.assert(text.includes(payment.barcode), 'Texto deve conter o código de barras');
+
+    const reloaded = new OrderService();
+    reloaded.dataFile = orderService.dataFile;
+    await reloaded.initialize();
+    runner.assert(reloaded.getOrderById(order.id).payment.dueDate instanceof Date, 'Vencimento deve ser restaurado como data');
+
+    payment.dueDate = new Date(2020, 0, 1);
+    let error = null;
+    try {
+        await paymentService.confirmPayment(order.id);
+    } catch (e) {
+        error = e;
+    }
+    runner.assert(error, 'Boleto vencido não pode ser pago');
+
+    await paymentService.createBoletoPayment(order.id);
+    await paymentService.confirmPayment(order.id);
+    runner.assertEqual(order.status, 'paid', 'Pedido deve ficar pago após a compensação');
+});
+
+runner.test('CardUtils - Luhn e bandeiras', () => {
+    const cards = {
+        '4111 1111 1111 1111': 'visa',
+        '5555555555554444': 'mastercard',
+        '2223003122003222': 'mastercard',
+        '378282246310005': 'amex',
+        '6362970000457013': 'elo',
+        '5067224275805500': 'elo',
+        '6062825624254001': 'hipercard'
+    };
+
+    for (const [number, brand] of Object.entries(cards)) {
+        const validation = CardUtils.validateNumber(number);
+        runner.assert(validation.isValid, `${number} deve ser válido`);
+        runner.assertEqual(validation.brand, brand, `${number} deve ser ${brand}`);
+    }
+
+    runner.assert(!CardUtils.luhnCheck('4111111111111112'), 'Dígito alterado deve falhar no Luhn');
+    runner.assert(!CardUtils.validateNumber('6011111111111117').isValid, 'Bandeira não aceita deve ser rejeitada');
+    runner.assert(!CardUtils.validateNumber('37828224631000').isValid, 'Amex com 14 dígitos deve ser rejeitado');
+});
+
+runner.test('CardUtils - Validade e CVV', () => {
+    const now = new Date(2026, 5, 15);
+
+    runner.assert(CardUtils.validateExpiry(6, 26, now).isValid, 'Cartão deve valer até o fim do mês de validade');
+    runner.assert(!CardUtils.validateExpiry(5, 2026, now).isValid, 'Cartão com validade no mês anterior deve estar vencido');
+    runner.assert(!CardUtils.validateExpiry(13, 2027, now).isValid, 'Mês 13 deve ser rejeitado');
+
+    runner.assert(CardUtils.validateCVV('1234', 'amex').isValid, 'Amex deve aceitar CVV com 4 dígitos');
+    runner.assert(!CardUtils.validateCVV('123', 'amex').isValid, 'Amex deve rejeitar CVV com 3 dígitos');
+    runner.assert(CardUtils.validateCVV('123', 'visa').isValid, 'Visa deve aceitar CVV com 3 dígitos');
+    runner.assert(!CardUtils.validateCVV('12a', 'visa').isValid, 'CVV deve conter apenas números');
+});
+
+runner.test('CardUtils - Parcelamento com e sem juros', () => {
+    const rules = { maxInstallments: 12, interestFreeInstallments: 3, minInstallmentValue: 20, monthlyInterestRate: 0.0299 };
+    const plans = CardUtils.calculateInstallments(100, rules);
+
+    runner.assertEqual(plans.length, 5, 'Parcelas abaixo do mínimo não devem ser oferecidas');
+    runner.assert(plans[4].installmentValue >= 20, 'Última opção deve respeitar a parcela mínima');
+    runner.assertEqual(plans[2].installmentValue, 33.33, '3x sem juros deve ter parcela de R$ 33,33');
+    runner.assertEqual(plans[2].firstInstallmentValue, 33.34, 'Resto da divisão deve ir para a primeira parcela');
+    runner.assertEqual(plans[2].total, 100, 'Parcelamento sem juros deve manter o total');
+
+    // Tabela Price: 100 * 0,0299 * 1,0299^4 / (1,0299^4 - 1)
+    runner.assert(!plans[3].interestFree, '4x deve ter juros');
+    runner.assertEqual(plans[3].installmentValue, 26.9, 'Parcela com juros compostos deve ser R$ 26,90');
+    runner.assertEqual(plans[3].total, 107.6, 'Total com juros deve ser a soma das parcelas');
+});
+
+runner.test('Integração - Pagamento com cartão não grava dados do cartão', async () => {
+    const services = await createTestServices();
+    const { productService, orderService, cartService } = services;
+    const paymentService = new PaymentService(orderService);
+
+    const cart = await cartService.createCart('buyer');
+    await cartService.addProductToCart(cart.id, productService.getAllProducts()[0].id, 1);
+    const order = await cartService.checkout(cart.id);
+
+    const card = {
+        number: '5555 5555 5555 4444',
+        holder: 'Maria Souza',
+        expiryMonth: 12,
+        expiryYear: new Date().getFullYear() + 2,
+        cvv: '987'
+    };
+
+    let error = null;
+    try {
+        await paymentService.createCardPayment(order.id, { ...card, number: '5555555555554440' }, 1);
+    } catch (e) {
+        error = e;
+    }
+    runner.assert(error, 'Cartão inválido deve ser recusado');
+    runner.assertEqual(order.status, 'pending_payment', 'Pedido deve continuar aguardando pagamento');
+
+    await paymentService.createCardPayment(order.id, card, 1);
+
+    runner.assertEqual(order.status, 'paid', 'Pedido deve ficar pago após a aprovação');
+    runner.assertEqual(order.payment.brand, 'mastercard', 'Bandeira deve ser registrada');
+    runner.assertEqual(order.payment.lastDigits, '4444', 'Somente os últimos dígitos devem ser registrados');
+
+    const saved = await fs.readFile(orderService.dataFile, 'utf8');
+    runner.assert(!saved.includes('5555555555554444') && !saved.includes('5555 5555'), 'Número do cartão não deve ser salvo');
+    runner.assert(!saved.includes('cvv') && !saved.includes('Maria Souza'), 'CVV e titular não devem ser salvos');
+});
+
+runner.test('Integração - Reserva de estoque entre carrinhos', async () => {
+    const { productService, reservationService, cartService } = await createTestServices();
+    const product = productService.getAllProducts()[0];
+    product.stock = 1;
+
+    const cartA = await cartService.createCart('user-a');
+    const cartB = await cartService.createCart('user-b');
+
+    await cartService.addProductToCart(cartA.id, product.id, 1);
+    runner.assertEqual(reservationService.getAvailableStock(product.id), 0, 'Última unidade deve ficar reservada');
+
+    let error = null;
+    try {
+        await cartService.addProductToCart(cartB.id, product.id, 1);
+    } catch (e) {
+        error = e;
+    }
+    runner.assert(error, 'Outro carrinho não pode reservar a mesma unidade');
+    runner.assert(cartB.isEmpty(), 'Carrinho que perdeu a disputa deve continuar vazio');
+
+    await cartService.removeProductFromCart(cartA.id, product.id);
+    runner.assertEqual(reservationService.getAvailableStock(product.id), 1, 'Remover o item deve liberar a reserva');
+
+    await cartService.addProductToCart(cartB.id, product.id, 1);
+    runner.assertEqual(reservationService.getReservation(cartB.id, product.id).quantity, 1, 'Reserva deve passar para o outro carrinho');
+});
+
+runner.test('Integração - Reserva expirada é liberada', async () => {
+    const { productService, reservationService, cartService } = await createTestServices();
+    const product = productService.getAllProducts()[0];
+    product.stock = 2;
+
+    const cartA = await cartService.createCart('user-a');
+    const cartB = await cartService.createCart('user-b');
+
+    await cartService.addProductToCart(cartA.id, product.id, 2);
+    runner.assertEqual(reservationService.getAvailableStock(product.id), 0, 'Estoque deve estar todo reservado');
+
+    // Simula o fim do prazo da reserva
+    reservationService.getReservation(cartA.id, product.id).expiresAt = new Date(Date.now() - 1000);
+    runner.assertEqual(reservationService.getAvailableStock(product.id), 2, 'Reserva vencida não deve contar');
+
+    await cartService.addProductToCart(cartB.id, product.id, 2);
+    runner.assertEqual(reservationService.getCartReservations(cartA.id).length, 0, 'Reserva vencida deve ser liberada');
+
+    let error = null;
+    try {
+        await cartService.checkout(cartA.id);
+    } catch (e) {
+        error = e;
+    }
+    runner.assert(error && error.message.includes('Estoque insuficiente'), 'Carrinho com reserva vencida não pode comprar o estoque reservado por outro');
+
+    const reloaded = new ReservationService(productService);
+    reloaded.dataFile = reservationService.dataFile;
+    await reloaded.initialize();
+    runner.assertEqual(reloaded.getReservedQuantity(product.id), 2, 'Reservas ativas devem ser persistidas');
+});
+
+runner.test('Integração - Checkout converte reservas em baixa de estoque', async () => {
+    const { productService, reservationService, cartService } = await createTestServices();
+    const product = productService.getAllProducts()[0];
+    const initialStock = product.stock;
+
+    const cart = await cartService.createCart('buyer');
+    await cartService.addProductToCart(cart.id, product.id, 2);
+    await cartService.updateProductQuantity(cart.id, product.id, 3);
+    runner.assertEqual(reservationService.getReservedQuantity(product.id), 3, 'Reserva deve acompanhar a quantidade do carrinho');
+
+    await cartService.checkout(cart.id);
+
+    runner.assertEqual(product.stock, initialStock - 3, 'Estoque deve ser baixado no checkout');
+    runner.assertEqual(reservationService.getReservedQuantity(product.id), 0, 'Reservas devem ser encerradas no checkout');
+    runner.assertEqual(reservationService.getAvailableStock(product.id), initialStock - 3, 'Disponível deve refletir apenas a baixa');
+});
+
+runner.test('Integração - Checkout repetido devolve o mesmo pedido', async () => {
+    const { productService, orderService, cartService } = await createTestServices();
+    const product = productService.getAllProducts()[0];
+    const initialStock = product.stock;
+
+    const cart = await cartService.createCart('buyer');
+    await cartService.addProductToCart(cart.id, product.id, 2);
+
+    const key = cartService.getCheckoutKey(cart);
+    runner.assertEqual(cartService.getCheckoutKey(cart), key, 'Mesmo carrinho deve gerar a mesma chave');
+
+    const first = await cartService.checkout(cart.id, key);
+    const second = await cartService.checkout(cart.id, key);
+
+    runner.assertEqual(second.id, first.id, 'Repetição deve devolver o pedido já criado');
+    runner.assertEqual(product.stock, initialStock - 2, 'Estoque deve ser baixado uma única vez');
+    runner.assertEqual(orderService.getAllOrders().length, 1, 'Apenas um pedido deve ser criado');
+
+    const replayed = await cartService.checkout(cart.id);
+    runner.assertEqual(replayed.id, first.id, 'Repetição sem chave deve encontrar o pedido pelo carrinho já limpo');
+
+    await cartService.addProductToCart(cart.id, product.id, 2);
+    runner.assert(cartService.getCheckoutKey(cart) !== key, 'Nova compra com os mesmos itens deve gerar outra chave');
+    runner.assert((await cartService.checkout(cart.id)).id !== first.id, 'Nova compra deve criar outro pedido');
+    runner.assertEqual(product.stock, initialStock - 4, 'Nova compra deve baixar o estoque');
+});
+
+/**
+ * Simula um checkout interrompido no meio (por exemplo, queda do processo)
+ * gravando em disco apenas as primeiras etapas
+ * @param {boolean} withOrder - Se o pedido chegou a ser gravado
+ * @param {Object} steps - Etapas extras: prepare(services, cart) antes da chave e
+ *                         afterOrder(services, order, attempt) depois do pedido gravado
+ * @returns {Object} Serviços, carrinho, produto e chave da tentativa
+ */
+async function createInterruptedCheckout(withOrder, { prepare = null, afterOrder = null } = {}) {
+    const services = await createTestServices();
+    const { productService, orderService, checkoutAttemptService, cartService } = services;
+    const product = productService.getAllProducts()[0];
+    const initialStock = product.stock;
+
+    const cart = await cartService.createCart('buyer');
+    await cartService.addProductToCart(cart.id, product.id, 2);
+    if (prepare) await prepare(services, cart);
+    const key = cartService.getCheckoutKey(cart);
+
+    const attempt = await checkoutAttemptService.startAttempt(key, cart);
+    await productService.reduceStock(product.id, 2);
+    attempt.recordStockReduced(product.id, 2);
+
+    if (withOrder) {
+        const order = Order.fromCart(cart);
+        attempt.recordOrder(order.id);
+        await orderService.createOrder(order);
+        if (afterOrder) await afterOrder(services, order, attempt);
+    }
+    await checkoutAttemptService.saveAttempts();
+
+    // Reinício: as tentativas são recarregadas do arquivo
+    const reloaded = new CheckoutAttemptService();
+    reloaded.dataFile = checkoutAttemptService.dataFile;
+    await reloaded.initialize();
+    cartService.checkoutAttemptService = reloaded;
+
+    return { ...services, cart, product, initialStock, key };
+}
+
+runner.test('Integração - Checkout interrompido pode ser abandonado', async () => {
+    const { orderService, cartService, cart, product, initialStock, key } = await createInterruptedCheckout(true);
+
+    runner.assertEqual(cartService.getInterruptedCheckouts().length, 1, 'Tentativa interrompida deve ser encontrada após reiniciar');
+
+    await cartService.abandonCheckout(key);
+
+    runner.assertEqual(product.stock, initialStock, 'Estoque deve ser restaurado');
+    runner.assertEqual(orderService.getAllOrders().length, 0, 'Pedido parcial deve ser removido');
+    runner.assertEqual(cart.items.length, 1, 'Itens devem continuar no carrinho');
+    runner.assertEqual(cartService.getInterruptedCheckouts().length, 0, 'Não deve restar checkout pendente');
+});
+
+runner.test('Integração - Checkout interrompido pode ser retomado', async () => {
+    const withOrder = await createInterruptedCheckout(true);
+    const resumed = await withOrder.cartService.resumeCheckout(withOrder.key);
+
+    runner.assertEqual(withOrder.orderService.getAllOrders().length, 1, 'Pedido já gravado deve ser reaproveitado');
+    runner.assertEqual(withOrder.product.stock, withOrder.initialStock - 2, 'Estoque não deve ser baixado de novo');
+    runner.assert(withOrder.cart.isEmpty(), 'Carrinho deve ser limpo ao concluir');
+    runner.assertEqual((await withOrder.cartService.checkout(withOrder.cart.id, withOrder.key)).id, resumed.id, 'Chave deve devolver o pedido retomado');
+
+    const withoutOrder = await createInterruptedCheckout(false);
+    const order = await withoutOrder.cartService.resumeCheckout(withoutOrder.key);
+
+    runner.assertEqual(order.getTotalItems(), 2, 'Checkout deve ser refeito com os itens do carrinho');
+    runner.assertEqual(withoutOrder.product.stock, withoutOrder.initialStock - 2, 'Estoque deve ser baixado uma única vez');
+});
+
+runner.test('Integração - Checkout retomado após registrar a oferta relâmpago do primeiro produto', async () => {
+    const { productService, cartService, cart, product, key } = await createInterruptedCheckout(true, {
+        prepare: async ({ productService, cartService }, cart) => {
+            const now = Date.now();
+            const second = productService.getAllProducts()[1];
+            for (const product of [cart.items[0].product, second]) {
+                await productService.scheduleFlashSale(product.id, new FlashSale(new Date(now - 1000), new Date(now + 60 * 60 * 1000), null, 50, 5, 2));
+            }
+            await cartService.addProductToCart(cart.id, second.id, 1);
+        },
+        afterOrder: async ({ productService }, order, attempt) => {
+            // Interrompido depois de registrar só o primeiro produto na oferta
+            await productService.recordFlashSalePurchase(order.items[0].productId, order.userId, order.id, 2);
+            attempt.recordFlashSalePurchase(order.items[0].productId);
+        }
+    });
+    const second = productService.getAllProducts()[1];
+
+    const order = await cartService.resumeCheckout(key);
+
+    const firstSale = productService.getProductById(product.id).flashSale;
+    runner.assertEqual(firstSale.getSoldQuantity(), 2, 'Oferta já registrada não deve ser registrada de novo');
+    runner.assertEqual(firstSale.getPurchasedByUser('buyer'), 2, 'Limite do cliente deve contar o pedido uma única vez');
+    runner.assertEqual(second.flashSale.getSoldQuantity(), 1, 'Oferta que faltou deve ser registrada ao retomar');
+    runner.assertEqual(second.flashSale.purchases[0].orderId, order.id, 'Compra na oferta deve apontar para o pedido retomado');
+    runner.assertArrayEqual(
+        cartService.checkoutAttemptService.getAttempt(key).flashSalePurchases,
+        [product.id, second.id],
+        'Tentativa deve registrar as duas ofertas'
+    );
+    runner.assert(cart.isEmpty(), 'Carrinho deve ser limpo ao concluir');
+});
+
+runner.test('Integração - Checkout retomado debita as moedas que faltaram', async () => {
+    const { coinService, cartService, key } = await createInterruptedCheckout(true, {
+        prepare: async ({ coinService, cartService }, cart) => {
+            await coinService.earnForOrder(new Order('buyer', [], { subtotal: 500, shippingCost: 0, total: 500 }));
+            await cartService.setCoinsToRedeem(cart.id, 100);
+        }
+    });
+    const balance = coinService.getBalance('buyer');
+
+    const order = await cartService.resumeCheckout(key);
+
+    runner.assertEqual(order.coinsRedeemed, 100, 'Pedido deve manter as moedas usadas');
+    runner.assertEqual(coinService.getBalance('buyer'), balance - 100, 'Moedas devem ser debitadas ao retomar');
+    runner.assert(coinService.findOrderEntry(order.id, 'redeem'), 'Extrato deve registrar o uso das moedas no pedido');
+    runner.assertEqual(cartService.checkoutAttemptService.getAttempt(key).coinsRedeemed, 100, 'Tentativa deve registrar o débito das moedas');
+});
+
+runner.test('Integração - Carrinho mais recente do usuário', async () => {
+    const { productService, cartService } = await createTestServices();
+    const product = productService.getAllProducts()[0];
+
+    const older = await cartService.createCart('user-a', 'Presentes');
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const newer = await cartService.createCart('user-a');
+    await cartService.createCart('user-b');
+
+    runner.assertEqual(cartService.getCartByUser('user-a').id, newer.id, 'Deve retornar o carrinho mais recente');
+    runner.assertEqual(cartService.getCartsByUser('user-a').length, 2, 'Deve listar apenas os carrinhos do usuário');
+
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await cartService.addProductToCart(older.id, product.id, 1);
+    runner.assertEqual(cartService.getCartByUser('user-a').id, older.id, 'Carrinho alterado por último deve ser o mais recente');
+    runner.assertEqual(cartService.getCartByUser('user-c'), null, 'Usuário sem carrinho deve retornar null');
+});
+
+runner.test('Integração - Renomear carrinho e retomar após reinício', async () => {
+    const { productService, discountService, cartService } = await createTestServices();
+    const product = productService.getAllProducts()[0];
+
+    const cart = await cartService.createCart('user-a');
+    await cartService.addProductToCart(cart.id, product.id, 10);
+    await cartService.applyCouponToCart(cart.id, discountService.getCouponByCode('WELCOME10'));
+    await cartService.renameCart(cart.id, '  Mercado do mês  ');
+
+    let error = null;
+    try {
+        await cartService.renameCart(cart.id, '   ');
+    } catch (e) {
+        error = e;
+    }
+    runner.assert(error, 'Nome vazio deve ser rejeitado');
+    runner.assertEqual(cart.getDisplayName(), 'Mercado do mês', 'Nome deve ser gravado sem espaços nas pontas');
+
+    const reloaded = new CartService({ productService });
+    reloaded.dataFile = cartService.dataFile;
+    await reloaded.initialize();
+
+    const resumed = reloaded.getCartByUser('user-a');
+    runner.assertEqual(resumed.id, cart.id, 'Carrinho deve ser retomado após reinício');
+    runner.assertEqual(resumed.name, 'Mercado do mês', 'Nome deve ser persistido');
+    runner.assertEqual(
+        resumed.getCouponDiscounts(),
+        cart.getCouponDiscounts(),
+        'Cupons do carrinho retomado devem continuar calculando o desconto'
+    );
+});
+
+runner.test('Integração - Lista Favoritos padrão e listas personalizadas', async () => {
+    const { wishlistService } = await createTestServices();
+
+    const favorites = await wishlistService.getDefaultList('user-a');
+    runner.assertEqual(favorites.name, 'Favoritos', 'Lista padrão deve se chamar Favoritos');
+    runner.assertEqual((await wishlistService.getDefaultList('user-a')).id, favorites.id, 'Lista padrão não deve ser duplicada');
+
+    const birthday = await wishlistService.createList('user-a', 'Aniversário');
+    runner.assertEqual(wishlistService.getListsByUser('user-a')[0].id, favorites.id, 'Favoritos deve vir primeiro');
+    runner.assertEqual(wishlistService.getListsByUser('user-a').length, 2, 'Usuário deve ter duas listas');
+
+    let duplicateError = null;
+    try {
+        await wishlistService.createList('user-a', 'aniversário');
+    } catch (e) {
+        duplicateError = e;
+    }
+    runner.assert(duplicateError, 'Nome de lista repetido deve ser rejeitado');
+
+    let defaultError = null;
+    try {
+        await wishlistService.removeList(favorites.id);
+    } catch (e) {
+        defaultError = e;
+    }
+    runner.assert(defaultError, 'Lista Favoritos não pode ser excluída');
+
+    await wishlistService.removeList(birthday.id);
+    runner.assertEqual(wishlistService.getListsByUser('user-a').length, 1, 'Lista personalizada deve ser excluída');
+});
+
+runner.test('Integração - Mover item entre carrinho e lista', async () => {
+    const { productService, reservationService, cartService, wishlistService } = await createTestServices();
+    const product = productService.getAllProducts()[0];
+    const cart = await cartService.createCart('user-a');
+    const list = await wishlistService.getDefaultList('user-a');
+
+    await cartService.addProductToCart(cart.id, product.id, 2);
+    await wishlistService.moveFromCart(cart.id, product.id, list.id);
+
+    runner.assert(cart.isEmpty(), 'Item deve sair do carrinho');
+    runner.assertEqual(list.getItem(product.id).quantity, 2, 'Item deve entrar na lista com a mesma quantidade');
+    runner.assertEqual(reservationService.getReservedQuantity(product.id), 0, 'Lista não deve reservar estoque');
+
+    await wishlistService.moveToCart(list.id, product.id, cart.id);
+    runner.assertEqual(cart.getItem(product.id).quantity, 2, 'Item deve voltar ao carrinho');
+    runner.assert(list.isEmpty(), 'Item deve sair da lista');
+    runner.assertEqual(reservationService.getReservedQuantity(product.id), 2, 'Carrinho deve voltar a reservar o estoque');
+});
+
+runner.test('Integração - Item sem estoque continua na lista', async () => {
+    const { productService, cartService, wishlistService } = await createTestServices();
+    const product = productService.getAllProducts()[0];
+    const cart = await cartService.createCart('user-a');
+    const list = await wishlistService.getDefaultList('user-a');
+
+    await wishlistService.addProductToList(list.id, product.id, 1);
+    product.stock = 0;
+
+    let error = null;
+    try {
+        await wishlistService.moveToCart(list.id, product.id, cart.id);
+    } catch (e) {
+        error = e;
+    }
+    runner.assert(error, 'Mover item sem estoque deve falhar');
+    runner.assert(list.getItem(product.id), 'Item deve continuar na lista');
+    runner.assert(cart.isEmpty(), 'Carrinho deve continuar vazio');
+});
+
+runner.test('Integração - Alertas de queda de preço e falta de estoque na lista', async () => {
+    const { productService, wishlistService } = await createTestServices();
+    const [cheaper, soldOut, unchanged] = productService.getAllProducts();
+    const list = await wishlistService.getDefaultList('user-a');
+
+    await wishlistService.addProductToList(list.id, cheaper.id);
+    await wishlistService.addProductToList(list.id, soldOut.id);
+    await wishlistService.addProductToList(list.id, unchanged.id);
+
+    const savedPrice = cheaper.getFinalPrice();
+    cheaper.price = cheaper.price / 2;
+    soldOut.stock = 0;
+
+    const reloaded = new WishlistService(productService);
+    reloaded.dataFile = wishlistService.dataFile;
+    await reloaded.initialize();
+
+    const items = reloaded.getListItemsStatus(list.id);
+    const byId = id => items.find(item => item.productId === id);
+
+    runner.assertEqual(items.length, 3, 'Lista deve ser persistida com os três itens');
+    runner.assertEqual(byId(cheaper.id).savedPrice, savedPrice, 'Preço salvo deve ser mantido');
+    runner.assert(byId(cheaper.id).priceDropped, 'Queda de preço deve ser sinalizada');
+    runner.assert(!byId(cheaper.id).wentOutOfStock, 'Produto com estoque não deve ser sinalizado');
+    runner.assert(byId(soldOut.id).wentOutOfStock, 'Produto que esgotou deve ser sinalizado');
+    runner.assert(!byId(unchanged.id).priceDropped && !byId(unchanged.id).wentOutOfStock, 'Produto sem mudanças não deve ter alertas');
+});
+
+runner.test('Integração - Juntar carrinho de visitante limitando pelo estoque', async () => {
+    const { productService, reservationService, cartService } = await createTestServices();
+    const product = productService.getAllProducts()[0];
+
+    const userCart = await cartService.createCart('cliente@email.com');
+    await cartService.addProductToCart(userCart.id, product.id, 10);
+
+    const guestCart = await cartService.createCart('visitante');
+    await cartService.addProductToCart(guestCart.id, product.id, 5);
+    // Outra venda consumiu parte do estoque depois que os itens foram adicionados
+    await productService.reduceStock(product.id, 3);
+
+    const { cart, report } = await cartService.mergeGuestCart(guestCart.id, 'cliente@email.com');
+
+    runner.assertEqual(cart.id, userCart.id, 'Deve juntar no carrinho existente do usuário');
+    runner.assertEqual(cart.getItem(product.id).quantity, product.stock, 'Quantidade deve ser limitada ao estoque');
+    runner.assertEqual(report.adjustedItems.length, 1, 'Ajuste de quantidade deve ser relatado');
+    runner.assertEqual(report.adjustedItems[0].quantity, product.stock - 10, 'Relatório deve indicar a quantidade juntada');
+    runner.assertEqual(cartService.getCart(guestCart.id), null, 'Carrinho de visitante deve ser removido');
+    runner.assertEqual(reservationService.getReservedQuantity(product.id), product.stock, 'Reservas devem ficar só no carrinho do usuário');
+});
+
+runner.test('Integração - Juntar carrinho respeita o máximo por item', async () => {
+    const { productService, cartService } = await createTestServices();
+    const product = productService.getAllProducts().find(p => p.stock >= 40 && !p.hasVariants());
+
+    const originalLimit = Config.get('cart.maxQuantityPerItem');
+    Config.set('cart.maxQuantityPerItem', 30);
+
+    try {
+        const userCart = await cartService.createCart('cliente@email.com');
+        await cartService.addProductToCart(userCart.id, product.id, 20);
+        const guestCart = await cartService.createCart('visitante');
+        await cartService.addProductToCart(guestCart.id, product.id, 20);
+
+        const { cart, report } = await cartService.mergeGuestCart(guestCart.id, 'cliente@email.com');
+
+        runner.assertEqual(cart.getItem(product.id).quantity, 30, 'Quantidade deve parar no máximo por item');
+        runner.assertEqual(report.adjustedItems[0].reason, 'Limite de 30 unidades por item', 'Motivo deve citar o limite');
+    } finally {
+        Config.set('cart.maxQuantityPerItem', originalLimit);
+    }
+});
+
+runner.test('Integração - Juntar carrinho deduplica e revalida cupons', async () => {
+    const { productService, discountService, cartService } = await createTestServices();
+    const [expensive] = productService.getAllProducts();
+    const cheap = productService.getAllProducts().find(p => !p.hasVariants() && p.price < 40);
+
+    const userCart = await cartService.createCart('cliente@email.com');
+    await cartService.addProductToCart(userCart.id, cheap.id, 2);
+    await cartService.applyCouponToCart(userCart.id, discountService.getCouponByCode('WELCOME10'));
+
+    const guestCart = await cartService.createCart('visitante');
+    await cartService.addProductToCart(guestCart.id, expensive.id, 1);
+    await cartService.applyCouponToCart(guestCart.id, discountService.getCouponByCode('WELCOME10'));
+    await cartService.applyCouponToCart(guestCart.id, discountService.getCouponByCode('TECH50'));
+    await productService.removeProduct(expensive.id);
+
+    const { cart, report } = await cartService.mergeGuestCart(guestCart.id, 'cliente@email.com');
+
+    runner.assertArrayEqual(cart.appliedCoupons.map(c => c.code), ['WELCOME10'], 'Só o cupom válido deve continuar aplicado');
+    runner.assertEqual(report.droppedItems.length, 1, 'Produto que saiu de venda deve ser relatado');
+    runner.assertArrayEqual(
+        report.droppedCoupons.map(c => c.code),
+        ['WELCOME10', 'TECH50'],
+        'Cupom repetido e cupom que deixou de valer devem ser relatados'
+    );
+});
+
+runner.test('Integração - Carrinho de visitante passa a ser do usuário sem carrinho', async () => {
+    const { productService, cartService } = await createTestServices();
+    const product = productService.getAllProducts()[0];
+
+    const guestCart = await cartService.createCart('visitante');
+    await cartService.addProductToCart(guestCart.id, product.id, 2);
+
+    const { cart, report } = await cartService.mergeGuestCart(guestCart.id, 'novo@email.com');
+
+    runner.assertEqual(cart.id, guestCart.id, 'Carrinho de visitante deve ser reaproveitado');
+    runner.assertEqual(cart.userId, 'novo@email.com', 'Carrinho deve passar a ser do usuário');
+    runner.assertEqual(report.mergedItems.length + report.droppedItems.length, 0, 'Nada precisa ser juntado');
+});
+
+runner.test('Integração - Desfazer e refazer alterações do carrinho', async () => {
+    const { productService, discountService, reservationService, cartService } = await createTestServices();
+    const product = productService.getAllProducts()[0];
+    const cart = await cartService.createCart('user-a');
+
+    await cartService.addProductToCart(cart.id, product.id, 2);
+    await cartService.updateProductQuantity(cart.id, product.id, 5);
+    await cartService.applyCouponToCart(cart.id, discountService.getCouponByCode('WELCOME10'));
+    await cartService.setShippingCost(cart.id, 15);
+
+    runner.assertEqual((await cartService.undo(cart.id)).description, 'Alterar frete', 'Deve desfazer a última alteração');
+    runner.assertEqual(cart.shippingCost, 0, 'Frete deve voltar ao valor anterior');
+    await cartService.undo(cart.id);
+    runner.assertEqual(cart.appliedCoupons.length, 0, 'Cupom deve ser removido');
+    await cartService.undo(cart.id);
+    runner.assertEqual(cart.getItem(product.id).quantity, 2, 'Quantidade deve voltar para 2');
+    runner.assertEqual(reservationService.getReservedQuantity(product.id), 2, 'Reserva deve acompanhar a quantidade');
+
+    await cartService.redo(cart.id);
+    await cartService.redo(cart.id);
+    runner.assertEqual(cart.getItem(product.id).quantity, 5, 'Refazer deve voltar a quantidade para 5');
+    runner.assertArrayEqual(cart.appliedCoupons.map(c => c.code), ['WELCOME10'], 'Refazer deve reaplicar o cupom');
+
+    await cartService.removeProductFromCart(cart.id, product.id);
+    runner.assertEqual(cartService.getRedoCommand(cart.id), null, 'Nova alteração deve descartar o que podia ser refeito');
+});
+
+runner.test('Integração - Desfazer limpeza do carrinho após reinício', async () => {
+    const { productService, discountService, reservationService, checkoutAttemptService, cartHistoryService, cartService } = await createTestServices();
+    const [first, second] = productService.getAllProducts();
+    const cart = await cartService.createCart('user-a');
+
+    await cartService.addProductToCart(cart.id, first.id, 1);
+    await cartService.addProductToCart(cart.id, second.id, 3);
+    await cartService.clearCart(cart.id);
+
+    const reloadedHistory = new CartHistoryService();
+    reloadedHistory.dataFile = cartHistoryService.dataFile;
+    await reloadedHistory.initialize();
+    const reloaded = new CartService({ productService, discountService, reservationService, checkoutAttemptService, historyService: reloadedHistory });
+    reloaded.dataFile = cartService.dataFile;
+    await reloaded.initialize();
+
+    const command = await reloaded.undo(cart.id);
+    const restored = reloaded.getCart(cart.id);
+
+    runner.assertEqual(command.description, 'Limpar carrinho', 'Histórico deve ser mantido após reinício');
+    runner.assertEqual(restored.getItem(first.id).quantity, 1, 'Primeiro item deve voltar');
+    runner.assertEqual(restored.getItem(second.id).quantity, 3, 'Segundo item deve voltar');
+    runner.assertEqual(reservationService.getReservedQuantity(second.id), 3, 'Itens devolvidos devem ser reservados');
+});
+
+runner.test('Integração - Refazer respeita o estoque disponível', async () => {
+    const { productService, cartService } = await createTestServices();
+    const product = productService.getAllProducts()[0];
+    const cart = await cartService.createCart('user-a');
+    const otherCart = await cartService.createCart('user-b');
+
+    await cartService.addProductToCart(cart.id, product.id, 5);
+    await cartService.undo(cart.id);
+    await cartService.addProductToCart(otherCart.id, product.id, product.stock - 2);
+
+    let error = null;
+    try {
+        await cartService.redo(cart.id);
+    } catch (e) {
+        error = e;
+    }
+
+    runner.assert(error, 'Refazer sem estoque deve falhar');
+    runner.assert(cart.isEmpty(), 'Carrinho não deve ser alterado');
+    runner.assert(cartService.getRedoCommand(cart.id), 'Alteração deve continuar disponível para refazer');
+});
+
+runner.test('Limites - Quantidade máxima por item', () => {
+    const originalLimit = Config.get('cart.maxQuantityPerItem');
+    Config.set('cart.maxQuantityPerItem', 5);
+
+    try {
+        const product = new Product('Produto Teste', 10, 'Teste', 'Descrição', 100);
+        const cart = new ShoppingCart('user-a');
+
+        runner.assert(cart.addProduct(product, 5), 'Deve aceitar exatamente o máximo por item');
+        runner.assert(!cart.addProduct(product, 1), 'Não deve passar do máximo somando ao item existente');
+        runner.assert(!cart.updateProductQuantity(product.id, 6), 'Não deve atualizar acima do máximo');
+        runner.assertEqual(cart.getItem(product.id).quantity, 5, 'Quantidade deve continuar no máximo');
+
+        const item = new CartItem(product, 6);
+        runner.assert(!item.validate().isValid, 'Item acima do máximo deve ser inválido');
+        runner.assertEqual(cart.checkItemLimits(product.id, 6).error, 'Quantidade máxima por item é 5', 'Erro deve citar o limite');
+    } finally {
+        Config.set('cart.maxQuantityPerItem', originalLimit);
+    }
+});
+
+runner.test('Limites - Quantidade máxima de produtos diferentes', async () => {
+    const { productService, cartService } = await createTestServices();
+    const [first, second, third] = productService.getAllProducts();
+    const cart = await cartService.createCart('user-a');
+
+    const originalLimit = Config.get('cart.maxItems');
+    Config.set('cart.maxItems', 2);
+
+    try {
+        await cartService.addProductToCart(cart.id, first.id, 1);
+        await cartService.addProductToCart(cart.id, second.id, 1);
+
+        let error = null;
+        try {
+            await cartService.addProductToCart(cart.id, third.id, 1);
+        } catch (e) {
+            error = e;
+        }
+        runner.assertEqual(error && error.message, 'O carrinho pode ter no máximo 2 produtos diferentes', 'Terceiro produto deve ser recusado');
+
+        runner.assert(await cartService.addProductToCart(cart.id, first.id, 1), 'Produto já no carrinho pode ter a quantidade aumentada');
+        runner.assertEqual(cart.items.length, 2, 'Carrinho deve continuar com 2 produtos');
+    } finally {
+        Config.set('cart.maxItems', originalLimit);
+    }
+});
+
+runner.test('Limites - CartService recusa quantidade acima do máximo por item', async () => {
+    const { productService, reservationService, cartService } = await createTestServices();
+    const product = productService.getAllProducts().find(p => p.stock >= 10);
+    const cart = await cartService.createCart('user-a');
+
+    const originalLimit = Config.get('cart.maxQuantityPerItem');
+    Config.set('cart.maxQuantityPerItem', 4);
+
+    try {
+        await cartService.addProductToCart(cart.id, product.id, 4);
+
+        let error = null;
+        try {
+            await cartService.updateProductQuantity(cart.id, product.id, 5);
+        } catch (e) {
+            error = e;
+        }
+        runner.assertEqual(error && error.message, 'Quantidade máxima por item é 4', 'Atualização acima do limite deve ser recusada');
+        runner.assertEqual(reservationService.getReservedQuantity(product.id), 4, 'Reserva não deve mudar');
+    } finally {
+        Config.set('cart.maxQuantityPerItem', originalLimit);
+    }
+});
+
+runner.test('Limites - Peso máximo por envio', () => {
+    const shippingService = new ShippingService();
+    const maxWeight = Config.get('shipping.maxWeight');
+
+    runner.assert(shippingService.calculateShipping('01310-100', maxWeight, 0).cost > 0, 'Peso igual ao limite deve ser aceito');
+
+    let error = null;
+    try {
+        shippingService.calculateShipping('01310-100', maxWeight + 0.1, 0);
+    } catch (e) {
+        error = e;
+    }
+    runner.assert(error && error.message.includes(`limite de ${maxWeight} kg`), 'Peso acima do limite deve ser recusado');
+});
+
+runner.test('Limites - Podem ser alterados por variáveis de ambiente', () => {
+    const variables = { MAX_CART_ITEMS: '3', MAX_QUANTITY_PER_ITEM: '7', MAX_SHIPPING_WEIGHT: '12.5' };
+    const original = {
+        maxItems: Config.get('cart.maxItems'),
+        maxQuantityPerItem: Config.get('cart.maxQuantityPerItem'),
+        maxWeight: Config.get('shipping.maxWeight')
+    };
+
+    Object.assign(process.env, variables);
+    try {
+        Config.loadFromEnvironment();
+
+        runner.assertEqual(Config.get('cart.maxItems'), 3, 'MAX_CART_ITEMS deve ser aplicado');
+        runner.assertEqual(Config.get('cart.maxQuantityPerItem'), 7, 'MAX_QUANTITY_PER_ITEM deve ser aplicado');
+        runner.assertEqual(Config.get('shipping.maxWeight'), 12.5, 'MAX_SHIPPING_WEIGHT deve ser aplicado');
+    } finally {
+        for (const name of Object.keys(variables)) {
+            delete process.env[name];
+        }
+        Config.set('cart.maxItems', original.maxItems);
+        Config.set('cart.maxQuantityPerItem', original.maxQuantityPerItem);
+        Config.set('shipping.maxWeight', original.maxWeight);
+    }
+});
+
+runner.test('Pix - Chave só com dígitos vinda do ambiente continua texto', async () => {
+    const original = Config.get('payment.pix.key');
+    process.env.PIX_KEY = '01234567890';
+    try {
+        Config.loadFromEnvironment();
+        runner.assertEqual(Config.get('payment.pix.key'), '01234567890', 'Chave Pix deve manter os zeros à esquerda');
+
+        const { productService, orderService, cartService } = await createTestServices();
+        const paymentService = new PaymentService(orderService);
+        const cart = await cartService.createCart('buyer');
+        await cartService.addProductToCart(cart.id, productService.getAllProducts()[0].id, 1);
+        const order = await cartService.checkout(cart.id);
+
+        const payment = await paymentService.createPixPayment(order.id);
+        runner.assert(PixUtils.validatePayload(payment.payload).isValid, 'Payload com chave numérica deve ser válido');
+        runner.assert(payment.payload.includes('01234567890'), 'Payload deve trazer a chave completa');
+    } finally {
+        delete process.env.PIX_KEY;
+        Config.set('payment.pix.key', original);
+    }
+});
+
+runner.test('CartItem - Detecta mudança de preço desde a adição', () => {
+    const product = new Product('Teste', 100, 'Categoria', 'Descrição', 10, '', 0, 10);
+    const item = new CartItem(product, 1);
+
+    runner.assertEqual(item.getPriceChange(), null, 'Item recém-adicionado não tem mudança de preço');
+
+    product.discount = 0;
+    const increase = item.getPriceChange();
+    runner.assert(increase.increased, 'Fim do desconto deve ser aumento de preço');
+    runner.assertEqual(increase.previousPrice, 90, 'Preço anterior deve considerar o desconto da época');
+    runner.assertEqual(increase.currentPrice, 100, 'Preço atual deve ser o do produto');
+
+    product.price = 80;
+    runner.assert(!item.getPriceChange().increased, 'Preço menor deve ser queda');
+
+    item.acknowledgePriceChange();
+    runner.assertEqual(item.getPriceChange(), null, 'Preço confirmado deixa de ser mudança');
+});
+
+runner.test('Integração - Preço registrado sobrevive ao recarregar o carrinho', async () => {
+    const { productService, cartService } = await createTestServices();
+    const [cheaper, pricier] = productService.getAllProducts();
+    const cart = await cartService.createCart('user-a');
+
+    await cartService.addProductToCart(cart.id, cheaper.id, 1);
+    await cartService.addProductToCart(cart.id, pricier.id, 1);
+    const cheaperBefore = cheaper.getFinalPrice();
+
+    cheaper.price = cheaper.price - 10;
+    pricier.price = pricier.price + 10;
+
+    const reloaded = new CartService({ productService });
+    reloaded.dataFile = cartService.dataFile;
+    await reloaded.initialize();
+
+    const changes = reloaded.getPriceChanges(cart.id);
+    const byId = id => changes.find(change => change.productId === id);
+
+    runner.assertEqual(changes.length, 2, 'Dois itens mudaram de preço');
+    runner.assertEqual(byId(cheaper.id).previousPrice, cheaperBefore, 'Preço da época deve ser persistido');
+    runner.assert(!byId(cheaper.id).increased, 'Queda deve ser identificada');
+    runner.assert(byId(pricier.id).increased, 'Aumento deve ser identificado');
+});
+
+runner.test('Integração - Checkout exige confirmar aumento de preço', async () => {
+    const { productService, orderService, cartService } = await createTestServices();
+    const product = productService.getAllProducts()[0];
+    const cart = await cartService.createCart('user-a');
+
+    await cartService.addProductToCart(cart.id, product.id, 1);
+    product.price = product.price + 50;
+
+    let error = null;
+    try {
+        await cartService.checkout(cart.id);
+    } catch (e) {
+        error = e;
+    }
+    runner.assert(error && error.message.includes('Confirme os novos preços'), 'Checkout deve ser bloqueado');
+    runner.assertEqual(orderService.getOrdersByUser('user-a').length, 0, 'Nenhum pedido deve ser criado');
+
+    runner.assertEqual(await cartService.acknowledgePriceChanges(cart.id), 1, 'Um item deve ter o preço confirmado');
+    const order = await cartService.checkout(cart.id);
+    runner.assertEqual(order.items[0].unitPrice, product.getFinalPrice(), 'Pedido deve usar o preço confirmado');
+});
+
+runner.test('Integração - Queda de preço não bloqueia o checkout', async () => {
+    const { productService, cartService } = await createTestServices();
+    const product = productService.getAllProducts()[0];
+    const cart = await cartService.createCart('user-a');
+
+    await cartService.addProductToCart(cart.id, product.id, 1);
+    product.price = product.price - 50;
+
+    runner.assert(!cart.hasPriceIncreases(), 'Queda de preço não é aumento');
+    runner.assert(await cartService.checkout(cart.id), 'Checkout deve ser concluído');
+});
+
+runner.test('CartShareUtils - Código de compartilhamento', () => {
+    const data = { items: [{ productId: 'p-1', quantity: 2 }, { productId: 'p-2', quantity: 1 }], coupons: ['WELCOME10'] };
+    const code = CartShareUtils.encode(data);
+
+    runner.assert(/^[A-Za-z0-9_-]+\.[0-9a-f]{8}$/.test(code), 'Código deve ser base64url seguido da soma de verificação');
+
+    const decoded = CartShareUtils.decode(code);
+    runner.assert(decoded.isValid, 'Código gerado deve ser válido');
+    runner.assertEqual(decoded.items.length, 2, 'Itens devem ser recuperados');
+    runner.assertEqual(decoded.items[0].quantity, 2, 'Quantidade deve ser recuperada');
+    runner.assertArrayEqual(decoded.coupons, ['WELCOME10'], 'Cupons devem ser recuperados');
+
+    const [body, checksum] = code.split('.');
+    const tampered = Buffer.from(body, 'base64url').toString('utf8').replace('"p-1",2', '"p-1",9');
+    runner.assert(!CartShareUtils.decode(`${Buffer.from(tampered).toString('base64url')}.${checksum}`).isValid, 'Código alterado deve ser recusado');
+    runner.assert(!CartShareUtils.decode('sem-ponto').isValid, 'Formato inválido deve ser recusado');
+
+    const futurePayload = JSON.stringify({ v: 2, i: [], c: [] });
+    const futureCode = `${Buffer.from(futurePayload).toString('base64url')}.${CartShareUtils.checksum(futurePayload)}`;
+    runner.assertEqual(CartShareUtils.decode(futureCode).error, 'Versão do código não suportada: 2', 'Versão desconhecida deve ser recusada');
+});
+
+runner.test('Integração - Importar carrinho compartilhado por código', async () => {
+    const { productService, discountService, cartService } = await createTestServices();
+    const [available, soldOut, removed] = productService.getAllProducts();
+
+    const source = await cartService.createCart('user-a');
+    await cartService.addProductToCart(source.id, available.id, 2);
+    await cartService.addProductToCart(source.id, soldOut.id, 1);
+    await cartService.addProductToCart(source.id, removed.id, 1);
+    await cartService.applyCouponToCart(source.id, discountService.getCouponByCode('WELCOME10'));
+    const code = cartService.getShareCode(source.id);
+
+    await cartService.clearCart(source.id);
+    soldOut.stock = 0;
+    await productService.removeProduct(removed.id);
+    available.price = available.price + 1;
+
+    const target = await cartService.createCart('user-b');
+    const report = await cartService.importShareCode(target.id, code);
+
+    runner.assertEqual(target.getItem(available.id).quantity, 2, 'Item disponível deve ser importado');
+    runner.assertEqual(target.getItem(available.id).getSubtotal(), available.getFinalPrice() * 2, 'Preço deve ser o atual do catálogo');
+    runner.assertEqual(report.droppedItems.length, 2, 'Itens sem estoque ou removidos devem ser relatados');
+    runner.assertArrayEqual(target.appliedCoupons.map(c => c.code), ['WELCOME10'], 'Cupom deve ser reaplicado');
+});
+
+runner.test('Integração - Exportar e importar carrinho em arquivo JSON', async () => {
+    const { productService, cartService } = await createTestServices();
+    cartService.exportDir = path.dirname(tempDataFile('exports'));
+    const product = productService.getAllProducts()[0];
+
+    const source = await cartService.createCart('user-a');
+    await cartService.addProductToCart(source.id, product.id, 3);
+    const filePath = await cartService.exportCartToFile(source.id);
+
+    // Preços editados no arquivo nunca são usados
+    const fileData = await fs.readJSON(filePath);
+    fileData.items[0].price = 0.01;
+    await fs.writeJSON(filePath, fileData);
+
+    const target = await cartService.createCart('user-b');
+    const report = await cartService.importCartFromFile(target.id, filePath);
+
+    runner.assertEqual(report.mergedItems.length, 1, 'Item deve ser importado');
+    runner.assertEqual(target.getItem(product.id).quantity, 3, 'Quantidade deve ser mantida');
+    runner.assertEqual(target.getSubtotal(), product.getFinalPrice() * 3, 'Subtotal deve usar o preço do catálogo');
+
+    let error = null;
+    try {
+        await cartService.importCartFromFile(target.id, tempDataFile('inexistente.json'));
+    } catch (e) {
+        error = e;
+    }
+    runner.assertEqual(error && error.message, 'Arquivo não encontrado', 'Arquivo inexistente deve ser recusado');
+});
+
+/**
+ * Cria o serviço de recuperação de carrinhos com arquivo e caixa de saída temporários
+ * @param {Object} services - Serviços criados por createTestServices
+ * @returns {CartRecoveryService} Serviço inicializado
+ */
+async function createRecoveryService({ cartService, discountService, orderService }) {
+    const recoveryService = new CartRecoveryService(cartService, discountService, orderService);
+    recoveryService.dataFile = tempDataFile('recoveries.json');
+    recoveryService.outboxDir = path.join(path.dirname(recoveryService.dataFile), 'outbox');
+    await recoveryService.initialize();
+    return recoveryService;
+}
+
+runner.test('Integração - Job de recuperação envia lembrete com cupom exclusivo', async () => {
+    const services = await createTestServices();
+    const { productService, discountService, cartService } = services;
+    const recoveryService = await createRecoveryService(services);
+    const product = productService.getAllProducts()[6];
+    const tenDaysAgo = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000);
+
+    const customerCart = await cartService.createCart('cliente@email.com');
+    await cartService.addProductToCart(customerCart.id, product.id, 2);
+    customerCart.updatedAt = tenDaysAgo;
+
+    const guestCart = await cartService.createCart('user-default');
+    await cartService.addProductToCart(guestCart.id, product.id, 1);
+    guestCart.updatedAt = tenDaysAgo;
+
+    const summary = await recoveryService.runRecoveryJob(7);
+    runner.assertEqual(summary.checked, 2, 'Os dois carrinhos devem ser considerados abandonados');
+    runner.assertEqual(summary.sent.length, 1, 'Apenas o cliente identificado deve receber lembrete');
+    runner.assertEqual(summary.skipped[0].reason, 'Cliente sem e-mail identificado', 'Visitante deve ser ignorado');
+
+    const recovery = summary.sent[0];
+    const coupon = discountService.getCouponByCode(recovery.couponCode);
+    runner.assertEqual(coupon.usageLimit, 1, 'Cupom de recuperação deve ser de uso único');
+    runner.assert(discountService.validateCoupon(coupon.code, 100, 'cliente@email.com').isValid, 'Cupom deve valer para o dono do carrinho');
+    runner.assertEqual(discountService.validateCoupon(coupon.code, 100, 'outro@email.com').error, 'Este cupom é exclusivo de outro cliente', 'Cupom não deve valer para outros clientes');
+    runner.assert(!discountService.getActiveCoupons('outro@email.com').includes(coupon), 'Cupom exclusivo não deve aparecer para outros clientes');
+
+    const message = await fs.readFile(recovery.messageFile, 'utf8');
+    runner.assert(message.includes('Para: cliente@email.com'), 'Lembrete deve ser endereçado ao cliente');
+    runner.assert(message.includes(coupon.code), 'Lembrete deve trazer o código do cupom');
+    runner.assert(message.includes(product.name), 'Lembrete deve listar os itens do carrinho');
+
+    const secondRun = await recoveryService.runRecoveryJob(7);
+    runner.assertEqual(secondRun.sent.length, 0, 'Carrinho não deve receber dois lembretes pelo mesmo abandono');
+    runner.assertEqual(secondRun.skipped.find(s => s.cartId === customerCart.id).reason, 'Lembrete já enviado', 'Motivo deve ser informado');
+});
+
+runner.test('Integração - Recuperação acompanha checkout e calcula a taxa', async () => {
+    const services = await createTestServices();
+    const { productService, discountService, cartService } = services;
+    const recoveryService = await createRecoveryService(services);
+    const product = productService.getAllProducts()[6];
+    const tenDaysAgo = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000);
+
+    const returningCart = await cartService.createCart('volta@email.com');
+    await cartService.addProductToCart(returningCart.id, product.id, 2);
+    returningCart.updatedAt = tenDaysAgo;
+
+    const lostCart = await cartService.createCart('sumiu@email.com');
+    await cartService.addProductToCart(lostCart.id, product.id, 1);
+    lostCart.updatedAt = tenDaysAgo;
+
+    const summary = await recoveryService.runRecoveryJob(7);
+    runner.assertEqual(summary.sent.length, 2, 'Os dois clientes devem receber lembrete');
+
+    const returning = summary.sent.find(r => r.cartId === returningCart.id);
+    const lost = summary.sent.find(r => r.cartId === lostCart.id);
+
+    await cartService.applyCouponToCart(returningCart.id, discountService.getCouponByCode(returning.couponCode));
+    const order = await cartService.checkout(returningCart.id);
+    discountService.getCouponByCode(lost.couponCode).expiryDate = new Date(Date.now() - 1000);
+
+    const report = await recoveryService.getRecoveryReport();
+    runner.assertEqual(report.sent, 2, 'Dois lembretes enviados');
+    runner.assertEqual(report.recovered, 1, 'Carrinho finalizado deve contar como recuperado');
+    runner.assertEqual(report.expired, 1, 'Cupom vencido deve encerrar a recuperação');
+    runner.assertEqual(report.recoveryRate, 50, 'Taxa de recuperação deve ser 50%');
+    runner.assertEqual(report.couponsUsed, 1, 'Uso do cupom deve ser registrado');
+    runner.assertEqual(returning.orderId, order.id, 'Recuperação deve apontar para o pedido');
+
+    const reloaded = new CartRecoveryService(cartService, discountService, services.orderService);
+    reloaded.dataFile = recoveryService.dataFile;
+    await reloaded.initialize();
+    runner.assertEqual(reloaded.getRecoveriesByCart(returningCart.id)[0].status, 'recovered', 'Resultado deve ser persistido');
+});
+
+runner.test('Product - Variações com preço, estoque e peso próprios', () => {
+    const product = new Product('Camiseta', 40.00, 'Roupas', '', 0, '', 0, 10);
+    product.addVariant(new ProductVariant('CAM-P', { Tamanho: 'P' }, 3, 0, 0.2));
+    product.addVariant(new ProductVariant('CAM-GG', { Tamanho: 'GG' }, 2, 5.00, 0.35));
+
+    runner.assertEqual(product.stock, 5, 'Estoque do produto deve ser a soma das variações');
+    runner.assertEqual(product.getFinalPrice('CAM-GG'), 40.50, 'Preço da variação deve somar a diferença antes do desconto');
+    runner.assertEqual(product.getDisplayName('CAM-GG'), 'Camiseta (GG)', 'Nome deve trazer o rótulo da variação');
+    runner.assert(!product.reduceStock(1), 'Produto com variações não baixa estoque sem SKU');
+    runner.assert(!product.isAvailable(3, 'CAM-GG'), 'Disponibilidade deve considerar o estoque da variação');
+    runner.assert(!product.addVariant(new ProductVariant('CAM-P', { Tamanho: 'P' })), 'SKU repetido deve ser recusado');
+
+    const restored = Product.fromJSON(JSON.parse(JSON.stringify(product.toJSON())));
+    runner.assertEqual(restored.getVariant('CAM-GG').weight, 0.35, 'Variações devem ser persistidas');
+
+    const cart = new ShoppingCart();
+    runner.assert(!cart.addProduct(product, 1), 'Produto com variações exige a escolha da variação');
+    cart.addProduct(product, 2, 'CAM-P');
+    cart.addProduct(product, 1, 'CAM-GG');
+    runner.assertEqual(cart.items.length, 2, 'Variações diferentes devem ser linhas separadas');
+    runner.assertEqual(new ShippingService().calculateWeight(cart.items), 0.75, 'Peso da variação deve substituir o da categoria');
+});
+
+runner.test('Integração - Carrinho e checkout por variação', async () => {
+    const { productService, reservationService, orderService, cartService } = await createTestServices();
+    const product = productService.getAllProducts().find(p => p.hasVariants() && p.variants.length >= 2);
+    const [first, second] = product.variants;
+    const initialStock = product.stock;
+    const cart = await cartService.createCart('buyer');
+
+    let error = null;
+    try {
+        await cartService.addProductToCart(cart.id, product.id, 1);
+    } catch (e) {
+        error = e;
+    }
+    runner.assertEqual(error && error.message, `Escolha uma variação de ${product.name}`, 'Adicionar sem variação deve ser recusado');
+
+    await cartService.addProductToCart(cart.id, product.id, first.stock, first.sku);
+    await cartService.addProductToCart(cart.id, product.id, 1, second.sku);
+    runner.assertEqual(cart.items.length, 2, 'Cada variação deve ter sua própria linha');
+    runner.assertEqual(reservationService.getAvailableStock(product.id, null, first.sku), 0, 'Reserva deve valer para a variação');
+    runner.assertEqual(reservationService.getAvailableStock(product.id, null, second.sku), second.stock - 1, 'Outra variação continua disponível');
+
+    const reserved = first.stock;
+    const order = await cartService.checkout(cart.id);
+
+    runner.assertEqual(first.stock, 0, 'Checkout deve baixar o estoque da variação');
+    runner.assertEqual(product.stock, initialStock - reserved - 1, 'Estoque total deve acompanhar as variações');
+    runner.assertEqual(order.getItem(product.id, second.sku).name, product.getDisplayName(second.sku), 'Pedido deve registrar a variação');
+
+    await orderService.cancelOrder(order.id);
+    runner.assertEqual(first.stock, reserved, 'Cancelamento deve devolver o estoque à variação');
+});
+
+runner.test('Integração - Kit depende do estoque e das reservas dos componentes', async () => {
+    const { productService, reservationService, cartService } = await createTestServices();
+    const bundle = productService.getAllProducts().find(p => p.isBundle());
+    const components = productService.getBundleComponents(bundle).map(({ product }) => product);
+    const scarcest = components.reduce((min, product) => (product.stock < min.stock ? product : min));
+
+    runner.assertEqual(bundle.stock, scarcest.stock, 'Estoque do kit deve ser o do componente mais escasso');
+
+    const otherCart = await cartService.createCart('user-b');
+    await cartService.addProductToCart(otherCart.id, scarcest.id, scarcest.stock - 1);
+    runner.assertEqual(reservationService.getAvailableStock(bundle.id), 1, 'Reserva de um componente limita o kit');
+
+    const cart = await cartService.createCart('user-a');
+    await cartService.addProductToCart(cart.id, bundle.id, 1);
+    runner.assertEqual(reservationService.getAvailableStock(scarcest.id), 0, 'Reserva do kit segura as unidades do componente');
+
+    let error = null;
+    try {
+        await cartService.addProductToCart(cart.id, scarcest.id, 1);
+    } catch (e) {
+        error = e;
+    }
+    runner.assert(error, 'O mesmo carrinho não pode usar a unidade já reservada para o kit');
+
+    await cartService.removeProductFromCart(otherCart.id, scarcest.id);
+    await productService.removeProduct(components[0].id);
+    runner.assertEqual(bundle.stock, 0, 'Kit sem um dos componentes fica indisponível');
+});
+
+runner.test('Integração - Venda de kit baixa os componentes e divide o preço', async () => {
+    const { productService, discountService, orderService, cartService } = await createTestServices();
+    const bundle = productService.getAllProducts().find(p => p.isBundle());
+    const components = productService.getBundleComponents(bundle).map(({ product }) => product);
+    const initialStock = components.map(product => product.stock);
+
+    const cart = await cartService.createCart('buyer');
+    await cartService.addProductToCart(cart.id, bundle.id, 2);
+    await cartService.applyCouponToCart(cart.id, discountService.getCouponByCode('WELCOME10'));
+    const order = await cartService.checkout(cart.id);
+
+    components.forEach((product, index) => {
+        runner.assertEqual(product.stock, initialStock[index] - 2, `Estoque de ${product.name} deve baixar com o kit`);
+    });
+
+    const line = order.getItem(bundle.id);
+    const cents = value => Math.round(value * 100);
+    runner.assertEqual(line.components.length, components.length, 'Pedido deve registrar os componentes do kit');
+    runner.assertEqual(line.components.reduce((total, c) => total + cents(c.paidAmount), 0), cents(line.paidAmount), 'Valor pago do kit deve ser dividido sem sobras');
+    runner.assert(line.components[0].paidAmount > line.components[2].paidAmount, 'Divisão deve seguir o preço avulso dos componentes');
+
+    const sales = orderService.getProductSalesReport();
+    runner.assert(!sales.some(s => s.productId === bundle.id), 'Relatório deve listar os componentes, não o kit');
+    runner.assertEqual(sales.find(s => s.productId === components[0].id).quantity, 2, 'Relatório deve contar as unidades dos componentes');
+
+    for (const status of ['paid', 'separated', 'shipped', 'delivered']) {
+        await orderService.updateOrderStatus(order.id, status);
+    }
+    const refund = await orderService.createReturn(order.id, [{ productId: bundle.id, quantity: 1 }], 'regret');
+
+    const refundLine = refund.items[0];
+    runner.assertEqual(refundLine.components.reduce((total, c) => total + cents(c.refundAmount), 0), cents(refundLine.refundAmount), 'Reembolso do kit deve ser dividido entre os componentes');
+    runner.assertEqual(components[0].stock, initialStock[0] - 1, 'Devolução do kit deve devolver os componentes ao estoque');
+    runner.assertEqual(orderService.getProductSalesReport().find(s => s.productId === components[0].id).quantity, 1, 'Relatório deve descontar a devolução');
+});
+
+runner.test('Integração - Carrinho agrupado por loja com frete grátis de cada loja', async () => {
+    const { shopService, productService, cartService } = await createTestServices();
+    const shippingService = new ShippingService();
+    const book = productService.getAllProducts().find(p => p.category === 'Livros');
+    const perfume = productService.getAllProducts().find(p => p.category === 'Perfumaria');
+
+    const cart = await cartService.createCart('buyer');
+    await cartService.addProductToCart(cart.id, book.id, 1);
+    await cartService.addProductToCart(cart.id, perfume.id, 1);
+
+    const groups = shopService.getCartGroups(cart);
+    runner.assertArrayEqual(groups.map(g => g.shopId), ['loja-oficial', 'beleza-natural'], 'Itens devem ser agrupados por loja na ordem do carrinho');
+    runner.assertEqual(groups[1].subtotal, perfume.getFinalPrice(), 'Subtotal do grupo deve ser o dos itens da loja');
+
+    const quotes = shippingService.getShippingOptionsByShop('01310-100', groups);
+    const standard = quote => quote.options.find(option => option.type === 'standard');
+    runner.assert(!standard(quotes[0]).isFreeShipping, 'Livro sozinho não atinge o frete grátis da loja oficial');
+    runner.assert(standard(quotes[1]).isFreeShipping, 'Perfume atinge o frete grátis da loja de beleza');
+    runner.assertEqual(standard(quotes[1]).freeShippingThreshold, shopService.getShop('beleza-natural').freeShippingThreshold, 'Cotação deve usar o valor mínimo da loja');
+
+    await cartService.setShippingCost(cart.id, standard(quotes[0]).cost, quotes[0].shopId);
+    await cartService.setShippingCost(cart.id, standard(quotes[1]).cost, quotes[1].shopId);
+    runner.assertEqual(cart.shippingCost, standard(quotes[0]).cost, 'Frete do carrinho deve ser a soma dos fretes por loja');
+
+    await cartService.undo(cart.id);
+    runner.assertEqual(cart.shippingByShop['beleza-natural'], 0, 'Desfazer deve voltar apenas o frete da loja alterada');
+});
+
+runner.test('Integração - Checkout divide o pedido em subpedidos por loja', async () => {
+    const { productService, discountService, orderService, cartService } = await createTestServices();
+    const book = productService.getAllProducts().find(p => p.category === 'Livros');
+    const lamp = productService.getAllProducts().find(p => p.category === 'Decoração');
+
+    const cart = await cartService.createCart('buyer');
+    await cartService.addProductToCart(cart.id, book.id, 2);
+    await cartService.addProductToCart(cart.id, lamp.id, 1);
+    await cartService.applyCouponToCart(cart.id, discountService.getCouponByCode('WELCOME10'));
+    await cartService.setShippingCost(cart.id, 15.90, 'loja-oficial');
+    await cartService.setShippingCost(cart.id, 20.40, 'casa-conforto');
+
+    const order = await cartService.checkout(cart.id);
+    const cents = value => Math.round(value * 100);
+
+    runner.assertEqual(order.subOrders.length, 2, 'Pedido deve ter um subpedido por loja');
+    runner.assertEqual(order.getSubOrder('casa-conforto').shopName, 'Casa & Conforto', 'Subpedido deve guardar o nome da loja');
+    runner.assertEqual(order.getSubOrder('loja-oficial').shippingCost, 15.90, 'Subpedido deve ter o frete escolhido para a loja');
+    runner.assertEqual(order.getSubOrder('loja-oficial').items[0].quantity, 2, 'Subpedido deve ter os itens da loja');
+    runner.assertEqual(order.subOrders.reduce((total, sub) => total + cents(sub.total), 0), cents(order.getTotal()), 'Soma dos subpedidos deve ser o total do pedido');
+
+    const saved = Order.fromJSON(JSON.parse(JSON.stringify(orderService.getOrderById(order.id))));
+    runner.assertEqual(saved.subOrders.length, 2, 'Subpedidos devem ser persistidos');
+});
+
+runner.test('ShoppingCart - Cupom de loja desconta só os itens da loja', () => {
+    const cart = new ShoppingCart('buyer');
+    const phone = new Product('Celular', 1000, 'Eletrônicos', '', 5, '', 0, 0, 'tech-center');
+    const book = new Product('Livro', 100, 'Livros', '', 5);
+    cart.addProduct(phone, 1);
+    cart.addProduct(book, 2);
+
+    const shopVoucher = new Coupon('TECH10', 'percentage', 10, 0, null, null, '', 'tech-center');
+    runner.assertEqual(shopVoucher.getScope(), 'shop', 'Cupom com loja deve ser de loja');
+    runner.assert(cart.applyCoupon(shopVoucher), 'Cupom de loja deve ser aplicado');
+    runner.assertEqual(cart.getCouponDiscounts(), 100, 'Desconto deve ser calculado só sobre os itens da loja');
+
+    runner.assert(!cart.applyCoupon(new Coupon('TECH5', 'fixed', 5, 0, null, null, '', 'tech-center')), 'Segundo cupom de loja deve ser recusado');
+    runner.assert(!cart.applyCoupon(new Coupon('MODA5', 'fixed', 5, 0, null, null, '', 'moda-brasil')), 'Cupom de loja ausente do carrinho deve ser recusado');
+    runner.assert(!cart.applyCoupon(new Coupon('LOJA900', 'fixed', 5, 900, null, null, '', 'loja-oficial')), 'Mínimo do cupom de loja considera só os itens da loja');
+
+    runner.assert(cart.applyCoupon(new Coupon('DEZ', 'fixed', 10)), 'Cupom da plataforma pode ser somado ao de loja');
+    runner.assert(!cart.applyCoupon(new Coupon('VINTE', 'fixed', 20)), 'Segundo cupom da plataforma deve ser recusado');
+    runner.assertEqual(cart.getCouponDiscounts(), 110, 'Cupom da plataforma vale sobre o carrinho inteiro');
+});
+
+runner.test('Integração - Cupons de loja e da plataforma no checkout', async () => {
+    const { productService, discountService, cartService } = await createTestServices();
+    const phone = productService.getAllProducts().find(p => p.name.startsWith('Smartphone'));
+    const book = productService.getAllProducts().find(p => p.category === 'Livros');
+
+    const cart = await cartService.createCart('buyer');
+    await cartService.addProductToCart(cart.id, book.id, 2);
+    const early = discountService.validateCoupon('TECH50', cart.getSubtotal(), cart.userId, cart);
+    runner.assert(!early.isValid, 'Cupom de loja não vale sem produtos da loja');
+
+    await cartService.addProductToCart(cart.id, phone.id, 1);
+    const validation = discountService.validateCoupon('TECH50', cart.getSubtotal(), cart.userId, cart);
+    runner.assert(validation.isValid, 'Cupom de loja deve valer com produtos da loja');
+    await cartService.applyCouponToCart(cart.id, validation.coupon);
+    await cartService.applyCouponToCart(cart.id, discountService.getCouponByCode('WELCOME10'));
+
+    const conflict = discountService.validateCoupon('SAVE15', cart.getSubtotal(), cart.userId, cart);
+    runner.assert(conflict.error.includes('WELCOME10'), 'Validação deve explicar o conflito com o cupom da plataforma já aplicado');
+
+    const order = await cartService.checkout(cart.id);
+    const cents = value => Math.round(value * 100);
+    const bookLine = order.getItem(book.id);
+    runner.assert(Math.abs(cents(bookLine.couponDiscount) - cents(bookLine.subtotal * 0.1)) <= 1, 'Itens de outra loja recebem só o cupom da plataforma');
+    runner.assertEqual(
+        order.subOrders.reduce((total, sub) => total + cents(sub.couponDiscounts), 0),
+        cents(order.financialSummary.couponDiscounts),
+        'Descontos dos subpedidos devem somar o desconto do pedido'
+    );
+    runner.assertEqual(order.appliedCoupons.find(c => c.code === 'TECH50').shopId, 'tech-center', 'Pedido deve registrar a loja do cupom');
+});
+
+runner.test('Integração - Moedas ganhas, usadas com limite e estornadas no cancelamento', async () => {
+    const { productService, orderService, cartService, coinService } = await createTestServices();
+    const product = productService.getAllProducts().find(p => !p.hasVariants() && !p.isBundle());
+
+    const cart = await cartService.createCart('buyer');
+    await cartService.addProductToCart(cart.id, product.id, 1);
+    const firstOrder = await cartService.checkout(cart.id);
+    runner.assertEqual(coinService.getBalance('buyer'), 0, 'Moedas só são creditadas após a confirmação do pagamento');
+
+    await orderService.updateOrderStatus(firstOrder.id, 'paid');
+    const earned = coinService.calculateEarnedCoins(firstOrder.getTotal());
+    runner.assert(earned > 0, 'Pedido pago deve render moedas');
+    runner.assertEqual(coinService.getBalance('buyer'), earned, 'Saldo deve receber as moedas do pedido');
+
+    await cartService.addProductToCart(cart.id, product.id, 1);
+    const limit = cart.getCoinsLimit();
+    runner.assertEqual(limit, Math.floor(cart.getSubtotal() * 25), 'Limite de moedas deve ser 25% do subtotal');
+    try {
+        await cartService.setCoinsToRedeem(cart.id, Math.min(earned, limit) + 1);
+        runner.assert(false, 'Não deve aceitar mais moedas que o saldo ou o limite');
+    } catch (error) {
+        runner.assert(error.message.includes('no máximo'), 'Erro deve informar o máximo de moedas');
+    }
+
+    const used = Math.min(earned, limit);
+    await cartService.setCoinsToRedeem(cart.id, used);
+    const subtotal = cart.getSubtotal();
+    const secondOrder = await cartService.checkout(cart.id);
+    runner.assertEqual(secondOrder.coinsRedeemed, used, 'Pedido deve registrar as moedas usadas');
+    runner.assertEqual(Math.round(secondOrder.getTotal() * 100), Math.round(subtotal * 100) - used, 'Moedas devem descontar do total');
+    runner.assertEqual(coinService.getBalance('buyer'), earned - used, 'Moedas usadas devem sair do saldo');
+
+    await orderService.updateOrderStatus(secondOrder.id, 'cancelled');
+    runner.assertEqual(coinService.getBalance('buyer'), earned, 'Cancelamento deve devolver as moedas usadas');
+
+    await orderService.updateOrderStatus(firstOrder.id, 'cancelled');
+    runner.assertEqual(coinService.getBalance('buyer'), 0, 'Cancelamento deve estornar as moedas ganhas');
+    runner.assertArrayEqual(
+        coinService.getEntries('buyer').map(entry => entry.type),
+        ['earn', 'redeem', 'reversal', 'reversal'],
+        'Extrato deve registrar ganho, uso e estornos'
+    );
+});
+
+runner.test('Integração - Devolução retira as moedas ganhas com os itens devolvidos', async () => {
+    const { productService, orderService, cartService, coinService } = await createTestServices();
+    const product = productService.getAllProducts().find(p => !p.hasVariants() && !p.isBundle());
+
+    const cart = await cartService.createCart('buyer');
+    await cartService.addProductToCart(cart.id, product.id, 2);
+    const order = await cartService.checkout(cart.id);
+    for (const status of ['paid', 'separated', 'shipped', 'delivered']) {
+        await orderService.updateOrderStatus(order.id, status);
+    }
+    const earned = coinService.getBalance('buyer');
+    runner.assert(earned > 0, 'Pedido pago deve render moedas');
+
+    await orderService.createReturn(order.id, [{ productId: product.id, quantity: 1 }], 'regret');
+    const share = order.getRefundedTotal() / order.getTotal();
+    runner.assertEqual(coinService.getBalance('buyer'), earned - Math.round(earned * share), 'Devolução parcial retira a parte proporcional das moedas');
+
+    await orderService.createReturn(order.id, [{ productId: product.id, quantity: 1 }], 'regret');
+    runner.assertEqual(orderService.getOrderById(order.id).status, 'returned', 'Pedido deve ficar devolvido');
+    runner.assertEqual(coinService.getBalance('buyer'), 0, 'Devolução completa retira todas as moedas ganhas');
+    runner.assertArrayEqual(
+        coinService.getEntries('buyer').map(entry => entry.type),
+        ['earn', 'reversal', 'reversal'],
+        'Extrato deve registrar um estorno por devolução'
+    );
+});
+
+runner.test('CoinService - Moedas vencem no prazo configurado', async () => {
+    const coinService = new CoinService();
+    coinService.dataFile = tempDataFile('coins.json');
+    await coinService.initialize();
+
+    const order = new Order('buyer', [], { subtotal: 500, shippingCost: 0, total: 500 });
+    await coinService.earnForOrder(order);
+    runner.assertEqual(coinService.getBalance('buyer'), 1000, '2% de R$ 500,00 devem render 1000 moedas de R$ 0,01');
+    runner.assert(!(await coinService.earnForOrder(order)), 'Pedido rende moedas uma única vez');
+
+    const expiry = coinService.getNextExpiration('buyer').expiresAt;
+    const beforeExpiry = new Date(expiry.getTime() - 1000);
+    runner.assertEqual(await coinService.expireCoins(beforeExpiry), 0, 'Moedas não vencem antes do prazo');
+
+    runner.assertEqual(await coinService.expireCoins(expiry), 1000, 'Moedas devem vencer no prazo');
+    runner.assertEqual(coinService.getBalance('buyer'), 0, 'Moedas vencidas não contam no saldo');
+    runner.assertEqual(coinService.getEntries('buyer')[1].type, 'expire', 'Expiração deve ficar no extrato');
+
+    await coinService.loadEntries();
+    runner.assertEqual(coinService.getBalance('buyer'), 0, 'Extrato deve ser persistido');
+});
+
+runner.test('Product - Preço da oferta relâmpago só vale dentro da janela e com cota', () => {
+    const hour = 60 * 60 * 1000;
+    const now = Date.now();
+    const product = new Product('Fone Bluetooth', 200, 'Eletrônicos', '', 50, '', 4.5, 10);
+
+    product.flashSale = new FlashSale(new Date(now + hour), new Date(now + 2 * hour), 99.9, 0, 2, 1);
+    runner.assertEqual(product.getFinalPrice(), 180, 'Antes da janela vale o desconto normal');
+
+    product.flashSale = new FlashSale(new Date(now - hour), new Date(now + hour), 99.9, 0, 2, 1);
+    runner.assert(product.validate().isValid, 'Oferta válida deve passar na validação do produto');
+    runner.assertEqual(product.getFinalPrice(), 99.9, 'Durante a janela vale o preço da oferta');
+    runner.assert(product.flashSale.recordPurchase('ana', 'ORD-1', 1), 'Compra dentro do limite deve ser registrada');
+    runner.assert(!product.flashSale.recordPurchase('ana', 'ORD-2', 1), 'Cliente não pode passar do limite da oferta');
+    runner.assert(product.flashSale.recordPurchase('bia', 'ORD-3', 1), 'Outro cliente pode comprar');
+    runner.assertEqual(product.getFinalPrice(), 180, 'Cota esgotada volta ao preço normal');
+
+    product.flashSale = new FlashSale(new Date(now - 2 * hour), new Date(now - hour), null, 50, 5, 1);
+    runner.assertEqual(product.getFinalPrice(), 180, 'Depois da janela volta ao preço normal');
+
+    product.flashSale = new FlashSale(new Date(now - hour), new Date(now + hour), 250, 0, 5, 1);
+    runner.assert(!product.validate().isValid, 'Preço da oferta maior que o do produto deve ser recusado');
+});
+
+runner.test('Integração - Oferta relâmpago com limite por cliente no carrinho e no checkout', async () => {
+    const { productService, orderService, cartService } = await createTestServices();
+    const product = productService.getAllProducts().find(p => !p.hasVariants() && !p.isBundle());
+    const promoPrice = Math.round(product.price * 50) / 100;
+    const now = Date.now();
+
+    await productService.scheduleFlashSale(product.id, new FlashSale(new Date(now - 1000), new Date(now + 60 * 60 * 1000), promoPrice, 0, 3, 2));
+    try {
+        await productService.scheduleFlashSale(product.id, new FlashSale(new Date(now), new Date(now + 1000), promoPrice, 0, 1, 1));
+        runner.assert(false, 'Não deve programar duas ofertas ao mesmo tempo');
+    } catch (error) {
+        runner.assert(error.message.includes('já tem uma oferta'), 'Erro deve informar a oferta existente');
+    }
+
+    const cart = await cartService.createCart('buyer');
+    try {
+        await cartService.addProductToCart(cart.id, product.id, 3);
+        runner.assert(false, 'Não deve passar do limite por cliente');
+    } catch (error) {
+        runner.assert(error.message.includes('limite de 2 por cliente'), 'Erro deve informar o limite por cliente');
+    }
+
+    await cartService.addProductToCart(cart.id, product.id, 2);
+    runner.assertEqual(cart.getSubtotal(), promoPrice * 2, 'Carrinho deve usar o preço da oferta');
+
+    const order = await cartService.checkout(cart.id);
+    runner.assertEqual(order.getItem(product.id).unitPrice, promoPrice, 'Pedido deve registrar o preço da oferta');
+    runner.assertEqual(product.flashSale.getRemainingQuota(), 1, 'Checkout deve consumir a cota da oferta');
+
+    try {
+        await cartService.addProductToCart(cart.id, product.id, 1);
+        runner.assert(false, 'Cliente que já comprou o limite não pode levar mais na oferta');
+    } catch (error) {
+        runner.assert(error.message.includes('até 0 unidades'), 'Erro deve informar que não há mais unidades para o cliente');
+    }
+
+    await orderService.cancelOrder(order.id);
+    runner.assertEqual(product.flashSale.getRemainingQuota(), 3, 'Cancelamento deve devolver as unidades à cota');
+
+    await cartService.addProductToCart(cart.id, product.id, 1);
+    product.flashSale.endsAt = new Date(Date.now() - 1000);
+    runner.assertEqual(cart.getSubtotal(), product.getFinalPrice(), 'Fechada a janela, o carrinho volta ao preço normal');
+    runner.assert(cart.hasPriceIncreases(), 'Fim da oferta deve ser avisado como aumento de preço');
+});
+
+runner.test('Coupon - Regras de elegibilidade por categoria, produto e quantidade mínima', () => {
+    const phone = new Product('Smartphone', 1000, 'Eletrônicos', '', 10);
+    const charger = new Product('Carregador', 100, 'Eletrônicos', '', 10);
+    const book = new Product('Livro', 50, 'Livros', '', 10);
+    const items = [new CartItem(phone, 1), new CartItem(charger, 2), new CartItem(book, 2)];
+
+    const coupon = new Coupon('ELETRO', 'percentage', 10, 0);
+    runner.assertEqual(coupon.calculateDiscount(1300, items), 130, 'Sem regras o cupom vale para o subtotal inteiro');
+
+    coupon.setEligibility({ categories: ['eletrônicos'], excludedProductIds: [charger.id] });
+    runner.assert(coupon.hasEligibilityRules(), 'Cupom deve reconhecer as regras');
+    runner.assertEqual(coupon.calculateDiscount(1300, items), 100, 'Desconto deve considerar só os itens participantes');
+    runner.assertEqual(coupon.calculateDiscount(1300), 130, 'Sem os itens, o valor informado é usado inteiro');
+
+    const eligibility = coupon.checkEligibility(items);
+    runner.assertArrayEqual(eligibility.eligibleItems.map(item => item.getName()), ['Smartphone'], 'Só o smartphone participa');
+    runner.assertEqual(eligibility.ineligibleItems.find(i => i.item.product === book).reason, 'cupom válido apenas para eletrônicos', 'Motivo deve citar as categorias do cupom');
+    runner.assertEqual(eligibility.ineligibleItems.find(i => i.item.product === charger).reason, 'produto fora da promoção', 'Produto excluído deve ser explicado');
+
+    const bulk = new Coupon('LEVE3', 'fixed', 20, 0);
+    bulk.setEligibility({ excludedCategories: ['Eletrônicos'], minimumQuantity: 3 });
+    runner.assertEqual(bulk.calculateDiscount(1300, items), 0, 'Quantidade mínima de participantes não atingida');
+    items[2].quantity = 3;
+    runner.assertEqual(bulk.calculateDiscount(1300, items), 20, 'Quantidade mínima atingida libera o desconto');
+
+    const restored = Coupon.fromJSON(bulk.toJSON());
+    runner.assertArrayEqual(restored.excludedCategories, ['Eletrônicos'], 'Regras devem ser persistidas');
+    runner.assertEqual(restored.minimumQuantity, 3, 'Quantidade mínima deve ser persistida');
+});
+
+runner.test('Coupon - Regras de elegibilidade por marca', () => {
+    const phone = new Product('Smartphone', 1000, 'Eletrônicos', '', 10, '', 0, 0, null, 'Samsung');
+    const headphone = new Product('Fone', 200, 'Eletrônicos', '', 10, '', 0, 0, null, 'JBL');
+    const charger = new Product('Carregador', 100, 'Eletrônicos', '', 10);
+    const items = [new CartItem(phone, 1), new CartItem(headphone, 1), new CartItem(charger, 1)];
+
+    const coupon = new Coupon('SAMSUNG', 'percentage', 10, 0);
+    coupon.setEligibility({ brands: ['samsung'] });
+    runner.assertEqual(coupon.calculateDiscount(1300, items), 100, 'Só os itens da marca participam');
+    const eligibility = coupon.checkEligibility(items);
+    runner.assertEqual(eligibility.ineligibleItems.find(i => i.item.product === headphone).reason, 'cupom válido apenas para samsung', 'Motivo deve citar a marca do cupom');
+    runner.assert(eligibility.ineligibleItems.some(i => i.item.product === charger), 'Produto sem marca não participa de cupom por marca');
+
+    const noJbl = new Coupon('SEMJBL', 'fixed', 20, 0);
+    noJbl.setEligibility({ excludedBrands: ['JBL'] });
+    runner.assertEqual(noJbl.checkProductEligibility(headphone).reason, 'marca JBL fora da promoção', 'Marca excluída deve ser explicada');
+    runner.assert(noJbl.checkProductEligibility(charger).isEligible, 'Produto sem marca não é afetado pela exclusão');
+
+    noJbl.setEligibility({ brands: ['jbl'] });
+    runner.assert(!noJbl.validate().isValid, 'Marca não pode ser incluída e excluída ao mesmo tempo');
+
+    runner.assertArrayEqual(Coupon.fromJSON(coupon.toJSON()).brands, ['samsung'], 'Marcas do cupom devem ser persistidas');
+    runner.assertEqual(Product.fromJSON(phone.toJSON()).brand, 'Samsung', 'Marca do produto deve ser persistida');
+});
+
+runner.test('Integração - Cupom por categoria explica os itens e desconta só os participantes', async () => {
+    const { productService, discountService, cartService } = await createTestServices();
+    const charger = productService.getAllProducts().find(p => p.name.startsWith('Carregador'));
+    const book = productService.getAllProducts().find(p => p.category === 'Livros');
+
+    const cart = await cartService.createCart('buyer');
+    await cartService.addProductToCart(cart.id, book.id, 2);
+    const none = discountService.validateCoupon('ELETRO10', cart.getSubtotal(), cart.userId, cart);
+    runner.assert(!none.isValid, 'Cupom não vale sem itens participantes');
+    runner.assertEqual(none.ineligibleItems[0].reason, 'cupom válido apenas para Eletrônicos', 'Validação deve explicar por que o item não participa');
+
+    await cartService.addProductToCart(cart.id, charger.id, 1);
+    const low = discountService.validateCoupon('ELETRO10', cart.getSubtotal(), cart.userId, cart);
+    runner.assert(!low.isValid && low.error.includes('produtos participantes'), 'Valor mínimo considera só os itens participantes');
+
+    await cartService.updateProductQuantity(cart.id, charger.id, 2);
+    const validation = discountService.validateCoupon('ELETRO10', cart.getSubtotal(), cart.userId, cart);
+    runner.assert(validation.isValid, 'Cupom deve valer com itens participantes suficientes');
+    runner.assertArrayEqual(validation.eligibleItems, [charger.name], 'Validação deve listar os itens participantes');
+    const chargerSubtotal = cart.getItem(charger.id).getSubtotal();
+    runner.assertEqual(validation.discount, chargerSubtotal * 0.1, 'Desconto deve ser calculado só sobre os participantes');
+
+    await cartService.applyCouponToCart(cart.id, validation.coupon);
+    const order = await cartService.checkout(cart.id);
+    runner.assertEqual(order.getItem(book.id).couponDiscount, 0, 'Item que não participa não recebe desconto do cupom');
+    runner.assertEqual(Math.round(order.getItem(charger.id).couponDiscount * 100), Math.round(chargerSubtotal * 10), 'Desconto fica todo com o item participante');
+});
+
 // Executar todos os testes
 async function runTests() {
     await runner.run();